@@ -6,6 +6,11 @@ CREATE TABLE users (
     role ENUM('admin', 'doctor', 'insurance') NOT NULL,
     first_login BOOLEAN DEFAULT TRUE,
     is_active BOOLEAN DEFAULT TRUE,
+    token_version INT NOT NULL DEFAULT 0,
+    password_changed_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    failed_login_count INT NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP
 );
@@ -24,7 +29,9 @@ CREATE TABLE staff (
     district VARCHAR(100) NOT NULL,
     gender ENUM('Male', 'Female', 'Other'),
     date_of_birth DATE,
-    nic VARCHAR(20) UNIQUE,
+    -- Encrypted; nic_index is its blind index (HMAC) for uniqueness
+    nic VARCHAR(255),
+    nic_index CHAR(64) UNIQUE,
     profile_picture VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
@@ -36,7 +43,9 @@ CREATE TABLE patients (
     patient_id VARCHAR(36) PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     name_initials VARCHAR(50) NOT NULL,
-    nic VARCHAR(20) UNIQUE,
+    -- Encrypted; nic_index is its blind index (HMAC) for exact lookups and uniqueness
+    nic VARCHAR(255),
+    nic_index CHAR(64) UNIQUE,
     date_of_birth DATE NOT NULL,
     gender ENUM('Male', 'Female', 'Other') NOT NULL,
     blood_type VARCHAR(10) NOT NULL,
@@ -127,6 +136,16 @@ CREATE TABLE records (
     attachments JSON,
     confidentiality_level ENUM('normal', 'sensitive', 'restricted') DEFAULT 'normal',
     visit_date DATE NOT NULL,
+    -- Records are never deleted; a record written by mistake is marked entered in error
+    status ENUM('current', 'entered_in_error') NOT NULL DEFAULT 'current',
+    entered_in_error_by VARCHAR(36),
+    entered_in_error_at TIMESTAMP NULL,
+    entered_in_error_reason TEXT,
+    -- Version of the clinical content; earlier versions are kept in record_versions
+    version INT NOT NULL DEFAULT 1,
+    amended_by VARCHAR(36),
+    amended_at TIMESTAMP NULL,
+    amendment_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (patient_id) REFERENCES patients(patient_id) ON DELETE RESTRICT,
@@ -153,6 +172,30 @@ CREATE TABLE insurance_allocations (
     UNIQUE KEY unique_allocation (company_id, patient_id, policy_number)
 );
 
+-- Patient consents (what a patient allows an insurer to request, and why)
+CREATE TABLE patient_consents (
+    consent_id VARCHAR(36) PRIMARY KEY,
+    patient_id VARCHAR(36) NOT NULL,
+    company_id VARCHAR(36) NOT NULL,
+    purpose ENUM('claim_verification', 'policy_renewal', 'underwriting', 'fraud_investigation') NOT NULL,
+    record_types JSON,
+    date_range_start DATE,
+    date_range_end DATE,
+    valid_from TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NULL,
+    consent_method ENUM('written', 'electronic', 'verbal') DEFAULT 'written',
+    document_reference VARCHAR(255),
+    recorded_by VARCHAR(36) NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(36),
+    revocation_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (patient_id) REFERENCES patients(patient_id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES insurance_companies(company_id) ON DELETE CASCADE,
+    INDEX idx_consent_scope (patient_id, company_id, purpose)
+);
+
 -- Data Requests table 
 CREATE TABLE data_requests (
     request_id VARCHAR(36) PRIMARY KEY,
@@ -164,7 +207,8 @@ CREATE TABLE data_requests (
     date_range_start DATE,
     date_range_end DATE,
     urgency_level ENUM('low', 'medium', 'high') DEFAULT 'medium',
-    status ENUM('pending', 'approved', 'rejected', 'fulfilled') DEFAULT 'pending',
+    -- 0 pending, 1 approved, 2 rejected, 3 expired (see dataRequest.model formatStatus)
+    status TINYINT UNSIGNED NOT NULL DEFAULT 0,
     request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     reviewed_date TIMESTAMP NULL,
     reviewed_by VARCHAR(36),
@@ -187,14 +231,52 @@ CREATE TABLE approved_records (
     access_granted_until TIMESTAMP,
     access_count INT DEFAULT 0,
     max_access_count INT DEFAULT 1,
+    sensitive_approved BOOLEAN NOT NULL DEFAULT FALSE,
     encryption_key_hash VARCHAR(255),
+    last_accessed_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(36),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (request_id) REFERENCES data_requests(request_id) ON DELETE CASCADE,
     FOREIGN KEY (record_id) REFERENCES records(record_id) ON DELETE CASCADE,
     FOREIGN KEY (approved_by) REFERENCES staff(staff_id) ON DELETE RESTRICT,
     UNIQUE KEY unique_approval (request_id, record_id)
 );
 
+-- Staff allowed to read a restricted record besides its author
+CREATE TABLE record_access_grants (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    record_id VARCHAR(36) NOT NULL,
+    staff_id VARCHAR(36) NOT NULL,
+    granted_by VARCHAR(36) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(36),
+    FOREIGN KEY (record_id) REFERENCES records(record_id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(staff_id) ON DELETE CASCADE,
+    INDEX idx_record_access_staff (staff_id, record_id)
+);
+
+-- Earlier versions of a record's clinical content, kept when it is amended.
+-- amended_by, amended_at and amendment_reason describe the amendment that
+-- produced the version, and are NULL for the original.
+CREATE TABLE record_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    record_id VARCHAR(36) NOT NULL,
+    version INT NOT NULL,
+    description TEXT,
+    diagnosis TEXT,
+    symptoms TEXT,
+    amended_by VARCHAR(36),
+    amended_at TIMESTAMP NULL,
+    amendment_reason TEXT,
+    superseded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (record_id) REFERENCES records(record_id) ON DELETE RESTRICT,
+    UNIQUE KEY uq_record_version (record_id, version)
+);
+
 -- Claims table (insurance claims)
 CREATE TABLE claims (
     claim_id VARCHAR(36) PRIMARY KEY,
@@ -209,12 +291,74 @@ CREATE TABLE claims (
     claim_date DATE NOT NULL,
     review_notes TEXT,
     settlement_amount DECIMAL(10,2),
+    payment_reference VARCHAR(100),
+    reviewed_by VARCHAR(36),
+    reviewed_at TIMESTAMP NULL,
+    paid_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (company_id) REFERENCES insurance_companies(company_id) ON DELETE RESTRICT,
     FOREIGN KEY (patient_id) REFERENCES patients(patient_id) ON DELETE RESTRICT
 );
 
+-- Claim line items (itemised services billed on a claim)
+CREATE TABLE claim_line_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    claim_id VARCHAR(36) NOT NULL,
+    line_number INT NOT NULL,
+    service_date DATE NOT NULL,
+    record_id VARCHAR(36),
+    item_type ENUM('procedure', 'medicine', 'consultation', 'lab_test', 'other') NOT NULL,
+    procedure_code VARCHAR(50),
+    med_id VARCHAR(36),
+    description VARCHAR(255) NOT NULL,
+    quantity DECIMAL(10,2) NOT NULL,
+    unit_price DECIMAL(10,2) NOT NULL,
+    claimed_amount DECIMAL(10,2) NOT NULL,
+    approved_amount DECIMAL(10,2),
+    line_status ENUM('pending', 'approved', 'partially_approved', 'denied') DEFAULT 'pending',
+    decision_reason TEXT,
+    decided_by VARCHAR(36),
+    decided_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (claim_id) REFERENCES claims(claim_id) ON DELETE CASCADE,
+    FOREIGN KEY (record_id) REFERENCES records(record_id) ON DELETE SET NULL,
+    FOREIGN KEY (med_id) REFERENCES medicines(med_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_claim_line (claim_id, line_number)
+);
+
+-- Claim evidence (released records attached to a claim or one of its lines)
+CREATE TABLE claim_evidence (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    claim_id VARCHAR(36) NOT NULL,
+    line_item_id INT,
+    approved_record_id INT NOT NULL,
+    notes TEXT,
+    attached_by VARCHAR(36) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (claim_id) REFERENCES claims(claim_id) ON DELETE CASCADE,
+    FOREIGN KEY (line_item_id) REFERENCES claim_line_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (approved_record_id) REFERENCES approved_records(id) ON DELETE RESTRICT,
+    INDEX idx_claim_evidence (claim_id, line_item_id)
+);
+
+-- Claim status history (one row per lifecycle transition)
+CREATE TABLE claim_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    claim_id VARCHAR(36) NOT NULL,
+    from_status ENUM('pending', 'under_review', 'approved', 'rejected', 'paid'),
+    to_status ENUM('pending', 'under_review', 'approved', 'rejected', 'paid') NOT NULL,
+    changed_by VARCHAR(36) NOT NULL,
+    changed_by_role VARCHAR(50) NOT NULL,
+    notes TEXT,
+    settlement_amount DECIMAL(10,2),
+    payment_reference VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (claim_id) REFERENCES claims(claim_id) ON DELETE CASCADE,
+    INDEX idx_claim_history (claim_id, created_at)
+);
+
 -- Audit Logs 
 CREATE TABLE audit_logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -228,12 +372,209 @@ CREATE TABLE audit_logs (
     ip_address VARCHAR(45),
     user_agent TEXT,
     session_id VARCHAR(255),
+    request_id VARCHAR(64),
     details TEXT,
     severity ENUM('info', 'warning', 'error', 'critical') DEFAULT 'info',
+    prev_hash CHAR(64),
+    entry_hash CHAR(64),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     INDEX idx_user_action (user_id, action),
     INDEX idx_resource (resource_type, resource_id),
-    INDEX idx_timestamp (created_at)
+    INDEX idx_timestamp (created_at),
+    INDEX idx_request (request_id)
+);
+
+-- Refresh tokens (only the hash is stored); a family is one login and its rotations
+CREATE TABLE refresh_tokens (
+    token_id CHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    replaced_by CHAR(36),
+    revoked_at TIMESTAMP NULL,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_refresh_user (user_id, revoked_at),
+    INDEX idx_refresh_family (family_id, revoked_at)
+);
+
+-- One-time password reset and account setup links (only the hash is stored)
+CREATE TABLE password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    purpose ENUM('reset', 'setup') NOT NULL DEFAULT 'reset',
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reset_user (user_id, used_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Every forgotten-password request, whether or not the email has an account; used for rate limits
+CREATE TABLE password_reset_requests (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reset_request_email (email, created_at),
+    INDEX idx_reset_request_ip (ip_address, created_at)
+);
+
+-- Permissions granted to each role (names are defined in src/config/permissions.js)
+CREATE TABLE role_permissions (
+    role ENUM('admin', 'doctor', 'insurance') NOT NULL,
+    permission VARCHAR(100) NOT NULL,
+    granted_by VARCHAR(36),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (role, permission)
+);
+
+INSERT INTO role_permissions (role, permission) VALUES
+    ('admin', 'patient:read'),
+    ('admin', 'patient:manage'),
+    ('admin', 'patient:access_report'),
+    ('admin', 'staff:read'),
+    ('admin', 'staff:manage'),
+    ('admin', 'insurance:read'),
+    ('admin', 'insurance:manage'),
+    ('admin', 'record:read'),
+    ('admin', 'record:read:sensitive'),
+    ('admin', 'record:restricted:grant'),
+    ('admin', 'record:create'),
+    ('admin', 'record:amend'),
+    ('admin', 'prescription:create'),
+    ('admin', 'lab_test:read'),
+    ('admin', 'lab_test:create'),
+    ('admin', 'medicine:read'),
+    ('admin', 'medicine:manage'),
+    ('admin', 'allocation:read'),
+    ('admin', 'allocation:manage'),
+    ('admin', 'consent:read'),
+    ('admin', 'consent:manage'),
+    ('admin', 'data_request:read'),
+    ('admin', 'data_request:approve'),
+    ('admin', 'claim:read'),
+    ('admin', 'claim:adjudicate'),
+    ('admin', 'dashboard:read'),
+    ('admin', 'settings:manage'),
+    ('admin', 'job:manage'),
+    ('admin', 'audit:read'),
+    ('admin', 'audit:verify'),
+    ('admin', 'user:security'),
+    ('admin', 'security:policy'),
+    ('admin', 'permission:manage'),
+    ('doctor', 'patient:read'),
+    ('doctor', 'record:read'),
+    ('doctor', 'record:read:sensitive'),
+    ('doctor', 'record:create'),
+    ('doctor', 'record:amend'),
+    ('doctor', 'prescription:create'),
+    ('doctor', 'lab_test:read'),
+    ('doctor', 'lab_test:create'),
+    ('doctor', 'medicine:read'),
+    ('insurance', 'patient:read:connected'),
+    ('insurance', 'allocation:respond'),
+    ('insurance', 'consent:read'),
+    ('insurance', 'data_request:create'),
+    ('insurance', 'data_request:read:own'),
+    ('insurance', 'record:read:released'),
+    ('insurance', 'claim:create'),
+    ('insurance', 'claim:read'),
+    ('insurance', 'claim:adjudicate'),
+    ('insurance', 'claim:evidence:attach');
+
+-- Sessions (one per login); session_id is the refresh token family
+CREATE TABLE user_sessions (
+    session_id CHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    last_seen_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL,
+    ended_at TIMESTAMP NULL,
+    ended_reason VARCHAR(50),
+    INDEX idx_session_user (user_id, last_seen_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Password hashes a user has had, so recent ones cannot be chosen again
+CREATE TABLE password_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_password_history_user (user_id, id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Login attempts, successful and failed, for lockout and per-IP limits
+CREATE TABLE login_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    user_id VARCHAR(36),
+    role VARCHAR(50),
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_login_ip (ip_address, success, created_at),
+    INDEX idx_login_user (user_id, created_at)
+);
+
+-- TOTP two-factor authentication (secret is encrypted; enabled once a code is confirmed)
+CREATE TABLE user_two_factor (
+    user_id VARCHAR(36) PRIMARY KEY,
+    secret TEXT NOT NULL,
+    enabled_at TIMESTAMP NULL,
+    last_used_step BIGINT,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE two_factor_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_recovery_user (user_id, code_hash),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Roles that must use two-factor authentication
+CREATE TABLE two_factor_policies (
+    role ENUM('admin', 'doctor', 'insurance') PRIMARY KEY,
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_by VARCHAR(36),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Latest entry of the audit hash chain; locked while an entry is appended
+CREATE TABLE audit_chain_head (
+    id TINYINT PRIMARY KEY,
+    last_log_id INT,
+    last_hash CHAR(64),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT INTO audit_chain_head (id) VALUES (1);
+
+-- Signed checkpoints of the audit hash chain
+CREATE TABLE audit_checkpoints (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    last_log_id INT NOT NULL,
+    last_hash CHAR(64) NOT NULL,
+    signature CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_checkpoint_time (created_at)
 );
 
 -- Notification table 
@@ -253,9 +594,39 @@ CREATE TABLE notifications (
     INDEX idx_created (created_at)
 );
 
+-- Scheduled job runs
+CREATE TABLE job_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    status ENUM('running', 'success', 'failed') NOT NULL DEFAULT 'running',
+    trigger_type ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+    result JSON,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    INDEX idx_job_started (job_name, started_at)
+);
+
+-- Re-encryption progress per table under each key (see scripts/reencrypt-data.js)
+CREATE TABLE key_rotation_progress (
+    key_id VARCHAR(16) NOT NULL,
+    table_name VARCHAR(64) NOT NULL,
+    last_id VARCHAR(36),
+    scanned INT NOT NULL DEFAULT 0,
+    rewritten INT NOT NULL DEFAULT 0,
+    conflicts INT NOT NULL DEFAULT 0,
+    failed INT NOT NULL DEFAULT 0,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    PRIMARY KEY (key_id, table_name)
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_records_patient_date ON records(patient_id, visit_date DESC);
 CREATE INDEX idx_records_doctor_date ON records(doc_id, created_at DESC);
 CREATE INDEX idx_data_requests_company ON data_requests(company_id, status);
 CREATE INDEX idx_audit_logs_user_time ON audit_logs(user_id, created_at DESC);
+CREATE INDEX idx_data_requests_expiry ON data_requests(status, expiry_date);
+CREATE INDEX idx_approved_records_expiry ON approved_records(revoked_at, access_granted_until);
 
@@ -0,0 +1,52 @@
+require('dotenv').config();
+const { pool } = require('../src/config/database');
+const blindIndexService = require('../src/services/blindIndex.service');
+
+// Usage: node scripts/rebuild-blind-indexes.js [--batch-size 200]
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : null;
+};
+
+async function rebuildBlindIndexes() {
+  const batchSize = readOption('batch-size') ? parseInt(readOption('batch-size')) : undefined;
+
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    console.error(`Invalid batch size: ${readOption('batch-size')}`);
+    return 2;
+  }
+
+  let failed = 0;
+
+  for (const [label, rebuild] of [
+    ['patients', blindIndexService.rebuildPatientNicIndexes],
+    ['staff', blindIndexService.rebuildStaffNicIndexes]
+  ]) {
+    const result = await rebuild({
+      batchSize,
+      onProgress: progress => {
+        console.log(`${label}: ${progress.scanned} scanned, ${progress.updated} updated`);
+      }
+    });
+
+    console.log(`${label} NIC indexes: ${result.updated} updated, ${result.failed} could not be decrypted`);
+
+    if (result.duplicates.length > 0) {
+      console.error(`NIC already used by another row of ${label}: ${result.duplicates.join(', ')}`);
+    }
+
+    if (result.failed > 0 || result.duplicates.length > 0) failed++;
+  }
+
+  return failed > 0 ? 1 : 0;
+}
+
+rebuildBlindIndexes()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Error rebuilding blind indexes:', error);
+    process.exitCode = 2;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,62 @@
+require('dotenv').config();
+const { pool } = require('../src/config/database');
+const keyRotation = require('../src/services/keyRotation.service');
+
+// Usage: node scripts/reencrypt-data.js [--batch-size 200] [--restart] [--verify-only]
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : null;
+};
+
+const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+async function reencryptData() {
+  const batchSize = readOption('batch-size') ? parseInt(readOption('batch-size')) : undefined;
+
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    console.error(`Invalid batch size: ${readOption('batch-size')}`);
+    return 2;
+  }
+
+  if (!hasFlag('verify-only')) {
+    const { keyId } = await keyRotation.reencryptAll({
+      batchSize,
+      restart: hasFlag('restart'),
+      onProgress: (table, progress) => {
+        console.log(`${table}: ${progress.scanned} rows scanned, ${progress.rewritten} rewritten` +
+          `, ${progress.conflicts} changed meanwhile, ${progress.failed} failed` +
+          (progress.completed ? ' (done)' : ''));
+      }
+    });
+
+    console.log(`Re-encryption under key ${keyId} finished`);
+  }
+
+  console.log('Verifying...');
+
+  const result = await keyRotation.verifyEncryption({ batchSize });
+
+  Object.entries(result.tables).forEach(([table, counts]) => {
+    console.log(`${table}: ${counts.checked} values checked, ${counts.outdated} outdated, ` +
+      `${counts.undecryptable} undecryptable, ${counts.unencrypted} unencrypted`);
+  });
+
+  if (result.valid) {
+    console.log(`Every encrypted value uses key ${result.keyId}; retired keys can be removed`);
+    return 0;
+  }
+
+  console.error('Some values are not encrypted under the active key yet. Run this again; ' +
+    'use --restart if every table already shows as done.');
+  return 1;
+}
+
+reencryptData()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Error re-encrypting data:', error);
+    process.exitCode = 2;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const { pool } = require('../src/config/database');
+const auditChain = require('../src/services/auditChain.service');
+
+// Usage: node scripts/verify-audit-chain.js [--from 2024-01-01] [--to 2024-12-31]
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : null;
+};
+
+async function verifyAuditChain() {
+  const from = readOption('from');
+  const to = readOption('to');
+
+  for (const value of [from, to]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      console.error(`Invalid date: ${value}`);
+      return 2;
+    }
+  }
+
+  console.log(`Verifying audit chain from ${from || 'the start'} to ${to || 'now'}...`);
+
+  const result = await auditChain.verifyChain({ from, to });
+
+  console.log(`Entries checked: ${result.checked}`);
+  console.log(`Entries from before the chain: ${result.unchained}`);
+  console.log(result.checkpointKeyConfigured
+    ? `Checkpoints checked: ${result.checkpointsChecked}`
+    : 'Checkpoints not checked: AUDIT_CHECKPOINT_KEY is not set');
+
+  if (result.valid) {
+    console.log('Audit chain is intact');
+    return 0;
+  }
+
+  const { id, created_at, reason, expected, actual } = result.firstBreak;
+  console.error(`Audit chain broken at entry ${id}${created_at ? ` (${new Date(created_at).toISOString()})` : ''}: ${reason}`);
+  if (expected || actual) {
+    console.error(`  expected: ${expected}`);
+    console.error(`  found:    ${actual}`);
+  }
+  return 1;
+}
+
+verifyAuditChain()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Error verifying audit chain:', error);
+    process.exitCode = 2;
+  })
+  .finally(() => pool.end());
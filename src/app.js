@@ -2,11 +2,18 @@ const express = require('express');
 const cors = require('cors');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const { requestContext } = require('./middleware/audit.middleware');
 
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(requestContext);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
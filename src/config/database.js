@@ -1,6 +1,9 @@
 const mysql = require('mysql2/promise');
+const { decryptResult } = require('../utils/fieldEncryption');
 
-const pool = mysql.createPool({
+// Returns stored values as they are; only for code that works on ciphertext
+// itself, such as re-encryption
+const rawPool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
   port: process.env.DB_PORT || 3306,
   user: process.env.DB_USER || 'root',
@@ -11,6 +14,35 @@ const pool = mysql.createPool({
   queueLimit: 0
 });
 
+/**
+ * Wrap a pool or connection so query results come back with encrypted
+ * columns (src/config/encryptedFields.js) decrypted
+ * Everything other than query, execute and getConnection is the client's own.
+ * @param {Object} client - mysql2 promise pool or connection
+ * @returns {Object} - Wrapped client
+ */
+const withDecryption = (client) => {
+  const wrapped = Object.create(client);
+
+  wrapped.query = async (...args) => {
+    const [rows, fields] = await client.query(...args);
+    return [decryptResult(rows, fields), fields];
+  };
+
+  wrapped.execute = async (...args) => {
+    const [rows, fields] = await client.execute(...args);
+    return [decryptResult(rows, fields), fields];
+  };
+
+  if (typeof client.getConnection === 'function') {
+    wrapped.getConnection = async () => withDecryption(await client.getConnection());
+  }
+
+  return wrapped;
+};
+
+const pool = withDecryption(rawPool);
+
 const connectToDatabase = async () => {
   try {
     const connection = await pool.getConnection();
@@ -25,6 +57,7 @@ const connectToDatabase = async () => {
 
 module.exports = {
   pool,
+  rawPool,
   connectToDatabase,
   query: (sql, params) => pool.query(sql, params)
-};
\ No newline at end of file
+};
@@ -10,16 +10,48 @@ module.exports = {
     },
     from: process.env.SMTP_FROM || 'noreply@trustmed.com',
     templates: {
-      newAccount: {
-        subject: 'Welcome to TrustMed - Your Account has been Created',
-        text: (name, role, tempPassword) => `
+      accountSetup: {
+        subject: 'Welcome to TrustMed - Set Up Your Account',
+        text: (name, role, link, ttlHours) => `
           Dear ${name},
           
           Welcome to TrustMed! Your ${role} account has been created successfully.
           
-          Your password is: ${tempPassword}
+          Choose your password here: ${link}
           
-          Please log in and change your password immediately.
+          This link can be used once and expires in ${ttlHours} hours. If it has expired, use
+          "Forgot password" on the login page to get a new one.
+          
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      passwordReset: {
+        subject: 'Reset Your TrustMed Password',
+        text: (name, link, validFor) => `
+          Dear ${name},
+          
+          A password reset was requested for your TrustMed account.
+          
+          Choose a new password here: ${link}
+          
+          This link can be used once and expires in ${validFor}.
+          If you did not ask for this, you can ignore this email; your password has not been changed.
+          
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      accountLocked: {
+        subject: 'Your TrustMed Account Has Been Locked',
+        text: (name, lockoutMinutes, ipAddress) => `
+          Dear ${name},
+          
+          Your TrustMed account was locked for ${lockoutMinutes} minutes after several failed login attempts.
+          The last attempt came from IP address ${ipAddress || 'unknown'}.
+          
+          If this was you, wait for the lock to end or reset your password.
+          If it was not, reset your password and contact your administrator.
           
           Best regards,
           The TrustMed Team
@@ -64,6 +96,76 @@ module.exports = {
           
           ${status === 'approved' ? 'You can now access these records through your TrustMed dashboard.' : ''}
           
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      newClaim: {
+        subject: 'New Insurance Claim Submitted',
+        text: (adminName, patientName, insuranceName, claimId, totalAmount) => `
+          Dear ${adminName},
+          
+          ${insuranceName} has submitted claim ${claimId} for patient ${patientName}.
+          
+          Claimed amount: ${totalAmount}
+          
+          Please log in to your TrustMed dashboard to follow the claim.
+          
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      claimStatus: {
+        subject: (claimId, status) => `Claim ${claimId} ${status.replace('_', ' ')}`,
+        text: (recipientName, claimId, patientName, status, notes) => `
+          Dear ${recipientName},
+          
+          Claim ${claimId} for patient ${patientName} is now ${status.replace('_', ' ')}.
+          
+          ${notes ? 'Notes: ' + notes : ''}
+          
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      dataRequestExpired: {
+        subject: 'Medical Record Request Expired',
+        text: (insuranceName, patientName, requestId) => `
+          Dear ${insuranceName},
+          
+          Your request ${requestId} for medical records for patient ${patientName} expired before it was reviewed.
+          
+          If you still need these records, please submit a new request through your TrustMed dashboard.
+          
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      recordAccessExpired: {
+        subject: 'Access to Released Medical Records Expired',
+        text: (insuranceName, patientName, requestId, recordCount) => `
+          Dear ${insuranceName},
+          
+          Your access to ${recordCount} medical record(s) for patient ${patientName}, released under request ${requestId}, has expired.
+          
+          If you still need these records, please contact the hospital administrator or submit a new request.
+          
+          Best regards,
+          The TrustMed Team
+        `
+      },
+      consentRevoked: {
+        subject: 'Patient Consent Withdrawn',
+        text: (insuranceName, patientName, purpose, revokedCount) => `
+          Dear ${insuranceName},
+          
+          Patient ${patientName} has withdrawn consent to share medical records with you for ${purpose.replace(/_/g, ' ')}.
+          
+          ${revokedCount > 0
+            ? `Access to ${revokedCount} released record(s) covered only by that consent has been revoked.`
+            : 'No released records were affected.'}
+          New data requests for this purpose will be refused until the patient consents again.
+          
           Best regards,
           The TrustMed Team
         `
@@ -0,0 +1,88 @@
+// Every column stored encrypted, by table. Values are encrypted on write with
+// encryptFields (src/utils/fieldEncryption.js) and decrypted on read by the
+// database pool, which recognises the columns from the result metadata, so a
+// column listed here is decrypted whichever query or alias selects it.
+//
+// Column options:
+//   blindIndex - column holding the blind index used for exact lookups; it is
+//                recomputed whenever the column is written
+const ENCRYPTED_FIELDS = {
+  patients: {
+    idColumn: 'patient_id',
+    hasUpdatedAt: true,
+    columns: {
+      nic: { blindIndex: 'nic_index' },
+      address: {},
+      allergies: {}
+    }
+  },
+  staff: {
+    idColumn: 'staff_id',
+    hasUpdatedAt: true,
+    columns: {
+      nic: { blindIndex: 'nic_index' },
+      address: {}
+    }
+  },
+  records: {
+    idColumn: 'record_id',
+    hasUpdatedAt: true,
+    columns: {
+      description: {},
+      diagnosis: {},
+      symptoms: {}
+    }
+  },
+  record_versions: {
+    idColumn: 'id',
+    hasUpdatedAt: false,
+    columns: {
+      description: {},
+      diagnosis: {},
+      symptoms: {}
+    }
+  },
+  insurance_companies: {
+    idColumn: 'company_id',
+    hasUpdatedAt: true,
+    columns: {
+      address: {}
+    }
+  },
+  user_two_factor: {
+    idColumn: 'user_id',
+    hasUpdatedAt: false,
+    columns: {
+      secret: {}
+    }
+  }
+};
+
+/**
+ * Get the encrypted columns of a table
+ * @param {string} table - Table name
+ * @returns {Array<string>} - Column names, empty if nothing in the table is encrypted
+ */
+const getEncryptedColumns = (table) => (
+  ENCRYPTED_FIELDS[table] ? Object.keys(ENCRYPTED_FIELDS[table].columns) : []
+);
+
+/**
+ * Get the encryption policy of a column
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Object|null} - Column options, or null if the column is not encrypted
+ */
+const getColumnPolicy = (table, column) => {
+  const entry = ENCRYPTED_FIELDS[table];
+
+  return entry && Object.prototype.hasOwnProperty.call(entry.columns, column)
+    ? entry.columns[column]
+    : null;
+};
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  getEncryptedColumns,
+  getColumnPolicy
+};
@@ -1,7 +1,13 @@
 const database = require('./database');
 const email = require('./email');
+const encryptedFields = require('./encryptedFields');
+const passwordPolicy = require('./passwordPolicy');
+const permissions = require('./permissions');
 
 module.exports = {
   database,
-  email
+  email,
+  encryptedFields,
+  passwordPolicy,
+  permissions
 };
\ No newline at end of file
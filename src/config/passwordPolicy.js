@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+const envFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? defaultValue : value === 'true';
+};
+
+const envInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Load the bundled list of common and breached passwords
+ * @returns {Set<string>} - Lowercased passwords
+ */
+const loadCommonPasswords = () => new Set(
+  fs.readFileSync(path.join(__dirname, 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+module.exports = {
+  minLength: envInt('PASSWORD_MIN_LENGTH', 12),
+  maxLength: 128,
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', true),
+  // Earlier passwords that cannot be chosen again (0 allows reuse)
+  historyCount: envInt('PASSWORD_HISTORY_COUNT', 5),
+  // Days before a password must be changed (0 means passwords never expire)
+  maxAgeDays: envInt('PASSWORD_MAX_AGE_DAYS', 90),
+  commonPasswords: loadCommonPasswords()
+};
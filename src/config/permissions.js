@@ -0,0 +1,58 @@
+// Every permission the API checks. Which roles hold them is stored in
+// role_permissions and can be changed by admins; the names are fixed here
+// because routes refer to them.
+const PERMISSIONS = {
+  'patient:read': 'List and view all patients',
+  'patient:read:connected': 'View patients connected to the user\'s insurance company',
+  'patient:manage': 'Create, update and delete patients',
+  'patient:access_report': 'View the report of who accessed a patient\'s data',
+  'staff:read': 'List and view staff members',
+  'staff:manage': 'Create, update and delete staff members and reset their passwords',
+  'insurance:read': 'List and view insurance companies',
+  'insurance:manage': 'Create, update and delete insurance companies and reset their passwords',
+  'record:read': 'List medical records',
+  'record:read:sensitive': 'View the full contents of a medical record',
+  'record:restricted:grant': 'Grant and revoke staff access to restricted medical records',
+  'record:read:released': 'View records released to the user\'s insurance company',
+  'record:create': 'Create medical records',
+  'record:amend': 'Amend medical records and mark them entered in error',
+  'prescription:create': 'Create prescriptions',
+  'lab_test:read': 'View lab tests and lab test types',
+  'lab_test:create': 'Create lab tests',
+  'medicine:read': 'List and view medicines',
+  'medicine:manage': 'Create, update and delete medicines',
+  'allocation:read': 'List and view insurance allocations',
+  'allocation:manage': 'Create, update and delete insurance allocations',
+  'allocation:respond': 'Accept or reject connection requests to the user\'s insurance company',
+  'consent:read': 'View patient consents',
+  'consent:manage': 'Record and revoke patient consents',
+  'data_request:create': 'Request patient records for the user\'s insurance company',
+  'data_request:read': 'List and view all data requests',
+  'data_request:read:own': 'View the user\'s own insurance company\'s data requests',
+  'data_request:approve': 'Approve or reject data requests and manage released records',
+  'claim:create': 'Submit claims',
+  'claim:read': 'View claims (insurance users only see their own company\'s)',
+  'claim:adjudicate': 'Change claim status and decide claim line items',
+  'claim:evidence:attach': 'Attach evidence to claims',
+  'dashboard:read': 'View dashboard statistics',
+  'settings:manage': 'View and change system settings and run diagnostics',
+  'job:manage': 'View and run scheduled jobs',
+  'audit:read': 'Search and export the audit log',
+  'audit:verify': 'Verify the audit log hash chain',
+  'user:security': 'Manage users\' sessions, lockouts and two-factor authentication',
+  'security:policy': 'Change security policies such as required two-factor authentication',
+  'permission:manage': 'Change which permissions each role has'
+};
+
+const ROLES = ['admin', 'doctor', 'insurance'];
+
+// Permissions a role always keeps, so admins cannot lock themselves out
+const PROTECTED_GRANTS = {
+  admin: ['permission:manage']
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  PROTECTED_GRANTS
+};
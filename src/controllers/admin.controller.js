@@ -1,10 +1,30 @@
 const { staffModel, patientModel, insuranceModel, recordModel, medicineModel } = require('../models');
 const insuranceAllocationModel = require('../models/insuranceAllocation.model');
 const dataRequestModel = require('../models/dataRequest.model');
+const approvedRecordModel = require('../models/approvedRecord.model');
+const consentModel = require('../models/consent.model');
+const jobRunModel = require('../models/jobRun.model');
+const refreshTokenModel = require('../models/refreshToken.model');
+const twoFactorModel = require('../models/twoFactor.model');
+const loginAttemptModel = require('../models/loginAttempt.model');
+const twoFactorService = require('../services/twoFactor.service');
+const loginProtection = require('../services/loginProtection.service');
+const authService = require('../services/auth.service');
+const permissionService = require('../services/permission.service');
 const { pool } = require('../config/database');
 const { AppError } = require('../utils/error.utils');
 const  auditService  = require('../services/audit.service');
-const  emailService  = require('../services/email.service');
+const passwordResetService = require('../services/passwordReset.service');
+const passwordPolicy = require('../services/passwordPolicy.service');
+const scheduler = require('../services/scheduler.service');
+const accessReportService = require('../services/accessReport.service');
+const recordAccessService = require('../services/recordAccess.service');
+const recordAmendmentService = require('../services/recordAmendment.service');
+const keyRotation = require('../services/keyRotation.service');
+const auditChain = require('../services/auditChain.service');
+const { toCsvRow } = require('../utils/export.utils');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 /**
  * Get all staff members
@@ -66,11 +86,8 @@ const createStaff = async (req, res, next) => {
     try {
       const staffData = req.body;
       
-      // Generate a random password
-      const password = Math.random().toString(36).slice(-8);
-      
-      // Add password to staff data
-      staffData.password = password;
+      // Nobody knows this password; the staff member chooses their own through the emailed link
+      staffData.password = passwordPolicy.generateTemporaryPassword();
       
       // The staffModel.createStaff function will handle both user and staff creation
       const newStaff = await staffModel.createStaff(staffData);
@@ -86,12 +103,12 @@ const createStaff = async (req, res, next) => {
       
       // Send email notification
       try {
-        await emailService.sendNewAccountEmail(
-          newStaff.email,
-          `${newStaff.first_name} ${newStaff.last_name}`,
-          newStaff.role,
-          password
-        );
+        await passwordResetService.sendAccountSetupLink({
+          id: newStaff.staff_id,
+          email: newStaff.email,
+          name: `${newStaff.first_name} ${newStaff.last_name}`,
+          role: newStaff.role
+        });
       } catch (emailError) {
         console.error('Failed to send account creation email:', emailError);
       }
@@ -100,7 +117,7 @@ const createStaff = async (req, res, next) => {
         status: 'success',
         data: {
           staff: newStaff,
-          message: 'Staff member created successfully. A temporary password has been sent to their email.'
+          message: 'Staff member created successfully. A link to set their password has been sent to their email.'
         }
       });
     } catch (error) {
@@ -117,19 +134,11 @@ const createStaff = async (req, res, next) => {
 const updateStaff = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const staffData = req.body;
+    // Passwords are only set through reset links, where the password policy applies
+    const { password, ...staffData } = req.body;
     
     const updatedStaff = await staffModel.updateStaff(id, staffData);
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'update',
-      'staff',
-      id,
-      { fields: Object.keys(staffData) }
-    );
-    
     res.status(200).json({
       status: 'success',
       data: {
@@ -157,15 +166,6 @@ const deleteStaff = async (req, res, next) => {
       return next(new AppError('Staff member not found', 404));
     }
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'delete',
-      'staff',
-      id,
-      {}
-    );
-    
     res.status(200).json({
       status: 'success',
       message: 'Staff member deleted successfully'
@@ -183,9 +183,9 @@ const deleteStaff = async (req, res, next) => {
  */
 const getAllPatients = async (req, res, next) => {
   try {
-    const { search, limit = 10, offset = 0 } = req.query;
+    const { search, nic, limit = 10, offset = 0 } = req.query;
     
-    const patients = await patientModel.getAllPatients({ search, limit, offset });
+    const patients = await patientModel.getAllPatients({ search, nic, limit, offset });
     
     res.status(200).json({
       status: 'success',
@@ -270,15 +270,6 @@ const updatePatient = async (req, res, next) => {
     
     const updatedPatient = await patientModel.updatePatient(id, patientData);
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'update',
-      'patient',
-      id,
-      { fields: Object.keys(patientData) }
-    );
-    
     res.status(200).json({
       status: 'success',
       data: {
@@ -300,21 +291,18 @@ const deletePatient = async (req, res, next) => {
   try {
     const { id } = req.params;
     
+    // Clinical records are never deleted, so neither is a patient who has any
+    if (await recordModel.countPatientRecords(id) > 0) {
+      return next(new AppError('Patients with medical records cannot be deleted; ' +
+        'mark individual records entered in error instead', 409));
+    }
+    
     const success = await patientModel.deletePatient(id);
     
     if (!success) {
       return next(new AppError('Patient not found', 404));
     }
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'delete',
-      'patient',
-      id,
-      {}
-    );
-    
     res.status(200).json({
       status: 'success',
       message: 'Patient deleted successfully'
@@ -384,10 +372,11 @@ const createInsurance = async (req, res, next) => {
   try {
     const insuranceData = req.body;
     
-    // Generate a random password
-    const password = Math.random().toString(36).slice(-8);
-    
-    const newCompany = await insuranceModel.createInsurance({ ...insuranceData, password });
+    // Nobody knows this password; the company chooses its own through the emailed link
+    const newCompany = await insuranceModel.createInsurance({
+      ...insuranceData,
+      password: passwordPolicy.generateTemporaryPassword()
+    });
     
     // Log the action
     await auditService.logAudit(
@@ -400,12 +389,12 @@ const createInsurance = async (req, res, next) => {
     
     // Send email notification
     try {
-      await emailService.sendNewAccountEmail(
-        newCompany.email,
-        newCompany.company_name,
-        'insurance',
-        password
-      );
+      await passwordResetService.sendAccountSetupLink({
+        id: newCompany.company_id,
+        email: newCompany.email,
+        name: newCompany.company_name,
+        role: 'insurance'
+      });
     } catch (emailError) {
       console.error('Failed to send account creation email:', emailError);
     }
@@ -414,7 +403,7 @@ const createInsurance = async (req, res, next) => {
       status: 'success',
       data: {
         company: newCompany,
-        message: 'Insurance company created successfully. A temporary password has been sent to their email.'
+        message: 'Insurance company created successfully. A link to set their password has been sent to their email.'
       }
     });
   } catch (error) {
@@ -431,19 +420,11 @@ const createInsurance = async (req, res, next) => {
 const updateInsurance = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const insuranceData = req.body;
+    // Passwords are only set through reset links, where the password policy applies
+    const { password, ...insuranceData } = req.body;
     
     const updatedCompany = await insuranceModel.updateInsurance(id, insuranceData);
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'update',
-      'insurance',
-      id,
-      { fields: Object.keys(insuranceData) }
-    );
-    
     res.status(200).json({
       status: 'success',
       data: {
@@ -471,15 +452,6 @@ const deleteInsurance = async (req, res, next) => {
       return next(new AppError('Insurance company not found', 404));
     }
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'delete',
-      'insurance',
-      id,
-      {}
-    );
-    
     res.status(200).json({
       status: 'success',
       message: 'Insurance company deleted successfully'
@@ -499,7 +471,10 @@ const getAllRecords = async (req, res, next) => {
   try {
     const { patientId, limit = 10, offset = 0 } = req.query;
     
-    const records = await recordModel.getAllRecords({ patientId, limit, offset });
+    const records = await recordAccessService.redactUnreadableRecords(
+      req.user,
+      await recordModel.getAllRecords({ patientId, limit, offset })
+    );
     
     res.status(200).json({
       status: 'success',
@@ -513,7 +488,7 @@ const getAllRecords = async (req, res, next) => {
 };
 
 /**
- * Get medical record by ID
+ * Get medical record by ID, at its current version or ?version=
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -528,10 +503,12 @@ const getRecordById = async (req, res, next) => {
       return next(new AppError('Medical record not found', 404));
     }
     
+    await recordAccessService.assertCanReadRecord(req.user, record);
+    
     res.status(200).json({
       status: 'success',
       data: {
-        record
+        record: await recordAmendmentService.getRecordAtVersion(record, req.query.version)
       }
     });
   } catch (error) {
@@ -666,15 +643,6 @@ const getAllMedicines = async (req, res, next) => {
       
       const updatedMedicine = await medicineModel.updateMedicine(id, medicineData);
       
-      // Log the action
-      await auditService.logAudit(
-        req.user.id,
-        'update',
-        'medicine',
-        id,
-        { fields: Object.keys(medicineData) }
-      );
-      
       res.status(200).json({
         status: 'success',
         data: {
@@ -702,15 +670,6 @@ const getAllMedicines = async (req, res, next) => {
         return next(new AppError('Medicine not found', 404));
       }
       
-      // Log the action
-      await auditService.logAudit(
-        req.user.id,
-        'delete',
-        'medicine',
-        id,
-        {}
-      );
-      
       res.status(200).json({
         status: 'success',
         message: 'Medicine deleted successfully'
@@ -731,7 +690,6 @@ const getAllMedicines = async (req, res, next) => {
 const resetStaffPassword = async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { password } = req.body;
       
       // Get the staff member
       const staff = await staffModel.getStaffById(id);
@@ -745,21 +703,12 @@ const resetStaffPassword = async (req, res, next) => {
         return next(new AppError('Password reset is only available for admin and doctor roles', 400));
       }
       
-      // Update the password
-      await staffModel.updateStaff(id, { password });
-      
-      // Send email notification with new password
-      try {
-        await emailService.sendNewAccountEmail(
-          staff.email,
-          `${staff.first_name} ${staff.last_name}`,
-          staff.role,
-          password
-        );
-      } catch (emailError) {
-        console.error('Failed to send password reset email:', emailError);
-        // Continue with response, but log the error
-      }
+      // Lock the old password out and email a link to choose a new one
+      await passwordResetService.adminResetPassword(id, {
+        email: staff.email,
+        name: `${staff.first_name} ${staff.last_name}`,
+        role: staff.role
+      });
       
       // Log the action
       await auditService.logAudit(
@@ -772,7 +721,7 @@ const resetStaffPassword = async (req, res, next) => {
       
       res.status(200).json({
         status: 'success',
-        message: 'Password reset successfully'
+        message: 'Password reset. A link to choose a new password has been sent to their email.'
       });
     } catch (error) {
       next(error);
@@ -788,8 +737,6 @@ const resetStaffPassword = async (req, res, next) => {
 const resetInsurancePassword = async (req, res, next) => {
     try {
       const { id } = req.params;
-      // Generate a random password
-      const password = Math.random().toString(36).slice(-8);
       
       // Get the insurance company
       const company = await insuranceModel.getInsuranceById(id);
@@ -798,21 +745,12 @@ const resetInsurancePassword = async (req, res, next) => {
         return next(new AppError('Insurance company not found', 404));
       }
       
-      // Update the password
-      await insuranceModel.updateInsurance(id, { password });
-      
-      // Send email notification with new password
-      try {
-        await emailService.sendNewAccountEmail(
-          company.email,
-          company.company_name,
-          'insurance',
-          password
-        );
-      } catch (emailError) {
-        console.error('Failed to send password reset email:', emailError);
-        // Continue with response, but log the error
-      }
+      // Lock the old password out and email a link to choose a new one
+      await passwordResetService.adminResetPassword(id, {
+        email: company.email,
+        name: company.company_name,
+        role: 'insurance'
+      });
       
       // Log the action
       await auditService.logAudit(
@@ -825,7 +763,7 @@ const resetInsurancePassword = async (req, res, next) => {
       
       res.status(200).json({
         status: 'success',
-        message: 'Password reset successfully'
+        message: 'Password reset. A link to choose a new password has been sent to their email.'
       });
     } catch (error) {
       next(error);
@@ -947,15 +885,6 @@ const getAllInsuranceAllocations = async (req, res, next) => {
         id, statusNumber, notes
       );
       
-      // Log the action
-      await auditService.logAudit(
-        req.user.id,
-        'update_status',
-        'insurance_allocation',
-        id,
-        { status }
-      );
-      
       res.status(200).json({
         status: 'success',
         data: {
@@ -983,15 +912,6 @@ const getAllInsuranceAllocations = async (req, res, next) => {
         return next(new AppError('Insurance allocation not found', 404));
       }
       
-      // Log the action
-      await auditService.logAudit(
-        req.user.id,
-        'delete',
-        'insurance_allocation',
-        id,
-        {}
-      );
-      
       res.status(200).json({
         status: 'success',
         message: 'Insurance allocation deleted successfully'
@@ -1055,29 +975,96 @@ const getAllDataRequests = async (req, res, next) => {
   };
   
   /**
-   * Approve data request
+   * Get the records that fall inside a data request's scope
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    */
-  const approveDataRequest = async (req, res, next) => {
+  const getDataRequestCandidateRecords = async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { notes } = req.body;
       
-      const updatedRequest = await dataRequestModel.updateDataRequestStatus(
-        id, dataRequestModel.parseStatus('approved'), notes
+      const request = await dataRequestModel.getDataRequestById(id);
+      
+      if (!request) {
+        return next(new AppError('Data request not found', 404));
+      }
+      
+      const candidates = await approvedRecordModel.getCandidateRecords(request);
+      
+      // Flag the records the patient's current consent allows to be released
+      const consents = await consentModel.getActiveConsents(request.patient_id, request.company_id, request.purpose);
+      const records = candidates.map(record => ({
+        ...record,
+        consented: consents.some(consent => consentModel.coversRecord(consent, record))
+      }));
+      
+      // Log the access
+      await auditService.logAudit(
+        req.user.id,
+        'view',
+        'data_request_candidates',
+        id,
+        { count: records.length }
       );
       
+      res.status(200).json({
+        status: 'success',
+        data: {
+          request,
+          records
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Approve data request and release the selected records
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const approveDataRequest = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { notes, record_ids, sensitive_record_ids, access_granted_until, max_access_count } = req.body;
+      
+      const updatedRequest = await dataRequestModel.approveDataRequest(id, {
+        recordIds: record_ids,
+        sensitiveRecordIds: sensitive_record_ids,
+        approvedBy: req.user.id,
+        accessGrantedUntil: access_granted_until,
+        maxAccessCount: max_access_count ? parseInt(max_access_count) : undefined,
+        notes
+      });
+      
       // Log the action
       await auditService.logAudit(
         req.user.id,
         'approve',
         'data_request',
         id,
-        { notes }
+        {
+          notes,
+          record_ids: updatedRequest.released_records,
+          access_granted_until,
+          max_access_count
+        }
       );
       
+      if (updatedRequest.sensitive_records.length > 0) {
+        await auditService.logAudit(
+          req.user.id,
+          'release_sensitive',
+          'data_request',
+          id,
+          { record_ids: updatedRequest.sensitive_records },
+          { severity: 'warning' }
+        );
+      }
+      
       res.status(200).json({
         status: 'success',
         data: {
@@ -1130,6 +1117,137 @@ const getAllDataRequests = async (req, res, next) => {
     }
   };
 
+  /**
+   * Get the record grants released for a data request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getDataRequestGrants = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      const request = await dataRequestModel.getDataRequestById(id);
+      
+      if (!request) {
+        return next(new AppError('Data request not found', 404));
+      }
+      
+      const grants = await approvedRecordModel.getGrantsByRequest(id);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          request,
+          grants
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Extend the expiry date or access limit of a record grant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const extendRecordGrant = async (req, res, next) => {
+    try {
+      const { id, recordId } = req.params;
+      const { access_granted_until, max_access_count } = req.body;
+      
+      const grant = await approvedRecordModel.getGrant(id, recordId);
+      
+      if (!grant) {
+        return next(new AppError('Record was not released for this request', 404));
+      }
+      
+      if (grant.revoked_at) {
+        return next(new AppError('Access to this record has been revoked and cannot be extended', 409));
+      }
+      
+      if (max_access_count && parseInt(max_access_count) < grant.access_count) {
+        return next(new AppError(`Maximum access count cannot be lower than the ${grant.access_count} views already used`, 400));
+      }
+      
+      const updatedGrant = await approvedRecordModel.extendGrant(id, recordId, {
+        accessGrantedUntil: access_granted_until,
+        maxAccessCount: max_access_count ? parseInt(max_access_count) : undefined
+      });
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'extend_grant',
+        'approved_record',
+        recordId,
+        {
+          request_id: id,
+          previous: {
+            access_granted_until: grant.access_granted_until,
+            max_access_count: grant.max_access_count
+          },
+          access_granted_until: updatedGrant.access_granted_until,
+          max_access_count: updatedGrant.max_access_count
+        }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          grant: updatedGrant
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Revoke a record grant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const revokeRecordGrant = async (req, res, next) => {
+    try {
+      const { id, recordId } = req.params;
+      const { notes } = req.body;
+      
+      const grant = await approvedRecordModel.getGrant(id, recordId);
+      
+      if (!grant) {
+        return next(new AppError('Record was not released for this request', 404));
+      }
+      
+      if (grant.revoked_at) {
+        return next(new AppError('Access to this record has already been revoked', 409));
+      }
+      
+      const updatedGrant = await approvedRecordModel.revokeGrant(id, recordId, req.user.id);
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'revoke_grant',
+        'approved_record',
+        recordId,
+        { request_id: id, access_count: grant.access_count, notes }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          grant: updatedGrant
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
   /**
  * Get dashboard statistics
  * @param {Object} req - Express request object
@@ -1170,7 +1288,7 @@ const getDashboardStats = async (req, res, next) => {
       // Format the status in recent requests
       const formattedRequests = recentRequests.map(req => ({
         ...req,
-        status: req.status === 0 ? 'pending' : (req.status === 1 ? 'approved' : 'rejected')
+        status: dataRequestModel.formatStatus(req.status)
       }));
       
       res.status(200).json({
@@ -1210,9 +1328,14 @@ const getSystemSettings = async (req, res, next) => {
         lastBackup: new Date().toISOString(),
         databaseStatus: "Healthy",
         twoFactorAuth: false,
+        twoFactorRequiredRoles: [],
         autoLogoutTime: 30
       };
       
+      const policies = await twoFactorModel.getPolicies();
+      settings.twoFactorRequiredRoles = policies.filter(policy => policy.required).map(policy => policy.role);
+      settings.twoFactorAuth = settings.twoFactorRequiredRoles.length > 0;
+      
       res.status(200).json({
         status: 'success',
         data: {
@@ -1286,8 +1409,824 @@ const getSystemSettings = async (req, res, next) => {
       next(error);
     }
   };
+
+  /**
+   * Get scheduled jobs with their most recent run
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getScheduledJobs = async (req, res, next) => {
+    try {
+      const latestRuns = await jobRunModel.getLatestRuns();
+      
+      const jobs = scheduler.getJobs().map(job => ({
+        ...job,
+        lastRun: latestRuns.find(run => run.job_name === job.name) || null
+      }));
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          jobs
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
   
+  /**
+   * Get the run history of a scheduled job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getJobRuns = async (req, res, next) => {
+    try {
+      const { name } = req.params;
+      const { limit = 20, offset = 0 } = req.query;
+      
+      const runs = await jobRunModel.getJobRuns(name, { limit, offset });
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          runs
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
   
+  /**
+   * Run a scheduled job immediately
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const runScheduledJob = async (req, res, next) => {
+    try {
+      const { name } = req.params;
+      
+      if (!scheduler.getJobs().some(job => job.name === name)) {
+        return next(new AppError('Scheduled job not found', 404));
+      }
+      
+      const result = await scheduler.runJob(name, 'manual');
+      
+      if (result === null) {
+        return next(new AppError('Job is already running', 409));
+      }
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'run',
+        'scheduled_job',
+        name,
+        result
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          result
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Report who accessed a patient's data, as JSON, CSV or PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getPatientAccessReport = async (req, res, next) => {
+    try {
+      const { patientId } = req.params;
+      const { from, to, actorId, actorRole, category, format = 'json', limit = 100, offset = 0 } = req.query;
+      
+      const report = await accessReportService.getPatientAccessReport(patientId, {
+        from,
+        to,
+        actorId,
+        actorRole,
+        category
+      });
+      
+      // Log the access
+      await auditService.logAudit(
+        req.user.id,
+        'export',
+        'patient_access_report',
+        patientId,
+        { format, from, to, actorId, actorRole, category, entries: report.summary.total }
+      );
+      
+      const filename = `access-report-${patientId}-${new Date().toISOString().slice(0, 10)}`;
+      
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.status(200).send(accessReportService.toReportCsv(report));
+      }
+      
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        res.status(200);
+        return await accessReportService.writeReportPdf(report, res);
+      }
+      
+      const start = parseInt(offset) || 0;
+      const count = parseInt(limit) || 100;
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...report,
+          entries: report.entries.slice(start, start + count)
+        }
+      });
+    } catch (error) {
+      // The client went away during a download; there is nobody to tell
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      
+      next(error);
+    }
+  };
+  
+  /**
+   * End every session of a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const forceLogout = async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      
+      const [users] = await pool.query('SELECT id FROM users WHERE id = ?', [userId]);
+      
+      if (users.length === 0) {
+        return next(new AppError('User not found', 404));
+      }
+      
+      const revokedTokens = await refreshTokenModel.revokeUserTokens(userId, 'admin_logout');
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          revokedTokens,
+          message: 'User has been logged out of all sessions'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Unlock an account locked after failed logins, and clear its failed attempts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const unlockUser = async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      
+      const lockState = await loginAttemptModel.getLockState(userId);
+      
+      if (!lockState) {
+        return next(new AppError('User not found', 404));
+      }
+      
+      await loginProtection.unlockAccount(userId);
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'unlock_account',
+        'user',
+        userId,
+        { was_locked: lockState.is_locked, failed_login_count: lockState.failed_login_count },
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          wasLocked: lockState.is_locked,
+          message: 'Account unlocked and failed login attempts cleared'
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * List a user's sessions
+   * Active sessions by default; all=true includes ended ones.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getUserSessions = async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { all, limit } = req.query;
+      
+      const [users] = await pool.query('SELECT id FROM users WHERE id = ?', [userId]);
+      
+      if (users.length === 0) {
+        return next(new AppError('User not found', 404));
+      }
+      
+      const sessions = await authService.listSessions(userId, null, {
+        activeOnly: all !== 'true',
+        limit: limit || 50
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          sessions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * End one of a user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const revokeUserSession = async (req, res, next) => {
+    try {
+      const { userId, sessionId } = req.params;
+      
+      const session = await authService.revokeSession(userId, sessionId, 'admin_revoked');
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'revoke_session',
+        'user',
+        userId,
+        { session_id: sessionId, ip_address: session.ip_address },
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Session ended'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Get a user's login history, successful and failed, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getUserLoginHistory = async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+      
+      const [users] = await pool.query('SELECT id FROM users WHERE id = ?', [userId]);
+      
+      if (users.length === 0) {
+        return next(new AppError('User not found', 404));
+      }
+      
+      const { attempts, total } = await loginAttemptModel.getLoginHistory(userId, { limit, offset });
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          attempts,
+          total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Get which roles must use two-factor authentication
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getTwoFactorPolicies = async (req, res, next) => {
+    try {
+      const policies = await twoFactorModel.getPolicies();
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          policies
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Require, or stop requiring, two-factor authentication for a role
+   * Users of the role who have not enrolled are asked to at their next login.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const updateTwoFactorPolicy = async (req, res, next) => {
+    try {
+      const { role } = req.params;
+      const required = req.body.required === true || req.body.required === 'true';
+      
+      await twoFactorModel.setPolicy(role, required, req.user.id);
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'update',
+        'two_factor_policy',
+        role,
+        { required },
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          policies: await twoFactorModel.getPolicies(),
+          message: `Two-factor authentication is ${required ? 'now required' : 'no longer required'} for ${role} users`
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Reset a user's two-factor authentication, e.g. after they lost their device
+   * The user's sessions are ended and they enrol again at their next login.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const resetUserTwoFactor = async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      
+      const removed = await twoFactorService.resetForUser(userId);
+      
+      if (!removed) {
+        return next(new AppError('Two-factor authentication is not set up for this user', 404));
+      }
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'reset_2fa',
+        'user',
+        userId,
+        {},
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication reset. The user will enrol again at their next login.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * List every permission and which roles hold it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getPermissions = async (req, res, next) => {
+    try {
+      const { permissions, roles } = await permissionService.getPermissionMatrix();
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          permissions,
+          roles
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Replace the permissions granted to a role
+   * Takes effect for the role's users within PERMISSION_CACHE_SECONDS.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const updateRolePermissions = async (req, res, next) => {
+    try {
+      const { role } = req.params;
+      
+      const { previous, current } = await permissionService.updateRolePermissions(
+        role,
+        req.body.permissions,
+        req.user.id
+      );
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'update',
+        'role_permissions',
+        role,
+        {
+          granted: current.filter(permission => !previous.includes(permission)),
+          revoked: previous.filter(permission => !current.includes(permission))
+        },
+        { severity: 'critical', oldValues: { permissions: previous }, newValues: { permissions: current } }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          role,
+          permissions: current
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * List the staff granted access to a restricted record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getRecordAccessGrants = async (req, res, next) => {
+    try {
+      const { record, grants } = await recordAccessService.getAccessGrants(req.params.id);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          record,
+          grants
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Let a staff member read a restricted record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const grantRecordAccess = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { staff_id, reason } = req.body;
+      
+      const { record, created } = await recordAccessService.grantAccess(id, staff_id, reason, req.user.id);
+      
+      if (created) {
+        await auditService.logAudit(
+          req.user.id,
+          'grant_access',
+          'record',
+          id,
+          { staff_id, reason, patient_id: record.patient_id, author_id: record.doc_id },
+          { severity: 'critical' }
+        );
+      }
+      
+      res.status(created ? 201 : 200).json({
+        status: 'success',
+        message: created ? 'Access granted' : 'Staff member already has access to this record'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Withdraw a staff member's access to a restricted record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const revokeRecordAccess = async (req, res, next) => {
+    try {
+      const { id, staffId } = req.params;
+      
+      const record = await recordAccessService.revokeAccess(id, staffId, req.user.id);
+      
+      await auditService.logAudit(
+        req.user.id,
+        'revoke_access',
+        'record',
+        id,
+        { staff_id: staffId, patient_id: record.patient_id },
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Access revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Amend a medical record's clinical content, keeping the previous version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const amendRecord = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason, expected_version } = req.body;
+      
+      const { record, previousVersion, changedFields } = await recordAmendmentService.amendRecord(req.user, id, {
+        ...req.body,
+        reason,
+        expectedVersion: expected_version
+      });
+      
+      await auditService.logAudit(
+        req.user.id,
+        'amend',
+        'record',
+        id,
+        {
+          patient_id: record.patient_id,
+          from_version: previousVersion,
+          to_version: record.version,
+          fields: changedFields,
+          reason
+        },
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          record
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Mark a medical record entered in error; records are never deleted
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const markRecordEnteredInError = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+      
+      const record = await recordAmendmentService.markEnteredInError(req.user, id, reason);
+      
+      await auditService.logAudit(
+        req.user.id,
+        'entered_in_error',
+        'record',
+        id,
+        { patient_id: record.patient_id, version: record.version, reason },
+        { severity: 'warning' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          record
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * List the versions of a medical record with who changed it, when and why
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getRecordVersions = async (req, res, next) => {
+    try {
+      const { record, versions } = await recordAmendmentService.getVersionHistory(req.user, req.params.id);
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          record_id: record.record_id,
+          current_version: record.version,
+          versions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Compare two versions of a medical record (?from=&to=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getRecordVersionDiff = async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+      
+      const diff = await recordAmendmentService.diffVersions(req.user, req.params.id, from, to);
+      
+      res.status(200).json({
+        status: 'success',
+        data: diff
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  /**
+   * Get the active encryption key and how far re-encryption under it has got
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getEncryptionStatus = async (req, res, next) => {
+    try {
+      const status = await keyRotation.getRotationStatus();
+      
+      res.status(200).json({
+        status: 'success',
+        data: status
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  // Columns of an audit log CSV export
+  const AUDIT_LOG_CSV_COLUMNS = [
+    'id', 'created_at', 'user_id', 'user_name', 'user_role', 'action', 'resource_type', 'resource_id',
+    'severity', 'ip_address', 'user_agent', 'request_id', 'details', 'old_values', 'new_values', 'entry_hash'
+  ];
+  
+  /**
+   * Search the audit log, or export every matching entry as CSV or NDJSON
+   * Exports are streamed in batches and run oldest first.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const getAuditLogs = async (req, res, next) => {
+    const {
+      userId, userRole, action, resourceType, resourceId, severity, ipAddress, requestId,
+      from, to, format = 'json', limit = 50, before
+    } = req.query;
+    
+    const filters = { userId, userRole, action, resourceType, resourceId, severity, ipAddress, requestId, from, to };
+    
+    try {
+      if (format === 'json') {
+        const { logs, nextCursor } = await auditService.searchAuditLogs(filters, { limit, before });
+        
+        return res.status(200).json({
+          status: 'success',
+          data: {
+            logs,
+            nextCursor
+          }
+        });
+      }
+      
+      // Log the export before it starts; it may be too large to finish logging afterwards
+      await auditService.logAudit(
+        req.user.id,
+        'export',
+        'audit_log',
+        null,
+        { format, filters }
+      );
+      
+      const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}`;
+      
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      } else {
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.ndjson"`);
+      }
+      
+      res.status(200);
+      
+      async function* toLines() {
+        if (format === 'csv') {
+          yield toCsvRow(AUDIT_LOG_CSV_COLUMNS);
+        }
+        
+        for await (const log of auditService.iterateAuditLogs(filters)) {
+          yield format === 'csv'
+            ? toCsvRow(AUDIT_LOG_CSV_COLUMNS.map(column => (
+              log[column] !== null && typeof log[column] === 'object' && !(log[column] instanceof Date)
+                ? JSON.stringify(log[column])
+                : log[column]
+            )))
+            : `${JSON.stringify(log)}\n`;
+        }
+      }
+      
+      // Waits for the client to drain, and stops reading the logs if it goes away
+      await pipeline(Readable.from(toLines()), res);
+    } catch (error) {
+      // The client went away; there is nobody to tell
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      
+      next(error);
+    }
+  };
+  
+  /**
+   * Verify the audit log hash chain
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  const verifyAuditChain = async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+      
+      const verification = await auditChain.verifyChain({ from, to });
+      
+      // Log the action
+      await auditService.logAudit(
+        req.user.id,
+        'verify',
+        'audit_log',
+        null,
+        {
+          from,
+          to,
+          valid: verification.valid,
+          checked: verification.checked,
+          first_break: verification.firstBreak ? verification.firstBreak.id : null
+        },
+        { severity: verification.valid ? 'info' : 'critical' }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          verification
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
 
 module.exports = {
   getAllStaff,
@@ -1322,10 +2261,38 @@ module.exports = {
   deleteInsuranceAllocation,
   getAllDataRequests,
   getDataRequestById,
+  getDataRequestCandidateRecords,
   approveDataRequest,
   rejectDataRequest,
+  getDataRequestGrants,
+  extendRecordGrant,
+  revokeRecordGrant,
   getDashboardStats,
   getSystemSettings,
   updateSystemSettings,
-  runSystemDiagnostics
+  runSystemDiagnostics,
+  getScheduledJobs,
+  getJobRuns,
+  runScheduledJob,
+  getPatientAccessReport,
+  forceLogout,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+  getUserLoginHistory,
+  getTwoFactorPolicies,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getPermissions,
+  updateRolePermissions,
+  getRecordAccessGrants,
+  grantRecordAccess,
+  revokeRecordAccess,
+  amendRecord,
+  markRecordEnteredInError,
+  getRecordVersions,
+  getRecordVersionDiff,
+  getEncryptionStatus,
+  getAuditLogs,
+  verifyAuditChain
 };
\ No newline at end of file
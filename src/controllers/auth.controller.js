@@ -2,9 +2,46 @@ const bcrypt = require('bcrypt');
 const pool = require('../config/database');
 const  staffModel  = require('../models/staff.model');
 const  insuranceModel  = require('../models/insurance.model');
-const { generateToken } = require('../utils/jwt.utils');
 const { AppError } = require('../utils/error.utils');
-const emailService = require('../services/email.service');
+const passwordResetService = require('../services/passwordReset.service');
+const passwordPolicy = require('../services/passwordPolicy.service');
+const authService = require('../services/auth.service');
+const auditService = require('../services/audit.service');
+const twoFactorService = require('../services/twoFactor.service');
+const loginProtection = require('../services/loginProtection.service');
+const permissionService = require('../services/permission.service');
+const { generateChallengeToken } = require('../utils/jwt.utils');
+
+/**
+ * Start a session and send the login response
+ * The login is complete at this point, so the account's failed attempts are cleared.
+ * Whether the user must change their password is decided by the server from the
+ * account, and the session's access tokens are restricted until they do.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - id, email, role and name
+ * @param {Object} extra - Additional fields for the response data
+ */
+const sendSession = async (req, res, user, extra = {}) => {
+  await loginProtection.recordSuccess(user, req);
+  
+  const { token, refreshToken, expiresIn, refreshTokenExpiresAt, passwordChangeReason } =
+    await authService.startSession(user, req);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
+      user,
+      requiresPasswordChange: !!passwordChangeReason,
+      passwordChangeReason,
+      ...extra
+    }
+  });
+};
 
 /**
  * Login controller
@@ -27,70 +64,487 @@ const login = async (req, res, next) => {
       return next(new AppError('Invalid role specified', 400));
     }
     
+    // Addresses that keep failing are turned away before any account is looked at
+    await loginProtection.assertIpAllowed(req);
+    
     if (!user) {
+      await loginProtection.recordFailure({ email, role, reason: 'unknown_account' }, req);
       return next(new AppError('Invalid email or password', 401));
     }
     
+    const userId = role === 'insurance' ? user.company_id : user.staff_id;
+    const name = role === 'insurance' ? user.company_name : `${user.first_name} ${user.last_name}`;
+    
+    // The attempt is counted before the password is checked; locked accounts
+    // are refused like unknown emails
+    const attempts = await loginProtection.guardAccount(userId);
+    
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     
     if (!isPasswordValid) {
+      await loginProtection.recordFailure(
+        { email: user.email, role, user_id: userId, name, reason: 'invalid_password', attempts },
+        req
+      );
       return next(new AppError('Invalid email or password', 401));
     }
     
-    // Get first_login status for admin/doctor users
-    const userId = role === 'insurance' ? user.company_id : user.staff_id;
-    let requiresPasswordChange = false;
+    await loginProtection.releaseAttempt(userId);
     
-    if (role === 'admin' || role === 'doctor') {
-      const [userRow] = await pool.query(
-        'SELECT first_login FROM users WHERE id = ?',
-        [userId]
-      );
-      
-      if (userRow.length > 0) {
-        requiresPasswordChange = !!userRow[0].first_login;
-      }
+    const [userRow] = await pool.query(
+      'SELECT is_active FROM users WHERE id = ?',
+      [userId]
+    );
+    
+    if (userRow.length === 0 || !userRow[0].is_active) {
+      return next(new AppError('Account is no longer active', 401));
     }
     
-    // Generate JWT token
-    const token = generateToken({
+    const sessionUser = {
       id: userId,
       email: user.email,
       role: role,
-      name: role === 'insurance' ? user.company_name : `${user.first_name} ${user.last_name}`
-    });
+      name
+    };
+    
+    // The password was right; a second factor may still be needed before a session starts
+    const twoFactor = await twoFactorService.getStatus(sessionUser);
+    
+    if (twoFactor.enabled || twoFactor.required) {
+      const purpose = twoFactor.enabled ? 'two_factor_login' : 'two_factor_setup';
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          twoFactorRequired: twoFactor.enabled,
+          twoFactorSetupRequired: !twoFactor.enabled,
+          challengeToken: generateChallengeToken(sessionUser, purpose)
+        }
+      });
+    }
+    
+    // Issue an access token and a refresh token for a new session
+    await sendSession(req, res, sessionUser);
+  } catch (error) {
+    next(error);
+  }
+};
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const { token, refreshToken: nextRefreshToken, expiresIn, refreshTokenExpiresAt, passwordChangeReason } =
+      await authService.refreshSession(refreshToken, req);
     
-    // Send response
     res.status(200).json({
       status: 'success',
       data: {
         token,
-        user: {
-          id: userId,
-          email: user.email,
-          role: role,
-          name: role === 'insurance' ? user.company_name : `${user.first_name} ${user.last_name}`
-        },
-        requiresPasswordChange
+        refreshToken: nextRefreshToken,
+        expiresIn,
+        refreshTokenExpiresAt,
+        requiresPasswordChange: !!passwordChangeReason,
+        passwordChangeReason
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out: end the session a refresh token belongs to
+ * The session's access tokens stop working immediately as well.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const session = await authService.endSession(refreshToken);
+    
+    if (session) {
+      // Log the action
+      await auditService.logAudit(
+        session.user_id,
+        'logout',
+        'user',
+        session.user_id,
+        { session_id: session.session_id },
+        { req }
+      );
+    }
+    
+    // Unknown tokens get the same answer, so logout cannot be used to probe tokens
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const { all, limit } = req.query;
+    
+    const sessions = await authService.listSessions(req.user.id, req.user.sessionId, {
+      activeOnly: all !== 'true',
+      limit: limit || 50
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions
       }
     });
   } catch (error) {
     next(error);
   }
 };
+
 /**
- * Generate a random password
- * @param {number} length - Password length
- * @returns {string} - Random password
+ * End one of the current user's sessions, e.g. on a lost device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-const generateRandomPassword = (length = 10) => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
-  let password = '';
-  for (let i = 0; i < length; i++) {
-    password += chars.charAt(Math.floor(Math.random() * chars.length));
+const revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    
+    await authService.revokeSession(req.user.id, sessionId, 'user_revoked');
+    
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'revoke_session',
+      'user',
+      req.user.id,
+      { session_id: sessionId, current: sessionId === req.user.sessionId },
+      { severity: 'warning' }
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Session ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out everywhere: end all of the current user's sessions
+ * With keepCurrent, the session making the request stays signed in.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true || req.body.keepCurrent === 'true';
+    const keepSessionId = keepCurrent ? req.user.sessionId : null;
+    
+    const revokedTokens = await authService.revokeAllSessions(req.user.id, 'logout_everywhere', keepSessionId);
+    
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'logout_everywhere',
+      'user',
+      req.user.id,
+      { kept_session_id: keepSessionId },
+      { severity: 'warning' }
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        revokedTokens,
+        message: keepSessionId
+          ? 'All other sessions have been ended'
+          : 'All sessions have been ended, including this one'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Second step of a login: check the code from the user's authenticator app
+ * A recovery code can be used instead of an app code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const { id, email, role, name } = req.user;
+    
+    let method;
+    
+    // Wrong codes count towards the same lockout as wrong passwords
+    const attempts = await loginProtection.guardAccount(id, 'Invalid authentication code');
+    
+    try {
+      method = await twoFactorService.verifySecondFactor(id, { code, recoveryCode });
+    } catch (error) {
+      if (error.statusCode === 401) {
+        await loginProtection.recordFailure(
+          { email, role, user_id: id, name, reason: 'invalid_2fa_code', attempts },
+          req
+        );
+      }
+      throw error;
+    }
+    
+    // Log the action
+    await auditService.logAudit(id, 'login_2fa', 'user', id, { method }, { req });
+    
+    const remaining = method === 'recovery_code'
+      ? (await twoFactorService.getStatus(req.user)).recoveryCodesRemaining
+      : undefined;
+    
+    await sendSession(req, res, { id, email, role, name }, {
+      recoveryCodesRemaining: remaining
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's two-factor state
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const twoFactor = await twoFactorService.getStatus(req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        twoFactor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrolment
+ * Also reachable with a login challenge when the user's role requires two-factor
+ * and they have not enrolled yet.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await twoFactorService.beginEnrolment(req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUri,
+        message: 'Add this account to your authenticator app, then confirm with a code from the app'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrolment with a code from the authenticator app
+ * When completing a login challenge, the session starts here.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const { id, email, role, name } = req.user;
+    
+    const recoveryCodes = await twoFactorService.confirmEnrolment(id, code);
+    
+    // Log the action
+    await auditService.logAudit(id, 'enable_2fa', 'user', id, {}, { req, severity: 'warning' });
+    
+    if (req.challenge) {
+      return sendSession(req, res, { id, email, role, name }, { recoveryCodes });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        recoveryCodes,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off two-factor for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    
+    await twoFactorService.disable(req.user, { code, recoveryCode });
+    
+    // Log the action
+    await auditService.logAudit(req.user.id, 'disable_2fa', 'user', req.user.id, {}, { severity: 'warning' });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the current user's recovery codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, code);
+    
+    // Log the action
+    await auditService.logAudit(req.user.id, 'regenerate_recovery_codes', 'user', req.user.id, {});
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the permissions the current user's role holds, so clients can hide what the user cannot do
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPermissions = async (req, res, next) => {
+  try {
+    const permissions = await permissionService.getRolePermissions(req.user.role);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role: req.user.role,
+        permissions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the requirements new passwords must meet, so clients can show them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPasswordPolicy = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        passwordPolicy: passwordPolicy.getRequirements()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a password reset: email a one-time link if the account exists
+ * The answer is the same whether or not it does.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    await passwordResetService.requestPasswordReset(email, req);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a link to reset the password has been sent to it.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish a password reset with the token from the emailed link
+ * Every session of the account is ended.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    await passwordResetService.resetPassword(token, newPassword, req);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. You can now log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
   }
-  return password;
 };
 
 /**
@@ -103,9 +557,8 @@ const createAccount = async (req, res, next) => {
   try {
     const { role, ...userData } = req.body;
     
-    // Generate a random password
-    const password = generateRandomPassword();
-    const userData_with_password = { ...userData, password };
+    // Nobody knows this password; the user chooses their own through the emailed link
+    const userData_with_password = { ...userData, password: passwordPolicy.generateTemporaryPassword() };
     
     let user;
     let name;
@@ -121,14 +574,14 @@ const createAccount = async (req, res, next) => {
       return next(new AppError('Invalid role specified', 400));
     }
     
-    // Send email notification with temporary password
+    // Send email notification with a link to set the password
     try {
-      await emailService.sendNewAccountEmail(
-        user.email,
+      await passwordResetService.sendAccountSetupLink({
+        id: role === 'insurance' ? user.company_id : user.staff_id,
+        email: user.email,
         name,
-        role,
-        password
-      );
+        role
+      });
     } catch (emailError) {
       console.error('Failed to send account creation email:', emailError);
     }
@@ -140,7 +593,7 @@ const createAccount = async (req, res, next) => {
       status: 'success',
       data: {
         user,
-        message: 'Account created successfully. A temporary password has been sent to the user\'s email.'
+        message: 'Account created successfully. A link to set the password has been sent to the user\'s email.'
       }
     });
   } catch (error) {
@@ -193,22 +646,38 @@ const changePassword = async (req, res, next) => {
       return next(new AppError('Current password is incorrect', 401));
     }
     
+    await passwordPolicy.assertPasswordAllowed(id, newPassword, { email: req.user.email, name: req.user.name });
+    
     // Update password
     if (role === 'admin' || role === 'doctor') {
       await staffModel.updateStaff(id, { password: newPassword });
-      
-      // Update first_login status
-      await pool.query(
-        'UPDATE users SET first_login = FALSE WHERE id = ?',
-        [id]
-      );
     } else if (role === 'insurance') {
       await insuranceModel.updateInsurance(id, { password: newPassword });
     }
     
+    // Update first_login status; this lifts the restriction on the new session's tokens
+    await pool.query(
+      'UPDATE users SET first_login = FALSE WHERE id = ?',
+      [id]
+    );
+    
+    // Changing the password ended every session, including this one; start a fresh one
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await authService.startSession({
+      id,
+      email: req.user.email,
+      role,
+      name: req.user.name
+    }, req);
+    
     res.status(200).json({
       status: 'success',
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt
+      }
     });
   } catch (error) {
     next(error);
@@ -256,6 +725,21 @@ const getProfile = async (req, res, next) => {
 
 module.exports = {
   login,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getPermissions,
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
   createAccount,
   changePassword,
   getProfile
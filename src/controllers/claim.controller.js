@@ -0,0 +1,304 @@
+const { insuranceClaimModel, claimLineItemModel } = require('../models');
+const claimService = require('../services/claim.service');
+const auditService = require('../services/audit.service');
+
+/**
+ * Get claims visible to the current user
+ * Insurance users see their own claims; admins can filter by company.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClaims = async (req, res, next) => {
+  try {
+    const { companyId, patientId, status, limit = 10, offset = 0 } = req.query;
+
+    const claims = await insuranceClaimModel.getAllClaims({
+      companyId: req.user.role === 'insurance' ? req.user.id : companyId,
+      patientId,
+      status,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        claims
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a claim with its line items, evidence, status history and the next steps open to the user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClaimById = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+
+    const claim = await claimService.getAccessibleClaim(claimId, req.user);
+    const { lineItems, evidence } = await claimService.getLineItemsWithEvidence(claimId);
+    const history = await insuranceClaimModel.getClaimStatusHistory(claimId);
+
+    // Log the access
+    await auditService.logAudit(
+      req.user.id,
+      'view',
+      'claim',
+      claimId,
+      {}
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        claim,
+        lineItems,
+        evidence,
+        history,
+        allowedTransitions: claimService.getAllowedTransitions(claim.status, req.user.role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status history of a claim
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClaimHistory = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+
+    await claimService.getAccessibleClaim(claimId, req.user);
+    const history = await insuranceClaimModel.getClaimStatusHistory(claimId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a claim to its next status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateClaimStatus = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+    const { status, review_notes, settlement_amount, payment_reference } = req.body;
+
+    const { claim, previousStatus } = await claimService.transitionClaim(
+      claimId,
+      status,
+      { review_notes, settlement_amount, payment_reference },
+      req.user
+    );
+
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'update_status',
+      'claim',
+      claimId,
+      {
+        from: previousStatus,
+        to: claim.status,
+        review_notes,
+        settlement_amount: claim.settlement_amount,
+        payment_reference
+      }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        claim,
+        allowedTransitions: claimService.getAllowedTransitions(claim.status, req.user.role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the released records attached to a claim
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClaimEvidence = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+
+    await claimService.getAccessibleClaim(claimId, req.user);
+    const { lineItems, evidence } = await claimService.getLineItemsWithEvidence(claimId, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        evidence,
+        lineItems
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach a released record to a claim, optionally against one line item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const attachEvidence = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+    const { grantId, lineId, notes } = req.body;
+
+    const evidence = await claimService.attachEvidence(claimId, { grantId, lineId, notes }, req.user);
+
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'attach_evidence',
+      'claim',
+      claimId,
+      { grant_id: grantId, line_id: lineId || null }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        evidence
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a decision on one line item of a claim
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const decideLineItem = async (req, res, next) => {
+  try {
+    const { claimId, lineId } = req.params;
+    const { approved_amount, decision_reason } = req.body;
+
+    const lineItem = await claimService.decideLineItem(
+      claimId,
+      lineId,
+      { approved_amount, decision_reason },
+      req.user
+    );
+
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'decide_line_item',
+      'claim',
+      claimId,
+      {
+        line_id: lineItem.id,
+        line_status: lineItem.line_status,
+        claimed_amount: lineItem.claimed_amount,
+        approved_amount: lineItem.approved_amount,
+        decision_reason
+      }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        lineItem,
+        totals: await claimLineItemModel.getLineTotals(claimId)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the claimed vs approved vs settled breakdown of a claim
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getClaimReconciliation = async (req, res, next) => {
+  try {
+    const { claimId } = req.params;
+
+    const reconciliation = await claimService.getClaimReconciliation(claimId, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: reconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get claimed vs settled totals per insurance company
+ * Insurance users only see their own company.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getCompanyReconciliation = async (req, res, next) => {
+  try {
+    const { companyId, from, to } = req.query;
+
+    const companies = await insuranceClaimModel.getCompanyReconciliation({
+      companyId: req.user.role === 'insurance' ? req.user.id : companyId,
+      from,
+      to
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        companies
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getClaims,
+  getClaimById,
+  getClaimHistory,
+  updateClaimStatus,
+  getClaimEvidence,
+  attachEvidence,
+  decideLineItem,
+  getClaimReconciliation,
+  getCompanyReconciliation
+};
@@ -0,0 +1,165 @@
+const { consentModel } = require('../models');
+const consentService = require('../services/consent.service');
+const auditService = require('../services/audit.service');
+const { AppError } = require('../utils/error.utils');
+
+/**
+ * Get consents visible to the current user
+ * Insurance users see the consents given to them; admins can filter freely.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getConsents = async (req, res, next) => {
+  try {
+    const { companyId, purpose, status, limit = 20, offset = 0 } = req.query;
+    const patientId = req.params.patientId || req.query.patientId;
+
+    const consents = await consentModel.getConsents({
+      patientId,
+      companyId: req.user.role === 'insurance' ? req.user.id : companyId,
+      purpose,
+      status,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        consents
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a consent by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getConsentById = async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+
+    const consent = await consentModel.getConsentById(consentId);
+
+    if (!consent || (req.user.role === 'insurance' && consent.company_id !== req.user.id)) {
+      return next(new AppError('Consent not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        consent
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a patient's consent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createConsent = async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    const {
+      company_id,
+      purpose,
+      record_types,
+      date_range_start,
+      date_range_end,
+      valid_from,
+      expires_at,
+      consent_method,
+      document_reference
+    } = req.body;
+
+    const consent = await consentService.recordConsent(patientId, {
+      company_id,
+      purpose,
+      record_types,
+      date_range_start,
+      date_range_end,
+      valid_from,
+      expires_at,
+      consent_method,
+      document_reference
+    }, req.user);
+
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'create',
+      'consent',
+      consent.consent_id,
+      {
+        patient_id: patientId,
+        company_id,
+        purpose,
+        record_types: consent.record_types,
+        expires_at: consent.expires_at
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        consent,
+        message: 'Consent recorded successfully'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a patient's consent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeConsent = async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { reason } = req.body;
+
+    const { consent, revokedGrantIds } = await consentService.withdrawConsent(consentId, reason, req.user);
+
+    // Log the action
+    await auditService.logAudit(
+      req.user.id,
+      'revoke',
+      'consent',
+      consentId,
+      { reason, revoked_grant_ids: revokedGrantIds }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        consent,
+        revokedGrants: revokedGrantIds.length,
+        message: 'Consent revoked successfully'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getConsents,
+  getConsentById,
+  createConsent,
+  revokeConsent
+};
@@ -91,7 +91,7 @@ const createDataRequest = async (req, res, next) => {
 };
 
 /**
- * Approve data request
+ * Approve data request and release the selected records
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -99,11 +99,20 @@ const createDataRequest = async (req, res, next) => {
 const approveDataRequest = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { notes } = req.body;
+    const { notes, record_ids, sensitive_record_ids, access_granted_until, max_access_count } = req.body;
     
-    const updatedRequest = await dataRequestModel.updateDataRequestStatus(
-      id, dataRequestModel.parseStatus('approved'), notes
-    );
+    if (!Array.isArray(record_ids) || record_ids.length === 0) {
+      return next(new AppError('At least one record must be selected for release', 400));
+    }
+    
+    const updatedRequest = await dataRequestModel.approveDataRequest(id, {
+      recordIds: record_ids,
+      sensitiveRecordIds: sensitive_record_ids,
+      approvedBy: req.user.id,
+      accessGrantedUntil: access_granted_until,
+      maxAccessCount: max_access_count ? parseInt(max_access_count) : undefined,
+      notes
+    });
     
     // Log the action
     await auditService.logAudit(
@@ -111,9 +120,25 @@ const approveDataRequest = async (req, res, next) => {
       'approve',
       'data_request',
       id,
-      { notes }
+      {
+        notes,
+        record_ids: updatedRequest.released_records,
+        access_granted_until,
+        max_access_count
+      }
     );
     
+    if (updatedRequest.sensitive_records.length > 0) {
+      await auditService.logAudit(
+        req.user.id,
+        'release_sensitive',
+        'data_request',
+        id,
+        { record_ids: updatedRequest.sensitive_records },
+        { severity: 'warning' }
+      );
+    }
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -2,6 +2,8 @@ const { patientModel, recordModel } = require('../models');
 const doctorModel = require('../models/doctor.model');
 const { AppError } = require('../utils/error.utils');
 const auditService = require('../services/audit.service');
+const recordAccessService = require('../services/recordAccess.service');
+const recordAmendmentService = require('../services/recordAmendment.service');
 
 /**
  * Get all patients (for doctor view)
@@ -11,10 +13,11 @@ const auditService = require('../services/audit.service');
  */
 const getAllPatients = async (req, res, next) => {
   try {
-    const { search, limit = 100, offset = 0 } = req.query;
+    const { search, nic, limit = 100, offset = 0 } = req.query;
     
     const patients = await doctorModel.getAllPatients({
       search,
+      nic,
       limit,
       offset
     });
@@ -97,7 +100,10 @@ const getPatientHistory = async (req, res, next) => {
       return next(new AppError('Patient not found', 404));
     }
     
-    const history = await patientModel.getPatientHistory(patientId);
+    const history = await recordAccessService.redactUnreadableRecords(
+      req.user,
+      await patientModel.getPatientHistory(patientId)
+    );
     
     // Log the access
     try {
@@ -141,7 +147,10 @@ const getPatientRecords = async (req, res, next) => {
       return next(new AppError('Patient not found', 404));
     }
     
-    const records = await doctorModel.getPatientRecords(patientId);
+    const records = await recordAccessService.redactUnreadableRecords(
+      req.user,
+      await doctorModel.getPatientRecords(patientId)
+    );
     
     // Log the access
     try {
@@ -166,7 +175,7 @@ const getPatientRecords = async (req, res, next) => {
 };
 
 /**
- * Get record by ID
+ * Get record by ID, at its current version or ?version=
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -181,6 +190,8 @@ const getRecordById = async (req, res, next) => {
       return next(new AppError('Record not found', 404));
     }
     
+    await recordAccessService.assertCanReadRecord(req.user, record);
+    
     // Log the access
     try {
       await auditService.logAudit(
@@ -194,6 +205,52 @@ const getRecordById = async (req, res, next) => {
       console.error('Audit logging error:', auditError);
     }
     
+    res.status(200).json({
+      status: 'success',
+      data: await recordAmendmentService.getRecordAtVersion(record, req.query.version)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Amend a record's clinical content, keeping the previous version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const amendRecord = async (req, res, next) => {
+  try {
+    const { recordId } = req.params;
+    const { reason, expected_version } = req.body;
+    
+    const { record, previousVersion, changedFields } = await recordAmendmentService.amendRecord(req.user, recordId, {
+      ...req.body,
+      reason,
+      expectedVersion: expected_version
+    });
+    
+    // Log the amendment
+    try {
+      await auditService.logAudit(
+        req.user.id,
+        'amend',
+        'record',
+        recordId,
+        {
+          patient_id: record.patient_id,
+          from_version: previousVersion,
+          to_version: record.version,
+          fields: changedFields,
+          reason
+        },
+        { severity: 'warning' }
+      );
+    } catch (auditError) {
+      console.error('Audit logging error:', auditError);
+    }
+    
     res.status(200).json({
       status: 'success',
       data: record
@@ -203,6 +260,86 @@ const getRecordById = async (req, res, next) => {
   }
 };
 
+/**
+ * Mark a record entered in error; records are never deleted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const markRecordEnteredInError = async (req, res, next) => {
+  try {
+    const { recordId } = req.params;
+    const { reason } = req.body;
+    
+    const record = await recordAmendmentService.markEnteredInError(req.user, recordId, reason);
+    
+    // Log the change of status
+    try {
+      await auditService.logAudit(
+        req.user.id,
+        'entered_in_error',
+        'record',
+        recordId,
+        { patient_id: record.patient_id, version: record.version, reason },
+        { severity: 'warning' }
+      );
+    } catch (auditError) {
+      console.error('Audit logging error:', auditError);
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: record
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the versions of a record with who changed it, when and why
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getRecordVersions = async (req, res, next) => {
+  try {
+    const { record, versions } = await recordAmendmentService.getVersionHistory(req.user, req.params.recordId);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        record_id: record.record_id,
+        current_version: record.version,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare two versions of a record (?from=&to=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getRecordVersionDiff = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    
+    const diff = await recordAmendmentService.diffVersions(req.user, req.params.recordId, from, to);
+    
+    res.status(200).json({
+      status: 'success',
+      data: diff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create a prescription
  * @param {Object} req - Express request object
@@ -422,6 +559,10 @@ module.exports = {
   getPatientHistory,
   getPatientRecords,
   getRecordById,
+  amendRecord,
+  markRecordEnteredInError,
+  getRecordVersions,
+  getRecordVersionDiff,
   createPrescription,
   createLabTest,
   getMedicines,
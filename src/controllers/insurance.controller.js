@@ -1,8 +1,9 @@
 const { pool } = require('../config/database');
-const { patientModel, recordModel, dataRequestModel } = require('../models');
+const { patientModel, recordModel, dataRequestModel, approvedRecordModel, insuranceClaimModel } = require('../models');
 const { AppError } = require('../utils/error.utils');
 const  auditService  = require('../services/audit.service');
 const  emailService  = require('../services/email.service');
+const claimService = require('../services/claim.service');
 
 /**
  * Get connection requests
@@ -79,15 +80,6 @@ const updateConnectionStatus = async (req, res, next) => {
       [statusValue, notes || null, allocationId]
     );
     
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'update',
-      'insurance_allocation',
-      allocationId,
-      { status, notes }
-    );
-    
     // Get the insurance company name
     const [companyResult] = await pool.query(
       'SELECT company_name FROM insurance_companies WHERE company_id = ?',
@@ -352,27 +344,9 @@ const getApprovedRecords = async (req, res, next) => {
       return next(new AppError('Approved request not found', 404));
     }
     
-    // Get the approved records
-    const [records] = await pool.query(
-      `SELECT r.*, 
-        p.name as patient_name, 
-        CONCAT(s.first_name, ' ', s.last_name) as doctor_name,
-        lt.description as test_name,
-        m.med_name,
-        pr.dosage, pr.delay, pr.after_meal
-       FROM records r
-       JOIN patients p ON r.patient_id = p.patient_id
-       JOIN staff s ON r.doc_id = s.staff_id
-       LEFT JOIN lab_tests lt ON r.test_id = lt.test_id
-       LEFT JOIN prescriptions pr ON r.prescription_id = pr.prescription_id
-       LEFT JOIN medicines m ON pr.med_id = m.med_id
-       WHERE r.patient_id = ? AND r.record_id IN (
-         SELECT record_id FROM approved_records WHERE request_id = ?
-       )`,
-      [request[0].patient_id, requestId]
-    );
-    
-    console.log(`Found ${records.length} approved records`);
+    // Only the records the reviewer released for this request. Listing shows the
+    // grant terms; the clinical content is read one record at a time.
+    const records = await approvedRecordModel.getGrantsByRequest(requestId);
     
     // Log the access
     await auditService.logAudit(
@@ -396,6 +370,91 @@ const getApprovedRecords = async (req, res, next) => {
   }
 };
 
+// Why a grant refuses access, keyed by approved_records access_status
+const ACCESS_DENIED_MESSAGES = {
+  entered_in_error: 'This record was entered in error and has been withdrawn',
+  withheld: 'This record has been withheld because of its confidentiality level',
+  revoked: 'Access to this record has been revoked',
+  expired: 'Access to this record has expired',
+  exhausted: 'The maximum number of views for this record has been reached'
+};
+
+/**
+ * Get a single approved record, counting the read against its grant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getApprovedRecord = async (req, res, next) => {
+  try {
+    const { requestId, recordId } = req.params;
+    const insuranceId = req.user.id;
+    
+    // Check if the request exists and belongs to this insurance company
+    const [request] = await pool.query(
+      'SELECT * FROM data_requests WHERE request_id = ? AND company_id = ? AND status = 1',
+      [requestId, insuranceId]
+    );
+    
+    if (request.length === 0) {
+      return next(new AppError('Approved request not found', 404));
+    }
+    
+    const { granted, grant } = await approvedRecordModel.consumeAccess(requestId, recordId);
+    
+    if (!grant) {
+      return next(new AppError('Record was not released for this request', 404));
+    }
+    
+    if (!granted) {
+      await auditService.logAudit(
+        req.user.id,
+        'access_denied',
+        'approved_record',
+        recordId,
+        {
+          request_id: requestId,
+          reason: grant.access_status,
+          access_count: grant.access_count,
+          max_access_count: grant.max_access_count,
+          access_granted_until: grant.access_granted_until
+        }
+      );
+      
+      return next(new AppError(
+        ACCESS_DENIED_MESSAGES[grant.access_status] || 'Access to this record is no longer available',
+        grant.access_status === 'withheld' ? 403 : 410
+      ));
+    }
+    
+    const record = await approvedRecordModel.getReleasedRecord(requestId, recordId);
+    
+    await auditService.logAudit(
+      req.user.id,
+      'view',
+      'approved_record',
+      recordId,
+      {
+        request_id: requestId,
+        access_count: grant.access_count,
+        max_access_count: grant.max_access_count
+      }
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        record,
+        remainingAccesses: grant.max_access_count === null
+          ? null
+          : Math.max(grant.max_access_count - grant.access_count, 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 
 
 /**
@@ -406,7 +465,17 @@ const getApprovedRecords = async (req, res, next) => {
  */
 const createClaim = async (req, res, next) => {
   try {
-    const { patientId, claimDetails } = req.body;
+    const { 
+      patientId, 
+      policyNumber, 
+      claimType, 
+      claimAmount, 
+      claimDate, 
+      claimDetails, 
+      supportingDocuments,
+      lineItems,
+      evidence
+    } = req.body;
     const insuranceId = req.user.id;
     
     // Check if patient is connected to this insurance company
@@ -419,15 +488,34 @@ const createClaim = async (req, res, next) => {
       return next(new AppError('Patient is not connected to your insurance company', 403));
     }
     
-    // Create the claim
-    const [result] = await pool.query(
-      `INSERT INTO claims 
-       (company_id, patient_id, claim_details, status, created_at) 
-       VALUES (?, ?, ?, 'pending', NOW())`,
-      [insuranceId, patientId, JSON.stringify(claimDetails)]
+    // Itemised claims are totalled from their lines, not from claimAmount
+    const preparedLineItems = lineItems
+      ? await claimService.prepareLineItems(insuranceId, patientId, lineItems)
+      : [];
+    const preparedEvidence = await claimService.prepareEvidence(
+      insuranceId, patientId, evidence || [], preparedLineItems
+    );
+    const preparedDocuments = await claimService.prepareSupportingDocuments(
+      insuranceId, patientId, supportingDocuments || []
     );
     
-    const claimId = result.insertId;
+    // Create the claim
+    const claim = await insuranceClaimModel.createClaim({
+      company_id: insuranceId,
+      patient_id: patientId,
+      policy_number: policyNumber || connection[0].policy_number,
+      claim_type: claimType,
+      claim_amount: claimAmount,
+      claim_date: claimDate,
+      claim_details: claimDetails,
+      supporting_documents: preparedDocuments,
+      line_items: preparedLineItems,
+      evidence: preparedEvidence,
+      created_by: req.user.id,
+      created_by_role: req.user.role
+    });
+    
+    const claimId = claim.claim_id;
     
     // Log the action
     await auditService.logAudit(
@@ -435,13 +523,19 @@ const createClaim = async (req, res, next) => {
       'create',
       'claim',
       claimId,
-      { patient_id: patientId }
+      {
+        patient_id: patientId,
+        line_count: preparedLineItems.length,
+        claim_amount: claim.claim_amount,
+        evidence_grant_ids: preparedEvidence.map(entry => entry.grant_id)
+      }
     );
     
     res.status(201).json({
       status: 'success',
       data: {
         claimId,
+        claim,
         message: 'Claim submitted successfully'
       }
     });
@@ -510,7 +604,7 @@ const getClaimDetails = async (req, res, next) => {
     
     // Check if the claim exists and belongs to this insurance company
     const [claim] = await pool.query(
-      'SELECT c.*, p.name as patient_name, p.nic, p.gender, p.date_of_birth FROM claims c JOIN patients p ON c.patient_id = p.patient_id WHERE c.id = ? AND c.company_id = ?',
+      'SELECT c.*, p.name as patient_name, p.nic, p.gender, p.date_of_birth FROM claims c JOIN patients p ON c.patient_id = p.patient_id WHERE c.claim_id = ? AND c.company_id = ?',
       [claimId, insuranceId]
     );
     
@@ -518,6 +612,8 @@ const getClaimDetails = async (req, res, next) => {
       return next(new AppError('Claim not found', 404));
     }
     
+    const { lineItems, evidence } = await claimService.getLineItemsWithEvidence(claimId);
+    
     // Log the access
     await auditService.logAudit(
       req.user.id,
@@ -533,7 +629,9 @@ const getClaimDetails = async (req, res, next) => {
         claim: {
           ...claim[0],
           claim_details: JSON.parse(claim[0].claim_details || '{}')
-        }
+        },
+        lineItems,
+        evidence
       }
     });
   } catch (error) {
@@ -551,7 +649,14 @@ const createDataRequest = async (req, res, next) => {
   try {
     //console.log('Request body:', req.body);
     
-    const { patient_id, purpose, date_range_start, date_range_end, request_details } = req.body;
+    const { 
+      patient_id, 
+      purpose, 
+      date_range_start, 
+      date_range_end, 
+      requested_record_types, 
+      request_details 
+    } = req.body;
     const insuranceId = req.user.id;
     
     if (!patient_id) {
@@ -590,6 +695,7 @@ const createDataRequest = async (req, res, next) => {
       purpose,
       date_range_start,
       date_range_end,
+      requested_record_types,
       request_details,
       created_by: req.user.id
     };
@@ -737,6 +843,7 @@ module.exports = {
   requestMedicalRecords,
   getDataRequests,
   getApprovedRecords,
+  getApprovedRecord,
   createClaim,
   getClaims,
   getClaimDetails,
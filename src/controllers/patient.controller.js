@@ -1,5 +1,5 @@
 const { pool } = require('../config/database');
-const { encrypt, decrypt } = require('../services/encryption.service');
+const { encryptFields } = require('../utils/fieldEncryption');
 const auditService = require('../services/audit.service');
 const { generatePatientId } = require('../utils/idGenerator');
 
@@ -14,16 +14,7 @@ exports.getAllPatients = async (req, res) => {
       });
     }
     
-    const [rows] = await pool.execute('SELECT * FROM patients');
-    
-    // Decrypt sensitive data
-    const patients = rows.map(patient => {
-      return {
-        ...patient,
-        allergies: decrypt(patient.allergies),
-        address: decrypt(patient.address)
-      };
-    });
+    const [patients] = await pool.execute('SELECT * FROM patients');
     
     await auditService.logAction(
       req.userId,
@@ -84,12 +75,7 @@ exports.getPatientById = async (req, res) => {
       });
     }
     
-    // Decrypt sensitive data
-    const patient = {
-      ...rows[0],
-      allergies: decrypt(rows[0].allergies),
-      address: decrypt(rows[0].address)
-    };
+    const patient = rows[0];
     
     await auditService.logAction(
       req.userId,
@@ -133,21 +119,20 @@ exports.createPatient = async (req, res) => {
     const patientId = await generatePatientId();
     
     // Encrypt sensitive data
-    const encryptedAllergies = encrypt(allergies);
-    const encryptedAddress = encrypt(address);
+    const encrypted = encryptFields('patients', { nic, allergies, address });
     
     // Insert patient
     const query = `
       INSERT INTO patients (
-        patient_id, name, name_initials, nic, date_of_birth, gender, 
+        patient_id, name, name_initials, nic, nic_index, date_of_birth, gender, 
         blood_type, allergies, address, city, district, postal_code, 
         mobile, telephone, email
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await pool.execute(query, [
-      patientId, name, name_initials, nic, date_of_birth, gender, 
-      blood_type, encryptedAllergies, encryptedAddress, city, district, 
+      patientId, name, name_initials, encrypted.nic, encrypted.nic_index, date_of_birth, gender, 
+      blood_type, encrypted.allergies, encrypted.address, city, district, 
       postal_code, mobile, telephone, email
     ]);
     
@@ -200,9 +185,8 @@ exports.updatePatient = async (req, res) => {
       });
     }
     
-    // Encrypt sensitive data
-    const encryptedAllergies = allergies ? encrypt(allergies) : rows[0].allergies;
-    const encryptedAddress = address ? encrypt(address) : rows[0].address;
+    // Encrypt sensitive data; fields left out keep their stored values
+    const encrypted = encryptFields('patients', { nic, allergies, address });
     
     // Update patient
     const query = `
@@ -210,6 +194,7 @@ exports.updatePatient = async (req, res) => {
         name = COALESCE(?, name),
         name_initials = COALESCE(?, name_initials),
         nic = COALESCE(?, nic),
+        nic_index = COALESCE(?, nic_index),
         date_of_birth = COALESCE(?, date_of_birth),
         gender = COALESCE(?, gender),
         blood_type = COALESCE(?, blood_type),
@@ -225,8 +210,8 @@ exports.updatePatient = async (req, res) => {
     `;
     
     await pool.execute(query, [
-      name, name_initials, nic, date_of_birth, gender, blood_type, 
-      encryptedAllergies, encryptedAddress, city, district, postal_code, 
+      name, name_initials, encrypted.nic, encrypted.nic_index, date_of_birth, gender, blood_type, 
+      encrypted.allergies, encrypted.address, city, district, postal_code, 
       mobile, telephone, email, patientId
     ]);
     
@@ -274,34 +259,24 @@ exports.deletePatient = async (req, res) => {
       });
     }
     
+    // Clinical records are never deleted; they are marked entered in error instead
+    const [recordRows] = await pool.execute(
+      'SELECT COUNT(*) as count FROM records WHERE patient_id = ?',
+      [patientId]
+    );
+    
+    if (recordRows[0].count > 0) {
+      return res.status(409).send({
+        status: 'error',
+        message: 'Patients with medical records cannot be deleted'
+      });
+    }
+    
     // Start a transaction to ensure all related data is deleted properly
     const connection = await pool.getConnection();
     await connection.beginTransaction();
     
     try {
-      // Get all records for this patient
-      const [recordRows] = await connection.execute(
-        'SELECT record_id FROM records WHERE patient_id = ?', 
-        [patientId]
-      );
-      
-      // Delete prescription entries for this patient's records
-      for (const record of recordRows) {
-        await connection.execute(
-          'DELETE FROM prescription WHERE prescription_id IN (SELECT prescription_id FROM records WHERE record_id = ?)',
-          [record.record_id]
-        );
-      }
-      
-      // Delete all insurance_claims related to the patient's records
-      await connection.execute(
-        'DELETE FROM insurance_claims WHERE record_id IN (SELECT record_id FROM records WHERE patient_id = ?)',
-        [patientId]
-      );
-      
-      // Delete all records
-      await connection.execute('DELETE FROM records WHERE patient_id = ?', [patientId]);
-      
       // Delete insurance allocations
       await connection.execute('DELETE FROM insurance_allocation WHERE patient_id = ?', [patientId]);
       
@@ -324,7 +299,7 @@ exports.deletePatient = async (req, res) => {
       
       return res.status(200).send({
         status: 'success',
-        message: 'Patient and all associated data deleted successfully'
+        message: 'Patient and associated data deleted successfully'
       });
     } catch (error) {
       // If there's an error, rollback the transaction
@@ -1,89 +1,6 @@
 const { recordModel } = require('../models');
-const { AppError } = require('../utils/error.utils');
 const auditService = require('../services/audit.service');
 
-/**
- * Get all medical records
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-const getAllRecords = async (req, res, next) => {
-  try {
-    const { patientId, limit = 10, offset = 0 } = req.query;
-    
-    const records = await recordModel.getAllRecords({ patientId, limit, offset });
-    
-    res.status(200).json({
-      status: 'success',
-      data: {
-        records
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * Get medical record by ID
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-const getRecordById = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    
-    const record = await recordModel.getRecordById(id);
-    
-    if (!record) {
-      return next(new AppError('Medical record not found', 404));
-    }
-    
-    res.status(200).json({
-      status: 'success',
-      data: {
-        record
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * Create a new medical record
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-const createRecord = async (req, res, next) => {
-  try {
-    const recordData = req.body;
-    
-    const newRecord = await recordModel.createRecord(recordData);
-    
-    // Log the action
-    await auditService.logAudit(
-      req.user.id,
-      'create',
-      'record',
-      newRecord.record_id,
-      { patient_id: newRecord.patient_id }
-    );
-    
-    res.status(201).json({
-      status: 'success',
-      data: {
-        record: newRecord
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
 /**
  * Get test types
  * @param {Object} req - Express request object
@@ -263,9 +180,6 @@ const createLabTestRecord = async (req, res, next) => {
 };
 
 module.exports = {
-  getAllRecords,
-  getRecordById,
-  createRecord,
   getTestTypes,
   createPrescriptionRecord,
   createLabTestRecord
@@ -0,0 +1,222 @@
+const { randomUUID } = require('crypto');
+const auditService = require('../services/audit.service');
+
+// Methods that change data and are always audited
+const METHOD_ACTIONS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Values never written to the audit log, whatever the route
+const SECRET_KEY_PATTERN = /password|token|secret|otp/i;
+
+const REDACTED = '[redacted]';
+
+/**
+ * Give each request an ID and an audit context
+ * A well-formed X-Request-Id from the caller is kept so logs can be correlated
+ * across services.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  auditService.runWithRequest(req, next);
+};
+
+/**
+ * Strip secrets and redacted fields from a snapshot
+ * @param {Object|null} values - Resource values
+ * @param {Array<string>} redact - Fields whose values must not be stored
+ * @returns {Object|null} - Values safe to store
+ */
+const sanitize = (values, redact = []) => {
+  if (!values || typeof values !== 'object') return null;
+
+  return Object.entries(values).reduce((safe, [key, value]) => {
+    if (SECRET_KEY_PATTERN.test(key)) return safe;
+    safe[key] = redact.includes(key) && value !== null && value !== undefined ? REDACTED : value;
+    return safe;
+  }, {});
+};
+
+/**
+ * Reduce before/after snapshots to the fields that changed
+ * Redacted fields show as changed without revealing either value.
+ * @param {Object|null} before - Snapshot before the request
+ * @param {Object|null} after - Snapshot after the request
+ * @param {Array<string>} redact - Fields whose values must not be stored
+ * @returns {Object} - { oldValues, newValues }
+ */
+const diffSnapshots = (before, after, redact = []) => {
+  if (!before || !after) {
+    return { oldValues: sanitize(before, redact), newValues: sanitize(after, redact) };
+  }
+
+  const oldValues = {};
+  const newValues = {};
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (SECRET_KEY_PATTERN.test(key) || key === 'updated_at') return;
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+
+    oldValues[key] = redact.includes(key) ? REDACTED : before[key];
+    newValues[key] = redact.includes(key) ? REDACTED : after[key];
+  });
+
+  return { oldValues, newValues };
+};
+
+/**
+ * Recover route parameters from the URL
+ * req.params is reset when an error leaves the router, so the matched route
+ * path is lined up against the tail of the original URL instead.
+ * @param {string} routePath - Matched route path, e.g. '/staff/:id'
+ * @param {string} url - Original request URL
+ * @returns {Object} - Parameter values by name
+ */
+const matchRouteParams = (routePath, url) => {
+  const routeSegments = routePath.split('/').filter(Boolean);
+  const urlSegments = url.split('?')[0].split('/').filter(Boolean).slice(-routeSegments.length);
+
+  return routeSegments.reduce((params, segment, index) => {
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = decodeURIComponent(urlSegments[index] || '');
+    }
+    return params;
+  }, {});
+};
+
+/**
+ * Work out the resource a route acts on from its first path segment
+ * e.g. '/insurance-allocations/:id/status' -> 'insurance_allocation'
+ * @param {string} routePath - Matched route path
+ * @returns {string} - Resource type
+ */
+const resourceFromRoute = (routePath) => {
+  const segment = routePath.split('/').filter(Boolean)[0] || 'unknown';
+  return segment.replace(/-/g, '_').replace(/s$/, '');
+};
+
+/**
+ * Severity of an audited request from its outcome
+ * @param {number} statusCode - Response status code
+ * @param {string} fallback - Severity for a successful request
+ * @returns {string} - 'info', 'warning' or 'error'
+ */
+const severityFor = (statusCode, fallback) => {
+  if (statusCode >= 500) return 'error';
+  if (statusCode === 401 || statusCode === 403) return 'warning';
+  return fallback;
+};
+
+/**
+ * Write the route-level audit entry once the response has been sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} context - Audit context of the request
+ */
+const writeRequestAudit = async (req, res, context) => {
+  const config = req.audit || {};
+
+  // Unauthenticated and unmatched requests have no one to attribute them to
+  if (!req.user || !req.route) return;
+
+  const mutating = !!METHOD_ACTIONS[req.method];
+  if (!mutating && !req.audit) return;
+
+  const failed = res.statusCode >= 400;
+
+  // A controller that logged its own entry already described the action in more detail
+  if (!failed && !config.snapshot && context.entries.length > 0) return;
+
+  const params = matchRouteParams(req.route.path, req.originalUrl);
+  const resourceId = config.idParam ? params[config.idParam] : Object.values(params)[0];
+  const fallbackSeverity = config.severity || (req.method === 'DELETE' ? 'warning' : 'info');
+
+  let changes = { oldValues: null, newValues: null };
+
+  if (config.snapshot && !failed) {
+    const after = req.method === 'DELETE' ? null : await config.snapshot(resourceId);
+    changes = diffSnapshots(req.auditSnapshot, after, config.redact);
+  }
+
+  await auditService.logAudit(
+    req.user.id,
+    config.action || METHOD_ACTIONS[req.method] || 'view',
+    config.resource || resourceFromRoute(req.route.path),
+    resourceId || null,
+    {
+      method: req.method,
+      route: `${req.baseUrl}${req.route.path}`,
+      status_code: res.statusCode,
+      fields: mutating && req.body ? Object.keys(sanitize(req.body)) : undefined
+    },
+    {
+      req,
+      severity: failed ? severityFor(res.statusCode, 'info') : fallbackSeverity,
+      oldValues: changes.oldValues,
+      newValues: changes.newValues
+    }
+  );
+};
+
+/**
+ * Audit every mutating request that passes through a router
+ * Mount after authentication so the actor is known. Read routes are only
+ * audited when they are marked with audit().
+ * @returns {Function} - Express middleware
+ */
+const auditTrail = () => (req, res, next) => {
+  // Routers can be nested; only the first one hooks the response
+  if (req.auditHooked) return next();
+  req.auditHooked = true;
+
+  const context = auditService.getRequestContext() || { req, entries: [] };
+
+  res.on('finish', () => {
+    writeRequestAudit(req, res, context)
+      .catch(error => console.error('Audit middleware error:', error));
+  });
+
+  next();
+};
+
+/**
+ * Describe how a route is audited
+ * @param {Object} config - Audit settings for the route
+ * @param {string} config.action - Action to record (defaults to the HTTP method's)
+ * @param {string} config.resource - Resource type (defaults to the route's first segment)
+ * @param {string} config.idParam - Route parameter holding the resource ID
+ * @param {Function} config.snapshot - Loads the resource by ID; recorded before and after the request
+ * @param {Array<string>} config.redact - Fields whose values must not be stored
+ * @param {string} config.severity - Severity of a successful request
+ * @returns {Function} - Express middleware
+ */
+const audit = (config = {}) => async (req, res, next) => {
+  req.audit = config;
+
+  if (config.snapshot) {
+    try {
+      const resourceId = config.idParam ? req.params[config.idParam] : Object.values(req.params)[0];
+      req.auditSnapshot = await config.snapshot(resourceId);
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  requestContext,
+  auditTrail,
+  audit
+};
@@ -1,7 +1,13 @@
-const { verifyToken } = require('../utils/jwt.utils');
+const { verifyToken, verifyChallengeToken } = require('../utils/jwt.utils');
 const { AppError } = require('../utils/error.utils');
+const authService = require('../services/auth.service');
 
-const authenticate = (req, res, next) => {
+/**
+ * Build the access token middleware
+ * @param {Object} options - allowPasswordChange: accept tokens of users who must still change their password
+ * @returns {Function} - Express middleware
+ */
+const createAuthenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -23,17 +29,28 @@ const authenticate = (req, res, next) => {
     const decoded = verifyToken(token);
     // console.log('Decoded token:', decoded ? 'successfully decoded' : 'failed to decode');
     
-    if (!decoded || !decoded.id) {
+    if (!decoded || !decoded.id || decoded.purpose) {
       // console.log('Decoded token invalid:', decoded);
       return next(new AppError('Invalid authentication token', 401));
     }
     
+    // Deactivated accounts, password changes and logouts take effect immediately
+    await authService.assertTokenActive(decoded);
+    await authService.recordActivity(decoded.sid, req);
+    
+    // A temporary or expired password only gets the user as far as changing it
+    if (decoded.pwc && !allowPasswordChange) {
+      return next(new AppError('You must change your password before continuing', 403));
+    }
+    
     // Attach user data to request
     req.user = {
       id: decoded.id,
       email: decoded.email,
       role: decoded.role || 'user', // Provide a default role if missing
-      name: decoded.name
+      name: decoded.name,
+      sessionId: decoded.sid,
+      passwordChangeRequired: !!decoded.pwc
     };
     
     // console.log('User attached to request:', {
@@ -45,11 +62,52 @@ const authenticate = (req, res, next) => {
     
     next();
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     console.error('Auth middleware error:', error);
     next(new AppError('Authentication failed. Please log in again.', 401));
   }
 };
 
+const authenticate = createAuthenticate();
+
+// For the few routes a user who must change their password can still reach
+const authenticateAllowingPasswordChange = createAuthenticate({ allowPasswordChange: true });
+
+/**
+ * Authenticate the second step of a login with its challenge token
+ * The token is sent as challengeToken in the body and only works for the
+ * purposes given, so it cannot stand in for an access token.
+ * @param {...string} purposes - Challenge purposes this route accepts
+ * @returns {Function} - Express middleware
+ */
+const authenticateChallenge = (...purposes) => (req, res, next) => {
+  const { challengeToken } = req.body || {};
+
+  if (!challengeToken) {
+    return next(new AppError('Challenge token is required', 401));
+  }
+
+  try {
+    const decoded = verifyChallengeToken(challengeToken, purposes);
+
+    req.user = {
+      id: decoded.id,
+      email: decoded.email,
+      role: decoded.role,
+      name: decoded.name
+    };
+    req.challenge = decoded;
+
+    next();
+  } catch (error) {
+    next(new AppError('Login challenge has expired. Please log in again.', 401));
+  }
+};
+
 module.exports = {
-  authenticate
+  authenticate,
+  authenticateAllowingPasswordChange,
+  authenticateChallenge
 };
\ No newline at end of file
@@ -1,78 +1,292 @@
 const crypto = require('crypto');
+const { AppError } = require('../utils/error.utils');
 
 const ENCRYPTION_DISABLED = process.env.ENCRYPTION_DISABLED === 'true';
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'your_fallback_32_character_key_here_';
-const ENCRYPTION_IV = process.env.ENCRYPTION_IV || 'your_16_char_iv_';
 
-// Ensure key is 32 bytes (256 bits)
-const key = Buffer.from(ENCRYPTION_KEY.padEnd(32).slice(0, 32));
-// Ensure IV is 16 bytes (128 bits)
-const iv = Buffer.from(ENCRYPTION_IV.padEnd(16).slice(0, 16));
+// Encrypted values are stored as enc:v2:<key id>:<nonce>:<auth tag>:<ciphertext>,
+// the last three base64 encoded. Bare hex strings are the version 1 format:
+// AES-256-CBC under one static key and IV, which is still read but no longer written.
+const ENVELOPE_PREFIX = 'enc:v2:';
+const ALGORITHM = 'aes-256-gcm';
+const NONCE_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+
+// CBC output is whole 16-byte blocks, so a version 1 value is a multiple of 32 hex digits.
+// Plain hex text can look the same, so only registered columns are checked for it.
+const LEGACY_PATTERN = /^(?:[0-9a-f]{32})+$/i;
+
+// Key and IV version 1 used when ENCRYPTION_KEY or ENCRYPTION_IV was unset,
+// so rows written then still load
+const LEGACY_DEFAULT_KEY = 'your_fallback_32_character_key_here_';
+const LEGACY_DEFAULT_IV = 'your_16_char_iv_';
+
+let keyring = null;
+
+/**
+ * Derive a GCM key and its ID from a secret
+ * @param {string} secret - Key material from the environment
+ * @returns {Object} - id and key
+ */
+const deriveKey = (secret) => {
+  const key = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'trustmed field encryption', 32));
+
+  return {
+    // Identifies the key without revealing it
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8),
+    key
+  };
+};
+
+/**
+ * Build the keyring from the environment
+ * ENCRYPTION_KEY is the active key; ENCRYPTION_RETIRED_KEYS (comma separated) are
+ * only used to read values written before a rotation. Loaded on first use so the
+ * environment can be set up before this module is required.
+ * @returns {Object} - active key, keys by ID, and legacyKeys/legacyIv for version 1 values
+ * @throws {Error} - If ENCRYPTION_KEY is not set
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const secret = process.env.ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY must be set to encrypt or decrypt data');
+  }
+
+  const active = deriveKey(secret);
+  const retired = (process.env.ENCRYPTION_RETIRED_KEYS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(deriveKey);
+
+  // Version 1 values carry no key ID, so the key that wrote them is named
+  // separately once it is no longer the active one. The old default key is
+  // tried after it, for deployments that never set one.
+  const legacySecrets = [...new Set([process.env.ENCRYPTION_LEGACY_KEY || secret, LEGACY_DEFAULT_KEY])];
+
+  keyring = {
+    active,
+    byId: new Map([...retired, active].map(entry => [entry.id, entry.key])),
+    legacyKeys: legacySecrets.map(legacySecret => Buffer.from(legacySecret.padEnd(32).slice(0, 32))),
+    legacyIv: Buffer.from((process.env.ENCRYPTION_IV || LEGACY_DEFAULT_IV).padEnd(16).slice(0, 16))
+  };
+
+  return keyring;
+};
+
+/**
+ * Get the ID of the key new values are encrypted with
+ * @returns {string} - Key ID
+ */
+const getActiveKeyId = () => getKeyring().active.id;
 
 /**
- * Encrypt text using AES-256-CBC
+ * Encrypt text using AES-256-GCM with a random nonce
+ * The version and key ID are authenticated along with the ciphertext.
  * @param {string} text - Text to encrypt
- * @returns {string} - Encrypted text
+ * @returns {string} - Envelope (enc:v2:...)
  */
 const encrypt = (text) => {
   if (!text || ENCRYPTION_DISABLED) return text;
-  
+
+  const { key, id } = getKeyring().active;
+  const header = `${ENVELOPE_PREFIX}${id}`;
+  const nonce = crypto.randomBytes(NONCE_BYTES);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, nonce, { authTagLength: AUTH_TAG_BYTES });
+  cipher.setAAD(Buffer.from(header));
+  const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+  return [
+    header,
+    nonce.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a GCM envelope
+ * @param {string} envelope - enc:v2:<key id>:<nonce>:<auth tag>:<ciphertext>
+ * @returns {string} - Plain text
+ * @throws {AppError} - If the envelope is malformed, uses an unknown key or fails authentication
+ */
+const decryptEnvelope = (envelope) => {
+  const parts = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+
+  if (parts.length !== 4) {
+    throw new AppError('Encrypted value is malformed', 500);
+  }
+
+  const [keyId, nonce, authTag, ciphertext] = parts;
+  const key = getKeyring().byId.get(keyId);
+
+  if (!key) {
+    throw new AppError(`Encrypted value uses unknown key ${keyId}`, 500);
+  }
+
   try {
-    // For backward compatibility, use the static IV
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Return the raw encrypted text without any special format
-    return encrypted;
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(nonce, 'base64'), {
+      authTagLength: AUTH_TAG_BYTES
+    });
+    decipher.setAAD(Buffer.from(`${ENVELOPE_PREFIX}${keyId}`));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
   } catch (error) {
-    console.error('Encryption error:', error);
-    return text;
+    throw new AppError('Encrypted value failed its integrity check', 500);
   }
 };
 
 /**
- * Decrypt text using AES-256-CBC
- * @param {string} encryptedText - Text to decrypt
- * @returns {string} - Decrypted text
+ * Decrypt a version 1 (AES-256-CBC, static IV) value
+ * Each legacy key is tried in turn. CBC has no integrity check, so a result is
+ * only accepted when its padding is valid and it is well-formed UTF-8.
+ * @param {string} encryptedText - Hex ciphertext
+ * @returns {string|null} - Plain text, or null if no legacy key decrypts it
  */
-const decrypt = (encryptedText) => {
-  if (!encryptedText || ENCRYPTION_DISABLED) return encryptedText;
-  
-  try {
-    // Simple check if it looks like a hex string (which would be encrypted)
-    if (!/^[0-9a-f]+$/i.test(encryptedText)) {
-      // If it doesn't look like a hex string, it might not be encrypted
-      return encryptedText;
-    }
-    
-    // Use the static IV for decryption (backward compatibility)
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-    
+const decryptLegacy = (encryptedText) => {
+  const { legacyKeys, legacyIv } = getKeyring();
+
+  for (const legacyKey of legacyKeys) {
     try {
-      decrypted += decipher.final('utf8');
-      return decrypted;
-    } catch (finalError) {
-      console.error('Error in final decryption step:', finalError);
-      return "[Encrypted content]";
+      const decipher = crypto.createDecipheriv('aes-256-cbc', legacyKey, legacyIv);
+      const plain = Buffer.concat([decipher.update(Buffer.from(encryptedText, 'hex')), decipher.final()]);
+      const text = plain.toString('utf8');
+
+      if (Buffer.from(text, 'utf8').equals(plain)) return text;
+    } catch (error) {
+      // Bad padding: not written under this key
     }
-  } catch (error) {
-    console.error('Decryption error:', error, 'for text:', encryptedText);
-    return "[Encrypted content]";
   }
+
+  return null;
+};
+
+/**
+ * Decrypt a stored value
+ * Reads GCM envelopes; anything else was stored before encryption and is
+ * returned as it is. With legacy set, for columns registered as encrypted,
+ * version 1 values are read too, and hex that none of the legacy keys
+ * decrypts is taken to be plain text.
+ * @param {string} encryptedText - Stored value
+ * @param {Object} [options] - legacy: also read version 1 values
+ * @returns {string} - Plain text
+ * @throws {AppError} - If an envelope cannot be decrypted
+ */
+const decrypt = (encryptedText, { legacy = false } = {}) => {
+  if (!encryptedText || ENCRYPTION_DISABLED || typeof encryptedText !== 'string') {
+    return encryptedText;
+  }
+
+  if (encryptedText.startsWith(ENVELOPE_PREFIX)) {
+    return decryptEnvelope(encryptedText);
+  }
+
+  if (legacy && LEGACY_PATTERN.test(encryptedText)) {
+    const text = decryptLegacy(encryptedText);
+
+    return text === null ? encryptedText : text;
+  }
+
+  return encryptedText;
 };
 
 /**
  * Check if text is likely to be encrypted
  * @param {string} text - Text to check
- * @returns {boolean} - True if likely encrypted
+ * @param {Object} [options] - legacy: also recognise version 1 values, for registered columns
+ * @returns {boolean} - True if it is a GCM envelope, or with legacy a version 1 value a legacy key decrypts
  */
-const isLikelyEncrypted = (text) => {
+const isLikelyEncrypted = (text, { legacy = false } = {}) => {
   if (!text || typeof text !== 'string') return false;
-  
-  // Check if it's a hex string (which is what our encrypted data looks like)
-  return /^[0-9a-f]{32,}$/i.test(text);
+  if (text.startsWith(ENVELOPE_PREFIX)) return true;
+
+  return legacy && LEGACY_PATTERN.test(text) && decryptLegacy(text) !== null;
+};
+
+// How values are normalised before indexing, so formatting differences still match
+const BLIND_INDEX_NORMALIZERS = {
+  nic: value => value.replace(/[\s-]/g, '').toUpperCase()
+};
+
+let blindIndexKey = null;
+
+/**
+ * Derive the blind index key from BLIND_INDEX_KEY
+ * It must be its own secret: ENCRYPTION_KEY is rotated, and an index key that
+ * changed with it would make every stored index miss.
+ * @returns {Buffer} - HMAC key
+ * @throws {Error} - If BLIND_INDEX_KEY is unset or the same as ENCRYPTION_KEY
+ */
+const getBlindIndexKey = () => {
+  if (blindIndexKey) return blindIndexKey;
+
+  const secret = process.env.BLIND_INDEX_KEY;
+
+  if (!secret) {
+    throw new Error('BLIND_INDEX_KEY must be set to index data');
+  }
+
+  if (secret === process.env.ENCRYPTION_KEY) {
+    throw new Error('BLIND_INDEX_KEY must differ from ENCRYPTION_KEY, which is rotated');
+  }
+
+  blindIndexKey = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'trustmed blind index', 32));
+
+  return blindIndexKey;
+};
+
+/**
+ * Compute the blind index of a value, for exact-match lookups on encrypted columns
+ * An HMAC-SHA256 under BLIND_INDEX_KEY, separated by field so equal values in
+ * different fields do not share an index. It does not depend on the encryption
+ * keyring, so rotating keys leaves indexes valid.
+ * @param {string} field - Field name, a key of BLIND_INDEX_NORMALIZERS
+ * @param {string} value - Plain value
+ * @returns {string|null} - Hex index, or null for an empty value
+ */
+const blindIndex = (field, value) => {
+  const normalize = BLIND_INDEX_NORMALIZERS[field];
+
+  if (!normalize) {
+    throw new Error(`No blind index is defined for ${field}`);
+  }
+
+  const normalized = value === null || value === undefined ? '' : normalize(String(value));
+
+  if (!normalized) return null;
+
+  return crypto.createHmac('sha256', getBlindIndexKey()).update(`${field}:${normalized}`).digest('hex');
+};
+
+/**
+ * Check that the encryption and blind index keys are configured
+ * Called at startup, so a missing key stops the server instead of failing requests.
+ * @throws {Error} - If a required key is missing or invalid
+ */
+const assertKeysConfigured = () => {
+  if (ENCRYPTION_DISABLED) return;
+
+  getKeyring();
+  getBlindIndexKey();
+};
+
+/**
+ * Check whether a stored value of a registered column should be rewritten under the active key
+ * @param {string} value - Stored value
+ * @returns {boolean} - True for version 1 values and envelopes under a retired key
+ */
+const needsReencryption = (value) => {
+  if (!isLikelyEncrypted(value, { legacy: true })) return false;
+  if (!value.startsWith(ENVELOPE_PREFIX)) return true;
+
+  return value.slice(ENVELOPE_PREFIX.length).split(':')[0] !== getActiveKeyId();
 };
 
 // Middleware to encrypt sensitive request data
@@ -133,6 +347,10 @@ module.exports = {
   encrypt,
   decrypt,
   isLikelyEncrypted,
+  needsReencryption,
+  getActiveKeyId,
+  blindIndex,
+  assertKeysConfigured,
   encryptSensitiveData,
   decryptSensitiveData
 };
\ No newline at end of file
@@ -3,6 +3,11 @@ const { handleDatabaseError } = require('../utils/error.utils');
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
+  // Part of a response was sent; Express closes the connection so it is not taken as complete
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Handle specific error types
   if (err.code && (err.code.startsWith('ER_') || err.errno)) {
     // Database errors
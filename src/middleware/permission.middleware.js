@@ -0,0 +1,38 @@
+const { AppError } = require('../utils/error.utils');
+const { PERMISSIONS } = require('../config/permissions');
+const permissionService = require('../services/permission.service');
+
+/**
+ * Middleware to check that the user's role holds every given permission
+ * Use after authenticate.
+ * @param {...string} permissions - Permission names, see config/permissions.js
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (...permissions) => {
+  // A typo would otherwise lock everyone out of the route without explanation
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new AppError('Authentication required', 401));
+      }
+
+      if (!(await permissionService.hasPermissions(req.user.role, permissions))) {
+        return next(new AppError('You do not have permission to perform this action', 403));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requirePermission
+};
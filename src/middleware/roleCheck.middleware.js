@@ -3,9 +3,13 @@ const { AppError } = require('../utils/error.utils');
 
 /**
  * Middleware to check if user has the required role
- * @param {Array} allowedRoles - Array of roles allowed to access the route
+ * Prefer requirePermission (permission.middleware.js), whose grants admins can change.
+ * @param {...(string|Array<string>)} roles - Roles allowed to access the route, as arguments or an array
  */
-const checkRole = (allowedRoles) => {
+const checkRole = (...roles) => {
+  // checkRole('doctor', 'admin') and checkRole(['doctor', 'admin']) mean the same
+  const allowedRoles = roles.flat();
+  
   return (req, res, next) => {
 
     //console.log('Role check - User:', req.user, 'Allowed roles:', allowedRoles);
@@ -0,0 +1,433 @@
+const { pool } = require('../config/database');
+
+// Older rows may not carry record_type/visit_date, so derive them the same way getAllRecords does
+const RECORD_TYPE_SQL = `COALESCE(r.record_type, CASE
+    WHEN r.prescription_id IS NOT NULL THEN 'prescription'
+    WHEN r.test_id IS NOT NULL THEN 'lab_test'
+    ELSE 'consultation'
+  END)`;
+const RECORD_DATE_SQL = 'COALESCE(r.visit_date, DATE(r.created_at))';
+
+// Default grant window when the reviewer does not supply one
+const DEFAULT_ACCESS_DAYS = 30;
+
+// Restricted records are never released, and sensitive ones only when the
+// reviewer approved them individually. Checked on every read, so a record
+// reclassified after its release is withheld too.
+const WITHHELD_SQL = `(r.confidentiality_level = 'restricted'
+    OR (r.confidentiality_level = 'sensitive' AND NOT ar.sensitive_approved))`;
+
+// Current state of a grant; anything other than 'active' refuses access.
+// Needs the record joined as r.
+const GRANT_STATUS_SQL = `CASE
+    WHEN r.status = 'entered_in_error' THEN 'entered_in_error'
+    WHEN ${WITHHELD_SQL} THEN 'withheld'
+    WHEN ar.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN ar.access_granted_until IS NOT NULL AND ar.access_granted_until <= NOW() THEN 'expired'
+    WHEN ar.max_access_count IS NOT NULL AND ar.access_count >= ar.max_access_count THEN 'exhausted'
+    ELSE 'active'
+  END`;
+
+/**
+ * Parse the requested_record_types column into an array
+ * @param {string|Array|null} value - Raw column value
+ * @returns {Array<string>} - Requested record types (empty means all types)
+ */
+const parseRecordTypes = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Get the patient's records that fall inside a data request's scope
+ * Restricted records and records entered in error are never candidates.
+ * @param {Object} request - Data request (patient_id, date range, requested_record_types)
+ * @returns {Promise<Array>} - Candidate records, flagged if already released
+ */
+const getCandidateRecords = async (request) => {
+  let query = `
+    SELECT r.record_id, r.patient_id, r.doc_id, r.prescription_id, r.test_id,
+      r.description, r.confidentiality_level, r.created_at,
+      ${RECORD_TYPE_SQL} as record_type,
+      ${RECORD_DATE_SQL} as record_date,
+      CONCAT(s.first_name, ' ', s.last_name) as doctor_name,
+      ar.id IS NOT NULL as already_released
+    FROM records r
+    JOIN staff s ON r.doc_id = s.staff_id
+    LEFT JOIN approved_records ar ON ar.record_id = r.record_id AND ar.request_id = ?
+    WHERE r.patient_id = ?
+      AND (r.confidentiality_level IS NULL OR r.confidentiality_level <> 'restricted')
+      AND r.status <> 'entered_in_error'
+  `;
+
+  const queryParams = [request.request_id, request.patient_id];
+
+  if (request.date_range_start) {
+    query += ` AND ${RECORD_DATE_SQL} >= ?`;
+    queryParams.push(request.date_range_start);
+  }
+
+  if (request.date_range_end) {
+    query += ` AND ${RECORD_DATE_SQL} <= ?`;
+    queryParams.push(request.date_range_end);
+  }
+
+  const recordTypes = parseRecordTypes(request.requested_record_types);
+
+  if (recordTypes.length > 0) {
+    query += ` AND ${RECORD_TYPE_SQL} IN (?)`;
+    queryParams.push(recordTypes);
+  }
+
+  query += ' ORDER BY record_date DESC';
+
+  const [rows] = await pool.query(query, queryParams);
+
+  return rows.map(record => {
+    record.already_released = !!record.already_released;
+    return record;
+  });
+};
+
+/**
+ * Persist the records released for a data request
+ * @param {Object} connection - Connection holding the approval transaction
+ * @param {string} requestId - Data request ID
+ * @param {Array<string>} recordIds - Record IDs picked by the reviewer
+ * @param {Object} grant - Grant terms (approvedBy, accessGrantedUntil, maxAccessCount,
+ *   sensitiveRecordIds: sensitive records the reviewer explicitly approved)
+ * @returns {Promise<number>} - Number of rows inserted
+ */
+const createApprovedRecords = async (connection, requestId, recordIds, grant) => {
+  const accessGrantedUntil = grant.accessGrantedUntil
+    ? new Date(grant.accessGrantedUntil)
+    : new Date(Date.now() + DEFAULT_ACCESS_DAYS * 24 * 60 * 60 * 1000);
+  const sensitiveRecordIds = grant.sensitiveRecordIds || [];
+
+  const rows = recordIds.map(recordId => [
+    requestId,
+    recordId,
+    grant.approvedBy,
+    accessGrantedUntil,
+    0,
+    grant.maxAccessCount || 1,
+    sensitiveRecordIds.includes(recordId)
+  ]);
+
+  const [result] = await connection.query(
+    `INSERT INTO approved_records (
+      request_id, record_id, approved_by, access_granted_until, access_count, max_access_count,
+      sensitive_approved
+    ) VALUES ?`,
+    [rows]
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Get the grants released for a data request
+ * @param {string} requestId - Data request ID
+ * @returns {Promise<Array>} - Grant terms and status per record, without clinical content
+ */
+const getGrantsByRequest = async (requestId) => {
+  const [rows] = await pool.query(
+    `SELECT ar.id as grant_id, ar.request_id, ar.record_id, ar.approved_by,
+      ar.access_granted_until, ar.access_count, ar.max_access_count,
+      ar.last_accessed_at, ar.revoked_at, ar.revoked_by, ar.created_at,
+      ar.sensitive_approved, r.confidentiality_level,
+      ${RECORD_TYPE_SQL} as record_type,
+      ${RECORD_DATE_SQL} as record_date,
+      CONCAT(s.first_name, ' ', s.last_name) as doctor_name,
+      ${GRANT_STATUS_SQL} as access_status
+     FROM approved_records ar
+     JOIN records r ON ar.record_id = r.record_id
+     JOIN staff s ON r.doc_id = s.staff_id
+     WHERE ar.request_id = ?
+     ORDER BY record_date DESC`,
+    [requestId]
+  );
+
+  return rows;
+};
+
+/**
+ * Get a single grant
+ * @param {string} requestId - Data request ID
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object|null>} - Grant with its current status, or null if the record was not released
+ */
+const getGrant = async (requestId, recordId) => {
+  const [rows] = await pool.query(
+    `SELECT ar.*, ${GRANT_STATUS_SQL} as access_status
+     FROM approved_records ar
+     JOIN records r ON ar.record_id = r.record_id
+     WHERE ar.request_id = ? AND ar.record_id = ?`,
+    [requestId, recordId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Count one read against a grant
+ * The check and the increment happen in a single UPDATE so concurrent reads
+ * cannot exceed max_access_count.
+ * @param {string} requestId - Data request ID
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object>} - { granted, grant } where grant.access_status explains a refusal
+ */
+const consumeAccess = async (requestId, recordId) => {
+  const [result] = await pool.query(
+    `UPDATE approved_records ar
+     JOIN records r ON ar.record_id = r.record_id
+     SET ar.access_count = ar.access_count + 1, ar.last_accessed_at = NOW()
+     WHERE ar.request_id = ? AND ar.record_id = ?
+       AND ${GRANT_STATUS_SQL} = 'active'`,
+    [requestId, recordId]
+  );
+
+  const grant = await getGrant(requestId, recordId);
+
+  return {
+    granted: result.affectedRows > 0,
+    grant
+  };
+};
+
+/**
+ * Get a released record with its clinical content
+ * @param {string} requestId - Data request ID
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object|null>} - Record or null if not released for this request
+ */
+const getReleasedRecord = async (requestId, recordId) => {
+  const [rows] = await pool.query(
+    `SELECT r.*,
+      p.name as patient_name,
+      CONCAT(s.first_name, ' ', s.last_name) as doctor_name,
+      lt.description as test_name,
+      m.med_name,
+      pr.dosage, pr.delay, pr.after_meal,
+      ar.access_granted_until, ar.access_count, ar.max_access_count
+     FROM approved_records ar
+     JOIN data_requests dr ON ar.request_id = dr.request_id
+     JOIN records r ON ar.record_id = r.record_id AND r.patient_id = dr.patient_id
+     JOIN patients p ON r.patient_id = p.patient_id
+     JOIN staff s ON r.doc_id = s.staff_id
+     LEFT JOIN lab_tests lt ON r.test_id = lt.test_id
+     LEFT JOIN prescriptions pr ON r.prescription_id = pr.prescription_id
+     LEFT JOIN medicines m ON pr.med_id = m.med_id
+     WHERE ar.request_id = ? AND ar.record_id = ?`,
+    [requestId, recordId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Extend a grant's expiry date and/or access limit
+ * @param {string} requestId - Data request ID
+ * @param {string} recordId - Record ID
+ * @param {Object} terms - New terms (accessGrantedUntil, maxAccessCount)
+ * @returns {Promise<Object|null>} - Updated grant
+ */
+const extendGrant = async (requestId, recordId, terms) => {
+  const updates = [];
+  const values = [];
+
+  if (terms.accessGrantedUntil) {
+    updates.push('access_granted_until = ?');
+    values.push(new Date(terms.accessGrantedUntil));
+  }
+
+  if (terms.maxAccessCount) {
+    updates.push('max_access_count = ?');
+    values.push(terms.maxAccessCount);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('No fields to update');
+  }
+
+  values.push(requestId, recordId);
+
+  await pool.query(
+    `UPDATE approved_records SET ${updates.join(', ')}
+     WHERE request_id = ? AND record_id = ? AND revoked_at IS NULL`,
+    values
+  );
+
+  return getGrant(requestId, recordId);
+};
+
+/**
+ * Revoke a grant so no further reads are allowed
+ * @param {string} requestId - Data request ID
+ * @param {string} recordId - Record ID
+ * @param {string} revokedBy - ID of the staff member revoking access
+ * @returns {Promise<Object|null>} - Updated grant
+ */
+const revokeGrant = async (requestId, recordId, revokedBy) => {
+  await pool.query(
+    `UPDATE approved_records SET revoked_at = NOW(), revoked_by = ?
+     WHERE request_id = ? AND record_id = ? AND revoked_at IS NULL`,
+    [revokedBy, requestId, recordId]
+  );
+
+  return getGrant(requestId, recordId);
+};
+
+/**
+ * Get grants whose expiry date has passed but have not been revoked yet
+ * @returns {Promise<Array>} - Lapsed grants with the details needed to notify the company
+ */
+const getLapsedGrants = async () => {
+  const [rows] = await pool.query(
+    `SELECT ar.id as grant_id, ar.request_id, ar.record_id, ar.access_granted_until,
+      dr.company_id, dr.patient_id,
+      p.name as patient_name,
+      ic.company_name, ic.email as company_email
+     FROM approved_records ar
+     JOIN data_requests dr ON ar.request_id = dr.request_id
+     JOIN patients p ON dr.patient_id = p.patient_id
+     JOIN insurance_companies ic ON dr.company_id = ic.company_id
+     WHERE ar.revoked_at IS NULL
+       AND ar.access_granted_until IS NOT NULL
+       AND ar.access_granted_until <= NOW()`
+  );
+
+  return rows;
+};
+
+/**
+ * Revoke lapsed grants by ID
+ * Grants revoked or extended since they were listed are left alone.
+ * @param {Array<number>} grantIds - approved_records IDs
+ * @returns {Promise<Array<number>>} - IDs of the grants actually revoked
+ */
+const revokeLapsedGrants = async (grantIds) => {
+  if (grantIds.length === 0) return [];
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT id FROM approved_records
+       WHERE id IN (?) AND revoked_at IS NULL
+         AND access_granted_until IS NOT NULL
+         AND access_granted_until <= NOW()
+       FOR UPDATE`,
+      [grantIds]
+    );
+    const lapsedIds = rows.map(row => row.id);
+
+    if (lapsedIds.length > 0) {
+      await connection.query(
+        `UPDATE approved_records SET revoked_at = NOW(), revoked_by = NULL
+         WHERE id IN (?)`,
+        [lapsedIds]
+      );
+    }
+
+    await connection.commit();
+
+    return lapsedIds;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Revoke several grants at once
+ * @param {Array<number>} grantIds - Approved record IDs
+ * @param {string|null} revokedBy - ID of the user revoking, or null for the system
+ * @returns {Promise<number>} - Number of grants revoked
+ */
+const revokeGrants = async (grantIds, revokedBy) => {
+  if (grantIds.length === 0) return 0;
+
+  const [result] = await pool.query(
+    `UPDATE approved_records SET revoked_at = NOW(), revoked_by = ?
+     WHERE id IN (?) AND revoked_at IS NULL`,
+    [revokedBy, grantIds]
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Get grants released to a company for a patient
+ * Revoked grants are left out; expired or used-up grants still count as released.
+ * @param {string} companyId - Insurance company ID
+ * @param {string} patientId - Patient ID
+ * @param {Object} filter - Restrict to grantIds, recordIds and/or the request purpose
+ * @returns {Promise<Array>} - Grants, newest first
+ */
+const getReleasedGrants = async (companyId, patientId, filter = {}) => {
+  const { grantIds = [], recordIds = [], purpose = null } = filter;
+
+  let query = `
+    SELECT ar.id as grant_id, ar.request_id, ar.record_id, ar.created_at, dr.purpose,
+      ${RECORD_TYPE_SQL} as record_type,
+      ${RECORD_DATE_SQL} as record_date,
+      ${GRANT_STATUS_SQL} as access_status
+    FROM approved_records ar
+    JOIN data_requests dr ON ar.request_id = dr.request_id
+    JOIN records r ON ar.record_id = r.record_id AND r.patient_id = dr.patient_id
+    WHERE dr.company_id = ? AND dr.patient_id = ? AND ar.revoked_at IS NULL
+  `;
+
+  const queryParams = [companyId, patientId];
+
+  if (grantIds.length > 0) {
+    query += ' AND ar.id IN (?)';
+    queryParams.push(grantIds);
+  }
+
+  if (recordIds.length > 0) {
+    query += ' AND ar.record_id IN (?)';
+    queryParams.push(recordIds);
+  }
+
+  if (purpose) {
+    query += ' AND dr.purpose = ?';
+    queryParams.push(purpose);
+  }
+
+  query += ' ORDER BY ar.created_at DESC, ar.id DESC';
+
+  const [rows] = await pool.query(query, queryParams);
+
+  return rows;
+};
+
+module.exports = {
+  RECORD_TYPE_SQL,
+  RECORD_DATE_SQL,
+  parseRecordTypes,
+  getCandidateRecords,
+  createApprovedRecords,
+  getGrantsByRequest,
+  getGrant,
+  consumeAccess,
+  getReleasedRecord,
+  extendGrant,
+  revokeGrant,
+  getLapsedGrants,
+  revokeLapsedGrants,
+  revokeGrants,
+  getReleasedGrants
+};
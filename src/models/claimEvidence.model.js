@@ -0,0 +1,90 @@
+const { pool } = require('../config/database');
+const { RECORD_TYPE_SQL, RECORD_DATE_SQL } = require('./approvedRecord.model');
+
+/**
+ * Attach released records to a claim
+ * Entries name their line by line_number (at filing) or line_item_id (afterwards).
+ * @param {Object} connection - Connection or pool to run the inserts on
+ * @param {string} claimId - Claim ID
+ * @param {Array<Object>} entries - Evidence (grant_id, line_number or line_item_id, notes)
+ * @param {string} attachedBy - ID of the user attaching the evidence
+ * @returns {Promise<Array<number>>} - IDs of the new evidence rows
+ */
+const createEvidence = async (connection, claimId, entries, attachedBy) => {
+  const ids = [];
+
+  for (const entry of entries) {
+    const [result] = await connection.query(
+      `INSERT INTO claim_evidence (
+        claim_id, line_item_id, approved_record_id, notes, attached_by, created_at
+      ) VALUES (
+        ?,
+        COALESCE(?, (SELECT id FROM claim_line_items WHERE claim_id = ? AND line_number = ?)),
+        ?, ?, ?, NOW()
+      )`,
+      [
+        claimId,
+        entry.line_item_id || null,
+        claimId,
+        entry.line_number || null,
+        entry.grant_id,
+        entry.notes || null,
+        attachedBy
+      ]
+    );
+
+    ids.push(result.insertId);
+  }
+
+  return ids;
+};
+
+/**
+ * Get the evidence attached to a claim
+ * Only record metadata is returned; the record itself is read through its grant.
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<Array>} - Evidence with the grant and record it points to
+ */
+const getEvidenceByClaim = async (claimId) => {
+  const [rows] = await pool.query(
+    `SELECT ce.id, ce.claim_id, ce.line_item_id, li.line_number, ce.notes,
+      ce.attached_by, ce.created_at,
+      ar.id as grant_id, ar.request_id, ar.record_id,
+      ${RECORD_TYPE_SQL} as record_type,
+      ${RECORD_DATE_SQL} as record_date,
+      CONCAT(s.first_name, ' ', s.last_name) as doctor_name
+     FROM claim_evidence ce
+     JOIN approved_records ar ON ce.approved_record_id = ar.id
+     JOIN records r ON ar.record_id = r.record_id
+     JOIN staff s ON r.doc_id = s.staff_id
+     LEFT JOIN claim_line_items li ON ce.line_item_id = li.id
+     WHERE ce.claim_id = ?
+     ORDER BY li.line_number IS NULL, li.line_number ASC, ce.id ASC`,
+    [claimId]
+  );
+
+  return rows;
+};
+
+/**
+ * Check whether a grant is already attached to a claim (or to one of its lines)
+ * @param {string} claimId - Claim ID
+ * @param {number} grantId - Approved record (grant) ID
+ * @param {number|null} lineItemId - Line item ID, or null for the claim as a whole
+ * @returns {Promise<boolean>} - True if it is already attached
+ */
+const isAttached = async (claimId, grantId, lineItemId) => {
+  const [rows] = await pool.query(
+    `SELECT id FROM claim_evidence
+     WHERE claim_id = ? AND approved_record_id = ? AND line_item_id <=> ?`,
+    [claimId, grantId, lineItemId]
+  );
+
+  return rows.length > 0;
+};
+
+module.exports = {
+  createEvidence,
+  getEvidenceByClaim,
+  isAttached
+};
@@ -0,0 +1,229 @@
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+
+const LINE_ITEM_TYPES = ['procedure', 'medicine', 'consultation', 'lab_test', 'other'];
+
+/**
+ * Round a money value to two decimal places
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out the line status for an approved amount
+ * @param {number} approvedAmount - Amount the insurer approved
+ * @param {number} claimedAmount - Amount claimed on the line
+ * @returns {string} - 'approved', 'partially_approved' or 'denied'
+ */
+const getLineStatus = (approvedAmount, claimedAmount) => {
+  if (approvedAmount === 0) return 'denied';
+  if (approvedAmount < claimedAmount) return 'partially_approved';
+  return 'approved';
+};
+
+/**
+ * Insert the line items of a new claim
+ * Claimed amounts are computed here from quantity and unit price.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {string} claimId - Claim ID
+ * @param {Array<Object>} items - Line items (service_date, record_id, item_type, procedure_code, med_id, description, quantity, unit_price)
+ * @returns {Promise<number>} - Total claimed across all lines
+ */
+const createLineItems = async (connection, claimId, items) => {
+  let total = 0;
+
+  for (const [index, item] of items.entries()) {
+    const quantity = parseFloat(item.quantity);
+    const unitPrice = parseFloat(item.unit_price);
+    const claimedAmount = roundAmount(quantity * unitPrice);
+
+    await connection.query(
+      `INSERT INTO claim_line_items (
+        claim_id, line_number, service_date, record_id, item_type, procedure_code,
+        med_id, description, quantity, unit_price, claimed_amount, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        claimId,
+        index + 1,
+        item.service_date,
+        item.record_id || null,
+        item.item_type,
+        item.procedure_code || null,
+        item.med_id || null,
+        item.description,
+        quantity,
+        unitPrice,
+        claimedAmount
+      ]
+    );
+
+    total += claimedAmount;
+  }
+
+  return roundAmount(total);
+};
+
+/**
+ * Get the line items of a claim
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<Array>} - Line items in line order
+ */
+const getLineItemsByClaim = async (claimId) => {
+  const [rows] = await pool.query(
+    `SELECT li.*, m.med_name
+     FROM claim_line_items li
+     LEFT JOIN medicines m ON li.med_id = m.med_id
+     WHERE li.claim_id = ?
+     ORDER BY li.line_number ASC`,
+    [claimId]
+  );
+
+  return rows;
+};
+
+/**
+ * Get a single line item of a claim
+ * @param {string} claimId - Claim ID
+ * @param {number} lineId - Line item ID
+ * @returns {Promise<Object|null>} - Line item or null
+ */
+const getLineItem = async (claimId, lineId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM claim_line_items WHERE claim_id = ? AND id = ?',
+    [claimId, lineId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Record the insurer's decision on a line item
+ * @param {string} claimId - Claim ID
+ * @param {number} lineId - Line item ID
+ * @param {Object} decision - approved_amount and decision_reason
+ * @param {string} decidedBy - ID of the user deciding
+ * @returns {Promise<Object>} - Updated line item
+ */
+const decideLineItem = async (claimId, lineId, decision, decidedBy) => {
+  const lineItem = await getLineItem(claimId, lineId);
+
+  if (!lineItem) {
+    throw new AppError('Claim line item not found', 404);
+  }
+
+  const claimedAmount = parseFloat(lineItem.claimed_amount);
+  const approvedAmount = roundAmount(parseFloat(decision.approved_amount));
+
+  if (isNaN(approvedAmount) || approvedAmount < 0) {
+    throw new AppError('Approved amount must be zero or a positive number', 400);
+  }
+
+  if (approvedAmount > claimedAmount) {
+    throw new AppError('Approved amount cannot exceed the claimed amount for the line', 400);
+  }
+
+  const lineStatus = getLineStatus(approvedAmount, claimedAmount);
+
+  if (lineStatus !== 'approved' && !decision.decision_reason) {
+    throw new AppError('A reason is required when a line is denied or partially approved', 400);
+  }
+
+  await pool.query(
+    `UPDATE claim_line_items SET
+      approved_amount = ?,
+      line_status = ?,
+      decision_reason = ?,
+      decided_by = ?,
+      decided_at = NOW()
+    WHERE claim_id = ? AND id = ?`,
+    [approvedAmount, lineStatus, decision.decision_reason || null, decidedBy, claimId, lineId]
+  );
+
+  return getLineItem(claimId, lineId);
+};
+
+/**
+ * Deny every undecided line item of a claim
+ * Used when the whole claim is rejected.
+ * @param {Object} connection - Connection holding the claim's status transaction
+ * @param {string} claimId - Claim ID
+ * @param {string} reason - Reason recorded on each line
+ * @param {string} decidedBy - ID of the user rejecting the claim
+ * @returns {Promise<number>} - Number of lines denied
+ */
+const denyPendingLineItems = async (connection, claimId, reason, decidedBy) => {
+  const [result] = await connection.query(
+    `UPDATE claim_line_items SET
+      approved_amount = 0,
+      line_status = 'denied',
+      decision_reason = ?,
+      decided_by = ?,
+      decided_at = NOW()
+    WHERE claim_id = ? AND line_status = 'pending'`,
+    [reason, decidedBy, claimId]
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Reopen decided line items of a claim for review
+ * Used when a rejected claim is appealed.
+ * @param {Object} connection - Connection holding the claim's status transaction
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<number>} - Number of lines reopened
+ */
+const reopenLineItems = async (connection, claimId) => {
+  const [result] = await connection.query(
+    `UPDATE claim_line_items SET
+      approved_amount = NULL,
+      line_status = 'pending',
+      decision_reason = NULL,
+      decided_by = NULL,
+      decided_at = NULL
+    WHERE claim_id = ?`,
+    [claimId]
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Get line totals of a claim
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<Object>} - line_count, pending_count, claimed_total and approved_total
+ */
+const getLineTotals = async (claimId) => {
+  const [rows] = await pool.query(
+    `SELECT
+      COUNT(*) as line_count,
+      COALESCE(SUM(line_status = 'pending'), 0) as pending_count,
+      COALESCE(SUM(claimed_amount), 0) as claimed_total,
+      COALESCE(SUM(approved_amount), 0) as approved_total
+     FROM claim_line_items
+     WHERE claim_id = ?`,
+    [claimId]
+  );
+
+  const totals = rows[0];
+
+  return {
+    line_count: parseInt(totals.line_count),
+    pending_count: parseInt(totals.pending_count),
+    claimed_total: roundAmount(parseFloat(totals.claimed_total)),
+    approved_total: roundAmount(parseFloat(totals.approved_total))
+  };
+};
+
+module.exports = {
+  LINE_ITEM_TYPES,
+  roundAmount,
+  createLineItems,
+  getLineItemsByClaim,
+  getLineItem,
+  decideLineItem,
+  denyPendingLineItems,
+  reopenLineItems,
+  getLineTotals
+};
@@ -0,0 +1,270 @@
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const { parseRecordTypes } = require('./approvedRecord.model');
+
+// Purposes a patient can consent to; data requests must name one of them
+const CONSENT_PURPOSES = ['claim_verification', 'policy_renewal', 'underwriting', 'fraud_investigation'];
+
+// Current state of a consent; only 'active' consents allow requests and releases
+const CONSENT_STATUS_SQL = `CASE
+    WHEN pc.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN pc.expires_at IS NOT NULL AND pc.expires_at <= NOW() THEN 'expired'
+    WHEN pc.valid_from > NOW() THEN 'scheduled'
+    ELSE 'active'
+  END`;
+
+/**
+ * Reduce a DATE value to YYYY-MM-DD so dates and strings compare alike
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} - Date key
+ */
+const toDateKey = (value) => {
+  if (!value) return null;
+
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Parse the record_types column of a consent
+ * @param {Object} row - Consent row
+ * @returns {Object} - Consent with record_types as an array (empty means all types)
+ */
+const formatConsent = (row) => ({
+  ...row,
+  record_types: parseRecordTypes(row.record_types)
+});
+
+/**
+ * Check whether a consent covers a record
+ * @param {Object} consent - Formatted consent
+ * @param {Object} record - Record with record_type and record_date
+ * @returns {boolean} - True if the record's type and date fall inside the consent
+ */
+const coversRecord = (consent, record) => {
+  const recordDate = toDateKey(record.record_date);
+
+  if (consent.record_types.length > 0 && !consent.record_types.includes(record.record_type)) {
+    return false;
+  }
+
+  if (consent.date_range_start && recordDate < toDateKey(consent.date_range_start)) {
+    return false;
+  }
+
+  if (consent.date_range_end && recordDate > toDateKey(consent.date_range_end)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Check whether a consent shares any scope with a data request
+ * @param {Object} consent - Formatted consent
+ * @param {Object} request - Request with requested_record_types and date range
+ * @returns {boolean} - True if some record could satisfy both
+ */
+const overlapsRequest = (consent, request) => {
+  const requestedTypes = parseRecordTypes(request.requested_record_types);
+
+  if (consent.record_types.length > 0 && requestedTypes.length > 0 &&
+      !requestedTypes.some(type => consent.record_types.includes(type))) {
+    return false;
+  }
+
+  const requestStart = toDateKey(request.date_range_start);
+  const requestEnd = toDateKey(request.date_range_end);
+
+  if (consent.date_range_end && requestStart && requestStart > toDateKey(consent.date_range_end)) {
+    return false;
+  }
+
+  if (consent.date_range_start && requestEnd && requestEnd < toDateKey(consent.date_range_start)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Record a patient's consent
+ * @param {Object} consentData - Consent data
+ * @returns {Promise<Object>} - The created consent
+ */
+const createConsent = async (consentData) => {
+  const {
+    patient_id,
+    company_id,
+    purpose,
+    record_types,
+    date_range_start,
+    date_range_end,
+    valid_from,
+    expires_at,
+    consent_method,
+    document_reference,
+    recorded_by
+  } = consentData;
+
+  const consentId = `CN${Date.now().toString().slice(-6)}`;
+
+  await pool.query(
+    `INSERT INTO patient_consents (
+      consent_id, patient_id, company_id, purpose, record_types, date_range_start, date_range_end,
+      valid_from, expires_at, consent_method, document_reference, recorded_by, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()), ?, ?, ?, ?, NOW())`,
+    [
+      consentId,
+      patient_id,
+      company_id,
+      purpose,
+      record_types && record_types.length > 0 ? JSON.stringify(record_types) : null,
+      date_range_start || null,
+      date_range_end || null,
+      valid_from ? new Date(valid_from) : null,
+      expires_at ? new Date(expires_at) : null,
+      consent_method || 'written',
+      document_reference || null,
+      recorded_by
+    ]
+  );
+
+  return getConsentById(consentId);
+};
+
+/**
+ * Get a consent by ID
+ * @param {string} id - Consent ID
+ * @returns {Promise<Object|null>} - Consent with its current status, or null
+ */
+const getConsentById = async (id) => {
+  const [rows] = await pool.query(
+    `SELECT pc.*, p.name as patient_name, ic.company_name,
+      ${CONSENT_STATUS_SQL} as status
+     FROM patient_consents pc
+     JOIN patients p ON pc.patient_id = p.patient_id
+     JOIN insurance_companies ic ON pc.company_id = ic.company_id
+     WHERE pc.consent_id = ?`,
+    [id]
+  );
+
+  return rows.length > 0 ? formatConsent(rows[0]) : null;
+};
+
+/**
+ * Get consents, optionally filtered
+ * @param {Object} options - Filters (patientId, companyId, purpose, status, limit, offset)
+ * @returns {Promise<Array>} - Consents, newest first
+ */
+const getConsents = async (options = {}) => {
+  const {
+    patientId = null,
+    companyId = null,
+    purpose = null,
+    status = null,
+    limit = 50,
+    offset = 0
+  } = options;
+
+  let query = `
+    SELECT pc.*, p.name as patient_name, ic.company_name,
+      ${CONSENT_STATUS_SQL} as status
+    FROM patient_consents pc
+    JOIN patients p ON pc.patient_id = p.patient_id
+    JOIN insurance_companies ic ON pc.company_id = ic.company_id
+    WHERE 1=1
+  `;
+
+  const queryParams = [];
+
+  if (patientId) {
+    query += ' AND pc.patient_id = ?';
+    queryParams.push(patientId);
+  }
+
+  if (companyId) {
+    query += ' AND pc.company_id = ?';
+    queryParams.push(companyId);
+  }
+
+  if (purpose) {
+    query += ' AND pc.purpose = ?';
+    queryParams.push(purpose);
+  }
+
+  if (status) {
+    query += ` AND ${CONSENT_STATUS_SQL} = ?`;
+    queryParams.push(status);
+  }
+
+  query += ' ORDER BY pc.created_at DESC LIMIT ? OFFSET ?';
+  queryParams.push(parseInt(limit), parseInt(offset));
+
+  const [rows] = await pool.query(query, queryParams);
+
+  return rows.map(formatConsent);
+};
+
+/**
+ * Get the consents currently in force for a patient, company and purpose
+ * @param {string} patientId - Patient ID
+ * @param {string} companyId - Insurance company ID
+ * @param {string} purpose - Purpose of the request
+ * @returns {Promise<Array>} - Active consents
+ */
+const getActiveConsents = async (patientId, companyId, purpose) => {
+  const [rows] = await pool.query(
+    `SELECT pc.*, ${CONSENT_STATUS_SQL} as status
+     FROM patient_consents pc
+     WHERE pc.patient_id = ? AND pc.company_id = ? AND pc.purpose = ?
+       AND ${CONSENT_STATUS_SQL} = 'active'`,
+    [patientId, companyId, purpose]
+  );
+
+  return rows.map(formatConsent);
+};
+
+/**
+ * Revoke a consent
+ * @param {string} id - Consent ID
+ * @param {string} revokedBy - ID of the user recording the revocation
+ * @param {string} reason - Why the patient withdrew consent
+ * @returns {Promise<Object>} - Revoked consent
+ */
+const revokeConsent = async (id, revokedBy, reason) => {
+  const [result] = await pool.query(
+    `UPDATE patient_consents
+     SET revoked_at = NOW(), revoked_by = ?, revocation_reason = ?
+     WHERE consent_id = ? AND revoked_at IS NULL`,
+    [revokedBy, reason || null, id]
+  );
+
+  if (result.affectedRows === 0) {
+    const consent = await getConsentById(id);
+
+    if (!consent) {
+      throw new AppError('Consent not found', 404);
+    }
+
+    throw new AppError('Consent has already been revoked', 409);
+  }
+
+  return getConsentById(id);
+};
+
+module.exports = {
+  CONSENT_PURPOSES,
+  coversRecord,
+  overlapsRequest,
+  createConsent,
+  getConsentById,
+  getConsents,
+  getActiveConsents,
+  revokeConsent
+};
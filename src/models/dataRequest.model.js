@@ -1,11 +1,19 @@
 const { pool } = require('../config/database');
 const { encrypt, decrypt } = require('../middleware/encryption.middleware');
+const { AppError } = require('../utils/error.utils');
 const emailService = require('../services/email.service');
 const insuranceModel = require('./insurance.model');
 const patientModel = require('./patient.model');
+const approvedRecordModel = require('./approvedRecord.model');
+const consentModel = require('./consent.model');
+
+// Pending requests expire if nobody reviews them within this many days
+const REQUEST_EXPIRY_DAYS = parseInt(process.env.DATA_REQUEST_EXPIRY_DAYS) || 14;
 
 /**
  * Create a new data request
+ * The patient must have an active consent for the company and purpose that
+ * overlaps the requested record types and dates.
  * @param {Object} requestData - Request data
  * @returns {Promise<Object>} - The created request
  */
@@ -16,10 +24,25 @@ const createDataRequest = async (requestData) => {
       purpose, 
       date_range_start, 
       date_range_end, 
+      requested_record_types,
       created_by,
       request_details
     } = requestData;
     
+    if (!consentModel.CONSENT_PURPOSES.includes(purpose)) {
+      throw new AppError(`Purpose must be one of: ${consentModel.CONSENT_PURPOSES.join(', ')}`, 400);
+    }
+    
+    const consents = await consentModel.getActiveConsents(patient_id, company_id, purpose);
+    
+    if (consents.length === 0) {
+      throw new AppError(`The patient has not consented to share records with your company for ${purpose}`, 403);
+    }
+    
+    if (!consents.some(consent => consentModel.overlapsRequest(consent, requestData))) {
+      throw new AppError('The requested record types or dates fall outside the patient\'s consent', 403);
+    }
+    
     // Generate request ID
     const request_id = `REQ${Date.now().toString().slice(-6)}`;
     
@@ -27,8 +50,8 @@ const createDataRequest = async (requestData) => {
     const [result] = await pool.query(
       `INSERT INTO data_requests (
         request_id, company_id, patient_id, purpose, date_range_start, date_range_end, 
-        status, request_date, created_by, request_details
-      ) VALUES (?, ?, ?, ?, ?, ?, '0', NOW(), ?, ?)`,
+        requested_record_types, status, request_date, expiry_date, created_by, request_details
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, '0', NOW(), DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
       [
         request_id,
         company_id,
@@ -36,6 +59,8 @@ const createDataRequest = async (requestData) => {
         purpose,
         date_range_start || null,
         date_range_end || null,
+        requested_record_types ? JSON.stringify(requested_record_types) : null,
+        REQUEST_EXPIRY_DAYS,
         created_by,
         JSON.stringify(request_details || {})
       ]
@@ -63,7 +88,7 @@ const getAllDataRequests = async (options = {}) => {
   let query = `
     SELECT dr.request_id, dr.company_id, dr.patient_id, dr.purpose, 
            dr.date_range_start, dr.date_range_end, dr.status,
-           dr.request_date, dr.response_date, dr.response_notes,
+           dr.request_date, dr.response_date, dr.response_notes, dr.expiry_date,
            p.name as patient_name,
            ic.company_name
     FROM data_requests dr
@@ -122,8 +147,8 @@ const getAllDataRequests = async (options = {}) => {
 const getDataRequestById = async (id) => {
   const [rows] = await pool.query(
     `SELECT dr.request_id, dr.company_id, dr.patient_id, dr.purpose, 
-            dr.date_range_start, dr.date_range_end, dr.status,
-            dr.request_date, dr.response_date, dr.response_notes,
+            dr.date_range_start, dr.date_range_end, dr.requested_record_types, dr.status,
+            dr.request_date, dr.response_date, dr.response_notes, dr.reviewed_by, dr.expiry_date,
             p.name as patient_name,
             ic.company_name
      FROM data_requests dr
@@ -148,7 +173,7 @@ const getDataRequestById = async (id) => {
 /**
  * Update data request status
  * @param {string} id - Request ID
- * @param {number} status - New status (0: pending, 1: approved, 2: rejected)
+ * @param {number} status - New status (0: pending, 1: approved, 2: rejected, 3: expired)
  * @param {string} notes - Response notes
  * @returns {Promise<Object>} - Updated data request
  */
@@ -171,7 +196,152 @@ const updateDataRequestStatus = async (id, status, notes) => {
   // Get the updated request
   const updatedRequest = await getDataRequestById(id);
   
-  // Send email notification
+  await notifyStatusChange(request, status, notes);
+  
+  return updatedRequest;
+};
+
+/**
+ * Approve a data request and release the selected records
+ * @param {string} id - Request ID
+ * @param {Object} approval - Approval data (recordIds, sensitiveRecordIds, approvedBy,
+ *   accessGrantedUntil, maxAccessCount, notes)
+ * @returns {Promise<Object>} - Updated data request with its released records and
+ *   the sensitive ones among them
+ */
+const approveDataRequest = async (id, approval) => {
+  const { recordIds, sensitiveRecordIds = [], approvedBy, accessGrantedUntil, maxAccessCount, notes } = approval;
+  
+  const request = await getDataRequestById(id);
+  
+  if (!request) {
+    throw new AppError('Data request not found', 404);
+  }
+  
+  if (request.status !== 'pending') {
+    throw new AppError(`Data request has already been ${request.status}`, 409);
+  }
+  
+  // Only records inside the requested scope may be released
+  const candidates = await approvedRecordModel.getCandidateRecords(request);
+  const candidateIds = new Set(candidates.map(record => record.record_id));
+  const selectedIds = [...new Set(recordIds)];
+  const outOfScope = selectedIds.filter(recordId => !candidateIds.has(recordId));
+  
+  if (outOfScope.length > 0) {
+    throw new AppError(`Records outside the scope of this request: ${outOfScope.join(', ')}`, 400);
+  }
+  
+  // Sensitive records need to be approved one by one, not just ticked in the selection
+  const selectedSensitive = candidates
+    .filter(record => selectedIds.includes(record.record_id) && record.confidentiality_level === 'sensitive')
+    .map(record => record.record_id);
+  const unapprovedSensitive = selectedSensitive.filter(recordId => !sensitiveRecordIds.includes(recordId));
+  
+  if (unapprovedSensitive.length > 0) {
+    throw new AppError(`Sensitive records must be approved explicitly: ${unapprovedSensitive.join(', ')}`, 400);
+  }
+  
+  // Consent is checked again at release time, since it may have expired or been revoked
+  const consents = await consentModel.getActiveConsents(request.patient_id, request.company_id, request.purpose);
+  const unconsented = candidates
+    .filter(record => selectedIds.includes(record.record_id))
+    .filter(record => !consents.some(consent => consentModel.coversRecord(consent, record)))
+    .map(record => record.record_id);
+  
+  if (unconsented.length > 0) {
+    throw new AppError(`Records outside the patient's consent: ${unconsented.join(', ')}`, 403);
+  }
+  
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+  
+  try {
+    // Another reviewer may have decided the request since it was read above
+    const [[locked]] = await connection.query(
+      'SELECT status FROM data_requests WHERE request_id = ? FOR UPDATE',
+      [id]
+    );
+    
+    if (!locked || formatStatus(locked.status) !== 'pending') {
+      throw new AppError(`Data request has already been ${locked ? formatStatus(locked.status) : 'deleted'}`, 409);
+    }
+    
+    await approvedRecordModel.createApprovedRecords(connection, id, selectedIds, {
+      sensitiveRecordIds: selectedSensitive,
+      approvedBy,
+      accessGrantedUntil,
+      maxAccessCount
+    });
+    
+    await connection.query(
+      `UPDATE data_requests 
+       SET status = ?, response_notes = ?, response_date = NOW(), reviewed_by = ?
+       WHERE request_id = ? AND status = ?`,
+      [parseStatus('approved'), notes || null, approvedBy, id, parseStatus('pending')]
+    );
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  const updatedRequest = await getDataRequestById(id);
+  
+  await notifyStatusChange(request, parseStatus('approved'), notes);
+  
+  return {
+    ...updatedRequest,
+    released_records: selectedIds,
+    sensitive_records: selectedSensitive
+  };
+};
+
+/**
+ * Get pending requests whose expiry date has passed
+ * @returns {Promise<Array>} - Stale requests with the details needed to notify the company
+ */
+const getExpiredPendingRequests = async () => {
+  const [rows] = await pool.query(
+    `SELECT dr.request_id, dr.company_id, dr.patient_id, dr.expiry_date,
+            p.name as patient_name,
+            ic.company_name, ic.email as company_email
+     FROM data_requests dr
+     INNER JOIN patients p ON dr.patient_id = p.patient_id
+     INNER JOIN insurance_companies ic ON dr.company_id = ic.company_id
+     WHERE dr.status = ? AND dr.expiry_date IS NOT NULL AND dr.expiry_date <= NOW()`,
+    [parseStatus('pending')]
+  );
+  
+  return rows;
+};
+
+/**
+ * Mark a pending request as expired
+ * @param {string} id - Request ID
+ * @returns {Promise<boolean>} - True if the request was still pending and is now expired
+ */
+const expireDataRequest = async (id) => {
+  const [result] = await pool.query(
+    `UPDATE data_requests 
+     SET status = ?, response_notes = ?, response_date = NOW()
+     WHERE request_id = ? AND status = ?`,
+    [parseStatus('expired'), 'Request expired before it was reviewed', id, parseStatus('pending')]
+  );
+  
+  return result.affectedRows > 0;
+};
+
+/**
+ * Notify the insurance company about a status change
+ * @param {Object} request - Data request before the change
+ * @param {number} status - New status
+ * @param {string} notes - Response notes
+ */
+const notifyStatusChange = async (request, status, notes) => {
   try {
     const company = await insuranceModel.getInsuranceById(request.company_id);
     const statusText = formatStatus(status);
@@ -189,8 +359,6 @@ const updateDataRequestStatus = async (id, status, notes) => {
     console.error('Failed to send status update email:', emailError);
     // Continue with returning the request, but log the error
   }
-  
-  return updatedRequest;
 };
 
 /**
@@ -206,6 +374,8 @@ const formatStatus = (status) => {
       return 'approved';
     case 2:
       return 'rejected';
+    case 3:
+      return 'expired';
     default:
       return 'unknown';
   }
@@ -224,6 +394,8 @@ const parseStatus = (status) => {
       return 1;
     case 'rejected':
       return 2;
+    case 'expired':
+      return 3;
     default:
       return 0;
   }
@@ -234,6 +406,9 @@ module.exports = {
   getAllDataRequests,
   getDataRequestById,
   updateDataRequestStatus,
+  approveDataRequest,
+  getExpiredPendingRequests,
+  expireDataRequest,
   formatStatus,
   parseStatus
 };
\ No newline at end of file
@@ -1,34 +1,46 @@
-const { query } = require('../config/database');
+const { pool } = require('../config/database');
 const { AppError } = require('../utils/error.utils');
+const { blindIndex } = require('../middleware/encryption.middleware');
 
 /**
  * Get all patients for the system
- * @param {Object} options - Query options
+ * NIC is encrypted, so it is only matched exactly, through its blind index.
+ * @param {Object} options - Query options (search, nic, limit, offset)
  * @returns {Promise<Array>} - Array of patients
  */
 const getAllPatients = async (options = {}) => {
-  const { search = '', limit = 100, offset = 0 } = options;
+  const { search = '', nic = '', limit = 100, offset = 0 } = options;
   
   try {
     let sql = 'SELECT * FROM patients';
+    const conditions = [];
     const params = [];
     
     if (search) {
-      sql += ` WHERE 
+      conditions.push(`(
         name LIKE ? OR
-        nic LIKE ? OR
+        nic_index = ? OR
         mobile LIKE ? OR
-        email LIKE ?`;
+        email LIKE ?)`);
       
       const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      params.push(searchTerm, blindIndex('nic', search), searchTerm, searchTerm);
+    }
+    
+    if (nic) {
+      conditions.push('nic_index = ?');
+      params.push(blindIndex('nic', nic));
+    }
+    
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
     }
     
     sql += ' LIMIT ? OFFSET ?';
     params.push(parseInt(limit), parseInt(offset));
     
-    const results = await query(sql, params);
-    return results;
+    const [results] = await pool.query(sql, params);
+    return results.map(({ nic_index, ...patient }) => patient);
   } catch (error) {
     console.error('Error in getAllPatients:', error);
     throw new AppError('Failed to fetch patients', 500);
@@ -56,7 +68,7 @@ const getPatientRecords = async (patientId) => {
         r.created_at DESC
     `;
     
-    const results = await query(sql, [patientId]);
+    const [results] = await pool.query(sql, [patientId]);
     
     // Get additional details for each record
     for (const record of results) {
@@ -73,14 +85,14 @@ const getPatientRecords = async (patientId) => {
             p.prescription_id = ?
         `;
         
-        const [prescription] = await query(prescriptionSql, [record.prescription_id]);
+        const [[prescription]] = await pool.query(prescriptionSql, [record.prescription_id]);
         record.prescription = prescription || null;
       } else if (record.record_type === 'lab_test' && record.test_id) {
         const labTestSql = `
           SELECT * FROM lab_tests WHERE test_id = ?
         `;
         
-        const [labTest] = await query(labTestSql, [record.test_id]);
+        const [[labTest]] = await pool.query(labTestSql, [record.test_id]);
         record.lab_test = labTest || null;
       }
     }
@@ -114,7 +126,7 @@ const getRecordById = async (recordId) => {
         r.record_id = ?
     `;
     
-    const [record] = await query(sql, [recordId]);
+    const [[record]] = await pool.query(sql, [recordId]);
     
     if (!record) {
       return null;
@@ -133,14 +145,14 @@ const getRecordById = async (recordId) => {
           p.prescription_id = ?
       `;
       
-      const [prescription] = await query(prescriptionSql, [record.prescription_id]);
+      const [[prescription]] = await pool.query(prescriptionSql, [record.prescription_id]);
       record.prescription = prescription || null;
     } else if (record.record_type === 'lab_test' && record.test_id) {
       const labTestSql = `
         SELECT * FROM lab_tests WHERE test_id = ?
       `;
       
-      const [labTest] = await query(labTestSql, [record.test_id]);
+      const [[labTest]] = await pool.query(labTestSql, [record.test_id]);
       record.lab_test = labTest || null;
     }
     
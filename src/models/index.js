@@ -6,7 +6,11 @@ const medicineModel = require('./medicine.model');
 //const auditLogModel = require('./audit.model');
 const insuranceAllocationModel  = require('./insuranceAllocation.model');
 const dataRequestModel = require('./dataRequest.model');
+const approvedRecordModel = require('./approvedRecord.model');
+const consentModel = require('./consent.model');
 const insuranceClaimModel = require('./insuranceClaim.model');
+const claimLineItemModel = require('./claimLineItem.model');
+const claimEvidenceModel = require('./claimEvidence.model');
 const doctorModel = require('./doctor.model');
 
 module.exports = {
@@ -17,6 +21,10 @@ module.exports = {
   medicineModel,
   insuranceAllocationModel,
   dataRequestModel,
+  approvedRecordModel,
+  consentModel,
   insuranceClaimModel,
+  claimLineItemModel,
+  claimEvidenceModel,
   doctorModel
 };
\ No newline at end of file
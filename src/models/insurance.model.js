@@ -1,9 +1,8 @@
 const { pool } = require('../config/database');
-const { encrypt, decrypt } = require('../middleware/encryption.middleware');
+const { encryptFields } = require('../utils/fieldEncryption');
 const bcrypt = require('bcrypt');
-
-// Fields that should be encrypted/decrypted
-const sensitiveFields = ['address'];
+const refreshTokenModel = require('./refreshToken.model');
+const passwordHistoryModel = require('./passwordHistory.model');
 
 /**
  * Create a new insurance company
@@ -15,7 +14,7 @@ const createInsurance = async (insuranceData) => {
   const hashedPassword = await bcrypt.hash(insuranceData.password, 10);
   
   // Encrypt sensitive fields
-  const encryptedAddress = encrypt(insuranceData.address);
+  const encryptedData = encryptFields('insurance_companies', insuranceData);
   
   // Generate company ID
   const companyId = `IN${Date.now().toString().slice(-6)}`;
@@ -39,7 +38,7 @@ const createInsurance = async (insuranceData) => {
       insuranceData.website || null,
       insuranceData.hotline,
       insuranceData.email,
-      encryptedAddress,
+      encryptedData.address,
       insuranceData.city,
       insuranceData.district,
       insuranceData.postal_code,
@@ -101,13 +100,6 @@ const getInsuranceById = async (id, keepPassword = false) => {
       
       const insurance = rows[0];
       
-      // Decrypt sensitive fields
-      sensitiveFields.forEach(field => {
-        if (insurance[field]) {
-          insurance[field] = decrypt(insurance[field]);
-        }
-      });
-      
       // Remove password only if not needed
       if (!keepPassword) {
         delete insurance.password;
@@ -133,15 +125,8 @@ const updateInsurance = async (id, insuranceData) => {
     throw new Error('Insurance company not found');
   }
   
-  // Create updated insurance object
-  const updatedInsurance = { ...currentInsurance[0], ...insuranceData };
-  
-  // Encrypt sensitive fields if they were updated
-  sensitiveFields.forEach(field => {
-    if (insuranceData[field]) {
-      updatedInsurance[field] = encrypt(insuranceData[field]);
-    }
-  });
+  // Create updated insurance object, with its sensitive fields encrypted again
+  const updatedInsurance = encryptFields('insurance_companies', { ...currentInsurance[0], ...insuranceData });
   
   // Hash password if it was updated
   if (insuranceData.password) {
@@ -152,6 +137,12 @@ const updateInsurance = async (id, insuranceData) => {
       'UPDATE users SET password = ? WHERE id = ?',
       [updatedInsurance.password, id]
     );
+    
+    // Kept so recent passwords cannot be chosen again, and to track password age
+    await passwordHistoryModel.recordPasswordChange(id, updatedInsurance.password);
+    
+    // Sessions signed in with the old password end now
+    await refreshTokenModel.revokeUserTokens(id, 'password_changed');
   }
   
   // Update the insurance record
@@ -195,6 +186,8 @@ const updateInsurance = async (id, insuranceData) => {
  * @returns {Promise<boolean>} - True if successfully deleted
  */
 const deleteInsurance = async (id) => {
+  await refreshTokenModel.revokeUserTokens(id, 'account_deleted');
+  
   // Delete from users table first (foreign key constraint)
   await pool.query('DELETE FROM users WHERE id = ?', [id]);
   
@@ -222,16 +215,7 @@ const findInsuranceByEmail = async (email) => {
     return null;
   }
   
-  const insurance = rows[0];
-  
-  // Decrypt sensitive fields
-  sensitiveFields.forEach(field => {
-    if (insurance[field]) {
-      insurance[field] = decrypt(insurance[field]);
-    }
-  });
-  
-  return insurance;
+  return rows[0];
 };
 
 module.exports = {
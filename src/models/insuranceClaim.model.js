@@ -1,38 +1,92 @@
 const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const claimLineItemModel = require('./claimLineItem.model');
+const claimEvidenceModel = require('./claimEvidence.model');
 const emailService = require('../services/email.service');
 
 /**
  * Create a new insurance claim
+ * When line items are given the claim amount is their computed total.
  * @param {Object} claimData - Claim data
  * @returns {Promise<Object>} - The created claim with ID
  */
 const createClaim = async (claimData) => {
-  const { company_id, patient_id, claim_details } = claimData;
-  
-  // Insert the new claim
-  const [result] = await pool.query(
-    `INSERT INTO claims 
-     (company_id, patient_id, claim_details, status, created_at) 
-     VALUES (?, ?, ?, 'pending', NOW())`,
-    [company_id, patient_id, JSON.stringify(claim_details)]
-  );
+  const { 
+    company_id, 
+    patient_id, 
+    policy_number, 
+    claim_type, 
+    claim_amount, 
+    claim_date, 
+    claim_details, 
+    supporting_documents,
+    line_items = [],
+    evidence = [],
+    created_by,
+    created_by_role
+  } = claimData;
   
-  const claimId = result.insertId;
+  // Generate claim ID
+  const claimId = `CL${Date.now().toString().slice(-6)}`;
   
-  // Get claim with patient information
-  const [claims] = await pool.query(
-    `SELECT c.*, p.name as patient_name 
-     FROM claims c
-     JOIN patients p ON c.patient_id = p.patient_id
-     WHERE c.id = ?`,
-    [claimId]
-  );
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
   
-  if (claims.length === 0) {
-    throw new Error('Failed to retrieve created claim');
+  try {
+    // Insert the new claim
+    await connection.query(
+      `INSERT INTO claims (
+        claim_id, company_id, patient_id, policy_number, claim_amount, claim_type,
+        claim_details, supporting_documents, status, claim_date, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, NOW())`,
+      [
+        claimId,
+        company_id,
+        patient_id,
+        policy_number || null,
+        claim_amount || null,
+        claim_type || null,
+        JSON.stringify(claim_details || {}),
+        supporting_documents && supporting_documents.length > 0 ? JSON.stringify(supporting_documents) : null,
+        claim_date || new Date().toISOString().split('T')[0]
+      ]
+    );
+    
+    if (line_items.length > 0) {
+      const lineTotal = await claimLineItemModel.createLineItems(connection, claimId, line_items);
+      
+      await connection.query(
+        'UPDATE claims SET claim_amount = ? WHERE claim_id = ?',
+        [lineTotal, claimId]
+      );
+    }
+    
+    // Evidence may name a line, so it goes in after the line items
+    if (evidence.length > 0) {
+      await claimEvidenceModel.createEvidence(connection, claimId, evidence, created_by);
+    }
+    
+    // The history starts with the claim entering 'pending'
+    await connection.query(
+      `INSERT INTO claim_status_history (
+        claim_id, from_status, to_status, changed_by, changed_by_role, created_at
+      ) VALUES (?, NULL, 'pending', ?, ?, NOW())`,
+      [claimId, created_by, created_by_role]
+    );
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
   
-  const claim = claims[0];
+  const claim = await getClaimById(claimId);
+  
+  if (!claim) {
+    throw new Error('Failed to retrieve created claim');
+  }
   
   // Send notification to admins
   try {
@@ -49,16 +103,14 @@ const createClaim = async (claimData) => {
     
     if (admins.length > 0 && companies.length > 0) {
       const companyName = companies[0].company_name;
-      const patientName = claim.patient_name;
-      const claimDetailsObj = JSON.parse(claim.claim_details);
-      const totalAmount = claimDetailsObj.totalAmount || 0;
+      const totalAmount = claim.claim_amount || 0;
       
       // Notify admins about new claim
       for (const admin of admins) {
         await emailService.sendNewClaimNotification(
           admin.email,
           `${admin.first_name} ${admin.last_name}`,
-          patientName,
+          claim.patient_name,
           companyName,
           claimId,
           totalAmount
@@ -70,10 +122,7 @@ const createClaim = async (claimData) => {
     // Continue processing - don't fail if email fails
   }
   
-  return {
-    ...claim,
-    claim_details: JSON.parse(claim.claim_details)
-  };
+  return claim;
 };
 
 /**
@@ -91,9 +140,10 @@ const getAllClaims = async (options = {}) => {
   } = options;
   
   let query = `
-    SELECT c.*, p.name as patient_name 
+    SELECT c.*, p.name as patient_name, ic.company_name
     FROM claims c
     JOIN patients p ON c.patient_id = p.patient_id
+    JOIN insurance_companies ic ON c.company_id = ic.company_id
     WHERE 1=1
   `;
   
@@ -128,15 +178,17 @@ const getAllClaims = async (options = {}) => {
 
 /**
  * Get a claim by ID
- * @param {number} id - Claim ID
+ * @param {string} id - Claim ID
  * @returns {Promise<Object|null>} - Claim with details or null
  */
 const getClaimById = async (id) => {
   const [claims] = await pool.query(
-    `SELECT c.*, p.name as patient_name, p.gender, p.date_of_birth, p.email, p.mobile
+    `SELECT c.*, p.name as patient_name, p.gender, p.date_of_birth, p.email, p.mobile,
+       ic.company_name
      FROM claims c
      JOIN patients p ON c.patient_id = p.patient_id
-     WHERE c.id = ?`,
+     JOIN insurance_companies ic ON c.company_id = ic.company_id
+     WHERE c.claim_id = ?`,
     [id]
   );
   
@@ -153,50 +205,187 @@ const getClaimById = async (id) => {
 };
 
 /**
- * Update claim status
- * @param {number} id - Claim ID
- * @param {string} status - New status ('pending', 'approved', 'rejected', 'partial')
- * @param {string} notes - Notes about the status change
- * @param {string} rejectionReason - Reason for rejection (if status is 'rejected')
+ * Move a claim to a new status and record the transition
+ * Line items follow in the same transaction: rejecting denies undecided lines,
+ * and an appeal of a rejected claim reopens every line.
+ * @param {string} id - Claim ID
+ * @param {string} fromStatus - Status the caller validated the transition from
+ * @param {string} toStatus - New status
+ * @param {Object} changes - Fields set by the transition (review_notes, settlement_amount, payment_reference)
+ * @param {Object} actor - User making the change (id, role)
  * @returns {Promise<Object>} - Updated claim
  */
-const updateClaimStatus = async (id, status, notes, rejectionReason = null) => {
-  let updateFields = { status, notes };
+const updateClaimStatus = async (id, fromStatus, toStatus, changes, actor) => {
+  const { review_notes = null, settlement_amount = null, payment_reference = null } = changes;
   
-  if (status === 'rejected' && rejectionReason) {
-    updateFields.rejection_reason = rejectionReason;
-  }
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
   
-  if (status === 'approved' || status === 'partial') {
-    updateFields.approval_date = new Date();
+  try {
+    // Guard on the current status so two concurrent transitions cannot both apply
+    const [result] = await connection.query(
+      `UPDATE claims SET
+        status = ?,
+        review_notes = COALESCE(?, review_notes),
+        settlement_amount = COALESCE(?, settlement_amount),
+        payment_reference = COALESCE(?, payment_reference),
+        reviewed_by = IF(? IN ('approved', 'rejected'), ?, reviewed_by),
+        reviewed_at = IF(? IN ('approved', 'rejected'), NOW(), reviewed_at),
+        paid_at = IF(? = 'paid', NOW(), paid_at),
+        updated_at = NOW()
+      WHERE claim_id = ? AND status = ?`,
+      [
+        toStatus,
+        review_notes,
+        settlement_amount,
+        payment_reference,
+        toStatus, actor.id,
+        toStatus,
+        toStatus,
+        id,
+        fromStatus
+      ]
+    );
+    
+    if (result.affectedRows === 0) {
+      throw new AppError('Claim status has changed since it was loaded. Please refresh and try again.', 409);
+    }
+    
+    await connection.query(
+      `INSERT INTO claim_status_history (
+        claim_id, from_status, to_status, changed_by, changed_by_role,
+        notes, settlement_amount, payment_reference, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [id, fromStatus, toStatus, actor.id, actor.role, review_notes, settlement_amount, payment_reference]
+    );
+    
+    if (toStatus === 'rejected') {
+      await claimLineItemModel.denyPendingLineItems(connection, id, review_notes, actor.id);
+    } else if (fromStatus === 'rejected' && toStatus === 'under_review') {
+      await claimLineItemModel.reopenLineItems(connection, id);
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
   
-  // Build update query dynamically based on provided fields
-  const fieldEntries = Object.entries(updateFields).filter(([_, value]) => value !== null);
+  // Get updated claim
+  return getClaimById(id);
+};
+
+/**
+ * Get the status history of a claim
+ * @param {string} id - Claim ID
+ * @returns {Promise<Array>} - Transitions, oldest first
+ */
+const getClaimStatusHistory = async (id) => {
+  const [rows] = await pool.query(
+    `SELECT h.*,
+      CASE
+        WHEN h.changed_by_role IN ('admin', 'doctor') THEN CONCAT(s.first_name, ' ', s.last_name)
+        WHEN h.changed_by_role = 'insurance' THEN ic.company_name
+        ELSE NULL
+      END AS changed_by_name
+     FROM claim_status_history h
+     LEFT JOIN staff s ON h.changed_by = s.staff_id
+     LEFT JOIN insurance_companies ic ON h.changed_by = ic.company_id
+     WHERE h.claim_id = ?
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [id]
+  );
+  
+  return rows;
+};
+
+/**
+ * Summarise claimed, settled and paid amounts per insurance company
+ * @param {Object} options - Filters (companyId, from, to on claim_date)
+ * @returns {Promise<Array>} - One row per company
+ */
+const getCompanyReconciliation = async (options = {}) => {
+  const { companyId = null, from = null, to = null } = options;
+  
+  let query = `
+    SELECT
+      ic.company_id,
+      ic.company_name,
+      COUNT(c.claim_id) as claim_count,
+      SUM(c.status IN ('pending', 'under_review')) as open_count,
+      SUM(c.status = 'rejected') as rejected_count,
+      SUM(c.status = 'approved') as approved_count,
+      SUM(c.status = 'paid') as paid_count,
+      COALESCE(SUM(c.claim_amount), 0) as claimed_total,
+      COALESCE(SUM(CASE WHEN c.status IN ('approved', 'paid', 'rejected') THEN c.claim_amount END), 0) as adjudicated_total,
+      COALESCE(SUM(CASE WHEN c.status IN ('approved', 'paid') THEN c.settlement_amount END), 0) as settled_total,
+      COALESCE(SUM(CASE WHEN c.status = 'paid' THEN c.settlement_amount END), 0) as paid_total,
+      COALESCE(SUM(CASE WHEN c.status = 'approved' THEN c.settlement_amount END), 0) as outstanding_total,
+      COALESCE(SUM(
+        c.status IN ('approved', 'paid') AND li.claim_id IS NOT NULL AND c.settlement_amount <> li.approved_total
+      ), 0) as mismatched_count
+    FROM claims c
+    JOIN insurance_companies ic ON c.company_id = ic.company_id
+    LEFT JOIN (
+      SELECT claim_id, SUM(approved_amount) as approved_total
+      FROM claim_line_items
+      GROUP BY claim_id
+    ) li ON li.claim_id = c.claim_id
+    WHERE 1=1
+  `;
+  
+  const queryParams = [];
+  
+  if (companyId) {
+    query += ' AND c.company_id = ?';
+    queryParams.push(companyId);
+  }
   
-  if (fieldEntries.length === 0) {
-    throw new Error('No fields to update');
+  if (from) {
+    query += ' AND c.claim_date >= ?';
+    queryParams.push(from);
   }
   
-  const fields = fieldEntries.map(([key]) => `${key} = ?`).join(', ');
-  const values = fieldEntries.map(([_, value]) => value);
+  if (to) {
+    query += ' AND c.claim_date <= ?';
+    queryParams.push(to);
+  }
   
-  // Add claim ID to values
-  values.push(id);
+  query += ' GROUP BY ic.company_id, ic.company_name ORDER BY ic.company_name ASC';
   
-  // Update claim
-  await pool.query(
-    `UPDATE claims SET ${fields}, updated_at = NOW() WHERE id = ?`,
-    values
-  );
+  const [rows] = await pool.query(query, queryParams);
   
-  // Get updated claim
-  return getClaimById(id);
+  return rows.map(row => {
+    const adjudicated = parseFloat(row.adjudicated_total);
+    const settled = parseFloat(row.settled_total);
+    
+    return {
+      company_id: row.company_id,
+      company_name: row.company_name,
+      claim_count: parseInt(row.claim_count),
+      open_count: parseInt(row.open_count),
+      rejected_count: parseInt(row.rejected_count),
+      approved_count: parseInt(row.approved_count),
+      paid_count: parseInt(row.paid_count),
+      claimed_total: parseFloat(row.claimed_total),
+      adjudicated_total: adjudicated,
+      settled_total: settled,
+      paid_total: parseFloat(row.paid_total),
+      outstanding_total: parseFloat(row.outstanding_total),
+      // Amount claimed on decided claims that the insurer did not settle
+      variance: claimLineItemModel.roundAmount(adjudicated - settled),
+      mismatched_count: parseInt(row.mismatched_count)
+    };
+  });
 };
 
 module.exports = {
   createClaim,
   getAllClaims,
   getClaimById,
-  updateClaimStatus
+  updateClaimStatus,
+  getClaimStatusHistory,
+  getCompanyReconciliation
 };
\ No newline at end of file
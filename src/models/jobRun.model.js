@@ -0,0 +1,84 @@
+const { pool } = require('../config/database');
+
+/**
+ * Record the start of a job run
+ * @param {string} jobName - Name of the job
+ * @param {string} triggerType - What started the run ('schedule' or 'manual')
+ * @returns {Promise<number>} - ID of the job run
+ */
+const startJobRun = async (jobName, triggerType = 'schedule') => {
+  const [result] = await pool.query(
+    `INSERT INTO job_runs (job_name, status, trigger_type, started_at)
+     VALUES (?, 'running', ?, NOW())`,
+    [jobName, triggerType]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Record the outcome of a job run
+ * @param {number} id - Job run ID
+ * @param {string} status - Final status ('success' or 'failed')
+ * @param {Object} result - Summary returned by the job
+ * @param {string} error - Error message if the job failed
+ */
+const finishJobRun = async (id, status, result = null, error = null) => {
+  await pool.query(
+    `UPDATE job_runs SET status = ?, result = ?, error = ?, finished_at = NOW()
+     WHERE id = ?`,
+    [status, result ? JSON.stringify(result) : null, error, id]
+  );
+};
+
+/**
+ * Get the most recent run of each job
+ * @returns {Promise<Array>} - Latest run per job name
+ */
+const getLatestRuns = async () => {
+  const [rows] = await pool.query(
+    `SELECT jr.*
+     FROM job_runs jr
+     JOIN (
+       SELECT job_name, MAX(id) as last_id FROM job_runs GROUP BY job_name
+     ) latest ON jr.id = latest.last_id`
+  );
+
+  return rows.map(formatJobRun);
+};
+
+/**
+ * Get the run history of a job
+ * @param {string} jobName - Name of the job
+ * @param {Object} options - Query options (limit, offset)
+ * @returns {Promise<Array>} - Job runs, newest first
+ */
+const getJobRuns = async (jobName, options = { limit: 20, offset: 0 }) => {
+  const limit = parseInt(options.limit) || 20;
+  const offset = parseInt(options.offset) || 0;
+
+  const [rows] = await pool.query(
+    `SELECT * FROM job_runs WHERE job_name = ?
+     ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [jobName, limit, offset]
+  );
+
+  return rows.map(formatJobRun);
+};
+
+/**
+ * Parse the result column of a job run
+ * @param {Object} row - Job run row
+ * @returns {Object} - Job run with parsed result
+ */
+const formatJobRun = (row) => ({
+  ...row,
+  result: typeof row.result === 'string' ? JSON.parse(row.result) : row.result
+});
+
+module.exports = {
+  startJobRun,
+  finishJobRun,
+  getLatestRuns,
+  getJobRuns
+};
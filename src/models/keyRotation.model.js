@@ -0,0 +1,130 @@
+// Values are read and compared as stored, so this bypasses decryption on read
+const { rawPool: pool } = require('../config/database');
+
+/**
+ * Get how far re-encryption of a table under a key has got
+ * @param {string} keyId - Key the table is being re-encrypted under
+ * @param {string} tableName - Table name
+ * @returns {Promise<Object|null>} - Progress, or null if it has not started
+ */
+const getProgress = async (keyId, tableName) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM key_rotation_progress WHERE key_id = ? AND table_name = ?',
+    [keyId, tableName]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Get re-encryption progress of every table under a key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Array>} - Progress per table
+ */
+const getProgressByKey = async (keyId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM key_rotation_progress WHERE key_id = ? ORDER BY table_name',
+    [keyId]
+  );
+
+  return rows;
+};
+
+/**
+ * Save re-encryption progress of a table
+ * @param {string} keyId - Key ID
+ * @param {string} tableName - Table name
+ * @param {Object} progress - last_id, scanned, rewritten, conflicts, failed, completed
+ */
+const saveProgress = async (keyId, tableName, progress) => {
+  await pool.query(
+    `INSERT INTO key_rotation_progress
+     (key_id, table_name, last_id, scanned, rewritten, conflicts, failed, completed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, IF(?, NOW(), NULL))
+     ON DUPLICATE KEY UPDATE
+       last_id = VALUES(last_id), scanned = VALUES(scanned), rewritten = VALUES(rewritten),
+       conflicts = VALUES(conflicts), failed = VALUES(failed), completed_at = VALUES(completed_at)`,
+    [
+      keyId,
+      tableName,
+      progress.last_id,
+      progress.scanned,
+      progress.rewritten,
+      progress.conflicts,
+      progress.failed,
+      !!progress.completed
+    ]
+  );
+};
+
+/**
+ * Forget re-encryption progress so the table is walked again
+ * @param {string} keyId - Key ID
+ * @param {string} tableName - Table name, or null for every table
+ */
+const resetProgress = async (keyId, tableName = null) => {
+  await pool.query(
+    `DELETE FROM key_rotation_progress WHERE key_id = ?${tableName ? ' AND table_name = ?' : ''}`,
+    tableName ? [keyId, tableName] : [keyId]
+  );
+};
+
+/**
+ * Read the next batch of a table's encrypted columns in primary key order
+ * @param {Object} target - table, idColumn, columns
+ * @param {string|null} afterId - Last ID of the previous batch
+ * @param {number} limit - Batch size
+ * @returns {Promise<Array>} - Rows with the ID and encrypted columns
+ */
+const getBatch = async (target, afterId, limit) => {
+  const [rows] = await pool.query(
+    `SELECT ?? FROM ?? ${afterId === null ? '' : 'WHERE ?? > ?'} ORDER BY ?? LIMIT ?`,
+    [
+      [target.idColumn, ...target.columns],
+      target.table,
+      ...(afterId === null ? [] : [target.idColumn, afterId]),
+      target.idColumn,
+      limit
+    ]
+  );
+
+  return rows;
+};
+
+/**
+ * Replace encrypted values, only if they have not changed since they were read
+ * updated_at is left alone where the table has one, since the data itself is unchanged.
+ * @param {Object} target - table, idColumn, hasUpdatedAt
+ * @param {string} id - Row ID
+ * @param {Object} oldValues - Column to value as read
+ * @param {Object} newValues - Column to new value
+ * @returns {Promise<boolean>} - False if the row was changed in the meantime
+ */
+const replaceValues = async (target, id, oldValues, newValues) => {
+  const columns = Object.keys(newValues);
+  const assignments = columns.map(() => '?? = ?').join(', ') +
+    (target.hasUpdatedAt ? ', updated_at = updated_at' : '');
+  const conditions = columns.map(() => '?? <=> ?').join(' AND ');
+
+  const [result] = await pool.query(
+    `UPDATE ?? SET ${assignments} WHERE ?? = ? AND ${conditions}`,
+    [
+      target.table,
+      ...columns.flatMap(column => [column, newValues[column]]),
+      target.idColumn,
+      id,
+      ...columns.flatMap(column => [column, oldValues[column]])
+    ]
+  );
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  getProgress,
+  getProgressByKey,
+  saveProgress,
+  resetProgress,
+  getBatch,
+  replaceValues
+};
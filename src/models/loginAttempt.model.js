@@ -0,0 +1,179 @@
+const { pool } = require('../config/database');
+
+/**
+ * Record a login attempt
+ * @param {Object} attempt - email, user_id, role, success, failure_reason, ip_address, user_agent
+ */
+const recordAttempt = async (attempt) => {
+  await pool.query(
+    `INSERT INTO login_attempts
+     (email, user_id, role, success, failure_reason, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      attempt.email,
+      attempt.user_id || null,
+      attempt.role || null,
+      !!attempt.success,
+      attempt.failure_reason || null,
+      attempt.ip_address || null,
+      attempt.user_agent || null
+    ]
+  );
+};
+
+/**
+ * Count failed logins from an IP address in a recent window
+ * @param {string} ipAddress - Client IP address
+ * @param {number} windowMinutes - Length of the window
+ * @returns {Promise<number>} - Failed attempts in the window
+ */
+const countRecentIpFailures = async (ipAddress, windowMinutes) => {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS failures FROM login_attempts
+     WHERE ip_address = ? AND success = FALSE AND created_at > NOW() - INTERVAL ? MINUTE`,
+    [ipAddress, windowMinutes]
+  );
+
+  return rows[0].failures;
+};
+
+/**
+ * Get a user's login attempts, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - limit, offset
+ * @returns {Promise<Object>} - attempts and total
+ */
+const getLoginHistory = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const [attempts] = await pool.query(
+    `SELECT id, email, success, failure_reason, ip_address, user_agent, created_at
+     FROM login_attempts
+     WHERE user_id = ?
+     ORDER BY id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, parseInt(limit), parseInt(offset)]
+  );
+
+  const [count] = await pool.query(
+    'SELECT COUNT(*) AS total FROM login_attempts WHERE user_id = ?',
+    [userId]
+  );
+
+  return {
+    attempts: attempts.map(attempt => ({ ...attempt, success: !!attempt.success })),
+    total: count[0].total
+  };
+};
+
+/**
+ * Get an account's failed-login counter and lock
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - failed_login_count, locked_until and whether it is locked now
+ */
+const getLockState = async (userId) => {
+  const [rows] = await pool.query(
+    `SELECT failed_login_count, locked_until, locked_until > NOW() AS is_locked
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+
+  if (rows.length === 0) return null;
+
+  return {
+    failed_login_count: rows[0].failed_login_count,
+    locked_until: rows[0].locked_until,
+    is_locked: !!rows[0].is_locked
+  };
+};
+
+/**
+ * Count a login attempt against an account before its credentials are checked
+ * The check and the increment happen in a single UPDATE, so concurrent attempts
+ * cannot get past the limit. The attempt stays counted unless it succeeds.
+ * @param {string} userId - User ID
+ * @param {number} maxFailures - Attempts allowed since the last successful login
+ * @returns {Promise<number|null>} - Attempts counted so far, this one included, or
+ *   null if the account is locked or has no attempts left
+ */
+const claimAttempt = async (userId, maxFailures) => {
+  const [result] = await pool.query(
+    `UPDATE users SET failed_login_count = failed_login_count + 1, last_failed_login_at = NOW()
+     WHERE id = ? AND failed_login_count < ?
+       AND (locked_until IS NULL OR locked_until <= NOW())`,
+    [userId, maxFailures]
+  );
+
+  if (result.affectedRows === 0) return null;
+
+  const [rows] = await pool.query('SELECT failed_login_count FROM users WHERE id = ?', [userId]);
+
+  return rows.length > 0 ? rows[0].failed_login_count : null;
+};
+
+/**
+ * Give back an attempt counted by claimAttempt whose credentials were right
+ * @param {string} userId - User ID
+ */
+const releaseAttempt = async (userId) => {
+  await pool.query(
+    'UPDATE users SET failed_login_count = GREATEST(failed_login_count - 1, 0) WHERE id = ?',
+    [userId]
+  );
+};
+
+/**
+ * Lock an account until a given time
+ * @param {string} userId - User ID
+ * @param {Date} lockedUntil - When the lock ends
+ * @returns {Promise<boolean>} - False if the account was already locked
+ */
+const lockAccount = async (userId, lockedUntil) => {
+  const [result] = await pool.query(
+    `UPDATE users SET locked_until = ?
+     WHERE id = ? AND (locked_until IS NULL OR locked_until <= NOW())`,
+    [lockedUntil, userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Clear an account's failed-login counter once its lock has run out
+ * A lock set again in the meantime is left alone.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if an expired lock was cleared
+ */
+const clearExpiredLock = async (userId) => {
+  const [result] = await pool.query(
+    `UPDATE users SET failed_login_count = 0, locked_until = NULL
+     WHERE id = ? AND locked_until IS NOT NULL AND locked_until <= NOW()`,
+    [userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Clear an account's failed-login counter and lock
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if the account exists
+ */
+const resetFailedLogins = async (userId) => {
+  const [result] = await pool.query(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  recordAttempt,
+  countRecentIpFailures,
+  getLoginHistory,
+  getLockState,
+  claimAttempt,
+  releaseAttempt,
+  lockAccount,
+  clearExpiredLock,
+  resetFailedLogins
+};
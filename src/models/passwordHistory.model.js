@@ -0,0 +1,58 @@
+const { pool } = require('../config/database');
+
+/**
+ * Record a user's new password hash and when it was set
+ * @param {string} userId - User ID
+ * @param {string} passwordHash - bcrypt hash of the new password
+ */
+const recordPasswordChange = async (userId, passwordHash) => {
+  await pool.query(
+    'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+    [userId, passwordHash]
+  );
+
+  await pool.query(
+    'UPDATE users SET password_changed_at = NOW() WHERE id = ?',
+    [userId]
+  );
+};
+
+/**
+ * Get a user's most recent password hashes, newest first
+ * @param {string} userId - User ID
+ * @param {number} count - How many to return
+ * @returns {Promise<Array<string>>} - bcrypt hashes
+ */
+const getRecentPasswordHashes = async (userId, count) => {
+  if (count <= 0) return [];
+
+  const [rows] = await pool.query(
+    `SELECT password_hash FROM password_history
+     WHERE user_id = ?
+     ORDER BY id DESC
+     LIMIT ?`,
+    [userId, count]
+  );
+
+  return rows.map(row => row.password_hash);
+};
+
+/**
+ * Get a user's current password hash and when it was set
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - password and password_changed_at, or null if the user does not exist
+ */
+const getPasswordState = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT password, password_changed_at FROM users WHERE id = ?',
+    [userId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+module.exports = {
+  recordPasswordChange,
+  getRecentPasswordHashes,
+  getPasswordState
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+/**
+ * Hash a reset token for storage and lookup
+ * @param {string} token - Reset token as sent by email
+ * @returns {string} - Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a password reset token
+ * Any earlier unused token for the user stops working, so only the latest link does.
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'reset' (forgotten password) or 'setup' (new account)
+ * @param {number} ttlMinutes - How long the link stays valid
+ * @param {string} requestedIp - IP address the reset was requested from
+ * @returns {Promise<Object>} - token (for the link) and expires_at
+ */
+const createResetToken = async (userId, purpose, ttlMinutes, requestedIp = null) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await pool.query(
+    'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, purpose, expires_at, requested_ip)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, hashToken(token), purpose, expiresAt, requestedIp]
+  );
+
+  return { token, expires_at: expiresAt };
+};
+
+/**
+ * Look up a reset token without using it
+ * @param {string} token - Reset token from the link
+ * @returns {Promise<Object|null>} - user_id, role and purpose, or null if the token is unknown, used or expired
+ */
+const findResetToken = async (token) => {
+  const [rows] = await pool.query(
+    `SELECT prt.id, prt.user_id, prt.purpose, u.role
+     FROM password_reset_tokens prt
+     JOIN users u ON prt.user_id = u.id
+     WHERE prt.token_hash = ? AND prt.used_at IS NULL AND prt.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Use up a reset token
+ * @param {string} token - Reset token from the link
+ * @returns {Promise<Object|null>} - user_id, role and purpose, or null if the token is unknown, used or expired
+ */
+const consumeResetToken = async (token) => {
+  const reset = await findResetToken(token);
+
+  if (!reset) return null;
+
+  // Only one request can use the token
+  const [result] = await pool.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [reset.id]
+  );
+
+  return result.affectedRows > 0 ? reset : null;
+};
+
+/**
+ * Record a forgotten-password request
+ * @param {string} email - Email the user entered
+ * @param {string} ipAddress - Client IP address
+ */
+const recordResetRequest = async (email, ipAddress) => {
+  await pool.query(
+    'INSERT INTO password_reset_requests (email, ip_address) VALUES (?, ?)',
+    [email.toLowerCase(), ipAddress || null]
+  );
+};
+
+/**
+ * Count recent forgotten-password requests for an email and from an IP address
+ * @param {string} email - Email the user entered
+ * @param {string} ipAddress - Client IP address
+ * @param {number} windowMinutes - Length of the window
+ * @returns {Promise<Object>} - byEmail and byIp request counts in the window
+ */
+const countRecentResetRequests = async (email, ipAddress, windowMinutes) => {
+  const [rows] = await pool.query(
+    `SELECT
+      (SELECT COUNT(*) FROM password_reset_requests
+       WHERE email = ? AND created_at > NOW() - INTERVAL ? MINUTE) AS by_email,
+      (SELECT COUNT(*) FROM password_reset_requests
+       WHERE ip_address = ? AND created_at > NOW() - INTERVAL ? MINUTE) AS by_ip`,
+    [email.toLowerCase(), windowMinutes, ipAddress || null, windowMinutes]
+  );
+
+  return { byEmail: rows[0].by_email, byIp: rows[0].by_ip };
+};
+
+module.exports = {
+  createResetToken,
+  findResetToken,
+  consumeResetToken,
+  recordResetRequest,
+  countRecentResetRequests
+};
@@ -1,8 +1,6 @@
 const { pool } = require('../config/database');
-const { encrypt, decrypt } = require('../middleware/encryption.middleware');
-
-// Fields that should be encrypted/decrypted
-const sensitiveFields = ['nic', 'address', 'allergies'];
+const { blindIndex } = require('../middleware/encryption.middleware');
+const { encryptFields } = require('../utils/fieldEncryption');
 
 /**
  * Create a new patient
@@ -11,27 +9,23 @@ const sensitiveFields = ['nic', 'address', 'allergies'];
  */
 const createPatient = async (patientData) => {
   // Encrypt sensitive fields
-  const encryptedData = { ...patientData };
-  sensitiveFields.forEach(field => {
-    if (encryptedData[field]) {
-      encryptedData[field] = encrypt(encryptedData[field]);
-    }
-  });
+  const encryptedData = encryptFields('patients', patientData);
   
   // Generate patient ID
   const patientId = `PT${Date.now().toString().slice(-6)}`;
   
   const [result] = await pool.query(
     `INSERT INTO patients (
-      patient_id, name, name_initials, nic, date_of_birth, gender,
+      patient_id, name, name_initials, nic, nic_index, date_of_birth, gender,
       blood_type, allergies, address, city, district, postal_code,
       mobile, telephone, email, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
     [
       patientId,
       patientData.name,
       patientData.name_initials,
       encryptedData.nic,
+      encryptedData.nic_index,
       patientData.date_of_birth,
       patientData.gender,
       patientData.blood_type,
@@ -52,7 +46,8 @@ const createPatient = async (patientData) => {
 
 /**
  * Get all patients
- * @param {Object} options - Query options (search, limit, offset)
+ * NIC is encrypted, so it is only matched exactly, through its blind index.
+ * @param {Object} options - Query options (search, nic, limit, offset)
  * @returns {Promise<Array>} - Array of patients
  */
 const getAllPatients = async (options = { search: '', limit: 10, offset: 0 }) => {
@@ -62,15 +57,23 @@ const getAllPatients = async (options = { search: '', limit: 10, offset: 0 }) =>
       FROM patients
     `;
     
+    const conditions = [];
     const queryParams = [];
     
     if (options.search) {
-      query += `
-        WHERE name LIKE ? OR name_initials LIKE ? OR mobile LIKE ? 
-        OR email LIKE ? OR patient_id LIKE ?
-      `;
+      conditions.push(`(name LIKE ? OR name_initials LIKE ? OR mobile LIKE ? 
+        OR email LIKE ? OR patient_id LIKE ? OR nic_index = ?)`);
       const searchTerm = `%${options.search}%`;
-      queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+      queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, blindIndex('nic', options.search));
+    }
+    
+    if (options.nic) {
+      conditions.push('nic_index = ?');
+      queryParams.push(blindIndex('nic', options.nic));
+    }
+    
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
     }
     
     query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
@@ -101,13 +104,7 @@ const getPatientById = async (id) => {
   }
   
   const patient = rows[0];
-  
-  // Decrypt sensitive fields
-  sensitiveFields.forEach(field => {
-    if (patient[field]) {
-      patient[field] = decrypt(patient[field]);
-    }
-  });
+  delete patient.nic_index;
   
   return patient;
 };
@@ -129,20 +126,13 @@ const updatePatient = async (id, patientData) => {
     throw new Error('Patient not found');
   }
   
-  // Create updated patient object
-  const updatedPatient = { ...currentPatient[0], ...patientData };
-  
-  // Encrypt sensitive fields if they were updated
-  sensitiveFields.forEach(field => {
-    if (patientData[field]) {
-      updatedPatient[field] = encrypt(patientData[field]);
-    }
-  });
+  // Create updated patient object, with its sensitive fields encrypted again
+  const updatedPatient = encryptFields('patients', { ...currentPatient[0], ...patientData });
   
   // Update the patient record
   await pool.query(
     `UPDATE patients SET 
-      name = ?, name_initials = ?, nic = ?, date_of_birth = ?, gender = ?,
+      name = ?, name_initials = ?, nic = ?, nic_index = ?, date_of_birth = ?, gender = ?,
       blood_type = ?, allergies = ?, address = ?, city = ?, district = ?,
       postal_code = ?, mobile = ?, telephone = ?, email = ?
     WHERE patient_id = ?`,
@@ -150,6 +140,7 @@ const updatePatient = async (id, patientData) => {
       updatedPatient.name,
       updatedPatient.name_initials,
       updatedPatient.nic,
+      updatedPatient.nic_index,
       updatedPatient.date_of_birth,
       updatedPatient.gender,
       updatedPatient.blood_type,
@@ -169,6 +160,19 @@ const updatePatient = async (id, patientData) => {
   return getPatientById(id);
 };
 
+/**
+ * Set the blind index of a patient's NIC
+ * updated_at is left alone, since the patient's details are unchanged.
+ * @param {string} id - Patient ID
+ * @param {string|null} nicIndex - Blind index of the NIC
+ */
+const setNicIndex = async (id, nicIndex) => {
+  await pool.query(
+    'UPDATE patients SET nic_index = ?, updated_at = updated_at WHERE patient_id = ?',
+    [nicIndex, id]
+  );
+};
+
 /**
  * Delete a patient
  * @param {string} id - Patient ID
@@ -201,13 +205,7 @@ const getPatientHistory = async (patientId) => {
     [patientId]
   );
   
-  // Decrypt sensitive information in records
-  return rows.map(record => {
-    if (record.description) {
-      record.description = decrypt(record.description);
-    }
-    return record;
-  });
+  return rows;
 };
 
 module.exports = {
@@ -215,6 +213,7 @@ module.exports = {
   getAllPatients,
   getPatientById,
   updatePatient,
+  setNicIndex,
   deletePatient,
   getPatientHistory
 };
\ No newline at end of file
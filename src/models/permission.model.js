@@ -0,0 +1,65 @@
+const { pool } = require('../config/database');
+
+/**
+ * Get the permissions granted to each role
+ * @returns {Promise<Object>} - Role to array of permission names
+ */
+const getAllRolePermissions = async () => {
+  const [rows] = await pool.query(
+    'SELECT role, permission FROM role_permissions ORDER BY role, permission'
+  );
+
+  return rows.reduce((byRole, row) => {
+    (byRole[row.role] = byRole[row.role] || []).push(row.permission);
+    return byRole;
+  }, {});
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role
+ * @returns {Promise<Array<string>>} - Permission names
+ */
+const getRolePermissions = async (role) => {
+  const [rows] = await pool.query(
+    'SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission',
+    [role]
+  );
+
+  return rows.map(row => row.permission);
+};
+
+/**
+ * Replace the permissions granted to a role
+ * @param {string} role - Role
+ * @param {Array<string>} permissions - Permission names the role should have
+ * @param {string} grantedBy - Admin making the change
+ */
+const setRolePermissions = async (role, permissions, grantedBy) => {
+  const connection = await pool.getConnection();
+  await connection.beginTransaction();
+
+  try {
+    await connection.query('DELETE FROM role_permissions WHERE role = ?', [role]);
+
+    if (permissions.length > 0) {
+      await connection.query(
+        'INSERT INTO role_permissions (role, permission, granted_by) VALUES ?',
+        [permissions.map(permission => [role, permission, grantedBy])]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  getAllRolePermissions,
+  getRolePermissions,
+  setRolePermissions
+};
@@ -1,8 +1,5 @@
 const { pool } = require('../config/database');
-const { encrypt, decrypt, isLikelyEncrypted } = require('../middleware/encryption.middleware');
-
-// Fields that should be encrypted/decrypted
-const sensitiveFields = ['description'];
+const { encryptFields } = require('../utils/fieldEncryption');
 
 /**
  * Create a new medical record
@@ -11,11 +8,7 @@ const sensitiveFields = ['description'];
  */
 const createRecord = async (recordData) => {
   // Encrypt sensitive fields
-  const encryptedData = { ...recordData };
-
-  if (sensitiveFields.includes('description') && encryptedData.description) {
-    encryptedData.description = encrypt(encryptedData.description);
-  }
+  const encryptedData = encryptFields('records', recordData);
   
   // Generate record ID
   const recordId = `REC${Date.now().toString().slice(-6)}`;
@@ -23,15 +16,18 @@ const createRecord = async (recordData) => {
   const [result] = await pool.query(
     `INSERT INTO records (
       record_id, doc_id, patient_id, prescription_id, description,
-      test_id, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      diagnosis, symptoms, test_id, confidentiality_level, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
     [
       recordId,
       recordData.doc_id,
       recordData.patient_id,
       recordData.prescription_id || null,
       encryptedData.description || null,
-      recordData.test_id || null
+      encryptedData.diagnosis || null,
+      encryptedData.symptoms || null,
+      recordData.test_id || null,
+      recordData.confidentiality_level || 'normal'
     ]
   );
   
@@ -48,7 +44,7 @@ const createRecord = async (recordData) => {
 const getAllRecords = async (options = { patientId: null, limit: 100, offset: 0 }) => {
     let query = `
       SELECT r.record_id, r.doc_id, r.patient_id, r.prescription_id,
-        r.test_id, r.description, r.created_at,
+        r.test_id, r.description, r.confidentiality_level, r.status, r.version, r.created_at,
         p.name as patient_name,
         CONCAT(s.first_name, ' ', s.last_name) as doctor_name,
         CASE
@@ -73,19 +69,7 @@ const getAllRecords = async (options = { patientId: null, limit: 100, offset: 0
     
     const [rows] = await pool.query(query, queryParams);
     
-    // Decrypt sensitive fields
-    return rows.map(record => {
-      // Only try to decrypt if the field is encrypted
-      if (record.description && isLikelyEncrypted(record.description)) {
-        try {
-          record.description = decrypt(record.description);
-        } catch (error) {
-          console.error('Error decrypting field in getAllRecords:', error);
-          record.description = '[Encrypted content]';
-        }
-      }
-      return record;
-    });
+    return rows;
 };
 
 /**
@@ -114,35 +98,27 @@ const getRecordById = async (id) => {
         return null;
       }
       
-      const record = rows[0];
-      
-      // Log the encrypted description for debugging
-      console.log('Before decryption - Description:', record.description);
-      
-      // Properly handle description field with extra care
-      if (record.description && typeof record.description === 'string') {
-        try {
-          // If it looks like a hex string, try to decrypt it
-          if (/^[0-9a-f]{32,}$/i.test(record.description)) {
-            const decrypted = decrypt(record.description);
-            console.log('After decryption - Description result:', decrypted);
-            record.description = decrypted;
-          } else {
-            console.log('Description does not appear to be encrypted');
-          }
-        } catch (error) {
-          console.error('Error handling description decryption:', error);
-          record.description = "Description unavailable";
-        }
-      }
-      
-      return record;
+      return rows[0];
     } catch (error) {
       console.error('Error in getRecordById:', error);
       throw error;
     }
   };
 
+/**
+ * Count a patient's medical records, including those entered in error
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<number>}
+ */
+const countPatientRecords = async (patientId) => {
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) as count FROM records WHERE patient_id = ?',
+    [patientId]
+  );
+
+  return rows[0].count;
+};
+
 /**
  * Create a prescription
  * @param {Object} prescriptionData - Prescription data
@@ -284,6 +260,7 @@ module.exports = {
   createRecord,
   getAllRecords,
   getRecordById,
+  countPatientRecords,
   createPrescription,
   createLabTest,
   getRecentRecords,
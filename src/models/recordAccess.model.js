@@ -0,0 +1,91 @@
+const { pool } = require('../config/database');
+
+/**
+ * Grant a staff member access to a restricted record
+ * An existing active grant is kept as it is.
+ * @param {Object} grant - record_id, staff_id, granted_by, reason
+ * @returns {Promise<boolean>} - True if a new grant was created
+ */
+const grantAccess = async (grant) => {
+  const [result] = await pool.query(
+    `INSERT INTO record_access_grants (record_id, staff_id, granted_by, reason)
+     SELECT ?, ?, ?, ? FROM DUAL
+     WHERE NOT EXISTS (
+       SELECT 1 FROM record_access_grants
+       WHERE record_id = ? AND staff_id = ? AND revoked_at IS NULL
+     )`,
+    [
+      grant.record_id,
+      grant.staff_id,
+      grant.granted_by,
+      grant.reason || null,
+      grant.record_id,
+      grant.staff_id
+    ]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Revoke a staff member's access to a restricted record
+ * @param {string} recordId - Record ID
+ * @param {string} staffId - Staff ID
+ * @param {string} revokedBy - Admin revoking the grant
+ * @returns {Promise<boolean>} - True if an active grant was revoked
+ */
+const revokeAccess = async (recordId, staffId, revokedBy) => {
+  const [result] = await pool.query(
+    `UPDATE record_access_grants SET revoked_at = NOW(), revoked_by = ?
+     WHERE record_id = ? AND staff_id = ? AND revoked_at IS NULL`,
+    [revokedBy, recordId, staffId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the grants made on a record, active ones first
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Array>} - Grants with the staff member's name
+ */
+const getRecordGrants = async (recordId) => {
+  const [rows] = await pool.query(
+    `SELECT g.id as grant_id, g.record_id, g.staff_id, g.granted_by, g.reason,
+      g.created_at, g.revoked_at, g.revoked_by,
+      CONCAT(s.first_name, ' ', s.last_name) as staff_name,
+      g.revoked_at IS NULL as is_active
+     FROM record_access_grants g
+     JOIN staff s ON g.staff_id = s.staff_id
+     WHERE g.record_id = ?
+     ORDER BY is_active DESC, g.created_at DESC`,
+    [recordId]
+  );
+
+  return rows.map(row => ({ ...row, is_active: !!row.is_active }));
+};
+
+/**
+ * Get which of a set of records a staff member holds an active grant for
+ * @param {string} staffId - Staff ID
+ * @param {Array<string>} recordIds - Record IDs
+ * @returns {Promise<Set<string>>} - Granted record IDs
+ */
+const getGrantedRecordIds = async (staffId, recordIds) => {
+  if (recordIds.length === 0) return new Set();
+
+  const [rows] = await pool.query(
+    `SELECT DISTINCT record_id FROM record_access_grants
+     WHERE staff_id = ? AND record_id IN (?) AND revoked_at IS NULL`,
+    [staffId, recordIds]
+  );
+
+  return new Set(rows.map(row => row.record_id));
+};
+
+module.exports = {
+  grantAccess,
+  revokeAccess,
+  getRecordGrants,
+  getGrantedRecordIds
+};
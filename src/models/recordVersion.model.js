@@ -0,0 +1,138 @@
+const { pool } = require('../config/database');
+
+// Clinical content of a record that can be amended; every change is versioned
+const AMENDABLE_FIELDS = ['description', 'diagnosis', 'symptoms'];
+
+/**
+ * Lock a record for amendment
+ * @param {Object} connection - Connection holding the amendment transaction
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object|null>} - Record with its clinical content, status and version, or null
+ */
+const lockRecord = async (connection, recordId) => {
+  const [rows] = await connection.query(
+    `SELECT record_id, doc_id, patient_id, confidentiality_level, status, version,
+      ${AMENDABLE_FIELDS.join(', ')}
+     FROM records WHERE record_id = ? FOR UPDATE`,
+    [recordId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Copy a record's current version into its history
+ * Values are copied as stored, so they stay encrypted.
+ * @param {Object} connection - Connection holding the amendment transaction
+ * @param {string} recordId - Record ID
+ */
+const archiveCurrentVersion = async (connection, recordId) => {
+  await connection.query(
+    `INSERT INTO record_versions (
+      record_id, version, ${AMENDABLE_FIELDS.join(', ')},
+      amended_by, amended_at, amendment_reason
+    )
+    SELECT record_id, version, ${AMENDABLE_FIELDS.join(', ')},
+      amended_by, amended_at, amendment_reason
+    FROM records WHERE record_id = ?`,
+    [recordId]
+  );
+};
+
+/**
+ * Write a new version of a record's clinical content
+ * @param {Object} connection - Connection holding the amendment transaction
+ * @param {string} recordId - Record ID
+ * @param {Object} changes - Amendable field to new (encrypted) value
+ * @param {string} amendedBy - User making the amendment
+ * @param {string} reason - Why the record was amended
+ */
+const applyAmendment = async (connection, recordId, changes, amendedBy, reason) => {
+  const columns = Object.keys(changes);
+
+  await connection.query(
+    `UPDATE records SET ${columns.map(() => '?? = ?').join(', ')},
+      version = version + 1, amended_by = ?, amended_at = NOW(), amendment_reason = ?
+     WHERE record_id = ?`,
+    [
+      ...columns.flatMap(column => [column, changes[column]]),
+      amendedBy,
+      reason,
+      recordId
+    ]
+  );
+};
+
+/**
+ * Get an earlier version of a record's clinical content
+ * @param {string} recordId - Record ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} - Version, or null if the record has no such earlier version
+ */
+const getVersion = async (recordId, version) => {
+  const [rows] = await pool.query(
+    `SELECT version, ${AMENDABLE_FIELDS.join(', ')}, amended_by, amended_at, amendment_reason, superseded_at
+     FROM record_versions WHERE record_id = ? AND version = ?`,
+    [recordId, version]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * List every version of a record, oldest first, without its content
+ * The original version is attributed to the record's author.
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Array>} - version, changed_by, changed_by_name, changed_at, change_reason, is_current
+ */
+const getVersionHistory = async (recordId) => {
+  const [rows] = await pool.query(
+    `SELECT v.version, v.changed_by, v.changed_at, v.change_reason, v.is_current,
+      CONCAT(s.first_name, ' ', s.last_name) as changed_by_name
+     FROM (
+       SELECT rv.version, COALESCE(rv.amended_by, r.doc_id) as changed_by,
+         COALESCE(rv.amended_at, r.created_at) as changed_at,
+         rv.amendment_reason as change_reason, FALSE as is_current
+       FROM record_versions rv
+       JOIN records r ON rv.record_id = r.record_id
+       WHERE rv.record_id = ?
+       UNION ALL
+       SELECT version, COALESCE(amended_by, doc_id), COALESCE(amended_at, created_at),
+         amendment_reason, TRUE
+       FROM records WHERE record_id = ?
+     ) v
+     LEFT JOIN staff s ON v.changed_by = s.staff_id
+     ORDER BY v.version`,
+    [recordId, recordId]
+  );
+
+  return rows.map(row => ({ ...row, is_current: !!row.is_current }));
+};
+
+/**
+ * Mark a record entered in error
+ * @param {string} recordId - Record ID
+ * @param {string} userId - User marking the record
+ * @param {string} reason - What was wrong with the record
+ * @returns {Promise<boolean>} - False if the record was already marked
+ */
+const markEnteredInError = async (recordId, userId, reason) => {
+  const [result] = await pool.query(
+    `UPDATE records SET status = 'entered_in_error', entered_in_error_by = ?,
+      entered_in_error_at = NOW(), entered_in_error_reason = ?
+     WHERE record_id = ? AND status <> 'entered_in_error'`,
+    [userId, reason, recordId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  AMENDABLE_FIELDS,
+  lockRecord,
+  archiveCurrentVersion,
+  applyAmendment,
+  getVersion,
+  getVersionHistory,
+  markEnteredInError
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const sessionModel = require('./session.model');
+
+/**
+ * Hash a refresh token for storage and lookup
+ * Only the hash is stored, so a leaked table cannot be replayed.
+ * @param {string} token - Refresh token as issued
+ * @returns {string} - Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Store a new refresh token
+ * @param {Object} tokenData - user_id, family_id, expires_at, ip_address, user_agent
+ * @returns {Promise<Object>} - token (to hand to the client), token_id and family_id
+ */
+const createRefreshToken = async (tokenData) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const tokenId = crypto.randomUUID();
+  const familyId = tokenData.family_id || crypto.randomUUID();
+
+  await pool.query(
+    `INSERT INTO refresh_tokens
+     (token_id, user_id, family_id, token_hash, expires_at, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tokenId,
+      tokenData.user_id,
+      familyId,
+      hashToken(token),
+      tokenData.expires_at,
+      tokenData.ip_address || null,
+      tokenData.user_agent || null
+    ]
+  );
+
+  return { token, token_id: tokenId, family_id: familyId };
+};
+
+/**
+ * Find a refresh token by its value
+ * @param {string} token - Refresh token as presented by the client
+ * @returns {Promise<Object|null>} - Stored token with the user's role and state, or null
+ */
+const findRefreshToken = async (token) => {
+  const [rows] = await pool.query(
+    `SELECT rt.*, u.role, u.email, u.is_active, u.token_version, u.first_login, u.password_changed_at
+     FROM refresh_tokens rt
+     LEFT JOIN users u ON rt.user_id = u.id
+     WHERE rt.token_hash = ?`,
+    [hashToken(token)]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Mark a refresh token as used and replaced by its successor
+ * @param {string} tokenId - Token being rotated
+ * @param {string} replacedBy - Token issued in its place
+ * @returns {Promise<boolean>} - False if the token had already been used or revoked
+ */
+const markRotated = async (tokenId, replacedBy) => {
+  const [result] = await pool.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = ?
+     WHERE token_id = ? AND revoked_at IS NULL`,
+    [replacedBy, tokenId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Revoke every token in a session (one login and all its rotations)
+ * @param {string} familyId - Session ID
+ * @param {string} reason - Why the session ended
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+const revokeFamily = async (familyId, reason) => {
+  const [result] = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE family_id = ? AND revoked_at IS NULL`,
+    [reason, familyId]
+  );
+
+  await sessionModel.markSessionEnded(familyId, reason);
+
+  return result.affectedRows;
+};
+
+/**
+ * End every session of a user except one
+ * @param {string} userId - User ID
+ * @param {string} keepFamilyId - Session that stays signed in
+ * @param {string} reason - Why the sessions ended
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+const revokeOtherFamilies = async (userId, keepFamilyId, reason) => {
+  const [result] = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND family_id <> ? AND revoked_at IS NULL`,
+    [reason, userId, keepFamilyId]
+  );
+
+  await sessionModel.markUserSessionsEnded(userId, reason, keepFamilyId);
+
+  return result.affectedRows;
+};
+
+/**
+ * End every session of a user
+ * The user's token version is bumped as well, so access tokens already issued
+ * stop working on their next request rather than when they expire.
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions ended (e.g. 'password_changed', 'admin_logout')
+ * @returns {Promise<number>} - Number of refresh tokens revoked
+ */
+const revokeUserTokens = async (userId, reason) => {
+  await pool.query(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+    [userId]
+  );
+
+  const [result] = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+
+  await sessionModel.markUserSessionsEnded(userId, reason);
+
+  return result.affectedRows;
+};
+
+/**
+ * Check whether a session can still be used
+ * @param {string} familyId - Session ID
+ * @returns {Promise<boolean>} - True if the session has an unrevoked, unexpired token
+ */
+const isFamilyActive = async (familyId) => {
+  const [rows] = await pool.query(
+    'SELECT 1 FROM refresh_tokens WHERE family_id = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+    [familyId]
+  );
+
+  return rows.length > 0;
+};
+
+module.exports = {
+  hashToken,
+  createRefreshToken,
+  findRefreshToken,
+  markRotated,
+  revokeFamily,
+  revokeOtherFamilies,
+  revokeUserTokens,
+  isFamilyActive
+};
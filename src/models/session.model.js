@@ -0,0 +1,124 @@
+const { pool } = require('../config/database');
+
+// A session's last-seen time is written at most this often
+const LAST_SEEN_INTERVAL_SECONDS = 60;
+
+// Columns returned for a session, with whether its refresh tokens still work
+const SESSION_SELECT_SQL = `
+  SELECT s.session_id, s.user_id, s.ip_address, s.user_agent, s.last_seen_ip,
+    s.created_at, s.last_seen_at, s.ended_at, s.ended_reason,
+    EXISTS (
+      SELECT 1 FROM refresh_tokens rt
+      WHERE rt.family_id = s.session_id AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+    ) AS is_active
+  FROM user_sessions s`;
+
+/**
+ * Shape a session row for callers
+ * @param {Object} row - Row from SESSION_SELECT_SQL
+ * @returns {Object} - Session with is_active as a boolean
+ */
+const formatSession = (row) => ({ ...row, is_active: !!row.is_active });
+
+/**
+ * Register a new session (one login)
+ * @param {Object} sessionData - session_id, user_id, ip_address, user_agent
+ */
+const createSession = async (sessionData) => {
+  await pool.query(
+    `INSERT INTO user_sessions
+     (session_id, user_id, ip_address, user_agent, last_seen_ip, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [
+      sessionData.session_id,
+      sessionData.user_id,
+      sessionData.ip_address || null,
+      sessionData.user_agent || null,
+      sessionData.ip_address || null
+    ]
+  );
+};
+
+/**
+ * Record that a session was just used
+ * @param {string} sessionId - Session ID
+ * @param {string} ipAddress - IP address of the request
+ */
+const touchSession = async (sessionId, ipAddress) => {
+  await pool.query(
+    `UPDATE user_sessions SET last_seen_at = NOW(), last_seen_ip = ?
+     WHERE session_id = ? AND last_seen_at < NOW() - INTERVAL ? SECOND`,
+    [ipAddress || null, sessionId, LAST_SEEN_INTERVAL_SECONDS]
+  );
+};
+
+/**
+ * Get a user's sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {Object} options - activeOnly, limit
+ * @returns {Promise<Array>} - Sessions
+ */
+const getUserSessions = async (userId, { activeOnly = true, limit = 50 } = {}) => {
+  const [rows] = await pool.query(
+    `${SESSION_SELECT_SQL}
+     WHERE s.user_id = ?
+     ${activeOnly ? 'HAVING is_active = 1' : ''}
+     ORDER BY s.last_seen_at DESC
+     LIMIT ?`,
+    [userId, parseInt(limit)]
+  );
+
+  return rows.map(formatSession);
+};
+
+/**
+ * Get one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session, or null if the user has no such session
+ */
+const getUserSession = async (userId, sessionId) => {
+  const [rows] = await pool.query(
+    `${SESSION_SELECT_SQL}
+     WHERE s.user_id = ? AND s.session_id = ?`,
+    [userId, sessionId]
+  );
+
+  return rows.length > 0 ? formatSession(rows[0]) : null;
+};
+
+/**
+ * Record why a session ended
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session ended
+ */
+const markSessionEnded = async (sessionId, reason) => {
+  await pool.query(
+    `UPDATE user_sessions SET ended_at = NOW(), ended_reason = ?
+     WHERE session_id = ? AND ended_at IS NULL`,
+    [reason, sessionId]
+  );
+};
+
+/**
+ * Record that a user's sessions ended
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions ended
+ * @param {string} exceptSessionId - Session that carries on, if any
+ */
+const markUserSessionsEnded = async (userId, reason, exceptSessionId = null) => {
+  await pool.query(
+    `UPDATE user_sessions SET ended_at = NOW(), ended_reason = ?
+     WHERE user_id = ? AND ended_at IS NULL AND session_id <> ?`,
+    [reason, userId, exceptSessionId || '']
+  );
+};
+
+module.exports = {
+  createSession,
+  touchSession,
+  getUserSessions,
+  getUserSession,
+  markSessionEnded,
+  markUserSessionsEnded
+};
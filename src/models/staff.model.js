@@ -1,14 +1,35 @@
 const { pool } = require('../config/database');
-const { encrypt, decrypt } = require('../middleware/encryption.middleware');
+const { encryptFields } = require('../utils/fieldEncryption');
+const { AppError } = require('../utils/error.utils');
 const bcrypt = require('bcrypt');
+const refreshTokenModel = require('./refreshToken.model');
+const passwordHistoryModel = require('./passwordHistory.model');
 
-// Fields that should be encrypted/decrypted
-const sensitiveFields = ['nic', 'address'];
+/**
+ * Refuse a NIC that already belongs to another staff member
+ * NICs are encrypted with a random nonce, so they are compared through their blind index.
+ * @param {string|null} nicIndex - Blind index of the NIC
+ * @param {string|null} staffId - Staff member keeping the NIC, when updating
+ * @throws {AppError} - 409 if another staff member has the NIC
+ */
+const assertNicAvailable = async (nicIndex, staffId = null) => {
+  if (!nicIndex) return;
+
+  const [rows] = await pool.query(
+    'SELECT staff_id FROM staff WHERE nic_index = ? AND staff_id <> ?',
+    [nicIndex, staffId || '']
+  );
+
+  if (rows.length > 0) {
+    throw new AppError('A staff member with this NIC already exists', 409);
+  }
+};
 
 /**
  * Create a new staff member
  * @param {Object} staffData - Staff member data
  * @returns {Promise<Object>} - The created staff member
+ * @throws {AppError} - 409 if another staff member has the NIC
  */
 // Update this in staff.model.js
 const createStaff = async (staffData) => {
@@ -16,8 +37,9 @@ const createStaff = async (staffData) => {
     const hashedPassword = await bcrypt.hash(staffData.password, 10);
     
     // Encrypt sensitive fields
-    const encryptedNIC = encrypt(staffData.nic);
-    const encryptedAddress = encrypt(staffData.address);
+    const encryptedData = encryptFields('staff', staffData);
+    
+    await assertNicAvailable(encryptedData.nic_index);
     
     // Generate staff ID
     const staffId = `ST${Date.now().toString().slice(-6)}`;
@@ -40,8 +62,8 @@ const createStaff = async (staffData) => {
       `INSERT INTO staff (
         staff_id, first_name, last_name, email, mobile, role, 
         specialization, address, city, district, gender, 
-        date_of_birth, nic, profile_picture, password, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        date_of_birth, nic, nic_index, profile_picture, password, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
       [
         staffId,
         staffData.first_name,
@@ -50,12 +72,13 @@ const createStaff = async (staffData) => {
         staffData.mobile,
         staffData.role,
         staffData.specialization || null,
-        encryptedAddress,
+        encryptedData.address,
         staffData.city,
         staffData.district,
         staffData.gender || null,
         formattedDateOfBirth, // Use formatted date
-        encryptedNIC,
+        encryptedData.nic,
+        encryptedData.nic_index || null,
         staffData.profile_picture || null,
         hashedPassword
       ]
@@ -71,13 +94,11 @@ const createStaff = async (staffData) => {
       throw new Error('Failed to create staff member');
     }
     
-    // Decrypt sensitive fields
     const staffMember = staff[0];
-    staffMember.nic = decrypt(staffMember.nic);
-    staffMember.address = decrypt(staffMember.address);
     
-    // Remove password
+    // Remove password and the NIC's blind index
     delete staffMember.password;
+    delete staffMember.nic_index;
     
     return staffMember;
 };
@@ -131,18 +152,12 @@ const getStaffById = async (id, keepPassword = false) => {
   
   const staff = rows[0];
   
-  // Decrypt sensitive fields
-  sensitiveFields.forEach(field => {
-    if (staff[field]) {
-      staff[field] = decrypt(staff[field]);
-    }
-  });
-  
   // Remove password
 //   delete staff.password;
     if (!keepPassword) {
         delete staff.password;
     }
+    delete staff.nic_index;
   
   return staff;
 };
@@ -164,15 +179,10 @@ const updateStaff = async (id, staffData) => {
       throw new Error('Staff member not found');
     }
     
-    // Create updated staff object
-    const updatedStaff = { ...currentStaff[0], ...staffData };
+    // Create updated staff object, with its sensitive fields encrypted again
+    const updatedStaff = encryptFields('staff', { ...currentStaff[0], ...staffData });
     
-    // Encrypt sensitive fields if they were updated
-    sensitiveFields.forEach(field => {
-      if (staffData[field]) {
-        updatedStaff[field] = encrypt(staffData[field]);
-      }
-    });
+    await assertNicAvailable(updatedStaff.nic_index, id);
     
     // Format date of birth if it exists and was updated
     if (staffData.date_of_birth) {
@@ -190,6 +200,12 @@ const updateStaff = async (id, staffData) => {
         'UPDATE users SET password = ? WHERE id = ?',
         [updatedStaff.password, id]
       );
+      
+      // Kept so recent passwords cannot be chosen again, and to track password age
+      await passwordHistoryModel.recordPasswordChange(id, updatedStaff.password);
+      
+      // Sessions signed in with the old password end now
+      await refreshTokenModel.revokeUserTokens(id, 'password_changed');
     }
     
     // Update the staff record
@@ -197,7 +213,7 @@ const updateStaff = async (id, staffData) => {
       `UPDATE staff SET 
         first_name = ?, last_name = ?, email = ?, mobile = ?, role = ?,
         specialization = ?, address = ?, city = ?, district = ?, gender = ?,
-        date_of_birth = ?, nic = ?, profile_picture = ?, password = ?
+        date_of_birth = ?, nic = ?, nic_index = ?, profile_picture = ?, password = ?
       WHERE staff_id = ?`,
       [
         updatedStaff.first_name,
@@ -212,6 +228,7 @@ const updateStaff = async (id, staffData) => {
         updatedStaff.gender,
         updatedStaff.date_of_birth,
         updatedStaff.nic,
+        updatedStaff.nic_index || null,
         updatedStaff.profile_picture,
         updatedStaff.password,
         id
@@ -236,6 +253,8 @@ const updateStaff = async (id, staffData) => {
    * @returns {Promise<boolean>} - True if successfully deleted
    */
 const deleteStaff = async (id) => {
+    await refreshTokenModel.revokeUserTokens(id, 'account_deleted');
+    
     // Delete from users table first (foreign key constraint)
     await pool.query('DELETE FROM users WHERE id = ?', [id]);
     
@@ -263,19 +282,21 @@ const deleteStaff = async (id) => {
       return null;
     }
     
-    const staff = rows[0];
-    
-    // Decrypt sensitive fields
-    sensitiveFields.forEach(field => {
-      if (staff[field]) {
-        staff[field] = decrypt(staff[field]);
-      }
-    });
-    
-    return staff;
+    return rows[0];
   };
 
-  
+  /**
+   * Set the blind index of a staff member's NIC
+   * updated_at is left alone, since the staff member's details are unchanged.
+   * @param {string} id - Staff ID
+   * @param {string|null} nicIndex - Blind index of the NIC
+   */
+  const setNicIndex = async (id, nicIndex) => {
+    await pool.query(
+      'UPDATE staff SET nic_index = ?, updated_at = updated_at WHERE staff_id = ?',
+      [nicIndex, id]
+    );
+  };
   
   module.exports = {
     createStaff,
@@ -283,5 +304,6 @@ const deleteStaff = async (id) => {
     getStaffById,
     updateStaff,
     deleteStaff,
-    findStaffByEmail
+    findStaffByEmail,
+    setNicIndex
   };
\ No newline at end of file
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { encryptFields } = require('../utils/fieldEncryption');
+
+// Roles two-factor authentication can be required for
+const TWO_FACTOR_ROLES = ['admin', 'doctor', 'insurance'];
+
+/**
+ * Hash a recovery code for storage and lookup
+ * Codes are compared without dashes, spaces or case.
+ * @param {string} code - Recovery code
+ * @returns {string} - Hex SHA-256 hash
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Get a user's two-factor settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Settings with the decrypted secret, or null if never set up
+ */
+const getTwoFactor = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+
+  if (rows.length === 0) return null;
+
+  return {
+    ...rows[0],
+    enabled: !!rows[0].enabled_at
+  };
+};
+
+/**
+ * Store a new, not yet confirmed secret
+ * Replaces any earlier unconfirmed secret; an enabled secret is left alone.
+ * @param {string} userId - User ID
+ * @param {string} secret - Base32 TOTP secret
+ */
+const savePendingSecret = async (userId, secret) => {
+  await pool.query(
+    `INSERT INTO user_two_factor (user_id, secret)
+     VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE
+       secret = IF(enabled_at IS NULL, VALUES(secret), secret),
+       last_used_step = IF(enabled_at IS NULL, NULL, last_used_step)`,
+    [userId, encryptFields('user_two_factor', { secret }).secret]
+  );
+};
+
+/**
+ * Mark a user's pending secret as confirmed
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - False if there was nothing pending
+ */
+const enableTwoFactor = async (userId) => {
+  const [result] = await pool.query(
+    'UPDATE user_two_factor SET enabled_at = NOW() WHERE user_id = ? AND enabled_at IS NULL',
+    [userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record the time step of an accepted code so it cannot be replayed
+ * @param {string} userId - User ID
+ * @param {number} step - Time step of the accepted code
+ * @returns {Promise<boolean>} - False if this or a later step was already used
+ */
+const markStepUsed = async (userId, step) => {
+  const [result] = await pool.query(
+    `UPDATE user_two_factor SET last_used_step = ?, last_used_at = NOW()
+     WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, userId, step]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Remove a user's two-factor settings and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if two-factor had been set up
+ */
+const removeTwoFactor = async (userId) => {
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+  const [result] = await pool.query('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User ID
+ * @param {Array<string>} codes - New recovery codes
+ */
+const replaceRecoveryCodes = async (userId, codes) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+      [codes.map(code => [userId, hashRecoveryCode(code)])]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Use up a recovery code
+ * @param {string} userId - User ID
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<boolean>} - False if the code is wrong or already used
+ */
+const useRecoveryCode = async (userId, code) => {
+  const [result] = await pool.query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashRecoveryCode(code)]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Count a user's unused recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Unused codes
+ */
+const countRecoveryCodes = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return rows[0].remaining;
+};
+
+/**
+ * Get the two-factor policy of every role
+ * Roles without a stored policy do not require two-factor.
+ * @returns {Promise<Array>} - role, required, updated_by, updated_at
+ */
+const getPolicies = async () => {
+  const [rows] = await pool.query('SELECT * FROM two_factor_policies');
+
+  return TWO_FACTOR_ROLES.map(role => {
+    const policy = rows.find(row => row.role === role);
+    return {
+      role,
+      required: policy ? !!policy.required : false,
+      updated_by: policy ? policy.updated_by : null,
+      updated_at: policy ? policy.updated_at : null
+    };
+  });
+};
+
+/**
+ * Check whether a role must use two-factor
+ * @param {string} role - User role
+ * @returns {Promise<boolean>} - True if required
+ */
+const isRequiredForRole = async (role) => {
+  const [rows] = await pool.query(
+    'SELECT required FROM two_factor_policies WHERE role = ?',
+    [role]
+  );
+
+  return rows.length > 0 && !!rows[0].required;
+};
+
+/**
+ * Require, or stop requiring, two-factor for a role
+ * @param {string} role - User role
+ * @param {boolean} required - Whether two-factor is required
+ * @param {string} updatedBy - Admin making the change
+ */
+const setPolicy = async (role, required, updatedBy) => {
+  await pool.query(
+    `INSERT INTO two_factor_policies (role, required, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE required = VALUES(required), updated_by = VALUES(updated_by)`,
+    [role, required, updatedBy]
+  );
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getTwoFactor,
+  savePendingSecret,
+  enableTwoFactor,
+  markStepUsed,
+  removeTwoFactor,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  getPolicies,
+  isRequiredForRole,
+  setPolicy
+};
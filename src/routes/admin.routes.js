@@ -1,70 +1,219 @@
 const express = require('express');
 const adminController = require('../controllers/admin.controller');
+const claimController = require('../controllers/claim.controller');
+const consentController = require('../controllers/consent.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { checkRole } = require('../middleware/roleCheck.middleware');
-const { validate, staffValidationRules, patientValidationRules, insuranceValidationRules } = require('../utils/validator.utils');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { auditTrail, audit } = require('../middleware/audit.middleware');
+const { getEncryptedColumns } = require('../config/encryptedFields');
+const {
+  staffModel,
+  patientModel,
+  insuranceModel,
+  medicineModel,
+  insuranceAllocationModel
+} = require('../models');
+const {
+  validate,
+  staffValidationRules,
+  patientValidationRules,
+  insuranceValidationRules,
+  dataRequestApprovalValidationRules,
+  grantExtensionValidationRules,
+  claimStatusValidationRules,
+  consentValidationRules,
+  accessReportValidationRules,
+  auditLogSearchValidationRules,
+  auditVerificationValidationRules,
+  twoFactorPolicyValidationRules,
+  sessionIdValidationRules,
+  sessionListValidationRules,
+  loginHistoryValidationRules,
+  rolePermissionsValidationRules,
+  patientSearchValidationRules,
+  recordValidationRules,
+  recordAccessGrantValidationRules,
+  recordVersionValidationRules,
+  recordDiffValidationRules,
+  recordAmendmentValidationRules,
+  enteredInErrorValidationRules
+} = require('../utils/validator.utils');
 
 const router = express.Router();
 
-// All admin routes are protected
+// All admin routes are protected; each route names the permission it needs
 router.use(authenticate);
-router.use(checkRole('admin'));
+router.use(auditTrail());
+
+// Before/after snapshots for routes that change or remove a resource
+const staffAudit = audit({
+  resource: 'staff',
+  snapshot: id => staffModel.getStaffById(id),
+  redact: getEncryptedColumns('staff')
+});
+const patientAudit = audit({
+  resource: 'patient',
+  snapshot: id => patientModel.getPatientById(id),
+  redact: getEncryptedColumns('patients')
+});
+const insuranceAudit = audit({
+  resource: 'insurance',
+  snapshot: id => insuranceModel.getInsuranceById(id),
+  redact: getEncryptedColumns('insurance_companies')
+});
+const medicineAudit = audit({ resource: 'medicine', snapshot: id => medicineModel.getMedicineById(id) });
+const allocationAudit = audit({
+  resource: 'insurance_allocation',
+  snapshot: id => insuranceAllocationModel.getAllocationById(id)
+});
 
 // Staff routes
-router.get('/staff', adminController.getAllStaff);
-router.get('/staff/:id', adminController.getStaffById);
-router.post('/staff', staffValidationRules, validate, adminController.createStaff);
-router.put('/staff/:id', adminController.updateStaff);
-router.delete('/staff/:id', adminController.deleteStaff);
-router.put('/staff/:id/reset-password', adminController.resetStaffPassword);
+router.get('/staff', requirePermission('staff:read'), adminController.getAllStaff);
+router.get('/staff/:id', requirePermission('staff:read'), audit({ action: 'view', resource: 'staff' }), adminController.getStaffById);
+router.post('/staff', requirePermission('staff:manage'), staffValidationRules, validate, adminController.createStaff);
+router.put('/staff/:id', requirePermission('staff:manage'), staffAudit, adminController.updateStaff);
+router.delete('/staff/:id', requirePermission('staff:manage'), staffAudit, adminController.deleteStaff);
+router.put('/staff/:id/reset-password', requirePermission('staff:manage'), audit({ action: 'reset_password', resource: 'staff', severity: 'warning' }), adminController.resetStaffPassword);
 
 // Patient routes
-router.get('/patients', adminController.getAllPatients);
-router.get('/patients/:id', adminController.getPatientById);
-router.post('/patients', patientValidationRules, validate, adminController.createPatient);
-router.put('/patients/:id', adminController.updatePatient);
-router.delete('/patients/:id', adminController.deletePatient);
+router.get('/patients', requirePermission('patient:read'), patientSearchValidationRules, validate, adminController.getAllPatients);
+router.get('/patients/:id', requirePermission('patient:read'), audit({ action: 'view', resource: 'patient' }), adminController.getPatientById);
+router.post('/patients', requirePermission('patient:manage'), patientValidationRules, validate, adminController.createPatient);
+router.put('/patients/:id', requirePermission('patient:manage'), patientAudit, adminController.updatePatient);
+router.delete('/patients/:id', requirePermission('patient:manage'), patientAudit, adminController.deletePatient);
+router.get('/patients/:patientId/access-report', requirePermission('patient:access_report'), accessReportValidationRules, validate, adminController.getPatientAccessReport);
 
 // Insurance routes
-router.get('/insurance', adminController.getAllInsurance);
-router.get('/insurance/:id', adminController.getInsuranceById);
-router.post('/insurance', insuranceValidationRules, validate, adminController.createInsurance);
-router.put('/insurance/:id', adminController.updateInsurance);
-router.delete('/insurance/:id', adminController.deleteInsurance);
-router.put('/insurance/:id/reset-password', adminController.resetInsurancePassword);
+router.get('/insurance', requirePermission('insurance:read'), adminController.getAllInsurance);
+router.get('/insurance/:id', requirePermission('insurance:read'), adminController.getInsuranceById);
+router.post('/insurance', requirePermission('insurance:manage'), insuranceValidationRules, validate, adminController.createInsurance);
+router.put('/insurance/:id', requirePermission('insurance:manage'), insuranceAudit, adminController.updateInsurance);
+router.delete('/insurance/:id', requirePermission('insurance:manage'), insuranceAudit, adminController.deleteInsurance);
+router.put('/insurance/:id/reset-password', requirePermission('insurance:manage'), audit({ action: 'reset_password', resource: 'insurance', severity: 'warning' }), adminController.resetInsurancePassword);
 
 // Medical records routes
-router.get('/records', adminController.getAllRecords);
-router.get('/records/:id', adminController.getRecordById);
-router.post('/records', adminController.createRecord);
+router.get('/records', requirePermission('record:read'), adminController.getAllRecords);
+router.get('/records/:id', requirePermission('record:read:sensitive'), recordVersionValidationRules, validate, audit({ action: 'view', resource: 'record' }), adminController.getRecordById);
+router.post('/records', requirePermission('record:create'), recordValidationRules, validate, adminController.createRecord);
+
+// Amendments and version history; records are never deleted, only marked entered in error
+router.put('/records/:id', requirePermission('record:amend'), recordAmendmentValidationRules, validate, adminController.amendRecord);
+router.post('/records/:id/entered-in-error', requirePermission('record:amend'), enteredInErrorValidationRules, validate, adminController.markRecordEnteredInError);
+router.get('/records/:id/versions', requirePermission('record:read:sensitive'), adminController.getRecordVersions);
+router.get('/records/:id/diff', requirePermission('record:read:sensitive'), recordDiffValidationRules, validate, audit({ action: 'view', resource: 'record' }), adminController.getRecordVersionDiff);
+
+// Staff access to restricted records
+router.get('/records/:id/access-grants', requirePermission('record:restricted:grant'), adminController.getRecordAccessGrants);
+router.post('/records/:id/access-grants', requirePermission('record:restricted:grant'), recordAccessGrantValidationRules, validate, adminController.grantRecordAccess);
+router.delete('/records/:id/access-grants/:staffId', requirePermission('record:restricted:grant'), adminController.revokeRecordAccess);
 
 // Medicine routes
-router.get('/medicines', adminController.getAllMedicines);
-router.get('/medicines/:id', adminController.getMedicineById);
-router.post('/medicines', adminController.createMedicine);
-router.put('/medicines/:id', adminController.updateMedicine);
-router.delete('/medicines/:id', adminController.deleteMedicine);
+router.get('/medicines', requirePermission('medicine:read'), adminController.getAllMedicines);
+router.get('/medicines/:id', requirePermission('medicine:read'), adminController.getMedicineById);
+router.post('/medicines', requirePermission('medicine:manage'), adminController.createMedicine);
+router.put('/medicines/:id', requirePermission('medicine:manage'), medicineAudit, adminController.updateMedicine);
+router.delete('/medicines/:id', requirePermission('medicine:manage'), medicineAudit, adminController.deleteMedicine);
 
 // Insurance allocations routes
-router.get('/insurance-allocations', adminController.getAllInsuranceAllocations);
-router.get('/insurance-allocations/:id', adminController.getInsuranceAllocationById);
-router.post('/insurance-allocations', adminController.createInsuranceAllocation);
-router.put('/insurance-allocations/:id/status', adminController.updateInsuranceAllocationStatus);
-router.delete('/insurance-allocations/:id', adminController.deleteInsuranceAllocation);
+router.get('/insurance-allocations', requirePermission('allocation:read'), adminController.getAllInsuranceAllocations);
+router.get('/insurance-allocations/:id', requirePermission('allocation:read'), adminController.getInsuranceAllocationById);
+router.post('/insurance-allocations', requirePermission('allocation:manage'), adminController.createInsuranceAllocation);
+router.put('/insurance-allocations/:id/status', requirePermission('allocation:manage'), allocationAudit, adminController.updateInsuranceAllocationStatus);
+router.delete('/insurance-allocations/:id', requirePermission('allocation:manage'), allocationAudit, adminController.deleteInsuranceAllocation);
+
+// Consent routes (recorded by staff on the patient's behalf)
+router.get('/consents', requirePermission('consent:read'), consentController.getConsents);
+router.get('/consents/:consentId', requirePermission('consent:read'), consentController.getConsentById);
+router.put('/consents/:consentId/revoke', requirePermission('consent:manage'), consentController.revokeConsent);
+router.get('/patients/:patientId/consents', requirePermission('consent:read'), consentController.getConsents);
+router.post('/patients/:patientId/consents', requirePermission('consent:manage'), consentValidationRules, validate, consentController.createConsent);
 
 // Data request routes
-router.get('/data-requests', adminController.getAllDataRequests);
-router.get('/data-requests/:id', adminController.getDataRequestById);
-router.put('/data-requests/:id/approve', adminController.approveDataRequest);
-router.put('/data-requests/:id/reject', adminController.rejectDataRequest);
+router.get('/data-requests', requirePermission('data_request:read'), adminController.getAllDataRequests);
+router.get('/data-requests/:id', requirePermission('data_request:read'), adminController.getDataRequestById);
+router.get('/data-requests/:id/candidate-records', requirePermission('data_request:approve'), adminController.getDataRequestCandidateRecords);
+router.put('/data-requests/:id/approve', requirePermission('data_request:approve'), dataRequestApprovalValidationRules, validate, adminController.approveDataRequest);
+router.put('/data-requests/:id/reject', requirePermission('data_request:approve'), adminController.rejectDataRequest);
+router.get('/data-requests/:id/records', requirePermission('data_request:read'), adminController.getDataRequestGrants);
+router.put('/data-requests/:id/records/:recordId/extend', requirePermission('data_request:approve'), grantExtensionValidationRules, validate, adminController.extendRecordGrant);
+router.put('/data-requests/:id/records/:recordId/revoke', requirePermission('data_request:approve'), adminController.revokeRecordGrant);
+
+// Claim routes
+router.get('/claims', requirePermission('claim:read'), claimController.getClaims);
+router.get('/claims/reconciliation', requirePermission('claim:read'), claimController.getCompanyReconciliation);
+router.get('/claims/:claimId', requirePermission('claim:read'), claimController.getClaimById);
+router.get('/claims/:claimId/history', requirePermission('claim:read'), claimController.getClaimHistory);
+router.get('/claims/:claimId/reconciliation', requirePermission('claim:read'), claimController.getClaimReconciliation);
+router.get('/claims/:claimId/evidence', requirePermission('claim:read'), claimController.getClaimEvidence);
+router.put('/claims/:claimId/status', requirePermission('claim:adjudicate'), claimStatusValidationRules, validate, claimController.updateClaimStatus);
 
 // Dashborad stats
-router.get('/dashboard-stats', adminController.getDashboardStats);
+router.get('/dashboard-stats', requirePermission('dashboard:read'), adminController.getDashboardStats);
 
 // System Settings
-router.get('/system-settings', adminController.getSystemSettings);
-router.put('/system-settings', adminController.updateSystemSettings);
-router.post('/system-diagnostics', adminController.runSystemDiagnostics);
+router.get('/system-settings', requirePermission('settings:manage'), adminController.getSystemSettings);
+router.put('/system-settings', requirePermission('settings:manage'), adminController.updateSystemSettings);
+router.post('/system-diagnostics', requirePermission('settings:manage'), adminController.runSystemDiagnostics);
+
+// User sessions, lockouts and two-factor
+router.post(
+  '/users/:userId/logout',
+  requirePermission('user:security'),
+  audit({ action: 'force_logout', resource: 'user', severity: 'warning' }),
+  adminController.forceLogout
+);
+router.post('/users/:userId/unlock', requirePermission('user:security'), adminController.unlockUser);
+router.get(
+  '/users/:userId/sessions',
+  requirePermission('user:security'),
+  sessionListValidationRules,
+  validate,
+  audit({ action: 'view', resource: 'user_sessions' }),
+  adminController.getUserSessions
+);
+router.delete('/users/:userId/sessions/:sessionId', requirePermission('user:security'), sessionIdValidationRules, validate, adminController.revokeUserSession);
+router.get(
+  '/users/:userId/login-history',
+  requirePermission('user:security'),
+  loginHistoryValidationRules,
+  validate,
+  audit({ action: 'view', resource: 'login_history' }),
+  adminController.getUserLoginHistory
+);
+router.delete('/users/:userId/two-factor', requirePermission('user:security'), adminController.resetUserTwoFactor);
+
+// Two-factor policy
+router.get('/two-factor/policies', requirePermission('security:policy'), adminController.getTwoFactorPolicies);
+router.put('/two-factor/policies/:role', requirePermission('security:policy'), twoFactorPolicyValidationRules, validate, adminController.updateTwoFactorPolicy);
+
+// Permissions
+router.get('/permissions', requirePermission('permission:manage'), adminController.getPermissions);
+router.put(
+  '/roles/:role/permissions',
+  requirePermission('permission:manage'),
+  rolePermissionsValidationRules,
+  validate,
+  adminController.updateRolePermissions
+);
+
+// Audit log
+router.get(
+  '/audit-logs',
+  requirePermission('audit:read'),
+  audit({ action: 'view', resource: 'audit_log' }),
+  auditLogSearchValidationRules,
+  validate,
+  adminController.getAuditLogs
+);
+router.get('/audit-logs/verify', requirePermission('audit:verify'), auditVerificationValidationRules, validate, adminController.verifyAuditChain);
+
+// Scheduled jobs
+router.get('/jobs', requirePermission('job:manage'), adminController.getScheduledJobs);
+router.get('/jobs/:name/runs', requirePermission('job:manage'), adminController.getJobRuns);
+router.post('/jobs/:name/run', requirePermission('job:manage'), adminController.runScheduledJob);
+
+// Encryption key rotation (re-encryption runs as the reencrypt-data job)
+router.get('/encryption/status', requirePermission('settings:manage'), adminController.getEncryptionStatus);
 
 
 module.exports = router;
\ No newline at end of file
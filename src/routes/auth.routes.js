@@ -1,17 +1,76 @@
 const express = require('express');
 const authController = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth.middleware');
-const { validate, loginValidationRules } = require('../utils/validator.utils');
+const { authenticate, authenticateAllowingPasswordChange, authenticateChallenge } = require('../middleware/auth.middleware');
+const { auditTrail, audit } = require('../middleware/audit.middleware');
+const {
+  validate,
+  loginValidationRules,
+  forgotPasswordValidationRules,
+  resetPasswordValidationRules,
+  changePasswordValidationRules,
+  sessionIdValidationRules,
+  sessionListValidationRules,
+  revokeSessionsValidationRules,
+  refreshTokenValidationRules,
+  twoFactorCodeValidationRules,
+  twoFactorLoginValidationRules
+} = require('../utils/validator.utils');
 
 const router = express.Router();
 
 // Public routes
 router.post('/login', loginValidationRules, validate, authController.login);
+router.post('/refresh', refreshTokenValidationRules, validate, authController.refresh);
+router.post('/logout', refreshTokenValidationRules, validate, authController.logout);
+router.get('/password-policy', authController.getPasswordPolicy);
+router.post('/forgot-password', forgotPasswordValidationRules, validate, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidationRules, validate, authController.resetPassword);
+
+// Second step of a login, authenticated by the challenge token from /login
+router.post(
+  '/login/2fa',
+  authenticateChallenge('two_factor_login'),
+  twoFactorLoginValidationRules,
+  validate,
+  authController.verifyTwoFactorLogin
+);
+router.post('/login/2fa/setup', authenticateChallenge('two_factor_setup'), authController.setupTwoFactor);
+router.post(
+  '/login/2fa/enable',
+  authenticateChallenge('two_factor_setup'),
+  twoFactorCodeValidationRules,
+  validate,
+  authController.enableTwoFactor
+);
+
+// Reachable while the user must still change their password
+router.get('/profile', authenticateAllowingPasswordChange, auditTrail(), authController.getProfile);
+router.post(
+  '/change-password',
+  authenticateAllowingPasswordChange,
+  auditTrail(),
+  changePasswordValidationRules,
+  validate,
+  audit({ action: 'change_password', resource: 'user', severity: 'warning' }),
+  authController.changePassword
+);
 
 // Protected routes
 router.use(authenticate);
+router.use(auditTrail());
+
+router.get('/permissions', authController.getPermissions);
+
+// Sessions
+router.get('/sessions', sessionListValidationRules, validate, authController.getSessions);
+router.post('/sessions/revoke-all', revokeSessionsValidationRules, validate, authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', sessionIdValidationRules, validate, authController.revokeSession);
 
-router.get('/profile', authController.getProfile);
-router.post('/change-password', authController.changePassword);
+// Two-factor authentication
+router.get('/2fa', authController.getTwoFactorStatus);
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post('/2fa/enable', twoFactorCodeValidationRules, validate, authController.enableTwoFactor);
+router.post('/2fa/disable', twoFactorLoginValidationRules, validate, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', twoFactorCodeValidationRules, validate, authController.regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -1,28 +1,43 @@
 const express = require('express');
 const doctorController = require('../controllers/doctor.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { checkRole } = require('../middleware/roleCheck.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { auditTrail, audit } = require('../middleware/audit.middleware');
+const {
+  validate,
+  patientSearchValidationRules,
+  recordVersionValidationRules,
+  recordDiffValidationRules,
+  recordAmendmentValidationRules,
+  enteredInErrorValidationRules
+} = require('../utils/validator.utils');
 
 const router = express.Router();
 
-// All doctor routes are protected
+// All doctor routes are protected; each route names the permission it needs
 router.use(authenticate);
-router.use(checkRole('doctor', 'admin'));
+router.use(auditTrail());
 
 // Get all patients
-router.get('/patients', doctorController.getAllPatients);
+router.get('/patients', requirePermission('patient:read'), patientSearchValidationRules, validate, doctorController.getAllPatients);
 
 // Get patient records
-router.get('/patients/:patientId/records', doctorController.getPatientRecords);
+router.get('/patients/:patientId/records', requirePermission('record:read'), audit({ action: 'view', resource: 'patient_records' }), doctorController.getPatientRecords);
 
 // Get record details
-router.get('/records/:recordId', doctorController.getRecordById);
+router.get('/records/:recordId', requirePermission('record:read:sensitive'), recordVersionValidationRules, validate, audit({ action: 'view', resource: 'record_details' }), doctorController.getRecordById);
+
+// Amend a record, or mark it entered in error, and view its versions
+router.put('/records/:recordId', requirePermission('record:amend'), recordAmendmentValidationRules, validate, doctorController.amendRecord);
+router.post('/records/:recordId/entered-in-error', requirePermission('record:amend'), enteredInErrorValidationRules, validate, doctorController.markRecordEnteredInError);
+router.get('/records/:recordId/versions', requirePermission('record:read:sensitive'), doctorController.getRecordVersions);
+router.get('/records/:recordId/diff', requirePermission('record:read:sensitive'), recordDiffValidationRules, validate, audit({ action: 'view', resource: 'record_details' }), doctorController.getRecordVersionDiff);
 
 // Other existing routes
-router.post('/prescriptions', doctorController.createPrescription);
-router.post('/lab-tests', doctorController.createLabTest);
-router.get('/medicines', doctorController.getMedicines);
-router.get('/lab-tests', doctorController.getLabTests);
-router.get('/recent-records', doctorController.getRecentRecords);
+router.post('/prescriptions', requirePermission('prescription:create'), doctorController.createPrescription);
+router.post('/lab-tests', requirePermission('lab_test:create'), doctorController.createLabTest);
+router.get('/medicines', requirePermission('medicine:read'), doctorController.getMedicines);
+router.get('/lab-tests', requirePermission('lab_test:read'), doctorController.getLabTests);
+router.get('/recent-records', requirePermission('record:read'), doctorController.getRecentRecords);
 
 module.exports = router;
\ No newline at end of file
@@ -1,28 +1,56 @@
 const express = require('express');
 const insuranceController = require('../controllers/insurance.controller');
+const claimController = require('../controllers/claim.controller');
+const consentController = require('../controllers/consent.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { checkRole } = require('../middleware/roleCheck.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { auditTrail, audit } = require('../middleware/audit.middleware');
+const { insuranceAllocationModel } = require('../models');
+const {
+  validate,
+  claimStatusValidationRules,
+  claimValidationRules,
+  claimEvidenceValidationRules,
+  lineItemDecisionValidationRules
+} = require('../utils/validator.utils');
 
 const router = express.Router();
 
-// All insurance routes are protected
+// All insurance routes are protected; each route names the permission it needs
 router.use(authenticate);
-router.use(checkRole('insurance', 'admin'));
+router.use(auditTrail());
 
 // Connection Management
-router.get('/connections', insuranceController.getConnectionRequests);
-router.put('/connections/:allocationId', insuranceController.updateConnectionStatus);
-router.get('/patients', insuranceController.getConnectedPatients);
+router.get('/connections', requirePermission('allocation:respond'), insuranceController.getConnectionRequests);
+router.put(
+  '/connections/:allocationId',
+  requirePermission('allocation:respond'),
+  audit({ resource: 'insurance_allocation', snapshot: id => insuranceAllocationModel.getAllocationById(id) }),
+  insuranceController.updateConnectionStatus
+);
+router.get('/patients', requirePermission('patient:read:connected'), insuranceController.getConnectedPatients);
 
 // Claims Management
-router.post('/claims', insuranceController.createClaim);
-router.get('/claims', insuranceController.getClaims);
-router.get('/claims/:claimId', insuranceController.getClaimDetails);
+router.post('/claims', requirePermission('claim:create'), claimValidationRules, validate, insuranceController.createClaim);
+router.get('/claims', requirePermission('claim:read'), insuranceController.getClaims);
+router.get('/claims/reconciliation', requirePermission('claim:read'), claimController.getCompanyReconciliation);
+router.get('/claims/:claimId', requirePermission('claim:read'), audit({ action: 'view', resource: 'claim' }), insuranceController.getClaimDetails);
+router.get('/claims/:claimId/history', requirePermission('claim:read'), claimController.getClaimHistory);
+router.get('/claims/:claimId/reconciliation', requirePermission('claim:read'), claimController.getClaimReconciliation);
+router.get('/claims/:claimId/evidence', requirePermission('claim:read'), claimController.getClaimEvidence);
+router.post('/claims/:claimId/evidence', requirePermission('claim:evidence:attach'), claimEvidenceValidationRules, validate, claimController.attachEvidence);
+router.put('/claims/:claimId/status', requirePermission('claim:adjudicate'), claimStatusValidationRules, validate, claimController.updateClaimStatus);
+router.put('/claims/:claimId/line-items/:lineId/decision', requirePermission('claim:adjudicate'), lineItemDecisionValidationRules, validate, claimController.decideLineItem);
+
+// Patient consents given to this company
+router.get('/consents', requirePermission('consent:read'), consentController.getConsents);
+router.get('/consents/:consentId', requirePermission('consent:read'), consentController.getConsentById);
 
 // Data Request Management
-router.post('/requests', insuranceController.createDataRequest);
-router.get('/requests', insuranceController.getAllDataRequests);
-router.get('/requests/:id', insuranceController.getDataRequestById);
-router.get('/requests/:requestId/records', insuranceController.getApprovedRecords);
+router.post('/requests', requirePermission('data_request:create'), insuranceController.createDataRequest);
+router.get('/requests', requirePermission('data_request:read:own'), insuranceController.getAllDataRequests);
+router.get('/requests/:id', requirePermission('data_request:read:own'), insuranceController.getDataRequestById);
+router.get('/requests/:requestId/records', requirePermission('record:read:released'), insuranceController.getApprovedRecords);
+router.get('/requests/:requestId/records/:recordId', requirePermission('record:read:released'), audit({ action: 'view', resource: 'approved_record', idParam: 'recordId' }), insuranceController.getApprovedRecord);
 
 module.exports = router;
\ No newline at end of file
@@ -1,33 +1,29 @@
 const express = require('express');
 const recordController = require('../controllers/record.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { checkRole } = require('../middleware/roleCheck.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 const router = express.Router();
 
+// Mounted under /admin next to the admin routes, which serve the basic
+// /records routes; these routes authenticate for themselves
+router.use(authenticate);
 
 //console.log('Record controller functions:', Object.keys(recordController));
 
-// Basic record routes
-router.get('/records', recordController.getAllRecords);
-router.get('/records/:id', recordController.getRecordById);
-router.post('/records', recordController.createRecord);
-
 // Lab test types
-router.get('/lab-tests/types', recordController.getTestTypes);
+router.get('/lab-tests/types', requirePermission('lab_test:read'), recordController.getTestTypes);
 
 // Create prescription record
 router.post('/records/prescription', 
-  authenticate, 
-  checkRole(['admin', 'doctor']), 
+  requirePermission('prescription:create'), 
   recordController.createPrescriptionRecord
 );
 
 // Create lab test record
 router.post('/records/lab-test', 
-  authenticate, 
-  checkRole(['admin', 'doctor']), 
+  requirePermission('lab_test:create'), 
   recordController.createLabTestRecord
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,14 +1,53 @@
 require('dotenv').config();
 const app = require('./app');
 const { connectToDatabase } = require('./config/database');
+const scheduler = require('./services/scheduler.service');
+const expiryService = require('./services/expiry.service');
+const auditChain = require('./services/auditChain.service');
+const keyRotation = require('./services/keyRotation.service');
+const { assertKeysConfigured } = require('./middleware/encryption.middleware');
 
 const PORT = process.env.PORT || 5000;
+const EXPIRY_SWEEP_INTERVAL_MINUTES = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || 60;
+const AUDIT_CHECKPOINT_INTERVAL_MINUTES = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 1440;
+const ENCRYPTION_REENCRYPT_INTERVAL_MINUTES = parseInt(process.env.ENCRYPTION_REENCRYPT_INTERVAL_MINUTES) || 1440;
+
+try {
+  assertKeysConfigured();
+} catch (error) {
+  console.error('Invalid encryption configuration:', error.message);
+  process.exit(1);
+}
+
+// Background jobs
+scheduler.registerJob(
+  'expiry-sweeper',
+  EXPIRY_SWEEP_INTERVAL_MINUTES * 60 * 1000,
+  expiryService.sweepExpiredAccess
+);
+
+if (process.env.AUDIT_CHECKPOINT_KEY) {
+  scheduler.registerJob(
+    'audit-checkpoint',
+    AUDIT_CHECKPOINT_INTERVAL_MINUTES * 60 * 1000,
+    auditChain.createCheckpoint
+  );
+}
+
+if (process.env.ENCRYPTION_DISABLED !== 'true') {
+  scheduler.registerJob(
+    'reencrypt-data',
+    ENCRYPTION_REENCRYPT_INTERVAL_MINUTES * 60 * 1000,
+    keyRotation.runRotation
+  );
+}
 
 connectToDatabase()
   .then(() => {
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+    scheduler.start();
   })
   .catch((error) => {
     console.error('Unable to connect to the database:', error);
@@ -0,0 +1,234 @@
+const PDFDocument = require('pdfkit');
+const { pipeline } = require('stream/promises');
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const { toCsv } = require('../utils/export.utils');
+const auditService = require('./audit.service');
+
+// Largest number of audit entries a single report covers
+const MAX_REPORT_ENTRIES = 10000;
+
+// How each audited resource reads in the report
+const RESOURCE_LABELS = {
+  patient: 'patient profile',
+  patient_history: 'medical history',
+  patient_records: 'record list',
+  record: 'medical record',
+  record_details: 'medical record',
+  approved_record: 'released record',
+  approved_records: 'released record list',
+  data_request: 'data request',
+  data_request_candidates: 'records in scope of data request',
+  claim: 'claim',
+  consent: 'consent'
+};
+
+const CATEGORY_LABELS = {
+  read: 'Viewed',
+  denied: 'Denied access to',
+  decision: 'Decided',
+  request: 'Requested'
+};
+
+const CSV_HEADERS = [
+  'Timestamp', 'Actor ID', 'Actor', 'Role', 'Category', 'Action',
+  'Resource type', 'Resource ID', 'Data request', 'Purpose', 'Description'
+];
+
+/**
+ * Describe an audit entry in plain words
+ * @param {Object} entry - Audit entry from getPatientAccessLogs
+ * @returns {string} - Description
+ */
+const describeEntry = (entry) => {
+  const resource = RESOURCE_LABELS[entry.resource_type] || entry.resource_type.replace(/_/g, ' ');
+  const verb = entry.category === 'decision'
+    ? entry.action.replace(/_/g, ' ')
+    : CATEGORY_LABELS[entry.category];
+
+  let description = `${verb} ${resource} ${entry.resource_id}`;
+
+  if (entry.category === 'denied' && entry.details && entry.details.reason) {
+    description += ` (${entry.details.reason})`;
+  }
+
+  return description.charAt(0).toUpperCase() + description.slice(1);
+};
+
+/**
+ * Count entries by a key
+ * @param {Array<Object>} entries - Report entries
+ * @param {string} key - Field to group by
+ * @returns {Object} - Count per value
+ */
+const countBy = (entries, key) => entries.reduce((counts, entry) => {
+  const value = entry[key] || 'unknown';
+  counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Build the access report for a patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} filters - from, to, actorId, actorRole, category
+ * @returns {Promise<Object>} - Patient, summary and chronological entries
+ */
+const getPatientAccessReport = async (patientId, filters = {}) => {
+  const [patients] = await pool.query(
+    'SELECT patient_id, name FROM patients WHERE patient_id = ?',
+    [patientId]
+  );
+
+  if (patients.length === 0) {
+    throw new AppError('Patient not found', 404);
+  }
+
+  // One extra row tells us whether the report was cut short
+  const logs = await auditService.getPatientAccessLogs(patientId, {
+    ...filters,
+    limit: MAX_REPORT_ENTRIES + 1,
+    offset: 0
+  });
+
+  const truncated = logs.length > MAX_REPORT_ENTRIES;
+
+  const entries = logs.slice(0, MAX_REPORT_ENTRIES).map(log => ({
+    id: log.id,
+    timestamp: log.created_at,
+    actor_id: log.user_id,
+    actor_name: log.user_name,
+    actor_role: log.user_role,
+    category: log.category,
+    action: log.action,
+    resource_type: log.resource_type,
+    resource_id: log.resource_id,
+    request_id: log.request_id,
+    purpose: log.purpose,
+    description: describeEntry(log),
+    details: log.details
+  }));
+
+  const actors = new Map();
+  entries.forEach(entry => {
+    if (!actors.has(entry.actor_id)) {
+      actors.set(entry.actor_id, {
+        actor_id: entry.actor_id,
+        actor_name: entry.actor_name,
+        actor_role: entry.actor_role,
+        count: 0,
+        first_access: entry.timestamp,
+        last_access: entry.timestamp
+      });
+    }
+    const actor = actors.get(entry.actor_id);
+    actor.count++;
+    actor.last_access = entry.timestamp;
+  });
+
+  return {
+    patient: patients[0],
+    generated_at: new Date(),
+    filters,
+    truncated,
+    summary: {
+      total: entries.length,
+      by_category: countBy(entries, 'category'),
+      by_role: countBy(entries, 'actor_role'),
+      actors: Array.from(actors.values()).sort((a, b) => b.count - a.count)
+    },
+    entries
+  };
+};
+
+/**
+ * Render an access report as CSV
+ * @param {Object} report - Report from getPatientAccessReport
+ * @returns {string} - CSV document
+ */
+const toReportCsv = (report) => toCsv(
+  CSV_HEADERS,
+  report.entries.map(entry => [
+    entry.timestamp,
+    entry.actor_id,
+    entry.actor_name,
+    entry.actor_role,
+    entry.category,
+    entry.action,
+    entry.resource_type,
+    entry.resource_id,
+    entry.request_id,
+    entry.purpose,
+    entry.description
+  ])
+);
+
+/**
+ * Lay out an access report in a PDF document
+ * @param {Object} doc - pdfkit document
+ * @param {Object} report - Report from getPatientAccessReport
+ */
+const writeReportContent = (doc, report) => {
+  const { patient, filters, summary } = report;
+
+  doc.fontSize(16).text('Patient Access Report', { align: 'left' });
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(`Patient: ${patient.name} (${patient.patient_id})`)
+    .text(`Generated: ${report.generated_at.toISOString()}`)
+    .text(`Period: ${filters.from || 'start'} to ${filters.to || 'now'}`);
+
+  if (filters.actorId || filters.actorRole || filters.category) {
+    doc.text(`Filters: ${[
+      filters.actorId && `actor ${filters.actorId}`,
+      filters.actorRole && `role ${filters.actorRole}`,
+      filters.category && `category ${filters.category}`
+    ].filter(Boolean).join(', ')}`);
+  }
+
+  doc.moveDown();
+  doc.fontSize(12).text('Summary');
+  doc.fontSize(10).text(`${summary.total} access event(s)${report.truncated ? ` (limited to the first ${MAX_REPORT_ENTRIES})` : ''}`);
+
+  summary.actors.forEach(actor => {
+    doc.text(`${actor.actor_name || actor.actor_id} (${actor.actor_role || 'unknown'}): ${actor.count} event(s), last ${new Date(actor.last_access).toISOString()}`);
+  });
+
+  doc.moveDown();
+  doc.fontSize(12).text('Access log');
+  doc.fontSize(8);
+
+  report.entries.forEach(entry => {
+    const purpose = entry.purpose ? ` - purpose: ${entry.purpose}` : '';
+    doc.text(
+      `${new Date(entry.timestamp).toISOString()}  ${entry.actor_name || entry.actor_id} (${entry.actor_role || 'unknown'})  ${entry.description}${purpose}`
+    );
+  });
+};
+
+/**
+ * Render an access report as PDF
+ * An error on either side ends both the document and the stream.
+ * @param {Object} report - Report from getPatientAccessReport
+ * @param {Object} stream - Writable stream the PDF is piped to
+ * @returns {Promise<void>} - Resolves once the whole PDF has been written
+ */
+const writeReportPdf = (report, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const written = pipeline(doc, stream);
+
+  try {
+    writeReportContent(doc, report);
+    doc.end();
+  } catch (error) {
+    doc.destroy(error);
+  }
+
+  return written;
+};
+
+module.exports = {
+  MAX_REPORT_ENTRIES,
+  getPatientAccessReport,
+  toReportCsv,
+  writeReportPdf
+};
@@ -1,30 +1,118 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { pool } = require('../config/database');
+const auditChain = require('./auditChain.service');
+
+// Request being served, so entries logged anywhere during it carry its context
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * Parse the stored details of an audit entry
+ * Entries written outside logAudit may hold text that is not JSON; it is
+ * returned as it is rather than failing the whole read.
+ * @param {string|null} details - details column
+ * @returns {Object|string} - Parsed details, {} when empty, or the raw text
+ */
+const parseDetails = (details) => {
+  if (!details) return {};
+
+  try {
+    return JSON.parse(details);
+  } catch (error) {
+    return details;
+  }
+};
+
+/**
+ * Run the rest of a request inside an audit context
+ * @param {Object} req - Express request object
+ * @param {Function} callback - Continues the request
+ */
+const runWithRequest = (req, callback) => auditContext.run({ req, entries: [] }, callback);
+
+/**
+ * Get the audit context of the request being served
+ * @returns {Object|undefined} - { req, entries } or undefined outside a request
+ */
+const getRequestContext = () => auditContext.getStore();
 
 /**
  * Log an audit event
+ * Actor role, IP address, user agent and request ID are taken from the request
+ * being served; entries logged outside a request are attributed to the system.
+ * Each entry is chained to the one before it (see auditChain.service).
  * @param {string} userId - ID of user performing the action
  * @param {string} action - Type of action (e.g., 'create', 'update', 'delete', 'view')
  * @param {string} resourceType - Type of resource affected (e.g., 'patient', 'record')
  * @param {string} resourceId - ID of the affected resource
  * @param {Object} details - Additional details about the action
+ * @param {Object} options - severity, oldValues, newValues, and req when logging outside the request's context
  * @returns {Promise} - Resolves with the inserted audit log ID
  */
-const logAudit = async (userId, action, resourceType, resourceId, details = {}) => {
+const logAudit = async (userId, action, resourceType, resourceId, details = {}, options = {}) => {
+  const context = getRequestContext();
+  const req = options.req || (context && context.req) || null;
+  const { severity = 'info', oldValues = null, newValues = null } = options;
+  
   try {
-    const [result] = await pool.query(
-      `INSERT INTO audit_logs 
-       (user_id, action, resource_type, resource_id, details, created_at) 
-       VALUES (?, ?, ?, ?, ?, NOW())`,
-      [userId, action, resourceType, resourceId, JSON.stringify(details)]
-    );
+    const id = await auditChain.appendEntry({
+      user_id: userId,
+      user_role: req && req.user ? req.user.role : 'system',
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      old_values: oldValues ? JSON.stringify(oldValues) : null,
+      new_values: newValues ? JSON.stringify(newValues) : null,
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.get('user-agent') || null : null,
+      request_id: req ? req.id || null : null,
+      details: JSON.stringify(details),
+      severity
+    });
+    
+    if (context && context.req === req) {
+      context.entries.push({ action, resourceType, resourceId });
+    }
     
-    return result.insertId;
+    return id;
   } catch (error) {
     console.error('Audit logging error:', error);
     return null;
   }
 };
 
+// Display name of the user behind an audit entry
+const ACTOR_NAME_SQL = `
+  CASE 
+    WHEN u.role IN ('admin', 'doctor') THEN CONCAT(s.first_name, ' ', s.last_name)
+    WHEN u.role = 'insurance' THEN ic.company_name
+    ELSE 'Unknown'
+  END AS user_name`;
+
+// Display name and role of the user behind an audit entry
+const ACTOR_SELECT_SQL = `${ACTOR_NAME_SQL},
+  u.role AS user_role`;
+
+const ACTOR_JOIN_SQL = `
+  LEFT JOIN users u ON al.user_id = u.id
+  LEFT JOIN staff s ON u.id = s.staff_id AND u.role IN ('admin', 'doctor')
+  LEFT JOIN insurance_companies ic ON u.id = ic.company_id AND u.role = 'insurance'`;
+
+// Audit actions that count as access to a patient's data, by report category
+const PATIENT_ACCESS_ACTIONS = {
+  view: 'read',
+  view_restricted: 'read',
+  access_denied: 'denied',
+  approve: 'decision',
+  release_sensitive: 'decision',
+  grant_access: 'decision',
+  revoke_access: 'decision',
+  reject: 'decision',
+  expire: 'decision',
+  extend_grant: 'decision',
+  revoke_grant: 'decision',
+  expire_grant: 'decision'
+};
+
 /**
  * Get audit logs for a specific resource
  * @param {string} resourceType - Type of resource
@@ -35,17 +123,9 @@ const logAudit = async (userId, action, resourceType, resourceId, details = {})
 const getAuditLogs = async (resourceType, resourceId, options = { limit: 100, offset: 0 }) => {
   try {
     const [rows] = await pool.query(
-      `SELECT al.*, 
-        CASE 
-          WHEN u.role IN ('admin', 'doctor') THEN CONCAT(s.first_name, ' ', s.last_name)
-          WHEN u.role = 'insurance' THEN ic.company_name
-          ELSE 'Unknown'
-        END AS user_name,
-        u.role AS user_role
+      `SELECT al.*, ${ACTOR_SELECT_SQL}
       FROM audit_logs al
-      LEFT JOIN users u ON al.user_id = u.id
-      LEFT JOIN staff s ON u.id = s.staff_id AND u.role IN ('admin', 'doctor')
-      LEFT JOIN insurance_companies ic ON u.id = ic.company_id AND u.role = 'insurance'
+      ${ACTOR_JOIN_SQL}
       WHERE al.resource_type = ? AND al.resource_id = ?
       ORDER BY al.created_at DESC
       LIMIT ? OFFSET ?`,
@@ -54,7 +134,7 @@ const getAuditLogs = async (resourceType, resourceId, options = { limit: 100, of
     
     return rows.map(row => ({
       ...row,
-      details: JSON.parse(row.details || '{}')
+      details: parseDetails(row.details)
     }));
   } catch (error) {
     console.error('Error retrieving audit logs:', error);
@@ -62,7 +142,223 @@ const getAuditLogs = async (resourceType, resourceId, options = { limit: 100, of
   }
 };
 
+/**
+ * Get the audit entries that show access to one patient's data
+ * Unlike getAuditLogs this spans resource types: entries on the patient, their
+ * records, released records, data requests, claims and consents are all included.
+ * @param {string} patientId - Patient ID
+ * @param {Object} options - Filters (from, to, actorId, actorRole, category, limit, offset)
+ * @returns {Promise<Array>} - Audit entries, oldest first, with category and purpose
+ */
+const getPatientAccessLogs = async (patientId, options = {}) => {
+  const {
+    from = null,
+    to = null,
+    actorId = null,
+    actorRole = null,
+    category = null,
+    limit = 100,
+    offset = 0
+  } = options;
+
+  const actions = Object.keys(PATIENT_ACCESS_ACTIONS)
+    .filter(action => !category || PATIENT_ACCESS_ACTIONS[action] === category);
+
+  // Insurer requests for the patient's data are reported as their own category
+  const includeRequests = !category || category === 'request';
+
+  let query = `
+    SELECT al.id, al.user_id, al.action, al.resource_type, al.resource_id, al.details, al.created_at,
+      ${ACTOR_SELECT_SQL},
+      COALESCE(dr.purpose, dr_grant.purpose) AS purpose,
+      COALESCE(dr.request_id, dr_grant.request_id) AS request_id
+    FROM audit_logs al
+    ${ACTOR_JOIN_SQL}
+    LEFT JOIN records r
+      ON al.resource_type IN ('record', 'record_details', 'approved_record') AND r.record_id = al.resource_id
+    LEFT JOIN data_requests dr
+      ON al.resource_type IN ('data_request', 'data_request_candidates', 'approved_records') AND dr.request_id = al.resource_id
+    LEFT JOIN data_requests dr_grant
+      ON al.resource_type = 'approved_record'
+      AND dr_grant.request_id = JSON_UNQUOTE(JSON_EXTRACT(al.details, '$.request_id'))
+    LEFT JOIN claims c ON al.resource_type = 'claim' AND c.claim_id = al.resource_id
+    LEFT JOIN patient_consents pc ON al.resource_type = 'consent' AND pc.consent_id = al.resource_id
+    WHERE (
+        (al.resource_type IN ('patient', 'patient_history', 'patient_records') AND al.resource_id = ?)
+        OR r.patient_id = ?
+        OR dr.patient_id = ?
+        OR c.patient_id = ?
+        OR pc.patient_id = ?
+      )
+  `;
+
+  const queryParams = [patientId, patientId, patientId, patientId, patientId];
+
+  const actionFilters = [];
+
+  if (actions.length > 0) {
+    actionFilters.push('al.action IN (?)');
+    queryParams.push(actions);
+  }
+
+  if (includeRequests) {
+    actionFilters.push(`(al.action = 'create' AND al.resource_type = 'data_request')`);
+  }
+
+  query += ` AND (${actionFilters.join(' OR ')})`;
+
+  if (from) {
+    query += ' AND al.created_at >= ?';
+    queryParams.push(new Date(from));
+  }
+
+  if (to) {
+    query += ' AND al.created_at <= ?';
+    queryParams.push(new Date(to));
+  }
+
+  if (actorId) {
+    query += ' AND al.user_id = ?';
+    queryParams.push(actorId);
+  }
+
+  if (actorRole) {
+    query += ' AND u.role = ?';
+    queryParams.push(actorRole);
+  }
+
+  query += ' ORDER BY al.created_at ASC, al.id ASC LIMIT ? OFFSET ?';
+  queryParams.push(parseInt(limit), parseInt(offset));
+
+  const [rows] = await pool.query(query, queryParams);
+
+  return rows.map(row => ({
+    ...row,
+    category: PATIENT_ACCESS_ACTIONS[row.action] || 'request',
+    details: parseDetails(row.details)
+  }));
+};
+
+/**
+ * Build the WHERE clause for an audit log search
+ * @param {Object} filters - userId, userRole, action, resourceType, resourceId, severity, ipAddress, requestId, from, to
+ * @returns {Object} - { whereSql, params }
+ */
+const buildAuditLogFilters = (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  const exactFilters = {
+    userId: 'al.user_id',
+    userRole: 'al.user_role',
+    action: 'al.action',
+    resourceType: 'al.resource_type',
+    resourceId: 'al.resource_id',
+    severity: 'al.severity',
+    ipAddress: 'al.ip_address',
+    requestId: 'al.request_id'
+  };
+
+  Object.entries(exactFilters).forEach(([filter, column]) => {
+    if (filters[filter]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[filter]);
+    }
+  });
+
+  if (filters.from) {
+    conditions.push('al.created_at >= ?');
+    params.push(new Date(filters.from));
+  }
+
+  if (filters.to) {
+    conditions.push('al.created_at <= ?');
+    params.push(new Date(filters.to));
+  }
+
+  return {
+    whereSql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Search the audit log, newest first
+ * Pages are keyed on the entry ID rather than an offset, so entries written while
+ * an admin pages through do not shift the pages.
+ * @param {Object} filters - See buildAuditLogFilters
+ * @param {Object} options - limit, and before (ID of the last entry on the previous page)
+ * @returns {Promise<Object>} - { logs, nextCursor }
+ */
+const searchAuditLogs = async (filters = {}, { limit = 50, before = null } = {}) => {
+  const { whereSql, params } = buildAuditLogFilters(filters);
+  const pageSize = parseInt(limit);
+
+  const cursorSql = before
+    ? `${whereSql ? `${whereSql} AND` : 'WHERE'} al.id < ?`
+    : whereSql;
+
+  const [rows] = await pool.query(
+    `SELECT al.*, ${ACTOR_NAME_SQL}
+    FROM audit_logs al
+    ${ACTOR_JOIN_SQL}
+    ${cursorSql}
+    ORDER BY al.id DESC
+    LIMIT ?`,
+    [...params, ...(before ? [parseInt(before)] : []), pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const logs = rows.slice(0, pageSize).map(row => ({
+    ...row,
+    details: parseDetails(row.details)
+  }));
+
+  return {
+    logs,
+    nextCursor: hasMore ? logs[logs.length - 1].id : null
+  };
+};
+
+/**
+ * Read every audit entry matching a search, oldest first, in batches
+ * Used for exports, which can be far larger than a page.
+ * @param {Object} filters - See buildAuditLogFilters
+ * @param {number} batchSize - Rows read per query
+ * @yields {Object} - Audit entries
+ */
+async function* iterateAuditLogs(filters = {}, batchSize = 1000) {
+  const { whereSql, params } = buildAuditLogFilters(filters);
+  let lastId = 0;
+
+  while (true) {
+    const [rows] = await pool.query(
+      `SELECT al.*, ${ACTOR_NAME_SQL}
+      FROM audit_logs al
+      ${ACTOR_JOIN_SQL}
+      ${whereSql ? `${whereSql} AND` : 'WHERE'} al.id > ?
+      ORDER BY al.id ASC
+      LIMIT ?`,
+      [...params, lastId, batchSize]
+    );
+
+    if (rows.length === 0) return;
+
+    for (const row of rows) {
+      yield { ...row, details: parseDetails(row.details) };
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
 module.exports = {
+  PATIENT_ACCESS_ACTIONS,
+  runWithRequest,
+  getRequestContext,
   logAudit,
-  getAuditLogs
+  getAuditLogs,
+  getPatientAccessLogs,
+  searchAuditLogs,
+  iterateAuditLogs
 };
\ No newline at end of file
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+
+// prev_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Rows read per query while verifying
+const VERIFY_BATCH_SIZE = 1000;
+
+// JSON columns; drivers hand these back parsed, so they are hashed as values
+const JSON_FIELDS = ['old_values', 'new_values'];
+
+// Columns covered by an entry's hash, in the order they are hashed
+const HASHED_FIELDS = [
+  'user_id', 'user_role', 'action', 'resource_type', 'resource_id', 'old_values', 'new_values',
+  'ip_address', 'user_agent', 'session_id', 'request_id', 'details', 'severity'
+];
+
+/**
+ * Serialise a value with object keys sorted
+ * MySQL reorders keys inside JSON columns, so hashes are taken over this form.
+ * @param {*} value - Value to serialise
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (value === undefined || value === null) return 'null';
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Format a timestamp the same way however it was read
+ * created_at is stored to the second, so milliseconds are dropped.
+ * @param {Date|string|number} value - Timestamp
+ * @returns {string} - UTC time as YYYY-MM-DDTHH:MM:SSZ
+ */
+const formatHashTimestamp = (value) => `${new Date(value).toISOString().slice(0, 19)}Z`;
+
+/**
+ * Bring a hashed field to the form its column stores
+ * Values are hashed as they are about to be inserted and again as they are read
+ * back, so both must look the same: text columns hold strings (an ID logged as a
+ * number comes back as text), JSON columns hold parsed values, and a missing
+ * severity is the column's default.
+ * @param {string} field - Column name
+ * @param {*} value - Value given or read
+ * @returns {*} - Normalised value
+ */
+const normalizeHashedField = (field, value) => {
+  if (field === 'severity' && (value === undefined || value === null)) return 'info';
+  if (value === undefined || value === null) return null;
+  if (JSON_FIELDS.includes(field)) return typeof value === 'string' ? JSON.parse(value) : value;
+  return String(value);
+};
+
+/**
+ * Compute the hash of an audit entry
+ * @param {string} prevHash - entry_hash of the previous entry
+ * @param {Object} entry - Audit row, or the values about to be inserted
+ * @returns {string} - Hex SHA-256 hash
+ */
+const computeEntryHash = (prevHash, entry) => {
+  const fields = HASHED_FIELDS.reduce((values, field) => {
+    values[field] = normalizeHashedField(field, entry[field]);
+    return values;
+  }, {});
+
+  fields.created_at = formatHashTimestamp(entry.created_at);
+
+  return crypto.createHash('sha256')
+    .update(`${prevHash}\n${canonicalJson(fields)}`)
+    .digest('hex');
+};
+
+/**
+ * Append an entry to the audit chain
+ * The chain head row is locked for the duration, so entries are chained in
+ * insert order even when several requests log at once.
+ * @param {Object} entry - Column values of the new audit_logs row
+ * @returns {Promise<number>} - ID of the inserted row
+ */
+const appendEntry = async (entry) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let [heads] = await connection.query('SELECT last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE');
+
+    if (heads.length === 0) {
+      await connection.query('INSERT IGNORE INTO audit_chain_head (id) VALUES (1)');
+      [heads] = await connection.query('SELECT last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE');
+    }
+
+    const prevHash = heads[0].last_hash || GENESIS_HASH;
+
+    const createdAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const row = { ...entry, created_at: createdAt };
+    const entryHash = computeEntryHash(prevHash, row);
+
+    const [result] = await connection.query(
+      `INSERT INTO audit_logs
+       (user_id, user_role, action, resource_type, resource_id, old_values, new_values,
+        ip_address, user_agent, session_id, request_id, details, severity, prev_hash, entry_hash, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        row.user_id,
+        row.user_role,
+        row.action,
+        row.resource_type,
+        row.resource_id,
+        row.old_values,
+        row.new_values,
+        row.ip_address,
+        row.user_agent,
+        row.session_id || null,
+        row.request_id,
+        row.details,
+        normalizeHashedField('severity', row.severity),
+        prevHash,
+        entryHash,
+        createdAt
+      ]
+    );
+
+    await connection.query(
+      'UPDATE audit_chain_head SET last_log_id = ?, last_hash = ? WHERE id = 1',
+      [result.insertId, entryHash]
+    );
+
+    await connection.commit();
+
+    return result.insertId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Sign a checkpoint with the configured key
+ * @param {Object} checkpoint - last_log_id, last_hash and created_at
+ * @returns {string} - Hex HMAC-SHA256 signature
+ */
+const signCheckpoint = (checkpoint) => {
+  const key = process.env.AUDIT_CHECKPOINT_KEY;
+
+  if (!key) {
+    throw new AppError('AUDIT_CHECKPOINT_KEY is not configured', 500);
+  }
+
+  const createdAt = Math.floor(new Date(checkpoint.created_at).getTime() / 1000);
+
+  return crypto.createHmac('sha256', key)
+    .update(`${checkpoint.last_log_id}:${checkpoint.last_hash}:${createdAt}`)
+    .digest('hex');
+};
+
+/**
+ * Record a signed checkpoint at the current head of the chain
+ * A checkpoint pins the chain so that removing its most recent entries is detected.
+ * @returns {Promise<Object>} - The checkpoint, or a note that nothing was logged since the last one
+ */
+const createCheckpoint = async () => {
+  const [heads] = await pool.query('SELECT last_log_id, last_hash FROM audit_chain_head WHERE id = 1');
+
+  if (heads.length === 0 || !heads[0].last_log_id) {
+    return { created: false, reason: 'Audit chain is empty' };
+  }
+
+  const [latest] = await pool.query('SELECT last_log_id FROM audit_checkpoints ORDER BY id DESC LIMIT 1');
+
+  if (latest.length > 0 && latest[0].last_log_id === heads[0].last_log_id) {
+    return { created: false, reason: 'No audit entries since the last checkpoint' };
+  }
+
+  const checkpoint = {
+    last_log_id: heads[0].last_log_id,
+    last_hash: heads[0].last_hash,
+    created_at: new Date(Math.floor(Date.now() / 1000) * 1000)
+  };
+  checkpoint.signature = signCheckpoint(checkpoint);
+
+  const [result] = await pool.query(
+    `INSERT INTO audit_checkpoints (last_log_id, last_hash, signature, created_at)
+     VALUES (?, ?, ?, ?)`,
+    [checkpoint.last_log_id, checkpoint.last_hash, checkpoint.signature, checkpoint.created_at]
+  );
+
+  return { created: true, id: result.insertId, last_log_id: checkpoint.last_log_id };
+};
+
+/**
+ * Describe the first broken link found
+ * @param {Object} row - Audit row where verification failed
+ * @param {string} reason - What was wrong
+ * @param {string} expected - Expected hash
+ * @param {string} actual - Stored hash
+ * @returns {Object} - Break report
+ */
+const breakAt = (row, reason, expected, actual) => ({
+  id: row.id,
+  created_at: row.created_at,
+  reason,
+  expected,
+  actual
+});
+
+/**
+ * Verify the audit chain over a date range
+ * Every entry's hash is recomputed and compared with the one stored, and each
+ * entry must point at the entry before it. Checkpoints in the range must carry a
+ * valid signature and still match the entry they pinned. Entries written before
+ * the chain was introduced carry no hash and are counted separately.
+ * @param {Object} options - from and to (dates, inclusive)
+ * @returns {Promise<Object>} - Verification result with the first broken link, if any
+ */
+const verifyChain = async ({ from = null, to = null } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(new Date(from));
+  }
+
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(new Date(to));
+  }
+
+  const rangeSql = conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '';
+
+  const result = {
+    valid: true,
+    from,
+    to,
+    checked: 0,
+    unchained: 0,
+    checkpointsChecked: 0,
+    checkpointKeyConfigured: !!process.env.AUDIT_CHECKPOINT_KEY,
+    firstEntryId: null,
+    lastEntryId: null,
+    firstBreak: null
+  };
+
+  let expectedPrev = null;
+  let lastId = 0;
+
+  while (!result.firstBreak) {
+    const [rows] = await pool.query(
+      `SELECT * FROM audit_logs WHERE id > ? ${rangeSql} ORDER BY id LIMIT ?`,
+      [lastId, ...params, VERIFY_BATCH_SIZE]
+    );
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+
+      if (!row.entry_hash) {
+        // Entries from before the chain existed; a gap after it started is a break
+        if (expectedPrev === null) {
+          result.unchained++;
+          continue;
+        }
+        result.firstBreak = breakAt(row, 'missing_hash', null, null);
+        break;
+      }
+
+      if (expectedPrev === null) {
+        // The first chained entry in range links to whatever precedes it
+        const [previous] = await pool.query(
+          'SELECT entry_hash FROM audit_logs WHERE id < ? AND entry_hash IS NOT NULL ORDER BY id DESC LIMIT 1',
+          [row.id]
+        );
+        expectedPrev = previous.length > 0 ? previous[0].entry_hash : GENESIS_HASH;
+        result.firstEntryId = row.id;
+      }
+
+      if (row.prev_hash !== expectedPrev) {
+        result.firstBreak = breakAt(row, 'broken_link', expectedPrev, row.prev_hash);
+        break;
+      }
+
+      const recomputed = computeEntryHash(row.prev_hash, row);
+
+      if (recomputed !== row.entry_hash) {
+        result.firstBreak = breakAt(row, 'hash_mismatch', recomputed, row.entry_hash);
+        break;
+      }
+
+      expectedPrev = row.entry_hash;
+      result.lastEntryId = row.id;
+      result.checked++;
+    }
+  }
+
+  if (!result.firstBreak && result.checkpointKeyConfigured) {
+    const [checkpoints] = await pool.query(
+      `SELECT * FROM audit_checkpoints WHERE 1 = 1 ${rangeSql} ORDER BY id`,
+      params
+    );
+
+    for (const checkpoint of checkpoints) {
+      const [pinned] = await pool.query(
+        'SELECT id, created_at, entry_hash FROM audit_logs WHERE id = ?',
+        [checkpoint.last_log_id]
+      );
+
+      const target = pinned[0] || { id: checkpoint.last_log_id, created_at: null };
+
+      if (signCheckpoint(checkpoint) !== checkpoint.signature) {
+        result.firstBreak = breakAt(target, 'checkpoint_signature', null, checkpoint.signature);
+        break;
+      }
+
+      if (target.entry_hash !== checkpoint.last_hash) {
+        result.firstBreak = breakAt(target, pinned.length > 0 ? 'checkpoint_mismatch' : 'checkpoint_entry_missing',
+          checkpoint.last_hash, target.entry_hash || null);
+        break;
+      }
+
+      result.checkpointsChecked++;
+    }
+  }
+
+  // With no upper bound the last entry must still be the head of the chain
+  if (!result.firstBreak && !to) {
+    const [heads] = await pool.query('SELECT last_log_id, last_hash FROM audit_chain_head WHERE id = 1');
+    const head = heads[0];
+
+    if (head && head.last_log_id && result.checked > 0 &&
+        (head.last_log_id !== result.lastEntryId || head.last_hash !== expectedPrev)) {
+      result.firstBreak = breakAt(
+        { id: head.last_log_id, created_at: null },
+        'head_mismatch',
+        head.last_hash,
+        expectedPrev
+      );
+    }
+  }
+
+  result.valid = !result.firstBreak;
+
+  return result;
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeEntryHash,
+  appendEntry,
+  createCheckpoint,
+  verifyChain
+};
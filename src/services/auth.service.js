@@ -0,0 +1,283 @@
+const { pool } = require('../config/database');
+const staffModel = require('../models/staff.model');
+const insuranceModel = require('../models/insurance.model');
+const refreshTokenModel = require('../models/refreshToken.model');
+const sessionModel = require('../models/session.model');
+const { generateToken, JWT_EXPIRES_IN } = require('../utils/jwt.utils');
+const { AppError } = require('../utils/error.utils');
+const auditService = require('./audit.service');
+const passwordPolicy = require('./passwordPolicy.service');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * Look up the name and email a user's tokens carry
+ * @param {string} userId - User ID
+ * @param {string} role - User role
+ * @returns {Promise<Object|null>} - { name, email } or null if the account is gone
+ */
+const getIdentity = async (userId, role) => {
+  if (role === 'insurance') {
+    const company = await insuranceModel.getInsuranceById(userId);
+    return company ? { name: company.company_name, email: company.email } : null;
+  }
+
+  const staff = await staffModel.getStaffById(userId);
+  return staff ? { name: `${staff.first_name} ${staff.last_name}`, email: staff.email } : null;
+};
+
+/**
+ * Work out why a user must change their password before using the API
+ * @param {Object} account - first_login and password_changed_at from the users table
+ * @returns {string|null} - 'first_login', 'expired', or null if no change is needed
+ */
+const getPasswordChangeReason = (account) => {
+  if (account.first_login) return 'first_login';
+  if (passwordPolicy.isPasswordExpired(account.password_changed_at)) return 'expired';
+  return null;
+};
+
+/**
+ * Issue an access token and a refresh token
+ * While the user must change their password, the access token only works for
+ * changing it and reading the profile.
+ * @param {Object} user - id, email, role, name, token_version, first_login and password_changed_at
+ * @param {Object} req - Express request object, for the client's IP and user agent
+ * @param {string} familyId - Session the tokens belong to; a new session when omitted
+ * @returns {Promise<Object>} - token, refreshToken, expiresIn, refreshTokenExpiresAt and passwordChangeReason
+ */
+const issueTokens = async (user, req, familyId = null) => {
+  const passwordChangeReason = getPasswordChangeReason(user);
+  const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const refresh = await refreshTokenModel.createRefreshToken({
+    user_id: user.id,
+    family_id: familyId,
+    expires_at: refreshTokenExpiresAt,
+    ip_address: req ? req.ip : null,
+    user_agent: req ? req.get('user-agent') || null : null
+  });
+
+  if (familyId) {
+    await sessionModel.touchSession(familyId, req ? req.ip : null);
+  } else {
+    // A new login: register it so the user can see and end it
+    await sessionModel.createSession({
+      session_id: refresh.family_id,
+      user_id: user.id,
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.get('user-agent') || null : null
+    });
+  }
+
+  const token = generateToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    name: user.name,
+    tv: user.token_version || 0,
+    sid: refresh.family_id,
+    pwc: !!passwordChangeReason
+  });
+
+  return {
+    token,
+    refreshToken: refresh.token,
+    tokenId: refresh.token_id,
+    sessionId: refresh.family_id,
+    expiresIn: JWT_EXPIRES_IN,
+    refreshTokenExpiresAt,
+    passwordChangeReason
+  };
+};
+
+/**
+ * Start a new session for a user who has just proved who they are
+ * @param {Object} user - id, email, role and name
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Tokens, see issueTokens
+ */
+const startSession = async (user, req) => {
+  const [rows] = await pool.query(
+    'SELECT token_version, first_login, password_changed_at FROM users WHERE id = ?',
+    [user.id]
+  );
+
+  return issueTokens({ ...user, ...(rows.length > 0 ? rows[0] : {}) }, req);
+};
+
+/**
+ * Exchange a refresh token for a new pair
+ * Each refresh token can be used once. Presenting one that was already rotated
+ * means it was copied, so the whole session is ended.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Tokens, see issueTokens
+ */
+const refreshSession = async (refreshToken, req) => {
+  const stored = await refreshTokenModel.findRefreshToken(refreshToken);
+
+  if (!stored) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (stored.revoked_at) {
+    if (stored.revoked_reason === 'rotated') {
+      await refreshTokenModel.revokeFamily(stored.family_id, 'reuse_detected');
+      await auditService.logAudit(
+        stored.user_id,
+        'refresh_token_reuse',
+        'user',
+        stored.user_id,
+        { session_id: stored.family_id },
+        { req, severity: 'critical' }
+      );
+    }
+    throw new AppError('Session has ended. Please log in again.', 401);
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw new AppError('Session has expired. Please log in again.', 401);
+  }
+
+  const identity = stored.role && stored.is_active
+    ? await getIdentity(stored.user_id, stored.role)
+    : null;
+
+  if (!identity) {
+    await refreshTokenModel.revokeFamily(stored.family_id, 'account_inactive');
+    throw new AppError('Account is no longer active', 401);
+  }
+
+  const tokens = await issueTokens({
+    id: stored.user_id,
+    role: stored.role,
+    token_version: stored.token_version,
+    first_login: stored.first_login,
+    password_changed_at: stored.password_changed_at,
+    ...identity
+  }, req, stored.family_id);
+
+  // Another request rotated the same token first
+  const rotated = await refreshTokenModel.markRotated(stored.token_id, tokens.tokenId);
+
+  if (!rotated) {
+    await refreshTokenModel.revokeFamily(stored.family_id, 'reuse_detected');
+    throw new AppError('Session has ended. Please log in again.', 401);
+  }
+
+  return tokens;
+};
+
+/**
+ * End the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} - user_id and session_id of the ended session, or null if unknown
+ */
+const endSession = async (refreshToken) => {
+  const stored = await refreshTokenModel.findRefreshToken(refreshToken);
+
+  if (!stored) return null;
+
+  await refreshTokenModel.revokeFamily(stored.family_id, 'logout');
+
+  return { user_id: stored.user_id, session_id: stored.family_id };
+};
+
+/**
+ * Check that a verified access token has not been revoked since it was issued
+ * @param {Object} decoded - Access token payload
+ * @throws {AppError} - 401 if the account is gone or inactive, or the session was ended
+ */
+const assertTokenActive = async (decoded) => {
+  const [rows] = await pool.query(
+    'SELECT is_active, token_version FROM users WHERE id = ?',
+    [decoded.id]
+  );
+
+  if (rows.length === 0 || !rows[0].is_active) {
+    throw new AppError('Account is no longer active', 401);
+  }
+
+  if ((decoded.tv || 0) !== rows[0].token_version) {
+    throw new AppError('Session has been revoked. Please log in again.', 401);
+  }
+
+  if (decoded.sid && !(await refreshTokenModel.isFamilyActive(decoded.sid))) {
+    throw new AppError('Session has ended. Please log in again.', 401);
+  }
+};
+
+/**
+ * Record that a session was used for a request
+ * @param {string} sessionId - Session ID from the access token
+ * @param {Object} req - Express request object
+ */
+const recordActivity = async (sessionId, req) => {
+  if (!sessionId) return;
+
+  await sessionModel.touchSession(sessionId, req.ip);
+};
+
+/**
+ * List a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request, flagged as current
+ * @param {Object} options - activeOnly, limit
+ * @returns {Promise<Array>} - Sessions, most recently used first
+ */
+const listSessions = async (userId, currentSessionId = null, options = {}) => {
+  const sessions = await sessionModel.getUserSessions(userId, options);
+
+  return sessions.map(session => ({
+    ...session,
+    is_current: session.session_id === currentSessionId
+  }));
+};
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session is ended
+ * @returns {Promise<Object>} - The session as it was before it ended
+ * @throws {AppError} - 404 if the user has no such session
+ */
+const revokeSession = async (userId, sessionId, reason) => {
+  const session = await sessionModel.getUserSession(userId, sessionId);
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await refreshTokenModel.revokeFamily(sessionId, reason);
+
+  return session;
+};
+
+/**
+ * End all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions are ended
+ * @param {string} keepSessionId - Session to leave signed in, if any
+ * @returns {Promise<number>} - Number of refresh tokens revoked
+ */
+const revokeAllSessions = async (userId, reason, keepSessionId = null) => {
+  if (keepSessionId) {
+    return refreshTokenModel.revokeOtherFamilies(userId, keepSessionId, reason);
+  }
+
+  return refreshTokenModel.revokeUserTokens(userId, reason);
+};
+
+module.exports = {
+  getIdentity,
+  startSession,
+  refreshSession,
+  endSession,
+  assertTokenActive,
+  recordActivity,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,80 @@
+const patientModel = require('../models/patient.model');
+const staffModel = require('../models/staff.model');
+const keyRotationModel = require('../models/keyRotation.model');
+const { decrypt, blindIndex } = require('../middleware/encryption.middleware');
+
+// Rows read per batch
+const REINDEX_BATCH_SIZE = parseInt(process.env.ENCRYPTION_REENCRYPT_BATCH_SIZE) || 200;
+
+const PATIENT_NIC = { table: 'patients', idColumn: 'patient_id', columns: ['nic', 'nic_index'] };
+const STAFF_NIC = { table: 'staff', idColumn: 'staff_id', columns: ['nic', 'nic_index'] };
+
+/**
+ * Recompute the NIC blind index of every row of a table
+ * Rows sharing a NIC keep no index after the first.
+ * @param {Object} target - table, idColumn, columns
+ * @param {Function} setNicIndex - Model function saving a row's index
+ * @param {Object} options - batchSize, onProgress(progress)
+ * @returns {Promise<Object>} - scanned, updated, duplicates (row IDs) and failed
+ */
+const rebuildNicIndexes = async (target, setNicIndex, { batchSize = REINDEX_BATCH_SIZE, onProgress = null } = {}) => {
+  const progress = { scanned: 0, updated: 0, duplicates: [], failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const rows = await keyRotationModel.getBatch(target, lastId, batchSize);
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const id = row[target.idColumn];
+      let nicIndex;
+
+      try {
+        nicIndex = row.nic ? blindIndex('nic', decrypt(row.nic, { legacy: true })) : null;
+      } catch (error) {
+        console.error(`Cannot index NIC of ${target.table} ${id}: ${error.message}`);
+        progress.failed++;
+        continue;
+      }
+
+      if (nicIndex === row.nic_index) continue;
+
+      try {
+        await setNicIndex(id, nicIndex);
+        progress.updated++;
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        progress.duplicates.push(id);
+      }
+    }
+
+    progress.scanned += rows.length;
+    lastId = rows[rows.length - 1][target.idColumn];
+
+    if (onProgress) onProgress(progress);
+  }
+
+  return progress;
+};
+
+/**
+ * Recompute the NIC blind index of every patient
+ * Needed once for patients created before the index existed, and again after
+ * BLIND_INDEX_KEY changes.
+ * @param {Object} options - batchSize, onProgress(progress)
+ * @returns {Promise<Object>} - scanned, updated, duplicates (patient IDs) and failed
+ */
+const rebuildPatientNicIndexes = (options) => rebuildNicIndexes(PATIENT_NIC, patientModel.setNicIndex, options);
+
+/**
+ * Recompute the NIC blind index of every staff member
+ * @param {Object} options - batchSize, onProgress(progress)
+ * @returns {Promise<Object>} - scanned, updated, duplicates (staff IDs) and failed
+ */
+const rebuildStaffNicIndexes = (options) => rebuildNicIndexes(STAFF_NIC, staffModel.setNicIndex, options);
+
+module.exports = {
+  rebuildPatientNicIndexes,
+  rebuildStaffNicIndexes
+};
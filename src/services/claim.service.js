@@ -0,0 +1,571 @@
+const insuranceClaimModel = require('../models/insuranceClaim.model');
+const claimLineItemModel = require('../models/claimLineItem.model');
+const claimEvidenceModel = require('../models/claimEvidence.model');
+const approvedRecordModel = require('../models/approvedRecord.model');
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const emailService = require('./email.service');
+const auditService = require('./audit.service');
+
+/**
+ * Allowed claim transitions: current status -> next status -> rule
+ * roles    - who may make the transition
+ * requires - fields that must be supplied with it
+ * Itemised claims are approved from their line decisions, so settlement_amount
+ * is computed rather than required for them.
+ */
+const CLAIM_TRANSITIONS = {
+  pending: {
+    under_review: { roles: ['insurance'], requires: [] }
+  },
+  under_review: {
+    approved: { roles: ['insurance'], requires: ['settlement_amount'] },
+    rejected: { roles: ['insurance'], requires: ['review_notes'] }
+  },
+  rejected: {
+    // Hospital appeal of a rejected claim
+    under_review: { roles: ['admin'], requires: ['review_notes'] }
+  },
+  approved: {
+    paid: { roles: ['insurance', 'admin'], requires: ['payment_reference'] }
+  },
+  paid: {}
+};
+
+const CLAIM_STATUSES = Object.keys(CLAIM_TRANSITIONS);
+
+/**
+ * Get the transitions a role may make from a status
+ * @param {string} status - Current claim status
+ * @param {string} role - Role of the user
+ * @returns {Array<Object>} - Next statuses with the fields each one requires
+ */
+const getAllowedTransitions = (status, role) => {
+  const transitions = CLAIM_TRANSITIONS[status] || {};
+
+  return Object.entries(transitions)
+    .filter(([, rule]) => rule.roles.includes(role))
+    .map(([nextStatus, rule]) => ({ status: nextStatus, requires: rule.requires }));
+};
+
+/**
+ * Load a claim the user is allowed to act on
+ * @param {string} claimId - Claim ID
+ * @param {Object} user - Authenticated user (id, role)
+ * @returns {Promise<Object>} - Claim
+ */
+const getAccessibleClaim = async (claimId, user) => {
+  const claim = await insuranceClaimModel.getClaimById(claimId);
+
+  if (!claim) {
+    throw new AppError('Claim not found', 404);
+  }
+
+  if (user.role === 'insurance' && claim.company_id !== user.id) {
+    throw new AppError('You do not have permission to access this claim', 403);
+  }
+
+  return claim;
+};
+
+/**
+ * Move a claim through its lifecycle
+ * @param {string} claimId - Claim ID
+ * @param {string} toStatus - Requested status
+ * @param {Object} changes - Fields supplied with the transition
+ * @param {Object} user - Authenticated user (id, role)
+ * @returns {Promise<Object>} - Updated claim and the status it moved from
+ */
+const transitionClaim = async (claimId, toStatus, changes, user) => {
+  const claim = await getAccessibleClaim(claimId, user);
+  const rule = (CLAIM_TRANSITIONS[claim.status] || {})[toStatus];
+
+  if (!rule) {
+    throw new AppError(`A claim cannot move from ${claim.status} to ${toStatus}`, 409);
+  }
+
+  if (!rule.roles.includes(user.role)) {
+    throw new AppError(`Only ${rule.roles.join(' or ')} users can move a claim to ${toStatus}`, 403);
+  }
+
+  const lineTotals = await claimLineItemModel.getLineTotals(claimId);
+  const itemised = lineTotals.line_count > 0;
+
+  const missing = rule.requires
+    .filter(field => !(itemised && field === 'settlement_amount'))
+    .filter(field => changes[field] === undefined || changes[field] === null || changes[field] === '');
+
+  if (missing.length > 0) {
+    throw new AppError(`${missing.join(', ')} required to move a claim to ${toStatus}`, 400);
+  }
+
+  const fields = {
+    review_notes: changes.review_notes || null,
+    settlement_amount: null,
+    payment_reference: changes.payment_reference || null
+  };
+
+  if (toStatus === 'approved' && itemised) {
+    fields.settlement_amount = getItemisedSettlement(lineTotals, changes.settlement_amount);
+  } else if (toStatus === 'approved') {
+    const settlement = parseFloat(changes.settlement_amount);
+
+    if (isNaN(settlement) || settlement <= 0) {
+      throw new AppError('Settlement amount must be a positive number', 400);
+    }
+
+    if (claim.claim_amount !== null && settlement > parseFloat(claim.claim_amount)) {
+      throw new AppError('Settlement amount cannot exceed the claimed amount', 400);
+    }
+
+    fields.settlement_amount = settlement;
+  }
+
+  // Rejection and appeal update the line items in the same transaction
+  const updatedClaim = await insuranceClaimModel.updateClaimStatus(
+    claimId, claim.status, toStatus, fields, user
+  );
+
+  await notifyCounterparty(updatedClaim, user, fields.review_notes);
+
+  return {
+    claim: updatedClaim,
+    previousStatus: claim.status
+  };
+};
+
+/**
+ * Work out the settlement of an itemised claim from its line decisions
+ * @param {Object} lineTotals - Line totals of the claim
+ * @param {number|string} requestedSettlement - Settlement supplied by the insurer, if any
+ * @returns {number} - Settlement amount
+ */
+const getItemisedSettlement = (lineTotals, requestedSettlement) => {
+  if (lineTotals.pending_count > 0) {
+    throw new AppError(`${lineTotals.pending_count} line item(s) still need a decision before the claim can be approved`, 409);
+  }
+
+  if (lineTotals.approved_total <= 0) {
+    throw new AppError('Every line item was denied. Reject the claim instead.', 400);
+  }
+
+  if (requestedSettlement !== undefined && requestedSettlement !== null && requestedSettlement !== '' &&
+      claimLineItemModel.roundAmount(parseFloat(requestedSettlement)) !== lineTotals.approved_total) {
+    throw new AppError(`Settlement amount must equal the approved line total of ${lineTotals.approved_total}`, 400);
+  }
+
+  return lineTotals.approved_total;
+};
+
+// Claim statuses in which evidence can still be attached
+const EVIDENCE_OPEN_STATUSES = ['pending', 'under_review'];
+
+// Grant statuses under which attached evidence can be read. A used-up access
+// count does not withdraw the release, so exhausted grants stay readable.
+const EVIDENCE_READABLE_STATUSES = ['active', 'exhausted'];
+
+/**
+ * Check and normalise the line items submitted with a new claim
+ * A referenced record must have been released to the company for the claim's patient.
+ * @param {string} companyId - Insurance company filing the claim
+ * @param {string} patientId - Patient the claim is for
+ * @param {Array<Object>} lineItems - Line items from the request body
+ * @returns {Promise<Array<Object>>} - Line items ready to insert, with the grant behind each record
+ */
+const prepareLineItems = async (companyId, patientId, lineItems) => {
+  const items = lineItems.map(item => ({
+    service_date: item.serviceDate,
+    record_id: item.recordId || null,
+    item_type: item.itemType,
+    procedure_code: item.procedureCode || null,
+    med_id: item.medId || null,
+    description: item.description,
+    quantity: item.quantity,
+    unit_price: item.unitPrice,
+    grant_id: null
+  }));
+
+  const recordIds = [...new Set(items.map(item => item.record_id).filter(Boolean))];
+
+  if (recordIds.length > 0) {
+    const grants = await approvedRecordModel.getReleasedGrants(companyId, patientId, { recordIds });
+
+    // Newest grant first, so keep the first one seen for each record
+    const grantByRecord = new Map();
+    grants.forEach(grant => {
+      if (!grantByRecord.has(grant.record_id)) {
+        grantByRecord.set(grant.record_id, grant.grant_id);
+      }
+    });
+
+    const unreleased = recordIds.filter(id => !grantByRecord.has(id));
+
+    if (unreleased.length > 0) {
+      throw new AppError(`Records not released to your company for this patient: ${unreleased.join(', ')}`, 400);
+    }
+
+    items.forEach(item => {
+      item.grant_id = item.record_id ? grantByRecord.get(item.record_id) : null;
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Check and normalise the evidence submitted with a new claim
+ * Records referenced by line items are attached to their line as well.
+ * @param {string} companyId - Insurance company filing the claim
+ * @param {string} patientId - Patient the claim is for
+ * @param {Array<Object>} evidence - Evidence from the request body (grantId, lineNumber, notes)
+ * @param {Array<Object>} items - Line items returned by prepareLineItems
+ * @returns {Promise<Array<Object>>} - Evidence entries ready to insert
+ */
+const prepareEvidence = async (companyId, patientId, evidence, items) => {
+  const entries = [];
+  const seen = new Set();
+
+  const add = (entry) => {
+    const key = `${entry.grant_id}:${entry.line_number || ''}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    entries.push(entry);
+  };
+
+  items.forEach((item, index) => {
+    if (item.grant_id) {
+      add({ grant_id: item.grant_id, line_number: index + 1, notes: null });
+    }
+  });
+
+  if (evidence.length === 0) {
+    return entries;
+  }
+
+  const grantIds = [...new Set(evidence.map(entry => parseInt(entry.grantId)))];
+  const grants = await approvedRecordModel.getReleasedGrants(companyId, patientId, { grantIds });
+  const released = new Set(grants.map(grant => grant.grant_id));
+  const unreleased = grantIds.filter(id => !released.has(id));
+
+  if (unreleased.length > 0) {
+    throw new AppError(`Grants not released to your company for this patient: ${unreleased.join(', ')}`, 400);
+  }
+
+  evidence.forEach(entry => {
+    const lineNumber = entry.lineNumber ? parseInt(entry.lineNumber) : null;
+
+    if (lineNumber && lineNumber > items.length) {
+      throw new AppError(`Evidence refers to line ${lineNumber}, but the claim has ${items.length} line(s)`, 400);
+    }
+
+    add({ grant_id: parseInt(entry.grantId), line_number: lineNumber, notes: entry.notes || null });
+  });
+
+  return entries;
+};
+
+/**
+ * Check and normalise the supporting documents submitted with a new claim
+ * Each document is a record released to the company for the claim's patient,
+ * named by its grant.
+ * @param {string} companyId - Insurance company filing the claim
+ * @param {string} patientId - Patient the claim is for
+ * @param {Array<Object>} documents - Supporting documents from the request body (grantId, title)
+ * @returns {Promise<Array<Object>>} - Documents to store (grant_id, request_id, record_id, title)
+ */
+const prepareSupportingDocuments = async (companyId, patientId, documents) => {
+  if (documents.length === 0) {
+    return [];
+  }
+
+  const grantIds = [...new Set(documents.map(document => parseInt(document.grantId)))];
+  const grants = await approvedRecordModel.getReleasedGrants(companyId, patientId, { grantIds });
+  const grantById = new Map(grants.map(grant => [grant.grant_id, grant]));
+  const unreleased = grantIds.filter(id => !grantById.has(id));
+
+  if (unreleased.length > 0) {
+    throw new AppError(`Supporting documents not released to your company for this patient: ${unreleased.join(', ')}`, 400);
+  }
+
+  return documents.map(document => {
+    const grant = grantById.get(parseInt(document.grantId));
+
+    return {
+      grant_id: grant.grant_id,
+      request_id: grant.request_id,
+      record_id: grant.record_id,
+      title: document.title || null
+    };
+  });
+};
+
+/**
+ * Attach a released record to a claim that is still open
+ * @param {string} claimId - Claim ID
+ * @param {Object} evidence - grantId, optional lineId and notes
+ * @param {Object} user - Authenticated user (id, role)
+ * @returns {Promise<Array>} - All evidence on the claim
+ */
+const attachEvidence = async (claimId, evidence, user) => {
+  const claim = await getAccessibleClaim(claimId, user);
+
+  if (user.role !== 'insurance') {
+    throw new AppError('Only the insurance company that filed the claim can attach evidence', 403);
+  }
+
+  if (!EVIDENCE_OPEN_STATUSES.includes(claim.status)) {
+    throw new AppError(`Evidence cannot be attached to a claim that is ${claim.status}`, 409);
+  }
+
+  const grantId = parseInt(evidence.grantId);
+  const lineId = evidence.lineId ? parseInt(evidence.lineId) : null;
+
+  const grants = await approvedRecordModel.getReleasedGrants(claim.company_id, claim.patient_id, { grantIds: [grantId] });
+
+  if (grants.length === 0) {
+    throw new AppError('This record was not released to your company for the claim\'s patient', 400);
+  }
+
+  if (lineId && !(await claimLineItemModel.getLineItem(claimId, lineId))) {
+    throw new AppError('Claim line item not found', 404);
+  }
+
+  if (await claimEvidenceModel.isAttached(claimId, grantId, lineId)) {
+    throw new AppError('This record is already attached', 409);
+  }
+
+  await claimEvidenceModel.createEvidence(
+    pool,
+    claimId,
+    [{ grant_id: grantId, line_item_id: lineId, notes: evidence.notes }],
+    user.id
+  );
+
+  return claimEvidenceModel.getEvidenceByClaim(claimId);
+};
+
+/**
+ * Add the released record to each evidence entry for the insurer adjudicating a claim
+ * Reading evidence does not count against the grant: its count limits the insurer's
+ * own retrievals, which attaching the record to a claim does not add to. Entries
+ * whose grant was revoked, expired, withheld or entered in error carry the reason instead.
+ * @param {Array<Object>} evidence - Evidence returned by getEvidenceByClaim
+ * @param {Object} user - Authenticated insurance user
+ * @returns {Promise<Array<Object>>} - Evidence with record (or null) and access_status
+ */
+const addEvidenceContent = async (evidence, user) => {
+  const reads = new Map();
+
+  const readGrant = async (entry) => {
+    const grant = await approvedRecordModel.getGrant(entry.request_id, entry.record_id);
+    const reason = grant ? grant.access_status : 'revoked';
+
+    if (!EVIDENCE_READABLE_STATUSES.includes(reason)) {
+      await auditService.logAudit(
+        user.id,
+        'access_denied',
+        'approved_record',
+        entry.record_id,
+        {
+          request_id: entry.request_id,
+          claim_id: entry.claim_id,
+          reason
+        }
+      );
+
+      return { record: null, access_status: reason };
+    }
+
+    const record = await approvedRecordModel.getReleasedRecord(entry.request_id, entry.record_id);
+
+    await auditService.logAudit(
+      user.id,
+      'view',
+      'approved_record',
+      entry.record_id,
+      {
+        request_id: entry.request_id,
+        claim_id: entry.claim_id,
+        as_evidence: true
+      }
+    );
+
+    return { record, access_status: grant.access_status };
+  };
+
+  const withContent = [];
+
+  for (const entry of evidence) {
+    // A grant attached to several lines is read once
+    if (!reads.has(entry.grant_id)) {
+      reads.set(entry.grant_id, await readGrant(entry));
+    }
+
+    withContent.push({ ...entry, ...reads.get(entry.grant_id) });
+  }
+
+  return withContent;
+};
+
+/**
+ * Get the line items of a claim with the evidence attached to each one
+ * The filing insurer gets the released records themselves; everyone else gets
+ * their metadata.
+ * @param {string} claimId - Claim ID
+ * @param {Object} [user] - Authenticated user (id, role) reading the records, if any
+ * @returns {Promise<Object>} - lineItems (each with its evidence) and claim-level evidence
+ */
+const getLineItemsWithEvidence = async (claimId, user = null) => {
+  const lineItems = await claimLineItemModel.getLineItemsByClaim(claimId);
+  let evidence = await claimEvidenceModel.getEvidenceByClaim(claimId);
+
+  if (user && user.role === 'insurance') {
+    evidence = await addEvidenceContent(evidence, user);
+  }
+
+  return {
+    lineItems: lineItems.map(line => ({
+      ...line,
+      evidence: evidence.filter(entry => entry.line_item_id === line.id)
+    })),
+    evidence: evidence.filter(entry => entry.line_item_id === null)
+  };
+};
+
+/**
+ * Record the insurer's decision on one line of a claim under review
+ * @param {string} claimId - Claim ID
+ * @param {number} lineId - Line item ID
+ * @param {Object} decision - approved_amount and decision_reason
+ * @param {Object} user - Authenticated user (id, role)
+ * @returns {Promise<Object>} - Updated line item
+ */
+const decideLineItem = async (claimId, lineId, decision, user) => {
+  const claim = await getAccessibleClaim(claimId, user);
+
+  if (user.role !== 'insurance') {
+    throw new AppError('Only insurance users can decide claim line items', 403);
+  }
+
+  if (claim.status !== 'under_review') {
+    throw new AppError('Line items can only be decided while the claim is under review', 409);
+  }
+
+  return claimLineItemModel.decideLineItem(claimId, lineId, decision, user.id);
+};
+
+/**
+ * Compare what was claimed with what was approved and settled on a claim
+ * @param {string} claimId - Claim ID
+ * @param {Object} user - Authenticated user (id, role)
+ * @returns {Promise<Object>} - Claim summary, line breakdown and totals
+ */
+const getClaimReconciliation = async (claimId, user) => {
+  const claim = await getAccessibleClaim(claimId, user);
+  const lineItems = await claimLineItemModel.getLineItemsByClaim(claimId);
+  const lineTotals = await claimLineItemModel.getLineTotals(claimId);
+
+  const claimedAmount = claim.claim_amount === null ? null : parseFloat(claim.claim_amount);
+  const settlementAmount = claim.settlement_amount === null ? null : parseFloat(claim.settlement_amount);
+  const settled = ['approved', 'paid'].includes(claim.status);
+
+  return {
+    claim: {
+      claim_id: claim.claim_id,
+      company_id: claim.company_id,
+      company_name: claim.company_name,
+      patient_id: claim.patient_id,
+      patient_name: claim.patient_name,
+      status: claim.status,
+      payment_reference: claim.payment_reference,
+      paid_at: claim.paid_at
+    },
+    lines: lineItems.map(line => ({
+      id: line.id,
+      line_number: line.line_number,
+      service_date: line.service_date,
+      record_id: line.record_id,
+      item_type: line.item_type,
+      description: line.description,
+      line_status: line.line_status,
+      claimed_amount: parseFloat(line.claimed_amount),
+      approved_amount: line.approved_amount === null ? null : parseFloat(line.approved_amount),
+      difference: line.approved_amount === null
+        ? null
+        : claimLineItemModel.roundAmount(parseFloat(line.claimed_amount) - parseFloat(line.approved_amount)),
+      decision_reason: line.decision_reason
+    })),
+    totals: {
+      claimed_amount: claimedAmount,
+      line_claimed_total: lineTotals.claimed_total,
+      line_approved_total: lineTotals.approved_total,
+      pending_lines: lineTotals.pending_count,
+      settlement_amount: settled ? settlementAmount : null,
+      paid_amount: claim.status === 'paid' ? settlementAmount : 0,
+      outstanding_amount: claim.status === 'approved' ? settlementAmount : 0,
+      variance: settled && claimedAmount !== null
+        ? claimLineItemModel.roundAmount(claimedAmount - settlementAmount)
+        : null,
+      settlement_matches_lines: settled && lineTotals.line_count > 0
+        ? settlementAmount === lineTotals.approved_total
+        : null
+    }
+  };
+};
+
+/**
+ * Tell the other side of the claim that its status changed
+ * Insurer actions notify hospital admins; admin actions notify the insurer.
+ * @param {Object} claim - Updated claim
+ * @param {Object} user - User who made the change
+ * @param {string} notes - Review notes
+ */
+const notifyCounterparty = async (claim, user, notes) => {
+  try {
+    let recipients;
+
+    if (user.role === 'insurance') {
+      const [admins] = await pool.query(
+        'SELECT email, first_name, last_name FROM staff WHERE role = "admin"'
+      );
+      recipients = admins.map(admin => ({
+        email: admin.email,
+        name: `${admin.first_name} ${admin.last_name}`
+      }));
+    } else {
+      const [companies] = await pool.query(
+        'SELECT email, company_name FROM insurance_companies WHERE company_id = ?',
+        [claim.company_id]
+      );
+      recipients = companies.map(company => ({ email: company.email, name: company.company_name }));
+    }
+
+    for (const recipient of recipients) {
+      await emailService.sendClaimStatusEmail(
+        recipient.email,
+        recipient.name,
+        claim.claim_id,
+        claim.patient_name,
+        claim.status,
+        notes
+      );
+    }
+  } catch (emailError) {
+    console.error('Failed to send claim status notification:', emailError);
+  }
+};
+
+module.exports = {
+  CLAIM_TRANSITIONS,
+  CLAIM_STATUSES,
+  getAllowedTransitions,
+  getAccessibleClaim,
+  transitionClaim,
+  prepareLineItems,
+  prepareEvidence,
+  prepareSupportingDocuments,
+  attachEvidence,
+  getLineItemsWithEvidence,
+  decideLineItem,
+  getClaimReconciliation
+};
@@ -0,0 +1,100 @@
+const consentModel = require('../models/consent.model');
+const approvedRecordModel = require('../models/approvedRecord.model');
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const emailService = require('./email.service');
+
+/**
+ * Record a consent on a patient's behalf
+ * @param {string} patientId - Patient giving consent
+ * @param {Object} consentData - Scope and validity of the consent
+ * @param {Object} user - Staff member recording it (id, role)
+ * @returns {Promise<Object>} - The created consent
+ */
+const recordConsent = async (patientId, consentData, user) => {
+  const [patients] = await pool.query('SELECT patient_id FROM patients WHERE patient_id = ?', [patientId]);
+
+  if (patients.length === 0) {
+    throw new AppError('Patient not found', 404);
+  }
+
+  const [companies] = await pool.query(
+    'SELECT company_id FROM insurance_companies WHERE company_id = ?',
+    [consentData.company_id]
+  );
+
+  if (companies.length === 0) {
+    throw new AppError('Insurance company not found', 404);
+  }
+
+  if (consentData.date_range_start && consentData.date_range_end &&
+      new Date(consentData.date_range_start) > new Date(consentData.date_range_end)) {
+    throw new AppError('Consent date range starts after it ends', 400);
+  }
+
+  const validFrom = consentData.valid_from ? new Date(consentData.valid_from) : new Date();
+
+  if (consentData.expires_at && new Date(consentData.expires_at) <= validFrom) {
+    throw new AppError('Consent must expire after it takes effect', 400);
+  }
+
+  return consentModel.createConsent({
+    ...consentData,
+    patient_id: patientId,
+    recorded_by: user.id
+  });
+};
+
+/**
+ * Withdraw a consent and revoke what it alone was covering
+ * Active grants released for the same company, patient and purpose are revoked
+ * unless another consent still in force covers the record.
+ * @param {string} consentId - Consent ID
+ * @param {string} reason - Why the patient withdrew consent
+ * @param {Object} user - Staff member recording it (id, role)
+ * @returns {Promise<Object>} - Revoked consent and the grants revoked with it
+ */
+const withdrawConsent = async (consentId, reason, user) => {
+  const consent = await consentModel.revokeConsent(consentId, user.id, reason);
+
+  const remaining = await consentModel.getActiveConsents(consent.patient_id, consent.company_id, consent.purpose);
+  const grants = await approvedRecordModel.getReleasedGrants(consent.company_id, consent.patient_id, {
+    purpose: consent.purpose
+  });
+
+  const uncovered = grants
+    .filter(grant => grant.access_status === 'active')
+    .filter(grant => !remaining.some(other => consentModel.coversRecord(other, grant)))
+    .map(grant => grant.grant_id);
+
+  const revokedGrants = await approvedRecordModel.revokeGrants(uncovered, user.id);
+
+  try {
+    const [companies] = await pool.query(
+      'SELECT email, company_name FROM insurance_companies WHERE company_id = ?',
+      [consent.company_id]
+    );
+
+    if (companies.length > 0) {
+      await emailService.sendConsentRevokedEmail(
+        companies[0].email,
+        companies[0].company_name,
+        consent.patient_name,
+        consent.purpose,
+        revokedGrants
+      );
+    }
+  } catch (emailError) {
+    console.error('Failed to send consent revocation email:', emailError);
+  }
+
+  return {
+    consent,
+    revokedGrantIds: uncovered
+  };
+};
+
+module.exports = {
+  recordConsent,
+  withdrawConsent
+};
@@ -55,18 +55,51 @@ const sendEmail = async (to, subject, text, html) => {
 };
 
 /**
- * Send a new account notification
+ * Send a new account's owner a link to choose their password
  * @param {string} email - Recipient email
  * @param {string} name - Recipient name
  * @param {string} role - User role
- * @param {string} password - Temporary password
+ * @param {string} link - One-time password setup link
+ * @param {number} ttlHours - Hours until the link expires
  */
-const sendNewAccountEmail = async (email, name, role, password) => {
-  const template = emailConfig.templates.newAccount;
+const sendAccountSetupEmail = async (email, name, role, link, ttlHours) => {
+  const template = emailConfig.templates.accountSetup;
   return sendEmail(
     email,
     template.subject,
-    template.text(name, role, password)
+    template.text(name, role, link, ttlHours)
+  );
+};
+
+/**
+ * Send a password reset link
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} link - One-time password reset link
+ * @param {string} validFor - How long the link stays valid, e.g. "30 minutes"
+ */
+const sendPasswordResetEmail = async (email, name, link, validFor) => {
+  const template = emailConfig.templates.passwordReset;
+  return sendEmail(
+    email,
+    template.subject,
+    template.text(name, link, validFor)
+  );
+};
+
+/**
+ * Send an account lockout notification
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {number} lockoutMinutes - How long the account stays locked
+ * @param {string} ipAddress - IP address of the last failed attempt
+ */
+const sendAccountLockedEmail = async (email, name, lockoutMinutes, ipAddress) => {
+  const template = emailConfig.templates.accountLocked;
+  return sendEmail(
+    email,
+    template.subject,
+    template.text(name, lockoutMinutes, ipAddress)
   );
 };
 
@@ -248,12 +281,105 @@ const sendDataRequestNotificationEmail = async (
     }
   };
   
+/**
+ * Send a new claim notification to a hospital admin
+ * @param {string} adminEmail - Admin email
+ * @param {string} adminName - Admin name
+ * @param {string} patientName - Patient name
+ * @param {string} insuranceName - Insurance company name
+ * @param {string} claimId - Claim ID
+ * @param {number} totalAmount - Claimed amount
+ */
+const sendNewClaimNotification = async (adminEmail, adminName, patientName, insuranceName, claimId, totalAmount) => {
+  const template = emailConfig.templates.newClaim;
+  return sendEmail(
+    adminEmail,
+    template.subject,
+    template.text(adminName, patientName, insuranceName, claimId, totalAmount)
+  );
+};
+
+/**
+ * Send a claim status change notification
+ * @param {string} email - Recipient email
+ * @param {string} recipientName - Recipient name
+ * @param {string} claimId - Claim ID
+ * @param {string} patientName - Patient name
+ * @param {string} status - New claim status
+ * @param {string} notes - Review notes
+ */
+const sendClaimStatusEmail = async (email, recipientName, claimId, patientName, status, notes) => {
+  const template = emailConfig.templates.claimStatus;
+  return sendEmail(
+    email,
+    template.subject(claimId, status),
+    template.text(recipientName, claimId, patientName, status, notes)
+  );
+};
+
+/**
+ * Send a data request expiry notification
+ * @param {string} insuranceEmail - Insurance company email
+ * @param {string} insuranceName - Insurance company name
+ * @param {string} patientName - Patient name
+ * @param {string} requestId - Expired request ID
+ */
+const sendDataRequestExpiredEmail = async (insuranceEmail, insuranceName, patientName, requestId) => {
+  const template = emailConfig.templates.dataRequestExpired;
+  return sendEmail(
+    insuranceEmail,
+    template.subject,
+    template.text(insuranceName, patientName, requestId)
+  );
+};
+
+/**
+ * Send a notification that access to released records has expired
+ * @param {string} insuranceEmail - Insurance company email
+ * @param {string} insuranceName - Insurance company name
+ * @param {string} patientName - Patient name
+ * @param {string} requestId - Request the records were released under
+ * @param {number} recordCount - Number of records whose access expired
+ */
+const sendRecordAccessExpiredEmail = async (insuranceEmail, insuranceName, patientName, requestId, recordCount) => {
+  const template = emailConfig.templates.recordAccessExpired;
+  return sendEmail(
+    insuranceEmail,
+    template.subject,
+    template.text(insuranceName, patientName, requestId, recordCount)
+  );
+};
+
+/**
+ * Send a notification that a patient withdrew consent
+ * @param {string} insuranceEmail - Insurance company email
+ * @param {string} insuranceName - Insurance company name
+ * @param {string} patientName - Patient name
+ * @param {string} purpose - Purpose the consent covered
+ * @param {number} revokedCount - Number of grants revoked as a result
+ */
+const sendConsentRevokedEmail = async (insuranceEmail, insuranceName, patientName, purpose, revokedCount) => {
+  const template = emailConfig.templates.consentRevoked;
+  return sendEmail(
+    insuranceEmail,
+    template.subject,
+    template.text(insuranceName, patientName, purpose, revokedCount)
+  );
+};
+  
 module.exports = {
   sendEmail,
-  sendNewAccountEmail,
+  sendAccountSetupEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
   sendNewRequestEmail,
   sendInsuranceConnectionEmail,
   sendDataRequestStatusUpdateEmail,
   sendConnectionStatusUpdateEmail,
-  sendDataRequestNotificationEmail
+  sendDataRequestNotificationEmail,
+  sendDataRequestExpiredEmail,
+  sendRecordAccessExpiredEmail,
+  sendNewClaimNotification,
+  sendClaimStatusEmail,
+  sendConsentRevokedEmail
 };
\ No newline at end of file
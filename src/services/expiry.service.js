@@ -0,0 +1,122 @@
+const dataRequestModel = require('../models/dataRequest.model');
+const approvedRecordModel = require('../models/approvedRecord.model');
+const auditService = require('./audit.service');
+const emailService = require('./email.service');
+
+// Actor recorded in audit logs for changes made by scheduled jobs
+const SYSTEM_USER_ID = 'system';
+
+/**
+ * Move pending data requests past their expiry date to 'expired'
+ * @returns {Promise<Object>} - Counts of expired requests and notifications sent
+ */
+const expireStaleRequests = async () => {
+  const requests = await dataRequestModel.getExpiredPendingRequests();
+  let expired = 0;
+  let notified = 0;
+
+  for (const request of requests) {
+    // Skip requests that were reviewed between the select and the update
+    const wasExpired = await dataRequestModel.expireDataRequest(request.request_id);
+
+    if (!wasExpired) continue;
+
+    expired++;
+
+    await auditService.logAudit(
+      SYSTEM_USER_ID,
+      'expire',
+      'data_request',
+      request.request_id,
+      { expiry_date: request.expiry_date }
+    );
+
+    try {
+      await emailService.sendDataRequestExpiredEmail(
+        request.company_email,
+        request.company_name,
+        request.patient_name,
+        request.request_id
+      );
+      notified++;
+    } catch (emailError) {
+      console.error('Failed to send request expiry email:', emailError);
+    }
+  }
+
+  return { expired, notified };
+};
+
+/**
+ * Revoke released-record grants whose access window has closed
+ * @returns {Promise<Object>} - Counts of revoked grants and notifications sent
+ */
+const revokeLapsedGrants = async () => {
+  const grants = await approvedRecordModel.getLapsedGrants();
+
+  if (grants.length === 0) {
+    return { revoked: 0, notified: 0 };
+  }
+
+  // Only grants still lapsed at revocation are audited and notified
+  const revokedIds = new Set(await approvedRecordModel.revokeLapsedGrants(grants.map(grant => grant.grant_id)));
+  const revoked = revokedIds.size;
+
+  // One notification per request rather than per record
+  const byRequest = new Map();
+  grants.filter(grant => revokedIds.has(grant.grant_id)).forEach(grant => {
+    if (!byRequest.has(grant.request_id)) {
+      byRequest.set(grant.request_id, { ...grant, recordIds: [] });
+    }
+    byRequest.get(grant.request_id).recordIds.push(grant.record_id);
+  });
+
+  let notified = 0;
+
+  for (const request of byRequest.values()) {
+    await auditService.logAudit(
+      SYSTEM_USER_ID,
+      'expire_grant',
+      'data_request',
+      request.request_id,
+      { record_ids: request.recordIds }
+    );
+
+    try {
+      await emailService.sendRecordAccessExpiredEmail(
+        request.company_email,
+        request.company_name,
+        request.patient_name,
+        request.request_id,
+        request.recordIds.length
+      );
+      notified++;
+    } catch (emailError) {
+      console.error('Failed to send access expiry email:', emailError);
+    }
+  }
+
+  return { revoked, notified };
+};
+
+/**
+ * Sweep expired data requests and lapsed grants
+ * @returns {Promise<Object>} - Summary of the sweep, stored with the job run
+ */
+const sweepExpiredAccess = async () => {
+  const requests = await expireStaleRequests();
+  const grants = await revokeLapsedGrants();
+
+  return {
+    expiredRequests: requests.expired,
+    revokedGrants: grants.revoked,
+    notificationsSent: requests.notified + grants.notified
+  };
+};
+
+module.exports = {
+  SYSTEM_USER_ID,
+  expireStaleRequests,
+  revokeLapsedGrants,
+  sweepExpiredAccess
+};
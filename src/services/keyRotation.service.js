@@ -0,0 +1,252 @@
+const keyRotationModel = require('../models/keyRotation.model');
+const { ENCRYPTED_FIELDS } = require('../config/encryptedFields');
+const {
+  encrypt,
+  decrypt,
+  isLikelyEncrypted,
+  needsReencryption,
+  getActiveKeyId
+} = require('../middleware/encryption.middleware');
+
+// Rows read and rewritten per batch
+const REENCRYPT_BATCH_SIZE = parseInt(process.env.ENCRYPTION_REENCRYPT_BATCH_SIZE) || 200;
+
+// Every encrypted column, by table, as registered in config/encryptedFields
+const ENCRYPTED_COLUMNS = Object.entries(ENCRYPTED_FIELDS).map(([table, entry]) => ({
+  table,
+  idColumn: entry.idColumn,
+  columns: Object.keys(entry.columns),
+  hasUpdatedAt: entry.hasUpdatedAt
+}));
+
+/**
+ * Check whether a value of an encrypted column was stored without encryption
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+const isUnencrypted = (value) => (
+  typeof value === 'string' && value !== '' && !isLikelyEncrypted(value, { legacy: true })
+);
+
+/**
+ * Refuse to run while encryption is turned off, since nothing would be rewritten
+ * @throws {Error}
+ */
+const assertEncryptionEnabled = () => {
+  if (process.env.ENCRYPTION_DISABLED === 'true') {
+    throw new Error('Encryption is disabled (ENCRYPTION_DISABLED=true)');
+  }
+};
+
+/**
+ * Rewrite one table's encrypted values under the active key
+ * Values stored without encryption are encrypted too. Picks up after the last
+ * saved batch. Rows changed by the application while being rewritten are left
+ * as they are and counted as conflicts.
+ * @param {Object} target - Entry of ENCRYPTED_COLUMNS
+ * @param {string} keyId - Active key ID
+ * @param {Object} options - batchSize, onProgress(table, progress)
+ * @returns {Promise<Object>} - Progress of the table
+ */
+const reencryptTable = async (target, keyId, { batchSize, onProgress }) => {
+  const saved = await keyRotationModel.getProgress(keyId, target.table);
+
+  if (saved && saved.completed_at) {
+    return { ...saved, completed: true };
+  }
+
+  const progress = {
+    last_id: saved ? saved.last_id : null,
+    scanned: saved ? saved.scanned : 0,
+    rewritten: saved ? saved.rewritten : 0,
+    conflicts: saved ? saved.conflicts : 0,
+    failed: saved ? saved.failed : 0,
+    completed: false
+  };
+
+  for (;;) {
+    const rows = await keyRotationModel.getBatch(target, progress.last_id, batchSize);
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const outdated = target.columns.filter(column => (
+        needsReencryption(row[column]) || isUnencrypted(row[column])
+      ));
+
+      if (outdated.length === 0) continue;
+
+      const oldValues = {};
+      const newValues = {};
+
+      try {
+        outdated.forEach(column => {
+          oldValues[column] = row[column];
+          newValues[column] = encrypt(decrypt(row[column], { legacy: true }));
+        });
+      } catch (error) {
+        console.error(`Cannot re-encrypt ${target.table} ${row[target.idColumn]}: ${error.message}`);
+        progress.failed++;
+        continue;
+      }
+
+      if (await keyRotationModel.replaceValues(target, row[target.idColumn], oldValues, newValues)) {
+        progress.rewritten++;
+      } else {
+        progress.conflicts++;
+      }
+    }
+
+    progress.scanned += rows.length;
+    progress.last_id = rows[rows.length - 1][target.idColumn];
+
+    await keyRotationModel.saveProgress(keyId, target.table, progress);
+
+    if (onProgress) onProgress(target.table, progress);
+  }
+
+  progress.completed = true;
+  await keyRotationModel.saveProgress(keyId, target.table, progress);
+
+  if (onProgress) onProgress(target.table, progress);
+
+  return progress;
+};
+
+/**
+ * Rewrite every encrypted column under the active key
+ * Safe to stop and run again: each table resumes from its last saved batch.
+ * @param {Object} options - batchSize, restart (walk every table from the start), onProgress(table, progress)
+ * @returns {Promise<Object>} - keyId and progress per table
+ */
+const reencryptAll = async ({ batchSize = REENCRYPT_BATCH_SIZE, restart = false, onProgress = null } = {}) => {
+  assertEncryptionEnabled();
+
+  const keyId = getActiveKeyId();
+
+  if (restart) {
+    await keyRotationModel.resetProgress(keyId);
+  }
+
+  const tables = {};
+
+  for (const target of ENCRYPTED_COLUMNS) {
+    tables[target.table] = await reencryptTable(target, keyId, { batchSize, onProgress });
+  }
+
+  return { keyId, tables };
+};
+
+/**
+ * Check that every value of an encrypted column is encrypted under the active key and decrypts
+ * @param {Object} options - batchSize
+ * @returns {Promise<Object>} - keyId, valid, and per table the number of values
+ *   checked, still outdated, failing to decrypt and stored unencrypted
+ */
+const verifyEncryption = async ({ batchSize = REENCRYPT_BATCH_SIZE } = {}) => {
+  assertEncryptionEnabled();
+
+  const keyId = getActiveKeyId();
+  const tables = {};
+  let valid = true;
+
+  for (const target of ENCRYPTED_COLUMNS) {
+    const result = { checked: 0, outdated: 0, undecryptable: 0, unencrypted: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const rows = await keyRotationModel.getBatch(target, lastId, batchSize);
+
+      if (rows.length === 0) break;
+
+      rows.forEach(row => {
+        result.unencrypted += target.columns.filter(column => isUnencrypted(row[column])).length;
+
+        target.columns
+          .filter(column => isLikelyEncrypted(row[column], { legacy: true }))
+          .forEach(column => {
+            result.checked++;
+
+            if (needsReencryption(row[column])) {
+              result.outdated++;
+            }
+
+            try {
+              decrypt(row[column], { legacy: true });
+            } catch (error) {
+              result.undecryptable++;
+            }
+          });
+      });
+
+      lastId = rows[rows.length - 1][target.idColumn];
+    }
+
+    if (result.outdated > 0 || result.undecryptable > 0 || result.unencrypted > 0) {
+      valid = false;
+    }
+
+    tables[target.table] = result;
+  }
+
+  return { keyId, valid, tables };
+};
+
+/**
+ * Re-encrypt and verify, as a scheduled job
+ * Tables that still hold outdated values afterwards (written by a server that
+ * had not picked up the new key yet) are walked again on the next run.
+ * @returns {Promise<Object>} - Summary of the run
+ */
+const runRotation = async () => {
+  const { keyId, tables } = await reencryptAll();
+  const verification = await verifyEncryption();
+
+  for (const [table, result] of Object.entries(verification.tables)) {
+    if (result.outdated > 0 || result.unencrypted > 0) {
+      await keyRotationModel.resetProgress(keyId, table);
+    }
+  }
+
+  return {
+    keyId,
+    rewritten: Object.values(tables).reduce((sum, table) => sum + table.rewritten, 0),
+    conflicts: Object.values(tables).reduce((sum, table) => sum + table.conflicts, 0),
+    verification
+  };
+};
+
+/**
+ * Describe re-encryption under the active key
+ * @returns {Promise<Object>} - activeKeyId and progress per table
+ */
+const getRotationStatus = async () => {
+  const keyId = getActiveKeyId();
+  const progress = await keyRotationModel.getProgressByKey(keyId);
+
+  return {
+    activeKeyId: keyId,
+    tables: ENCRYPTED_COLUMNS.map(target => {
+      const row = progress.find(entry => entry.table_name === target.table);
+
+      return {
+        table: target.table,
+        columns: target.columns,
+        status: !row ? 'pending' : row.completed_at ? 'completed' : 'in_progress',
+        scanned: row ? row.scanned : 0,
+        rewritten: row ? row.rewritten : 0,
+        conflicts: row ? row.conflicts : 0,
+        failed: row ? row.failed : 0,
+        completed_at: row ? row.completed_at : null
+      };
+    })
+  };
+};
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  reencryptAll,
+  verifyEncryption,
+  runRotation,
+  getRotationStatus
+};
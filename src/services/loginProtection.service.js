@@ -0,0 +1,177 @@
+const loginAttemptModel = require('../models/loginAttempt.model');
+const { AppError } = require('../utils/error.utils');
+const auditService = require('./audit.service');
+const emailService = require('./email.service');
+
+// Failed logins in a row before an account is locked
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failed logins from one IP address, across all accounts, before it is turned away
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// Delay before checking a password doubles with each failure, up to the maximum
+const LOGIN_DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 250;
+const LOGIN_DELAY_MAX_MS = 8000;
+
+// Anonymous actor for failed logins to accounts that do not exist
+const UNKNOWN_USER_ID = 'anonymous';
+
+// Locked accounts get the same answer as unknown emails, so logins cannot be
+// used to find out which accounts exist. The owner is told by email instead.
+const REFUSED_LOGIN_MESSAGE = 'Invalid email or password';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Turn away an IP address that has failed too many logins recently
+ * @param {Object} req - Express request object
+ * @throws {AppError} - 429 while the address is over the limit
+ */
+const assertIpAllowed = async (req) => {
+  const failures = await loginAttemptModel.countRecentIpFailures(req.ip, LOGIN_IP_WINDOW_MINUTES);
+
+  if (failures >= LOGIN_IP_MAX_FAILURES) {
+    throw new AppError('Too many failed login attempts. Please try again later.', 429);
+  }
+};
+
+/**
+ * Count a login attempt against an account before its credentials are checked,
+ * then slow it down in proportion to the account's earlier failures
+ * Attempts to a locked account, or beyond the limit while others are still being
+ * checked, are refused. Once a lock runs out the account starts again with no
+ * failures, rather than being locked again by the next one.
+ * @param {string} userId - User ID
+ * @param {string} [message] - Message to refuse with
+ * @returns {Promise<number>} - Attempts counted, this one included; pass it to recordFailure
+ * @throws {AppError} - 401 while the account is locked or out of attempts
+ */
+const guardAccount = async (userId, message = REFUSED_LOGIN_MESSAGE) => {
+  await loginAttemptModel.clearExpiredLock(userId);
+
+  const attempts = await loginAttemptModel.claimAttempt(userId, LOGIN_MAX_FAILURES);
+
+  if (attempts === null) {
+    throw new AppError(message, 401);
+  }
+
+  if (attempts > 1) {
+    await sleep(Math.min(LOGIN_DELAY_BASE_MS * 2 ** (attempts - 2), LOGIN_DELAY_MAX_MS));
+  }
+
+  return attempts;
+};
+
+/**
+ * Stop counting an attempt whose password was right, while a second factor is checked
+ * @param {string} userId - User ID
+ */
+const releaseAttempt = async (userId) => loginAttemptModel.releaseAttempt(userId);
+
+/**
+ * Lock an account and tell its owner
+ * @param {Object} attempt - user_id, email and name of the account
+ * @param {Object} req - Express request object
+ */
+const lockAccount = async (attempt, req) => {
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  // Another failed request may have locked it first; only one notifies
+  if (!(await loginAttemptModel.lockAccount(attempt.user_id, lockedUntil))) return;
+
+  await auditService.logAudit(
+    attempt.user_id,
+    'account_locked',
+    'user',
+    attempt.user_id,
+    { locked_until: lockedUntil, lockout_minutes: LOGIN_LOCKOUT_MINUTES },
+    { req, severity: 'critical' }
+  );
+
+  if (!attempt.email) return;
+
+  try {
+    await emailService.sendAccountLockedEmail(
+      attempt.email,
+      attempt.name || attempt.email,
+      LOGIN_LOCKOUT_MINUTES,
+      req.ip
+    );
+  } catch (emailError) {
+    console.error('Failed to send account lockout email:', emailError);
+  }
+};
+
+/**
+ * Record a failed login
+ * Failures count against the client's IP address, and against the account (when it
+ * exists) through the attempt guardAccount counted; the account is locked once
+ * that reaches the limit.
+ * @param {Object} attempt - email, role and reason; user_id, name and attempts
+ *   (from guardAccount) when the account exists
+ * @param {Object} req - Express request object
+ */
+const recordFailure = async (attempt, req) => {
+  await loginAttemptModel.recordAttempt({
+    email: attempt.email,
+    user_id: attempt.user_id,
+    role: attempt.role,
+    success: false,
+    failure_reason: attempt.reason,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent')
+  });
+
+  const userId = attempt.user_id || UNKNOWN_USER_ID;
+
+  await auditService.logAudit(
+    userId,
+    'login_failed',
+    'user',
+    attempt.user_id || null,
+    { email: attempt.email, role: attempt.role, reason: attempt.reason },
+    { req, severity: 'warning' }
+  );
+
+  if (!attempt.user_id) return;
+
+  if (attempt.attempts >= LOGIN_MAX_FAILURES) {
+    await lockAccount(attempt, req);
+  }
+};
+
+/**
+ * Record a completed login and clear the account's failures
+ * @param {Object} user - id, email and role
+ * @param {Object} req - Express request object
+ */
+const recordSuccess = async (user, req) => {
+  await loginAttemptModel.recordAttempt({
+    email: user.email,
+    user_id: user.id,
+    role: user.role,
+    success: true,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent')
+  });
+
+  await loginAttemptModel.resetFailedLogins(user.id);
+};
+
+/**
+ * Unlock an account and clear its failures
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - False if the account does not exist
+ */
+const unlockAccount = async (userId) => loginAttemptModel.resetFailedLogins(userId);
+
+module.exports = {
+  assertIpAllowed,
+  guardAccount,
+  releaseAttempt,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const policy = require('../config/passwordPolicy');
+const passwordHistoryModel = require('../models/passwordHistory.model');
+const { AppError } = require('../utils/error.utils');
+
+const UPPERCASE = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const LOWERCASE = 'abcdefghijkmnopqrstuvwxyz';
+const DIGITS = '23456789';
+const SYMBOLS = '!@#$%^&*-_=+?';
+
+const TEMPORARY_PASSWORD_LENGTH = 24;
+
+/**
+ * Describe the password policy for clients
+ * @returns {Object} - Requirements a new password must meet
+ */
+const getRequirements = () => ({
+  minLength: policy.minLength,
+  maxLength: policy.maxLength,
+  requireUppercase: policy.requireUppercase,
+  requireLowercase: policy.requireLowercase,
+  requireDigit: policy.requireDigit,
+  requireSymbol: policy.requireSymbol,
+  historyCount: policy.historyCount,
+  maxAgeDays: policy.maxAgeDays
+});
+
+/**
+ * Whether a password is on the bundled common password list
+ * "Summer2024!" counts as "summer".
+ * @param {string} password - Candidate password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  const stem = lowered.replace(/[^a-z]+$/, '');
+
+  return policy.commonPasswords.has(lowered) || (stem.length > 0 && policy.commonPasswords.has(stem));
+};
+
+/**
+ * Check a password against the length, character and common password rules
+ * @param {string} password - Candidate password
+ * @param {Object} context - email and name of the account, which the password must not contain
+ * @returns {Array<string>} - Rules the password breaks; empty if it meets the policy
+ */
+const checkPasswordStrength = (password, context = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`must be at least ${policy.minLength} characters`);
+  }
+
+  if (typeof password !== 'string') return errors;
+
+  if (password.length > policy.maxLength) {
+    errors.push(`must be at most ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    errors.push('must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('must contain a symbol');
+  }
+  if (isCommonPassword(password)) {
+    errors.push('is too common');
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [
+    context.email ? context.email.split('@')[0] : null,
+    ...(context.name ? context.name.split(/\s+/) : [])
+  ].filter(part => part && part.length >= 3);
+
+  if (personal.some(part => lowered.includes(part.toLowerCase()))) {
+    errors.push('must not contain your name or email');
+  }
+
+  return errors;
+};
+
+/**
+ * Make sure a user may set a password
+ * @param {string} userId - User ID
+ * @param {string} password - New password
+ * @param {Object} context - email and name of the account
+ * @throws {AppError} - 400 if the password breaks the policy or was used recently
+ */
+const assertPasswordAllowed = async (userId, password, context = {}) => {
+  const errors = checkPasswordStrength(password, context);
+
+  if (errors.length > 0) {
+    throw new AppError(`Password ${errors.join(', ')}`, 400);
+  }
+
+  if (policy.historyCount <= 0) return;
+
+  // The current password counts as the most recent one even if it predates the history
+  const state = await passwordHistoryModel.getPasswordState(userId);
+  const previous = await passwordHistoryModel.getRecentPasswordHashes(userId, policy.historyCount);
+  const hashes = [...new Set([state ? state.password : null, ...previous].filter(Boolean))]
+    .slice(0, policy.historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      throw new AppError(`Password must not be one of your last ${policy.historyCount} passwords`, 400);
+    }
+  }
+};
+
+/**
+ * Whether a password set at a given time has expired
+ * @param {Date|string|null} passwordChangedAt - When the password was set
+ * @returns {boolean}
+ */
+const isPasswordExpired = (passwordChangedAt) => {
+  if (policy.maxAgeDays <= 0 || !passwordChangedAt) return false;
+
+  return Date.now() - new Date(passwordChangedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Pick a random character from a set
+ * @param {string} chars - Characters to pick from
+ * @returns {string}
+ */
+const randomChar = (chars) => chars[crypto.randomInt(chars.length)];
+
+/**
+ * Generate a random password that meets the policy
+ * Used for accounts whose owner has not chosen a password yet.
+ * @returns {string} - Password
+ */
+const generateTemporaryPassword = () => {
+  const all = UPPERCASE + LOWERCASE + DIGITS + SYMBOLS;
+  const length = Math.max(TEMPORARY_PASSWORD_LENGTH, policy.minLength);
+  const chars = [randomChar(UPPERCASE), randomChar(LOWERCASE), randomChar(DIGITS), randomChar(SYMBOLS)];
+
+  while (chars.length < length) {
+    chars.push(randomChar(all));
+  }
+
+  // Shuffle so the guaranteed characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+module.exports = {
+  getRequirements,
+  checkPasswordStrength,
+  assertPasswordAllowed,
+  isPasswordExpired,
+  generateTemporaryPassword
+};
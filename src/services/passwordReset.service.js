@@ -0,0 +1,202 @@
+const { pool } = require('../config/database');
+const staffModel = require('../models/staff.model');
+const insuranceModel = require('../models/insurance.model');
+const passwordResetModel = require('../models/passwordReset.model');
+const loginAttemptModel = require('../models/loginAttempt.model');
+const { AppError } = require('../utils/error.utils');
+const authService = require('./auth.service');
+const auditService = require('./audit.service');
+const emailService = require('./email.service');
+const passwordPolicy = require('./passwordPolicy.service');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const ACCOUNT_SETUP_TTL_HOURS = parseInt(process.env.ACCOUNT_SETUP_TTL_HOURS) || 72;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Forgotten-password requests allowed per email and per IP address within the window
+const PASSWORD_RESET_EMAIL_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_EMAIL_MAX_REQUESTS) || 3;
+const PASSWORD_RESET_IP_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_IP_MAX_REQUESTS) || 10;
+const PASSWORD_RESET_WINDOW_MINUTES = parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60;
+
+/**
+ * Describe a number of minutes for an email, e.g. "30 minutes" or "72 hours"
+ * @param {number} minutes - Minutes
+ * @returns {string} - Readable duration
+ */
+const describeMinutes = (minutes) => {
+  if (minutes % 60 !== 0) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Build the link a user follows to choose a password
+ * @param {string} token - Reset token
+ * @returns {string} - Link to the frontend's reset page
+ */
+const buildResetLink = (token) => `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+/**
+ * Set a user's password through the model for their role
+ * The models end the user's sessions when the password changes.
+ * @param {string} userId - User ID
+ * @param {string} role - User role
+ * @param {string} password - New password
+ */
+const setPassword = async (userId, role, password) => {
+  if (role === 'insurance') {
+    await insuranceModel.updateInsurance(userId, { password });
+  } else {
+    await staffModel.updateStaff(userId, { password });
+  }
+};
+
+/**
+ * Email a new account's owner a link to choose their password
+ * @param {Object} user - id, email, name and role
+ */
+const sendAccountSetupLink = async (user) => {
+  const { token } = await passwordResetModel.createResetToken(user.id, 'setup', ACCOUNT_SETUP_TTL_HOURS * 60);
+
+  await emailService.sendAccountSetupEmail(
+    user.email,
+    user.name,
+    user.role,
+    buildResetLink(token),
+    ACCOUNT_SETUP_TTL_HOURS
+  );
+};
+
+/**
+ * Create a reset link for an account and email it
+ * Unknown and inactive accounts are ignored.
+ * @param {string} email - Email the user entered
+ * @param {Object} req - Express request object
+ */
+const sendResetLink = async (email, req) => {
+  const [users] = await pool.query(
+    'SELECT id, role, is_active FROM users WHERE email = ?',
+    [email]
+  );
+
+  if (users.length === 0 || !users[0].is_active) return;
+
+  const { id, role } = users[0];
+  const identity = await authService.getIdentity(id, role);
+
+  if (!identity) return;
+
+  const { token } = await passwordResetModel.createResetToken(id, 'reset', PASSWORD_RESET_TTL_MINUTES, req.ip);
+
+  await auditService.logAudit(id, 'password_reset_requested', 'user', id, {}, { req, severity: 'warning' });
+
+  await emailService.sendPasswordResetEmail(
+    identity.email,
+    identity.name,
+    buildResetLink(token),
+    describeMinutes(PASSWORD_RESET_TTL_MINUTES)
+  );
+};
+
+/**
+ * Handle a forgotten password
+ * The account is looked up and emailed after the request is answered, so neither
+ * the answer nor its timing tells whether the email has an account. Requests are
+ * limited per email, so a user cannot be flooded with links that each cancel the
+ * last, and per IP address.
+ * @param {string} email - Email the user entered
+ * @param {Object} req - Express request object
+ * @throws {AppError} - 429 when the IP address has made too many requests
+ */
+const requestPasswordReset = async (email, req) => {
+  const recent = await passwordResetModel.countRecentResetRequests(email, req.ip, PASSWORD_RESET_WINDOW_MINUTES);
+
+  if (recent.byIp >= PASSWORD_RESET_IP_MAX_REQUESTS) {
+    throw new AppError('Too many password reset requests. Please try again later.', 429);
+  }
+
+  await passwordResetModel.recordResetRequest(email, req.ip);
+
+  // The link already sent stays valid; the answer does not say so
+  if (recent.byEmail >= PASSWORD_RESET_EMAIL_MAX_REQUESTS) return;
+
+  sendResetLink(email, req)
+    .catch(error => console.error('Failed to send password reset email:', error));
+};
+
+/**
+ * Reset a user's password on an admin's behalf
+ * The current password stops working at once and the user is emailed a link
+ * to choose a new one; the admin never sees or sends a password.
+ * @param {string} userId - User ID
+ * @param {Object} user - email, name and role of the account
+ */
+const adminResetPassword = async (userId, user) => {
+  // Nobody knows the new password, so the old one stops working until the user chooses one
+  await setPassword(userId, user.role, passwordPolicy.generateTemporaryPassword());
+
+  const { token } = await passwordResetModel.createResetToken(userId, 'reset', ACCOUNT_SETUP_TTL_HOURS * 60);
+
+  try {
+    await emailService.sendPasswordResetEmail(
+      user.email,
+      user.name,
+      buildResetLink(token),
+      describeMinutes(ACCOUNT_SETUP_TTL_HOURS * 60)
+    );
+  } catch (emailError) {
+    console.error('Failed to send password reset email:', emailError);
+  }
+};
+
+/**
+ * Choose a new password with a token from an emailed link
+ * @param {string} token - Reset token from the link
+ * @param {string} newPassword - New password
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - user_id and role of the account
+ */
+const resetPassword = async (token, newPassword, req) => {
+  const pending = await passwordResetModel.findResetToken(token);
+
+  if (!pending) {
+    throw new AppError('This password reset link is invalid or has expired', 400);
+  }
+
+  const identity = await authService.getIdentity(pending.user_id, pending.role);
+  await passwordPolicy.assertPasswordAllowed(pending.user_id, newPassword, identity || {});
+
+  await setPassword(pending.user_id, pending.role, newPassword);
+
+  // Used up only once the password is set, so a rejected password or a failed
+  // update leaves the link working. A request that used it in the meantime came
+  // from the same link, and its password is replaced by this one.
+  await passwordResetModel.consumeResetToken(token);
+
+  // The user chose this password themselves
+  await pool.query('UPDATE users SET first_login = FALSE WHERE id = ?', [pending.user_id]);
+  
+  // Resetting the password is the way out of a lockout
+  await loginAttemptModel.resetFailedLogins(pending.user_id);
+
+  await auditService.logAudit(
+    pending.user_id,
+    pending.purpose === 'setup' ? 'password_set' : 'password_reset',
+    'user',
+    pending.user_id,
+    {},
+    { req, severity: 'warning' }
+  );
+
+  return { user_id: pending.user_id, role: pending.role };
+};
+
+module.exports = {
+  sendAccountSetupLink,
+  requestPasswordReset,
+  adminResetPassword,
+  resetPassword
+};
@@ -0,0 +1,97 @@
+const permissionModel = require('../models/permission.model');
+const { PERMISSIONS, ROLES, PROTECTED_GRANTS } = require('../config/permissions');
+const { AppError } = require('../utils/error.utils');
+
+// How long role permissions are cached; changes made on another server
+// take at most this long to apply here
+const PERMISSION_CACHE_SECONDS = parseInt(process.env.PERMISSION_CACHE_SECONDS) || 30;
+
+// role -> { permissions: Set, loadedAt }
+const cache = new Map();
+
+/**
+ * Get a role's permissions, from the cache when it is fresh
+ * @param {string} role - Role
+ * @returns {Promise<Set<string>>} - Permission names
+ */
+const getPermissionSet = async (role) => {
+  const cached = cache.get(role);
+
+  if (cached && Date.now() - cached.loadedAt < PERMISSION_CACHE_SECONDS * 1000) {
+    return cached.permissions;
+  }
+
+  const permissions = new Set(await permissionModel.getRolePermissions(role));
+  cache.set(role, { permissions, loadedAt: Date.now() });
+
+  return permissions;
+};
+
+/**
+ * Check whether a role has every one of a set of permissions
+ * @param {string} role - Role
+ * @param {Array<string>} permissions - Permission names
+ * @returns {Promise<boolean>}
+ */
+const hasPermissions = async (role, permissions) => {
+  const granted = await getPermissionSet(role);
+
+  return permissions.every(permission => granted.has(permission));
+};
+
+/**
+ * Get a role's permissions
+ * @param {string} role - Role
+ * @returns {Promise<Array<string>>} - Permission names, sorted
+ */
+const getRolePermissions = async (role) => [...(await getPermissionSet(role))].sort();
+
+/**
+ * Describe every permission and which roles hold it
+ * @returns {Promise<Object>} - permissions (name and description) and roles (role to permission names)
+ */
+const getPermissionMatrix = async () => {
+  const granted = await permissionModel.getAllRolePermissions();
+
+  return {
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    roles: ROLES.reduce((roles, role) => ({ ...roles, [role]: granted[role] || [] }), {})
+  };
+};
+
+/**
+ * Replace the permissions granted to a role
+ * @param {string} role - Role
+ * @param {Array<string>} permissions - Permission names the role should have
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} - previous and current permission names
+ * @throws {AppError} - 400 for unknown permissions or removing a protected grant
+ */
+const updateRolePermissions = async (role, permissions, adminId) => {
+  const requested = [...new Set(permissions)].sort();
+  const unknown = requested.filter(permission => !PERMISSIONS[permission]);
+
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+  }
+
+  const missingProtected = (PROTECTED_GRANTS[role] || []).filter(permission => !requested.includes(permission));
+
+  if (missingProtected.length > 0) {
+    throw new AppError(`The ${role} role must keep: ${missingProtected.join(', ')}`, 400);
+  }
+
+  const previous = await permissionModel.getRolePermissions(role);
+
+  await permissionModel.setRolePermissions(role, requested, adminId);
+  cache.delete(role);
+
+  return { previous, current: requested };
+};
+
+module.exports = {
+  hasPermissions,
+  getRolePermissions,
+  getPermissionMatrix,
+  updateRolePermissions
+};
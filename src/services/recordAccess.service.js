@@ -0,0 +1,213 @@
+const recordAccessModel = require('../models/recordAccess.model');
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const auditService = require('./audit.service');
+
+// What is still shown of a restricted record to staff who may not read it,
+// so they can tell it exists and ask for access
+const REDACTED_RECORD_FIELDS = [
+  'record_id',
+  'patient_id',
+  'patient_name',
+  'doc_id',
+  'doctor_name',
+  'record_type',
+  'visit_date',
+  'created_at',
+  'confidentiality_level'
+];
+
+/**
+ * Check whether a record is restricted to its author and granted staff
+ * @param {Object} record - Record with confidentiality_level
+ * @returns {boolean}
+ */
+const isRestricted = (record) => record.confidentiality_level === 'restricted';
+
+/**
+ * Strip a restricted record down to what may be shown without access
+ * @param {Object} record - Record
+ * @returns {Object} - Redacted record
+ */
+const redactRecord = (record) => {
+  const redacted = { redacted: true };
+
+  for (const field of REDACTED_RECORD_FIELDS) {
+    if (record[field] !== undefined) {
+      redacted[field] = record[field];
+    }
+  }
+
+  return redacted;
+};
+
+/**
+ * Redact the restricted records a user may not read
+ * Restricted records read through an explicit grant are audited, since
+ * the user is not their author.
+ * @param {Object} user - User reading the records (id)
+ * @param {Array<Object>} records - Records with doc_id and confidentiality_level
+ * @returns {Promise<Array<Object>>} - Records, with unreadable ones redacted
+ */
+const redactUnreadableRecords = async (user, records) => {
+  const grantable = records
+    .filter(record => isRestricted(record) && record.doc_id !== user.id)
+    .map(record => record.record_id);
+
+  const granted = await recordAccessModel.getGrantedRecordIds(user.id, grantable);
+
+  for (const recordId of granted) {
+    await auditService.logAudit(
+      user.id,
+      'view_restricted',
+      'record',
+      recordId,
+      { via: 'access_grant' },
+      { severity: 'warning' }
+    );
+  }
+
+  return records.map(record => (
+    grantable.includes(record.record_id) && !granted.has(record.record_id)
+      ? redactRecord(record)
+      : record
+  ));
+};
+
+/**
+ * Check that a user may read a record
+ * Refusals and reads through an explicit grant are audited.
+ * @param {Object} user - User reading the record (id)
+ * @param {Object} record - Record with doc_id and confidentiality_level
+ * @throws {AppError} - 403 if the record is restricted and the user has no access
+ */
+const assertCanReadRecord = async (user, record) => {
+  if (!isRestricted(record) || record.doc_id === user.id) {
+    return;
+  }
+
+  const granted = await recordAccessModel.getGrantedRecordIds(user.id, [record.record_id]);
+
+  if (granted.size === 0) {
+    await auditService.logAudit(
+      user.id,
+      'access_denied',
+      'record',
+      record.record_id,
+      { reason: 'restricted', patient_id: record.patient_id },
+      { severity: 'warning' }
+    );
+
+    throw new AppError('This record is restricted to its author and staff granted access', 403);
+  }
+
+  await auditService.logAudit(
+    user.id,
+    'view_restricted',
+    'record',
+    record.record_id,
+    { via: 'access_grant', patient_id: record.patient_id },
+    { severity: 'warning' }
+  );
+};
+
+/**
+ * Get a record's confidentiality details
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object>} - record_id, doc_id, patient_id, confidentiality_level
+ * @throws {AppError} - 404 if the record does not exist
+ */
+const getRecordConfidentiality = async (recordId) => {
+  const [rows] = await pool.query(
+    'SELECT record_id, doc_id, patient_id, confidentiality_level FROM records WHERE record_id = ?',
+    [recordId]
+  );
+
+  if (rows.length === 0) {
+    throw new AppError('Medical record not found', 404);
+  }
+
+  return rows[0];
+};
+
+/**
+ * Get a record's confidentiality details, requiring it to be restricted
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object>} - record_id, doc_id, patient_id, confidentiality_level
+ * @throws {AppError} - 404 if the record does not exist, 400 if it is not restricted
+ */
+const getRestrictedRecord = async (recordId) => {
+  const record = await getRecordConfidentiality(recordId);
+
+  if (!isRestricted(record)) {
+    throw new AppError('Only restricted records need access grants', 400);
+  }
+
+  return record;
+};
+
+/**
+ * Get who has been granted access to a record
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object>} - record and its grants
+ */
+const getAccessGrants = async (recordId) => {
+  const record = await getRecordConfidentiality(recordId);
+  const grants = await recordAccessModel.getRecordGrants(recordId);
+
+  return { record, grants };
+};
+
+/**
+ * Let a staff member read a restricted record
+ * @param {string} recordId - Record ID
+ * @param {string} staffId - Staff member to grant access to
+ * @param {string} reason - Why access is needed
+ * @param {string} adminId - Admin making the grant
+ * @returns {Promise<Object>} - record and whether a new grant was created
+ * @throws {AppError} - 404 for an unknown record or staff member
+ */
+const grantAccess = async (recordId, staffId, reason, adminId) => {
+  const record = await getRestrictedRecord(recordId);
+
+  const [staff] = await pool.query('SELECT staff_id FROM staff WHERE staff_id = ?', [staffId]);
+
+  if (staff.length === 0) {
+    throw new AppError('Staff member not found', 404);
+  }
+
+  const created = await recordAccessModel.grantAccess({
+    record_id: recordId,
+    staff_id: staffId,
+    granted_by: adminId,
+    reason
+  });
+
+  return { record, created };
+};
+
+/**
+ * Withdraw a staff member's access to a restricted record
+ * @param {string} recordId - Record ID
+ * @param {string} staffId - Staff member
+ * @param {string} adminId - Admin revoking access
+ * @returns {Promise<Object>} - The record
+ * @throws {AppError} - 404 if the staff member holds no active grant
+ */
+const revokeAccess = async (recordId, staffId, adminId) => {
+  const record = await getRecordConfidentiality(recordId);
+
+  if (!(await recordAccessModel.revokeAccess(recordId, staffId, adminId))) {
+    throw new AppError('No active access grant for this staff member', 404);
+  }
+
+  return record;
+};
+
+module.exports = {
+  redactUnreadableRecords,
+  assertCanReadRecord,
+  getAccessGrants,
+  grantAccess,
+  revokeAccess
+};
@@ -0,0 +1,209 @@
+const recordVersionModel = require('../models/recordVersion.model');
+const recordModel = require('../models/record.model');
+const { pool } = require('../config/database');
+const { AppError } = require('../utils/error.utils');
+const { encryptFields } = require('../utils/fieldEncryption');
+const recordAccessService = require('./recordAccess.service');
+
+const { AMENDABLE_FIELDS } = recordVersionModel;
+
+/**
+ * Amend a record's clinical content
+ * The current version is kept in the record's history, and the record moves
+ * to the next version. Only fields whose value actually changes are written.
+ * @param {Object} user - User amending the record (id)
+ * @param {string} recordId - Record ID
+ * @param {Object} amendment - New values of amendable fields, reason, and
+ *   optionally expectedVersion (the version the change was made against)
+ * @returns {Promise<Object>} - record (current version), previousVersion and changedFields
+ * @throws {AppError} - 404 for an unknown record, 400 if nothing changes,
+ *   409 if the record is entered in error or has been amended since expectedVersion
+ */
+const amendRecord = async (user, recordId, { reason, expectedVersion, ...values }) => {
+  const connection = await pool.getConnection();
+  let previousVersion;
+  let changedFields;
+
+  try {
+    await connection.beginTransaction();
+
+    const record = await recordVersionModel.lockRecord(connection, recordId);
+
+    if (!record) {
+      throw new AppError('Medical record not found', 404);
+    }
+
+    await recordAccessService.assertCanReadRecord(user, record);
+
+    if (record.status === 'entered_in_error') {
+      throw new AppError('Records entered in error cannot be amended', 409);
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== record.version) {
+      throw new AppError(`Record has been amended since version ${expectedVersion}; ` +
+        `the current version is ${record.version}`, 409);
+    }
+
+    changedFields = AMENDABLE_FIELDS.filter(field => (
+      values[field] !== undefined && (values[field] || null) !== (record[field] || null)
+    ));
+
+    if (changedFields.length === 0) {
+      throw new AppError('The amendment does not change the record', 400);
+    }
+
+    const changes = {};
+    changedFields.forEach(field => {
+      changes[field] = values[field] || null;
+    });
+
+    await recordVersionModel.archiveCurrentVersion(connection, recordId);
+    await recordVersionModel.applyAmendment(
+      connection,
+      recordId,
+      encryptFields('records', changes),
+      user.id,
+      reason
+    );
+
+    await connection.commit();
+    previousVersion = record.version;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return {
+    record: await recordModel.getRecordById(recordId),
+    previousVersion,
+    changedFields
+  };
+};
+
+/**
+ * Get a record's current version, checking that the user may read it
+ * @param {Object} user - User reading the record (id)
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object>} - The record
+ * @throws {AppError} - 404 for an unknown record, 403 if the user may not read it
+ */
+const getReadableRecord = async (user, recordId) => {
+  const record = await recordModel.getRecordById(recordId);
+
+  if (!record) {
+    throw new AppError('Medical record not found', 404);
+  }
+
+  await recordAccessService.assertCanReadRecord(user, record);
+
+  return record;
+};
+
+/**
+ * Mark a record entered in error
+ * The record is kept, with who marked it, when and why, instead of being deleted.
+ * @param {Object} user - User marking the record (id)
+ * @param {string} recordId - Record ID
+ * @param {string} reason - What was wrong with the record
+ * @returns {Promise<Object>} - The record
+ * @throws {AppError} - 404 for an unknown record, 409 if it is already marked
+ */
+const markEnteredInError = async (user, recordId, reason) => {
+  await getReadableRecord(user, recordId);
+
+  if (!(await recordVersionModel.markEnteredInError(recordId, user.id, reason))) {
+    throw new AppError('Record is already marked entered in error', 409);
+  }
+
+  return recordModel.getRecordById(recordId);
+};
+
+/**
+ * Get a record as it was at a version
+ * Earlier versions carry their own clinical content and amendment details;
+ * everything else is the record's current state.
+ * @param {Object} record - Current record
+ * @param {number|string} [version] - Version number; the current version when omitted
+ * @returns {Promise<Object>} - Record at the version, with is_current
+ * @throws {AppError} - 404 if the record has no such version
+ */
+const getRecordAtVersion = async (record, version) => {
+  if (version === undefined || version === null || version === '' || Number(version) === record.version) {
+    return { ...record, is_current: true };
+  }
+
+  const earlier = await recordVersionModel.getVersion(record.record_id, Number(version));
+
+  if (!earlier) {
+    throw new AppError(`Record has no version ${version}`, 404);
+  }
+
+  return { ...record, ...earlier, is_current: false };
+};
+
+/**
+ * List who changed a record, when and why, version by version
+ * @param {Object} user - User reading the history (id)
+ * @param {string} recordId - Record ID
+ * @returns {Promise<Object>} - record (current version) and versions, oldest first
+ */
+const getVersionHistory = async (user, recordId) => {
+  const record = await getReadableRecord(user, recordId);
+  const versions = await recordVersionModel.getVersionHistory(recordId);
+
+  return { record, versions };
+};
+
+/**
+ * Compare the clinical content of two versions of a record
+ * @param {Object} user - User reading the record (id)
+ * @param {string} recordId - Record ID
+ * @param {number|string} [from] - Older version; the one before `to` when omitted
+ * @param {number|string} [to] - Newer version; the current version when omitted
+ * @returns {Promise<Object>} - record_id, patient_id, from and to (version, amended_by, amended_at,
+ *   amendment_reason) and changes: { field, from, to } for each field that differs
+ * @throws {AppError} - 400 if there is no earlier version to compare with, 404 for an unknown
+ *   record or version
+ */
+const diffVersions = async (user, recordId, from, to) => {
+  const record = await getReadableRecord(user, recordId);
+  const toVersion = to ? Number(to) : record.version;
+  const fromVersion = from ? Number(from) : toVersion - 1;
+
+  if (fromVersion < 1) {
+    throw new AppError('Record has no earlier version to compare with', 400);
+  }
+
+  const [older, newer] = await Promise.all([
+    getRecordAtVersion(record, fromVersion),
+    getRecordAtVersion(record, toVersion)
+  ]);
+
+  const describe = (snapshot) => ({
+    version: snapshot.version,
+    amended_by: snapshot.amended_by,
+    amended_at: snapshot.amended_at,
+    amendment_reason: snapshot.amendment_reason
+  });
+
+  return {
+    record_id: record.record_id,
+    patient_id: record.patient_id,
+    from: describe(older),
+    to: describe(newer),
+    changes: AMENDABLE_FIELDS
+      .filter(field => (older[field] || null) !== (newer[field] || null))
+      .map(field => ({ field, from: older[field] || null, to: newer[field] || null }))
+  };
+};
+
+module.exports = {
+  AMENDABLE_FIELDS,
+  amendRecord,
+  markEnteredInError,
+  getRecordAtVersion,
+  getVersionHistory,
+  diffVersions
+};
@@ -0,0 +1,116 @@
+const jobRunModel = require('../models/jobRun.model');
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+/**
+ * Register a job to run on a fixed interval
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} handler - Async function returning a summary of the run
+ */
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    timer: null,
+    running: false
+  });
+};
+
+/**
+ * Run a registered job once and record the outcome
+ * Runs never overlap: a run requested while the previous one is still going is skipped.
+ * @param {string} name - Job name
+ * @param {string} triggerType - What started the run ('schedule' or 'manual')
+ * @returns {Promise<Object|null>} - Summary returned by the job, or null if skipped
+ */
+const runJob = async (name, triggerType = 'schedule') => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Job ${name} is not registered`);
+  }
+
+  if (job.running) {
+    console.warn(`Job ${name} is still running, skipping this run`);
+    return null;
+  }
+
+  job.running = true;
+  let runId = null;
+
+  try {
+    runId = await jobRunModel.startJobRun(name, triggerType);
+    const result = await job.handler();
+    await jobRunModel.finishJobRun(runId, 'success', result);
+    return result;
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    if (runId) {
+      await jobRunModel.finishJobRun(runId, 'failed', null, error.message)
+        .catch(recordError => console.error('Failed to record job failure:', recordError));
+    }
+    throw error;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all registered jobs
+ * Each job runs once shortly after startup and then on its interval.
+ */
+const start = () => {
+  if (process.env.JOBS_DISABLED === 'true') {
+    console.log('Scheduled jobs are disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    const tick = () => runJob(job.name).catch(() => {});
+
+    job.timer = setInterval(tick, job.intervalMs);
+    setTimeout(tick, 5000);
+
+    console.log(`Scheduled job ${job.name} every ${Math.round(job.intervalMs / 60000)} minute(s)`);
+  });
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stop = () => {
+  jobs.forEach(job => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+};
+
+/**
+ * Describe the registered jobs
+ * @returns {Array<Object>} - Job name, interval and whether it is running now
+ */
+const getJobs = () => Array.from(jobs.values()).map(job => ({
+  name: job.name,
+  intervalMinutes: job.intervalMs / 60000,
+  scheduled: !!job.timer,
+  running: job.running
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  start,
+  stop,
+  getJobs
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const twoFactorModel = require('../models/twoFactor.model');
+const refreshTokenModel = require('../models/refreshToken.model');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp.utils');
+const { AppError } = require('../utils/error.utils');
+
+// Name shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'TrustMed';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {Array<string>} - Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Describe a user's two-factor state
+ * @param {Object} user - id and role
+ * @returns {Promise<Object>} - enabled, pending, required and recoveryCodesRemaining
+ */
+const getStatus = async (user) => {
+  const twoFactor = await twoFactorModel.getTwoFactor(user.id);
+  const required = await twoFactorModel.isRequiredForRole(user.role);
+
+  return {
+    enabled: !!twoFactor && twoFactor.enabled,
+    pending: !!twoFactor && !twoFactor.enabled,
+    enabledAt: twoFactor ? twoFactor.enabled_at : null,
+    required,
+    recoveryCodesRemaining: twoFactor && twoFactor.enabled
+      ? await twoFactorModel.countRecoveryCodes(user.id)
+      : 0
+  };
+};
+
+/**
+ * Start enrolment: create a secret for the user to add to an authenticator app
+ * Two-factor is not enforced until the user confirms a code from the app.
+ * @param {Object} user - id and email
+ * @returns {Promise<Object>} - secret and otpauthUri (for a QR code)
+ */
+const beginEnrolment = async (user) => {
+  const existing = await twoFactorModel.getTwoFactor(user.id);
+
+  if (existing && existing.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  await twoFactorModel.savePendingSecret(user.id, secret);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+  };
+};
+
+/**
+ * Check a code from the user's authenticator app
+ * A code is accepted once; replaying it within its time window fails.
+ * @param {Object} twoFactor - Settings from getTwoFactor
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} - True if the code is valid and unused
+ */
+const checkTotp = async (twoFactor, code) => {
+  const step = verifyTotp(twoFactor.secret, code);
+
+  if (step === null) return false;
+
+  return twoFactorModel.markStepUsed(twoFactor.user_id, step);
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Array<string>>} - Recovery codes, shown to the user once
+ */
+const confirmEnrolment = async (userId, code) => {
+  const twoFactor = await twoFactorModel.getTwoFactor(userId);
+
+  if (!twoFactor) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  if (twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!(await checkTotp(twoFactor, code))) {
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await twoFactorModel.replaceRecoveryCodes(userId, recoveryCodes);
+
+  if (!(await twoFactorModel.enableTwoFactor(userId))) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  return recoveryCodes;
+};
+
+/**
+ * Verify the second factor of a sign-in
+ * @param {string} userId - User ID
+ * @param {Object} factor - code (from the app) or recoveryCode
+ * @returns {Promise<string>} - Method used: 'totp' or 'recovery_code'
+ * @throws {AppError} - 401 if the code is wrong or already used
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const twoFactor = await twoFactorModel.getTwoFactor(userId);
+
+  if (!twoFactor || !twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (recoveryCode) {
+    if (await twoFactorModel.useRecoveryCode(userId, recoveryCode)) {
+      return 'recovery_code';
+    }
+    throw new AppError('Invalid or already used recovery code', 401);
+  }
+
+  if (await checkTotp(twoFactor, code)) {
+    return 'totp';
+  }
+
+  throw new AppError('Invalid authentication code', 401);
+};
+
+/**
+ * Turn off two-factor for the current user
+ * Not allowed while it is required for the user's role.
+ * @param {Object} user - id and role
+ * @param {Object} factor - code or recoveryCode proving the user still has the second factor
+ */
+const disable = async (user, factor) => {
+  if (await twoFactorModel.isRequiredForRole(user.role)) {
+    throw new AppError('Two-factor authentication is required for your role', 403);
+  }
+
+  await verifySecondFactor(user.id, factor);
+  await twoFactorModel.removeTwoFactor(user.id);
+};
+
+/**
+ * Replace the current user's recovery codes
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>>} - New recovery codes
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  await verifySecondFactor(userId, { code });
+
+  const recoveryCodes = generateRecoveryCodes();
+  await twoFactorModel.replaceRecoveryCodes(userId, recoveryCodes);
+
+  return recoveryCodes;
+};
+
+/**
+ * Remove a user's two-factor so they can enrol again (e.g. after losing their phone)
+ * Their sessions are ended as well.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - False if the user had no two-factor set up
+ */
+const resetForUser = async (userId) => {
+  const removed = await twoFactorModel.removeTwoFactor(userId);
+
+  if (removed) {
+    await refreshTokenModel.revokeUserTokens(userId, 'two_factor_reset');
+  }
+
+  return removed;
+};
+
+module.exports = {
+  getStatus,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes,
+  resetForUser
+};
@@ -0,0 +1,43 @@
+/**
+ * Format one value for a CSV cell
+ * Values containing commas, quotes or line breaks are quoted, and cells that a
+ * spreadsheet would run as a formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV line ending in CRLF
+ */
+const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} - CSV document
+ */
+const toCsv = (headers, rows) => toCsvRow(headers) + rows.map(toCsvRow).join('');
+
+module.exports = {
+  toCsvValue,
+  toCsvRow,
+  toCsv
+};
@@ -0,0 +1,90 @@
+const { getColumnPolicy, getEncryptedColumns } = require('../config/encryptedFields');
+const {
+  encrypt,
+  decrypt,
+  isLikelyEncrypted,
+  blindIndex
+} = require('../middleware/encryption.middleware');
+
+const ENCRYPTION_DISABLED = process.env.ENCRYPTION_DISABLED === 'true';
+
+// table.column pairs already reported as holding unencrypted values
+const reportedPlaintext = new Set();
+
+/**
+ * Encrypt the registered columns of a row about to be written
+ * Every value given is encrypted, even one that looks like ciphertext, since it
+ * is plain input; rows read through the pool are already decrypted. Blind
+ * indexes of the columns present are recomputed.
+ * @param {string} table - Table name
+ * @param {Object} data - Column to plain value
+ * @returns {Object} - Copy of the data with encrypted values and blind indexes
+ */
+const encryptFields = (table, data) => {
+  const encrypted = { ...data };
+
+  for (const column of getEncryptedColumns(table)) {
+    const value = data[column];
+
+    if (value === undefined) continue;
+
+    const policy = getColumnPolicy(table, column);
+
+    if (policy.blindIndex) {
+      encrypted[policy.blindIndex] = blindIndex(column, value);
+    }
+
+    if (value !== null && value !== '') {
+      encrypted[column] = encrypt(String(value));
+    }
+  }
+
+  return encrypted;
+};
+
+/**
+ * Decrypt the registered columns of a query result in place
+ * Columns are recognised by the table and column they were read from, so
+ * aliases and joins are covered. Unencrypted values are returned as they are
+ * and reported once per column, since they were written without encryptFields.
+ * @param {Array<Object>} rows - Result rows
+ * @param {Array<Object>} fields - Column metadata of the result
+ * @returns {Array<Object>} - The same rows
+ */
+const decryptResult = (rows, fields) => {
+  if (!Array.isArray(rows) || !Array.isArray(fields) || rows.length === 0 || ENCRYPTION_DISABLED) {
+    return rows;
+  }
+
+  // Where several columns share a name, the row holds the last one's value
+  const byName = new Map(fields.filter(Boolean).map(field => [field.name, field]));
+  const encryptedFields = [...byName.values()]
+    .filter(field => getColumnPolicy(field.orgTable, field.orgName));
+
+  if (encryptedFields.length === 0) return rows;
+
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') continue;
+
+    for (const field of encryptedFields) {
+      const value = row[field.name];
+
+      if (typeof value !== 'string' || value === '') continue;
+
+      if (isLikelyEncrypted(value, { legacy: true })) {
+        row[field.name] = decrypt(value, { legacy: true });
+      } else if (!reportedPlaintext.has(`${field.orgTable}.${field.orgName}`)) {
+        reportedPlaintext.add(`${field.orgTable}.${field.orgName}`);
+        console.warn(`${field.orgTable}.${field.orgName} holds unencrypted values; ` +
+          'they are encrypted by the next re-encryption run');
+      }
+    }
+  }
+
+  return rows;
+};
+
+module.exports = {
+  encryptFields,
+  decryptResult
+};
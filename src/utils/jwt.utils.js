@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_fallback_secret_key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const CHALLENGE_EXPIRES_IN = '5m';
 
 const generateToken = (payload) => {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
@@ -15,7 +16,26 @@ const verifyToken = (token) => {
   }
 };
 
+// Challenge tokens stand between the password and the second step of a login;
+// they carry a purpose and are never accepted as access tokens
+const generateChallengeToken = (payload, purpose) => {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+};
+
+const verifyChallengeToken = (token, purposes) => {
+  const decoded = verifyToken(token);
+
+  if (!decoded.purpose || !purposes.includes(decoded.purpose)) {
+    throw new Error('Invalid or expired token');
+  }
+
+  return decoded;
+};
+
 module.exports = {
+  JWT_EXPIRES_IN,
   generateToken,
-  verifyToken
+  verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken
 };
\ No newline at end of file
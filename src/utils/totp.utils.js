@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Steps either side of now that are still accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Time step for a moment in time
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number} - TOTP time step
+ */
+const stepAt = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Find the time step a code was generated for
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number|null} - Matching time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, timestamp = Date.now()) => {
+  const normalised = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalised)) return null;
+
+  const current = stepAt(timestamp);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = hotp(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalised))) {
+      return current + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account shown in the app (usually the email)
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  hotp,
+  stepAt,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -43,10 +43,292 @@ const loginValidationRules = [
   body('role').isIn(['admin', 'doctor', 'insurance']).withMessage('Role must be admin, doctor, or insurance')
 ];
 
+const forgotPasswordValidationRules = [
+  body('email').isEmail().withMessage('Valid email is required')
+];
+
+// Strength and reuse of new passwords are checked against the password policy
+const resetPasswordValidationRules = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
+];
+
+const changePasswordValidationRules = [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
+];
+
+const dataRequestApprovalValidationRules = [
+  body('record_ids').isArray({ min: 1 }).withMessage('At least one record must be selected for release'),
+  body('record_ids.*').isString().notEmpty().withMessage('Record IDs must be non-empty strings'),
+  body('access_granted_until').optional().isISO8601().withMessage('Access expiry must be a valid date').bail()
+    .custom(value => new Date(value) > new Date()).withMessage('Access expiry must be in the future'),
+  body('max_access_count').optional().isInt({ min: 1 }).withMessage('Maximum access count must be a positive integer'),
+  body('sensitive_record_ids').optional().isArray()
+    .withMessage('Sensitive record IDs must be an array'),
+  body('sensitive_record_ids.*').isString().notEmpty()
+    .withMessage('Record IDs must be non-empty strings')
+];
+
+const grantExtensionValidationRules = [
+  body('access_granted_until').optional().isISO8601().withMessage('Access expiry must be a valid date').bail()
+    .custom(value => new Date(value) > new Date()).withMessage('Access expiry must be in the future'),
+  body('max_access_count').optional().isInt({ min: 1 }).withMessage('Maximum access count must be a positive integer'),
+  body().custom(value => value.access_granted_until || value.max_access_count)
+    .withMessage('Provide a new access expiry or maximum access count')
+];
+
+const claimStatusValidationRules = [
+  body('status').isIn(['under_review', 'approved', 'rejected', 'paid'])
+    .withMessage('Status must be under_review, approved, rejected or paid'),
+  body('settlement_amount').optional({ values: 'null' }).isFloat({ gt: 0 })
+    .withMessage('Settlement amount must be a positive number'),
+  body('review_notes').optional({ values: 'null' }).isString().trim(),
+  body('payment_reference').optional({ values: 'null' }).isString().trim()
+];
+
+const claimValidationRules = [
+  body('lineItems').optional().isArray({ min: 1 })
+    .withMessage('Line items must be a non-empty array'),
+  body('lineItems.*.serviceDate').isISO8601()
+    .withMessage('Each line item needs a valid service date'),
+  body('lineItems.*.itemType').isIn(['procedure', 'medicine', 'consultation', 'lab_test', 'other'])
+    .withMessage('Item type must be procedure, medicine, consultation, lab_test or other'),
+  body('lineItems.*.description').trim().notEmpty()
+    .withMessage('Each line item needs a description'),
+  body('lineItems.*.quantity').isFloat({ gt: 0 })
+    .withMessage('Quantity must be a positive number'),
+  body('lineItems.*.unitPrice').isFloat({ min: 0 })
+    .withMessage('Unit price must be zero or a positive number'),
+  body('lineItems.*.recordId').optional({ values: 'null' }).isString(),
+  body('lineItems.*.procedureCode').optional({ values: 'null' }).isString().trim(),
+  body('lineItems.*.medId').optional({ values: 'null' }).isString(),
+  body('evidence').optional().isArray()
+    .withMessage('Evidence must be an array'),
+  body('evidence.*.grantId').isInt({ min: 1 })
+    .withMessage('Each evidence entry needs the grantId of a released record'),
+  body('evidence.*.lineNumber').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('Line number must be a positive integer'),
+  body('evidence.*.notes').optional({ values: 'null' }).isString().trim(),
+  body('supportingDocuments').optional({ values: 'null' }).isArray({ max: 20 })
+    .withMessage('Supporting documents must be an array of at most 20 released records'),
+  body('supportingDocuments.*.grantId').isInt({ min: 1 })
+    .withMessage('Each supporting document needs the grantId of a released record'),
+  body('supportingDocuments.*.title').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 255 })
+    .withMessage('Supporting document title must be at most 255 characters')
+];
+
+const claimEvidenceValidationRules = [
+  body('grantId').isInt({ min: 1 })
+    .withMessage('grantId of a released record is required'),
+  body('lineId').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('Line ID must be a positive integer'),
+  body('notes').optional({ values: 'null' }).isString().trim()
+];
+
+const lineItemDecisionValidationRules = [
+  body('approved_amount').isFloat({ min: 0 })
+    .withMessage('Approved amount must be zero or a positive number'),
+  body('decision_reason').optional({ values: 'null' }).isString().trim()
+];
+
+const consentValidationRules = [
+  body('company_id').isString().trim().notEmpty()
+    .withMessage('Insurance company is required'),
+  body('purpose').isIn(['claim_verification', 'policy_renewal', 'underwriting', 'fraud_investigation'])
+    .withMessage('Purpose must be claim_verification, policy_renewal, underwriting or fraud_investigation'),
+  body('record_types').optional({ values: 'null' }).isArray()
+    .withMessage('Record types must be an array'),
+  body('record_types.*').isIn(['consultation', 'prescription', 'lab_test', 'diagnosis', 'treatment'])
+    .withMessage('Record type must be consultation, prescription, lab_test, diagnosis or treatment'),
+  body('date_range_start').optional({ values: 'null' }).isISO8601()
+    .withMessage('Date range start must be a valid date'),
+  body('date_range_end').optional({ values: 'null' }).isISO8601()
+    .withMessage('Date range end must be a valid date'),
+  body('valid_from').optional({ values: 'null' }).isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('expires_at').optional({ values: 'null' }).isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  body('consent_method').optional({ values: 'null' }).isIn(['written', 'electronic', 'verbal'])
+    .withMessage('Consent method must be written, electronic or verbal'),
+  body('document_reference').optional({ values: 'null' }).isString().trim()
+];
+
+const accessReportValidationRules = [
+  query('from').optional().isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to').optional().isISO8601()
+    .withMessage('To must be a valid date'),
+  query('actorRole').optional().isIn(['admin', 'doctor', 'insurance'])
+    .withMessage('Actor role must be admin, doctor or insurance'),
+  query('category').optional().isIn(['read', 'denied', 'decision', 'request'])
+    .withMessage('Category must be read, denied, decision or request'),
+  query('format').optional().isIn(['json', 'csv', 'pdf'])
+    .withMessage('Format must be json, csv or pdf')
+];
+
+const refreshTokenValidationRules = [
+  body('refreshToken').isString().notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const twoFactorCodeValidationRules = [
+  body('code').matches(/^\d{6}$/)
+    .withMessage('Code must be the 6 digits shown in your authenticator app')
+];
+
+const twoFactorLoginValidationRules = [
+  body('code').optional().matches(/^\d{6}$/)
+    .withMessage('Code must be the 6 digits shown in your authenticator app'),
+  body('recoveryCode').optional().isString().trim().notEmpty()
+    .withMessage('Recovery code must not be empty'),
+  body().custom(value => !!(value && (value.code || value.recoveryCode)))
+    .withMessage('Provide a code from your authenticator app or a recovery code')
+];
+
+const twoFactorPolicyValidationRules = [
+  param('role').isIn(['admin', 'doctor', 'insurance'])
+    .withMessage('Role must be admin, doctor or insurance'),
+  body('required').isBoolean()
+    .withMessage('Required must be true or false')
+];
+
+const auditLogSearchValidationRules = [
+  query('userRole').optional().isIn(['admin', 'doctor', 'insurance', 'system'])
+    .withMessage('User role must be admin, doctor, insurance or system'),
+  query('severity').optional().isIn(['info', 'warning', 'error', 'critical'])
+    .withMessage('Severity must be info, warning, error or critical'),
+  query('ipAddress').optional().isIP()
+    .withMessage('IP address must be a valid IPv4 or IPv6 address'),
+  query('from').optional().isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to').optional().isISO8601()
+    .withMessage('To must be a valid date'),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('before').optional().isInt({ min: 1 })
+    .withMessage('Before must be an audit log ID'),
+  query('format').optional().isIn(['json', 'csv', 'ndjson'])
+    .withMessage('Format must be json, csv or ndjson')
+];
+
+const auditVerificationValidationRules = [
+  query('from').optional().isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to').optional().isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+const sessionIdValidationRules = [
+  param('sessionId').isUUID()
+    .withMessage('Session ID must be a valid UUID')
+];
+
+const sessionListValidationRules = [
+  query('all').optional().isBoolean()
+    .withMessage('all must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const revokeSessionsValidationRules = [
+  body('keepCurrent').optional().isBoolean()
+    .withMessage('keepCurrent must be true or false')
+];
+
+const loginHistoryValidationRules = [
+  query('limit').optional().isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+];
+
+const rolePermissionsValidationRules = [
+  param('role').isIn(['admin', 'doctor', 'insurance'])
+    .withMessage('Role must be admin, doctor or insurance'),
+  body('permissions').isArray()
+    .withMessage('Permissions must be an array of permission names'),
+  body('permissions.*').isString().notEmpty()
+    .withMessage('Permission names must be non-empty strings')
+];
+
+const patientSearchValidationRules = [
+  query('nic').optional().isString().trim().notEmpty()
+    .withMessage('NIC must not be empty')
+];
+
+const recordValidationRules = [
+  body('confidentiality_level').optional().isIn(['normal', 'sensitive', 'restricted'])
+    .withMessage('Confidentiality level must be normal, sensitive or restricted')
+];
+
+const recordAccessGrantValidationRules = [
+  body('staff_id').isString().trim().notEmpty()
+    .withMessage('Staff member is required'),
+  body('reason').isString().trim().notEmpty()
+    .withMessage('A reason for the access is required')
+];
+
+const recordVersionValidationRules = [
+  query('version').optional().isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+const recordDiffValidationRules = [
+  query('from').optional().isInt({ min: 1 })
+    .withMessage('From version must be a positive integer'),
+  query('to').optional().isInt({ min: 1 })
+    .withMessage('To version must be a positive integer')
+];
+
+const recordAmendmentValidationRules = [
+  body(['description', 'diagnosis', 'symptoms']).optional({ values: 'null' }).isString()
+    .withMessage('Amended fields must be text'),
+  body('reason').isString().trim().notEmpty()
+    .withMessage('A reason for the amendment is required'),
+  body('expected_version').optional().isInt({ min: 1 })
+    .withMessage('Expected version must be a positive integer')
+];
+
+const enteredInErrorValidationRules = [
+  body('reason').isString().trim().notEmpty()
+    .withMessage('A reason for marking the record entered in error is required')
+];
+
 module.exports = {
   validate,
   patientValidationRules,
   staffValidationRules,
   insuranceValidationRules,
-  loginValidationRules
+  loginValidationRules,
+  forgotPasswordValidationRules,
+  resetPasswordValidationRules,
+  changePasswordValidationRules,
+  sessionIdValidationRules,
+  sessionListValidationRules,
+  revokeSessionsValidationRules,
+  loginHistoryValidationRules,
+  rolePermissionsValidationRules,
+  patientSearchValidationRules,
+  recordValidationRules,
+  recordAccessGrantValidationRules,
+  recordVersionValidationRules,
+  recordDiffValidationRules,
+  recordAmendmentValidationRules,
+  enteredInErrorValidationRules,
+  refreshTokenValidationRules,
+  twoFactorCodeValidationRules,
+  twoFactorLoginValidationRules,
+  twoFactorPolicyValidationRules,
+  dataRequestApprovalValidationRules,
+  grantExtensionValidationRules,
+  claimStatusValidationRules,
+  claimValidationRules,
+  claimEvidenceValidationRules,
+  lineItemDecisionValidationRules,
+  consentValidationRules,
+  accessReportValidationRules,
+  auditLogSearchValidationRules,
+  auditVerificationValidationRules
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const auditChain = require('../../src/services/auditChain.service');
+const auditService = require('../../src/services/audit.service');
+const { requestContext, auditTrail, audit } = require('../../src/middleware/audit.middleware');
+
+describe('audit.middleware', () => {
+  let server;
+  let baseUrl;
+  // Stored patient the routes read and change
+  let patient;
+  // Entries written to the audit log
+  let entries;
+
+  const snapshot = async (patientId) => (patientId === patient.patient_id ? { ...patient } : null);
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(requestContext);
+    app.use((req, res, next) => {
+      req.user = { id: 'ST000001', role: 'admin' };
+      next();
+    });
+
+    const router = express.Router();
+    router.use(auditTrail());
+
+    router.get('/patients/:id', (req, res) => res.json(patient));
+    router.get('/records/:id', audit({ action: 'view', resource: 'record' }), (req, res) => res.json({}));
+    router.post('/patients', (req, res) => res.status(201).json({}));
+    router.put('/patients/:id', audit({ snapshot, redact: ['nic'] }), (req, res) => {
+      patient = { ...patient, ...req.body, updated_at: new Date().toISOString() };
+      res.json(patient);
+    });
+    router.post('/claims/:id/notes', async (req, res) => {
+      await auditService.logAudit(req.user.id, 'add_note', 'claim', req.params.id, {});
+      res.status(201).json({});
+    });
+    router.delete('/staff/:id', (req, res) => res.status(403).json({ message: 'Forbidden' }));
+
+    app.use('/admin', router);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    patient = { patient_id: 'PT000001', name: 'Nimal Silva', nic: '901234567V', address: 'Colombo', updated_at: '2026-01-01' };
+    entries = [];
+
+    mock.method(auditChain, 'appendEntry', async (entry) => {
+      entries.push(entry);
+      return entries.length;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Make a request and wait for the entries written once its response finished
+   * @param {string} path - Path under /admin
+   * @param {Object} options - fetch options; body is sent as JSON
+   * @param {number} expected - Entries to wait for
+   * @returns {Promise<Response>}
+   */
+  const send = async (path, options = {}, expected = 1) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'req-1' },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    await response.text();
+
+    for (let wait = 0; wait < 50 && entries.length < expected; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    return response;
+  };
+
+  it('audits a mutating request with the fields sent, never their secrets', async () => {
+    await send('/patients', { method: 'POST', body: { name: 'Kamala Perera', password: 'hunter2' } });
+
+    assert.equal(entries.length, 1);
+    const [entry] = entries;
+    assert.equal(entry.action, 'create');
+    assert.equal(entry.resource_type, 'patient');
+    assert.equal(entry.request_id, 'req-1');
+    assert.deepEqual(JSON.parse(entry.details).fields, ['name']);
+  });
+
+  it('records what changed, with redacted fields hidden', async () => {
+    await send('/patients/PT000001', { method: 'PUT', body: { address: 'Kandy', nic: '901234568V' } });
+
+    const [entry] = entries;
+    assert.equal(entry.resource_id, 'PT000001');
+    assert.deepEqual(JSON.parse(entry.old_values), { nic: '[redacted]', address: 'Colombo' });
+    assert.deepEqual(JSON.parse(entry.new_values), { nic: '[redacted]', address: 'Kandy' });
+  });
+
+  it('audits reads only on routes marked with audit()', async () => {
+    await send('/patients/PT000001', {}, 0);
+    assert.equal(entries.length, 0);
+
+    await send('/records/RC000001');
+    assert.equal(entries[0].action, 'view');
+    assert.equal(entries[0].resource_id, 'RC000001');
+  });
+
+  it('leaves the entry to a controller that logged its own', async () => {
+    await send('/claims/CL000001/notes', { method: 'POST', body: {} });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepEqual(entries.map(entry => entry.action), ['add_note']);
+  });
+
+  it('audits a refused request as a warning', async () => {
+    await send('/staff/ST000002', { method: 'DELETE' });
+
+    assert.equal(entries[0].action, 'delete');
+    assert.equal(entries[0].severity, 'warning');
+    assert.equal(JSON.parse(entries[0].details).status_code, 403);
+  });
+});
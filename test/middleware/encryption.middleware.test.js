@@ -0,0 +1,121 @@
+// The keyring is read from the environment on first use
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  encrypt,
+  decrypt,
+  isLikelyEncrypted,
+  getActiveKeyId,
+  needsReencryption
+} = require('../../src/middleware/encryption.middleware');
+
+/**
+ * Replace one part of an envelope
+ * @param {string} envelope - enc:v2:<key id>:<nonce>:<auth tag>:<ciphertext>
+ * @param {number} index - Part to replace, counting enc and v2
+ * @param {string} value - New value
+ * @returns {string} - Changed envelope
+ */
+const replacePart = (envelope, index, value) => {
+  const parts = envelope.split(':');
+  parts[index] = value;
+  return parts.join(':');
+};
+
+/**
+ * Encrypt a value the way version 1 did: AES-256-CBC under a static IV, hex encoded
+ * @param {string} text - Plain text
+ * @param {string} secret - Key as configured
+ * @returns {string} - Hex ciphertext
+ */
+const legacyEncrypt = (text, secret) => {
+  const cipher = crypto.createCipheriv(
+    'aes-256-cbc',
+    Buffer.from(secret.padEnd(32).slice(0, 32)),
+    Buffer.from('your_16_char_iv_')
+  );
+
+  return cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+};
+
+describe('encryption.middleware GCM envelopes', () => {
+  it('writes a versioned envelope under the active key', () => {
+    const envelope = encrypt('901234567V');
+
+    assert.match(envelope, /^enc:v2:[0-9a-f]{8}:[^:]+:[^:]+:[^:]+$/);
+    assert.equal(envelope.split(':')[2], getActiveKeyId());
+    assert.equal(isLikelyEncrypted(envelope), true);
+  });
+
+  it('round-trips a value', () => {
+    assert.equal(decrypt(encrypt('Penicillin, latex')), 'Penicillin, latex');
+  });
+
+  it('uses a fresh nonce for every value', () => {
+    assert.notEqual(encrypt('same value'), encrypt('same value'));
+  });
+
+  it('refuses a value whose ciphertext was changed', () => {
+    const envelope = encrypt('901234567V');
+    const ciphertext = Buffer.from(envelope.split(':')[5], 'base64');
+    ciphertext[0] ^= 1;
+
+    assert.throws(
+      () => decrypt(replacePart(envelope, 5, ciphertext.toString('base64'))),
+      { statusCode: 500, message: 'Encrypted value failed its integrity check' }
+    );
+  });
+
+  it('refuses a value moved under another key ID', () => {
+    const envelope = encrypt('901234567V');
+
+    assert.throws(
+      () => decrypt(replacePart(envelope, 2, '00000000')),
+      { statusCode: 500, message: 'Encrypted value uses unknown key 00000000' }
+    );
+  });
+
+  it('refuses a malformed envelope', () => {
+    assert.throws(() => decrypt('enc:v2:abc'), { statusCode: 500, message: 'Encrypted value is malformed' });
+  });
+
+  it('returns values stored before encryption as they are', () => {
+    assert.equal(decrypt('plain address'), 'plain address');
+    assert.equal(isLikelyEncrypted('plain address'), false);
+  });
+});
+
+describe('encryption.middleware version 1 values', () => {
+  it('reads values written under ENCRYPTION_KEY in registered columns', () => {
+    const stored = legacyEncrypt('901234567V', 'test-encryption-key');
+
+    assert.equal(decrypt(stored, { legacy: true }), '901234567V');
+    assert.equal(needsReencryption(stored), true);
+  });
+
+  it('reads values written under the old default key', () => {
+    const stored = legacyEncrypt('12 Galle Road', 'your_fallback_32_character_key_here_');
+
+    assert.equal(isLikelyEncrypted(stored, { legacy: true }), true);
+    assert.equal(decrypt(stored, { legacy: true }), '12 Galle Road');
+  });
+
+  it('returns hex text as it is unless the column is registered', () => {
+    const stored = legacyEncrypt('901234567V', 'test-encryption-key');
+
+    assert.equal(decrypt(stored), stored);
+    assert.equal(isLikelyEncrypted(stored), false);
+  });
+
+  it('treats hex text no legacy key decrypts as unencrypted', () => {
+    const hex = 'a3f1'.repeat(8) + '0123456789abcdef'.repeat(2);
+
+    assert.equal(isLikelyEncrypted(hex, { legacy: true }), false);
+    assert.equal(decrypt(hex, { legacy: true }), hex);
+    assert.equal(needsReencryption(hex), false);
+  });
+});
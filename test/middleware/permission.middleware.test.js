@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const permissionModel = require('../../src/models/permission.model');
+const permissionService = require('../../src/services/permission.service');
+const { requirePermission } = require('../../src/middleware/permission.middleware');
+
+/**
+ * Run a middleware and capture what it passes to next
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request
+ * @returns {Promise<*>} - Argument given to next (undefined when the request may continue)
+ */
+const run = (middleware, req) => new Promise(resolve => middleware(req, {}, resolve));
+
+describe('permission.middleware requirePermission', () => {
+  // role -> permission names, as stored in role_permissions
+  let grants;
+
+  beforeEach(() => {
+    grants = {
+      admin: ['permission:manage', 'record:read', 'record:create'],
+      doctor: ['record:read'],
+      insurance: []
+    };
+
+    mock.method(permissionModel, 'getRolePermissions', async (role) => [...(grants[role] || [])]);
+    mock.method(permissionModel, 'setRolePermissions', async (role, permissions) => {
+      grants[role] = permissions;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses to build a check for an unknown permission', () => {
+    assert.throws(() => requirePermission('record:reed'), { message: 'Unknown permissions: record:reed' });
+  });
+
+  it('asks for authentication when no user is attached', async () => {
+    const error = await run(requirePermission('record:read'), {});
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  it('lets a role through only when it holds every permission', async () => {
+    const check = requirePermission('record:read', 'record:create');
+
+    assert.equal(await run(check, { user: { role: 'admin' } }), undefined);
+    assert.equal((await run(check, { user: { role: 'doctor' } })).statusCode, 403);
+    assert.equal((await run(check, { user: { role: 'insurance' } })).statusCode, 403);
+  });
+
+  it('applies a change to a role\'s permissions at once on this server', async () => {
+    const check = requirePermission('record:create');
+
+    assert.equal((await run(check, { user: { role: 'doctor' } })).statusCode, 403);
+
+    await permissionService.updateRolePermissions('doctor', ['record:read', 'record:create'], 'ST000001');
+
+    assert.equal(await run(check, { user: { role: 'doctor' } }), undefined);
+  });
+
+  it('refuses unknown permissions and removing a protected grant', async () => {
+    await assert.rejects(
+      permissionService.updateRolePermissions('doctor', ['record:reed'], 'ST000001'),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      permissionService.updateRolePermissions('admin', ['record:read'], 'ST000001'),
+      { statusCode: 400, message: 'The admin role must keep: permission:manage' }
+    );
+    assert.equal(permissionModel.setRolePermissions.mock.callCount(), 0);
+  });
+});
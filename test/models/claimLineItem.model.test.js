@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const claimLineItemModel = require('../../src/models/claimLineItem.model');
+
+describe('claimLineItem.model', () => {
+  describe('createLineItems', () => {
+    it('computes each claimed amount from quantity and unit price and returns the rounded total', async () => {
+      const inserts = [];
+      const connection = { query: async (sql, params) => inserts.push(params) };
+
+      const total = await claimLineItemModel.createLineItems(connection, 'CL000001', [
+        { service_date: '2026-03-01', item_type: 'medicine', description: 'Amoxicillin', quantity: 3, unit_price: '0.1' },
+        { service_date: '2026-03-01', item_type: 'procedure', description: 'Appendectomy', quantity: 1, unit_price: '1250.505' }
+      ]);
+
+      assert.equal(total, 1250.81);
+      assert.deepEqual(inserts.map(params => params[1]), [1, 2]);
+      assert.deepEqual(inserts.map(params => params[10]), [0.3, 1250.51]);
+    });
+  });
+
+  describe('decideLineItem', () => {
+    // claim_line_items row being decided
+    let line;
+
+    beforeEach(() => {
+      line = { id: 1, claim_id: 'CL000001', claimed_amount: '200.00', line_status: 'pending' };
+
+      mock.method(pool, 'query', async (sql, params) => {
+        if (sql.startsWith('UPDATE claim_line_items')) {
+          const [approvedAmount, lineStatus, decisionReason] = params;
+          line = { ...line, approved_amount: approvedAmount, line_status: lineStatus, decision_reason: decisionReason };
+          return [{ affectedRows: 1 }];
+        }
+        return [[{ ...line }]];
+      });
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('approves, partially approves or denies from the approved amount', async () => {
+      const approved = await claimLineItemModel.decideLineItem('CL000001', 1, { approved_amount: 200 }, 'IN000001');
+      assert.equal(approved.line_status, 'approved');
+
+      const partial = await claimLineItemModel.decideLineItem(
+        'CL000001', 1, { approved_amount: '150.004', decision_reason: 'Capped at the schedule rate' }, 'IN000001'
+      );
+      assert.equal(partial.line_status, 'partially_approved');
+      assert.equal(partial.approved_amount, 150);
+
+      const denied = await claimLineItemModel.decideLineItem(
+        'CL000001', 1, { approved_amount: 0, decision_reason: 'Not covered' }, 'IN000001'
+      );
+      assert.equal(denied.line_status, 'denied');
+    });
+
+    it('requires a reason for anything short of full approval', async () => {
+      await assert.rejects(
+        claimLineItemModel.decideLineItem('CL000001', 1, { approved_amount: 150 }, 'IN000001'),
+        { statusCode: 400, message: 'A reason is required when a line is denied or partially approved' }
+      );
+    });
+
+    it('refuses to approve more than was claimed on the line', async () => {
+      await assert.rejects(
+        claimLineItemModel.decideLineItem('CL000001', 1, { approved_amount: 200.01 }, 'IN000001'),
+        { statusCode: 400 }
+      );
+      assert.equal(line.line_status, 'pending');
+    });
+
+    it('reports an unknown line', async () => {
+      mock.method(pool, 'query', async () => [[]]);
+
+      await assert.rejects(
+        claimLineItemModel.decideLineItem('CL000001', 9, { approved_amount: 0 }, 'IN000001'),
+        { statusCode: 404 }
+      );
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const consentModel = require('../../src/models/consent.model');
+
+const consent = (overrides) => ({
+  id: 1,
+  patient_id: 'PT000001',
+  patient_name: 'Nimal Silva',
+  company_id: 'IN000001',
+  purpose: 'claim_verification',
+  record_types: [],
+  date_range_start: null,
+  date_range_end: null,
+  ...overrides
+});
+
+describe('consent.model', () => {
+  const record = { record_type: 'lab_test', record_date: new Date(2026, 2, 15) };
+
+  it('covers a record whose type and date fall inside the consent', () => {
+    assert.equal(consentModel.coversRecord(consent({}), record), true);
+    assert.equal(consentModel.coversRecord(consent({
+      record_types: ['lab_test'],
+      date_range_start: '2026-03-15',
+      date_range_end: '2026-03-15'
+    }), record), true);
+  });
+
+  it('does not cover records of other types or outside the date range', () => {
+    assert.equal(consentModel.coversRecord(consent({ record_types: ['prescription'] }), record), false);
+    assert.equal(consentModel.coversRecord(consent({ date_range_start: '2026-03-16' }), record), false);
+    assert.equal(consentModel.coversRecord(consent({ date_range_end: new Date(2026, 2, 14) }), record), false);
+  });
+
+  it('overlaps a request only when some record could satisfy both', () => {
+    const scoped = consent({ record_types: ['lab_test'], date_range_start: '2026-01-01', date_range_end: '2026-06-30' });
+
+    assert.equal(consentModel.overlapsRequest(scoped, { requested_record_types: '["lab_test","prescription"]' }), true);
+    assert.equal(consentModel.overlapsRequest(scoped, { requested_record_types: '["prescription"]' }), false);
+    assert.equal(consentModel.overlapsRequest(scoped, { date_range_start: '2026-07-01' }), false);
+    assert.equal(consentModel.overlapsRequest(scoped, { date_range_end: '2025-12-31' }), false);
+  });
+});
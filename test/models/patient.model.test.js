@@ -0,0 +1,102 @@
+// Keys are read from the environment on first use
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+process.env.BLIND_INDEX_KEY = 'test-blind-index-key';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const { blindIndex } = require('../../src/middleware/encryption.middleware');
+const patientModel = require('../../src/models/patient.model');
+
+const MIDDLEWARE_PATH = require.resolve('../../src/middleware/encryption.middleware');
+
+/**
+ * Run a check against a fresh copy of the encryption middleware under other environment values
+ * Keys are read on first use, so the check runs before the environment is restored.
+ * @param {Object} env - Variables to set; undefined removes one
+ * @param {Function} check - Called with the module exports
+ */
+const withMiddleware = (env, check) => {
+  const saved = { ...process.env };
+  delete require.cache[MIDDLEWARE_PATH];
+
+  try {
+    Object.entries(env).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+
+    check(require(MIDDLEWARE_PATH));
+  } finally {
+    process.env = saved;
+    delete require.cache[MIDDLEWARE_PATH];
+  }
+};
+
+describe('blind index', () => {
+  it('matches NICs regardless of spacing, dashes and case', () => {
+    assert.equal(blindIndex('nic', '90123 4567-v'), blindIndex('nic', '901234567V'));
+    assert.notEqual(blindIndex('nic', '901234567V'), blindIndex('nic', '901234568V'));
+    assert.equal(blindIndex('nic', ' - '), null);
+  });
+
+  it('stays the same when ENCRYPTION_KEY is rotated', () => {
+    withMiddleware({ ENCRYPTION_KEY: 'rotated-encryption-key' }, (rotated) => {
+      assert.equal(rotated.blindIndex('nic', '901234567V'), blindIndex('nic', '901234567V'));
+    });
+  });
+
+  it('refuses to start without BLIND_INDEX_KEY', () => {
+    withMiddleware({ BLIND_INDEX_KEY: undefined }, (unset) => {
+      assert.throws(() => unset.assertKeysConfigured(), { message: 'BLIND_INDEX_KEY must be set to index data' });
+      assert.throws(() => unset.blindIndex('nic', '901234567V'));
+    });
+  });
+
+  it('refuses a BLIND_INDEX_KEY equal to ENCRYPTION_KEY', () => {
+    withMiddleware({ BLIND_INDEX_KEY: 'test-encryption-key' }, (shared) => {
+      assert.throws(() => shared.assertKeysConfigured(), /must differ from ENCRYPTION_KEY/);
+    });
+  });
+});
+
+describe('patient.model NIC lookup', () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    mock.method(pool, 'query', async (sql, params) => {
+      queries.push({ sql, params });
+      return [[]];
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('finds a patient by the blind index of the NIC, never by the NIC itself', async () => {
+    await patientModel.getAllPatients({ nic: '90123 4567-v' });
+
+    const [{ sql, params }] = queries;
+    assert.match(sql, /nic_index = \?/);
+    assert.ok(params.includes(blindIndex('nic', '901234567V')));
+    assert.ok(!params.some(param => String(param).includes('901234567')));
+  });
+
+  it('matches a full NIC given as a search term exactly', async () => {
+    await patientModel.getAllPatients({ search: '901234567V' });
+
+    assert.ok(queries[0].params.includes(blindIndex('nic', '901234567V')));
+  });
+
+  it('stores the index of the NIC with a new patient, and the NIC encrypted', async () => {
+    await patientModel.createPatient({ name: 'Nimal Silva', nic: '901234567v' });
+
+    const [insert] = queries;
+    assert.ok(insert.params.includes(blindIndex('nic', '901234567V')));
+    assert.ok(insert.params.some(param => typeof param === 'string' && param.startsWith('enc:v2:')));
+    assert.ok(!insert.params.includes('901234567v'));
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const authService = require('../../src/services/auth.service');
+const permissionModel = require('../../src/models/permission.model');
+const { recordModel } = require('../../src/models');
+const recordRoutes = require('../../src/routes/record.routes');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { generateToken } = require('../../src/utils/jwt.utils');
+
+describe('record.routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Mounted on its own, without the admin routes that authenticate before it in the app
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', recordRoutes);
+    app.use(errorHandler);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    // Quiet the error handler's logging of expected refusals
+    mock.method(console, 'error', () => {});
+    mock.method(authService, 'assertTokenActive', async () => {});
+    mock.method(authService, 'recordActivity', async () => {});
+    mock.method(permissionModel, 'getRolePermissions', async (role) => (
+      role === 'doctor' ? ['lab_test:read'] : []
+    ));
+    mock.method(recordModel, 'getAllLabTests', async () => [{ test_id: 'LT01', test_name: 'Full blood count' }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const bearer = (role) => ({
+    Authorization: `Bearer ${generateToken({ id: 'ST000001', email: 'ann@example.com', role })}`
+  });
+
+  it('authenticates requests itself', async () => {
+    const response = await fetch(`${baseUrl}/lab-tests/types`);
+
+    assert.equal(response.status, 401);
+    assert.equal(recordModel.getAllLabTests.mock.callCount(), 0);
+  });
+
+  it('serves an authenticated user whose role holds the permission', async () => {
+    const response = await fetch(`${baseUrl}/lab-tests/types`, { headers: bearer('doctor') });
+
+    assert.equal(response.status, 200);
+  });
+
+  it('refuses a role without the permission', async () => {
+    const response = await fetch(`${baseUrl}/lab-tests/types`, { headers: bearer('insurance') });
+
+    assert.equal(response.status, 403);
+  });
+
+  it('leaves the basic record routes to the admin routes', async () => {
+    const response = await fetch(`${baseUrl}/records`, { headers: bearer('doctor') });
+
+    assert.equal(response.status, 404);
+  });
+});
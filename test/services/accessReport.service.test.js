@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+
+const { pool } = require('../../src/config/database');
+const auditService = require('../../src/services/audit.service');
+const accessReportService = require('../../src/services/accessReport.service');
+
+const log = (id, overrides) => ({
+  id,
+  created_at: new Date(Date.UTC(2026, 2, id)),
+  user_id: 'ST000001',
+  user_name: 'Ann Perera',
+  user_role: 'doctor',
+  category: 'read',
+  action: 'view',
+  resource_type: 'record',
+  resource_id: 'RC000001',
+  request_id: null,
+  purpose: null,
+  details: null,
+  ...overrides
+});
+
+describe('accessReport.service', () => {
+  // Audit entries returned for the patient
+  let logs;
+
+  beforeEach(() => {
+    logs = [
+      log(1),
+      log(2, { user_id: 'IN000001', user_name: 'Ceylon Insurance', user_role: 'insurance', resource_type: 'approved_record', request_id: 'DR000001', purpose: 'claim_verification' }),
+      log(3, { category: 'denied', action: 'access_denied', details: { reason: 'restricted' } }),
+      log(4, { category: 'decision', action: 'approve_request', resource_type: 'data_request', resource_id: 'DR000001', user_id: 'ST000002', user_name: '=HYPERLINK("x")', user_role: 'admin' })
+    ];
+
+    mock.method(pool, 'query', async () => [[{ patient_id: 'PT000001', name: 'Nimal Silva' }]]);
+    mock.method(auditService, 'getPatientAccessLogs', async () => logs);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('describes each access and summarises who accessed the patient', async () => {
+    const report = await accessReportService.getPatientAccessReport('PT000001', { category: null });
+
+    assert.equal(report.truncated, false);
+    assert.deepEqual(report.entries.map(entry => entry.description), [
+      'Viewed medical record RC000001',
+      'Viewed released record RC000001',
+      'Denied access to medical record RC000001 (restricted)',
+      'Approve request data request DR000001'
+    ]);
+    assert.deepEqual(report.summary.by_category, { read: 2, denied: 1, decision: 1 });
+    assert.deepEqual(report.summary.by_role, { doctor: 2, insurance: 1, admin: 1 });
+
+    const [mostActive] = report.summary.actors;
+    assert.equal(mostActive.actor_id, 'ST000001');
+    assert.equal(mostActive.count, 2);
+    assert.deepEqual(mostActive.last_access, logs[2].created_at);
+  });
+
+  it('asks for one entry past the limit and marks the report as cut short', async () => {
+    logs = Array.from({ length: accessReportService.MAX_REPORT_ENTRIES + 1 }, (value, index) => log(index + 1));
+
+    const report = await accessReportService.getPatientAccessReport('PT000001');
+
+    assert.equal(auditService.getPatientAccessLogs.mock.calls[0].arguments[1].limit, accessReportService.MAX_REPORT_ENTRIES + 1);
+    assert.equal(report.truncated, true);
+    assert.equal(report.entries.length, accessReportService.MAX_REPORT_ENTRIES);
+  });
+
+  it('reports an unknown patient', async () => {
+    mock.method(pool, 'query', async () => [[]]);
+
+    await assert.rejects(accessReportService.getPatientAccessReport('PT999999'), { statusCode: 404 });
+  });
+
+  it('exports one CSV row per entry with formulas neutralised', async () => {
+    const report = await accessReportService.getPatientAccessReport('PT000001');
+    const lines = accessReportService.toReportCsv(report).trimEnd().split('\r\n');
+
+    assert.equal(lines.length, 5);
+    assert.match(lines[0], /^Timestamp,Actor ID,Actor,Role/);
+    assert.match(lines[2], /,DR000001,claim_verification,Viewed released record RC000001$/);
+    assert.match(lines[4], /,"'=HYPERLINK\(""x""\)",admin,/);
+  });
+
+  it('writes the report as a PDF', async () => {
+    const report = await accessReportService.getPatientAccessReport('PT000001');
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    await accessReportService.writeReportPdf(report, stream);
+
+    assert.equal(Buffer.concat(chunks).subarray(0, 5).toString(), '%PDF-');
+  });
+});
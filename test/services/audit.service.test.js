@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const auditService = require('../../src/services/audit.service');
+
+describe('audit.service search', () => {
+  // audit_logs rows, oldest first
+  let rows;
+  let queries;
+
+  beforeEach(() => {
+    rows = Array.from({ length: 7 }, (value, index) => ({
+      id: index + 1,
+      user_id: index % 2 === 0 ? 'ST000001' : 'ST000002',
+      action: 'view',
+      details: index === 6 ? 'not json' : JSON.stringify({ index })
+    }));
+    queries = [];
+
+    // Applies the user filter, the ID cursor, the order and the limit the way MySQL would
+    mock.method(pool, 'query', async (sql, params) => {
+      queries.push({ sql, params });
+      const values = [...params];
+      const limit = values.pop();
+      const userId = /al\.user_id = \?/.test(sql) ? values.shift() : null;
+      const cursor = /al\.id [<>] \?/.test(sql) ? values.shift() : null;
+
+      let matched = rows.filter(row => !userId || row.user_id === userId);
+      if (/al\.id < \?/.test(sql)) matched = matched.filter(row => row.id < cursor);
+      if (/al\.id > \?/.test(sql)) matched = matched.filter(row => row.id > cursor);
+      if (/ORDER BY al\.id DESC/.test(sql)) matched = [...matched].reverse();
+
+      return [matched.slice(0, limit).map(row => ({ ...row }))];
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('pages newest first, keyed on the last entry ID', async () => {
+    const first = await auditService.searchAuditLogs({}, { limit: 3 });
+    assert.deepEqual(first.logs.map(log => log.id), [7, 6, 5]);
+    assert.equal(first.nextCursor, 5);
+
+    // An entry written while paging does not shift the next page
+    rows.push({ id: 8, user_id: 'ST000001', action: 'view', details: null });
+
+    const second = await auditService.searchAuditLogs({}, { limit: 3, before: first.nextCursor });
+    assert.deepEqual(second.logs.map(log => log.id), [4, 3, 2]);
+
+    const last = await auditService.searchAuditLogs({}, { limit: '3', before: '2' });
+    assert.deepEqual(last.logs.map(log => log.id), [1]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it('filters on exact fields and the date range with placeholders', async () => {
+    const { logs } = await auditService.searchAuditLogs({
+      userId: 'ST000002',
+      from: '2026-01-01',
+      to: '2026-12-31'
+    });
+
+    assert.deepEqual(logs.map(log => log.id), [6, 4, 2]);
+    assert.match(queries[0].sql, /al\.created_at >= \? AND al\.created_at <= \?/);
+    assert.ok(queries[0].params[1] instanceof Date);
+  });
+
+  it('returns details parsed, or as stored when they are not JSON', async () => {
+    const { logs } = await auditService.searchAuditLogs({}, { limit: 2 });
+
+    assert.equal(logs[0].details, 'not json');
+    assert.deepEqual(logs[1].details, { index: 5 });
+  });
+
+  it('reads every matching entry for export in batches, oldest first', async () => {
+    const exported = [];
+
+    for await (const log of auditService.iterateAuditLogs({ userId: 'ST000001' }, 2)) {
+      exported.push(log.id);
+    }
+
+    assert.deepEqual(exported, [1, 3, 5, 7]);
+    // Two full batches, then an empty one ends the export
+    assert.equal(queries.length, 3);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const auditChain = require('../../src/services/auditChain.service');
+
+const { GENESIS_HASH, computeEntryHash } = auditChain;
+
+/**
+ * Build a chain of audit rows as they would be read back from audit_logs
+ * @param {number} length - Number of entries
+ * @returns {Array<Object>} - Rows, oldest first
+ */
+const buildChain = (length) => {
+  const rows = [];
+  let prevHash = GENESIS_HASH;
+
+  for (let id = 1; id <= length; id++) {
+    const row = {
+      id,
+      user_id: 'ST000001',
+      user_role: 'doctor',
+      action: 'view',
+      resource_type: 'record',
+      resource_id: `REC00000${id}`,
+      old_values: null,
+      new_values: null,
+      ip_address: '127.0.0.1',
+      user_agent: 'test-agent',
+      session_id: null,
+      request_id: `req-${id}`,
+      details: '{}',
+      severity: 'info',
+      created_at: new Date(Date.UTC(2025, 0, 1, 8, 0, id)),
+      prev_hash: prevHash
+    };
+    row.entry_hash = computeEntryHash(prevHash, row);
+    prevHash = row.entry_hash;
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Answer the queries verifyChain makes from a list of rows
+ * @param {Array<Object>} rows - audit_logs rows
+ * @returns {Function} - Replacement for pool.query
+ */
+const fakeAuditLogs = (rows) => async (sql, params = []) => {
+  if (sql.includes('FROM audit_chain_head')) {
+    const last = rows[rows.length - 1];
+    return [[{ last_log_id: last.id, last_hash: last.entry_hash }]];
+  }
+
+  if (sql.includes('WHERE id < ? AND entry_hash IS NOT NULL')) {
+    return [rows.filter(row => row.id < params[0]).slice(-1)];
+  }
+
+  if (sql.includes('FROM audit_logs WHERE id > ?')) {
+    return [rows.filter(row => row.id > params[0]).slice(0, params[params.length - 1])];
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+describe('auditChain.service computeEntryHash', () => {
+  it('hashes an entry the same way before it is written and after it is read back', () => {
+    const createdAt = new Date(Date.UTC(2025, 0, 1, 8, 0, 0));
+
+    const written = computeEntryHash(GENESIS_HASH, {
+      user_id: 'ST000001',
+      resource_id: 42,
+      new_values: { status: 'approved', amount: 100 },
+      created_at: createdAt
+    });
+    const read = computeEntryHash(GENESIS_HASH, {
+      user_id: 'ST000001',
+      resource_id: '42',
+      new_values: '{"amount": 100, "status": "approved"}',
+      severity: 'info',
+      created_at: createdAt.toISOString()
+    });
+
+    assert.equal(written, read);
+  });
+
+  it('changes when a field or the previous hash changes', () => {
+    const [row] = buildChain(1);
+
+    assert.notEqual(computeEntryHash(GENESIS_HASH, { ...row, action: 'delete' }), row.entry_hash);
+    assert.notEqual(computeEntryHash('f'.repeat(64), row), row.entry_hash);
+  });
+});
+
+describe('auditChain.service verifyChain', () => {
+  beforeEach(() => {
+    delete process.env.AUDIT_CHECKPOINT_KEY;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts an intact chain', async () => {
+    mock.method(pool, 'query', fakeAuditLogs(buildChain(3)));
+
+    const result = await auditChain.verifyChain();
+
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 3);
+    assert.equal(result.firstBreak, null);
+  });
+
+  it('reports an edited entry', async () => {
+    const rows = buildChain(3);
+    rows[1].details = '{"note":"edited"}';
+    mock.method(pool, 'query', fakeAuditLogs(rows));
+
+    const result = await auditChain.verifyChain();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.firstBreak.id, 2);
+    assert.equal(result.firstBreak.reason, 'hash_mismatch');
+  });
+
+  it('reports a deleted entry at the entry after it', async () => {
+    const rows = buildChain(3);
+    rows.splice(1, 1);
+    mock.method(pool, 'query', fakeAuditLogs(rows));
+
+    const result = await auditChain.verifyChain();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.firstBreak.id, 3);
+    assert.equal(result.firstBreak.reason, 'broken_link');
+  });
+});
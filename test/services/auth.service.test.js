@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const refreshTokenModel = require('../../src/models/refreshToken.model');
+const sessionModel = require('../../src/models/session.model');
+const staffModel = require('../../src/models/staff.model');
+const auditService = require('../../src/services/audit.service');
+const authService = require('../../src/services/auth.service');
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+// Refresh token as findRefreshToken returns it, joined with its user
+const storedToken = (overrides = {}) => ({
+  token_id: 'token-1',
+  family_id: 'family-1',
+  user_id: 'ST000001',
+  revoked_at: null,
+  revoked_reason: null,
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  role: 'doctor',
+  is_active: 1,
+  token_version: 0,
+  first_login: 0,
+  password_changed_at: new Date(),
+  ...overrides
+});
+
+describe('auth.service refreshSession', () => {
+  beforeEach(() => {
+    mock.method(refreshTokenModel, 'createRefreshToken', async (tokenData) => ({
+      token: 'refresh-token-2',
+      token_id: 'token-2',
+      family_id: tokenData.family_id
+    }));
+    mock.method(refreshTokenModel, 'markRotated', async () => true);
+    mock.method(refreshTokenModel, 'revokeFamily', async () => {});
+    mock.method(sessionModel, 'touchSession', async () => {});
+    mock.method(staffModel, 'getStaffById', async () => ({
+      first_name: 'Ann',
+      last_name: 'Perera',
+      email: 'ann@example.com'
+    }));
+    mock.method(auditService, 'logAudit', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rotates the token within its session', async () => {
+    mock.method(refreshTokenModel, 'findRefreshToken', async () => storedToken());
+
+    const tokens = await authService.refreshSession('refresh-token-1', req);
+
+    assert.equal(tokens.refreshToken, 'refresh-token-2');
+    assert.equal(tokens.sessionId, 'family-1');
+    assert.deepEqual(refreshTokenModel.markRotated.mock.calls[0].arguments, ['token-1', 'token-2']);
+    assert.equal(refreshTokenModel.revokeFamily.mock.callCount(), 0);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    mock.method(refreshTokenModel, 'findRefreshToken', async () => storedToken({
+      revoked_at: new Date(),
+      revoked_reason: 'rotated'
+    }));
+
+    await assert.rejects(
+      authService.refreshSession('refresh-token-1', req),
+      { statusCode: 401 }
+    );
+
+    assert.deepEqual(refreshTokenModel.revokeFamily.mock.calls[0].arguments, ['family-1', 'reuse_detected']);
+    assert.equal(refreshTokenModel.createRefreshToken.mock.callCount(), 0);
+
+    const [audit] = auditService.logAudit.mock.calls;
+    assert.equal(audit.arguments[1], 'refresh_token_reuse');
+    assert.equal(audit.arguments[5].severity, 'critical');
+  });
+
+  it('revokes the family when another request rotated the token first', async () => {
+    mock.method(refreshTokenModel, 'findRefreshToken', async () => storedToken());
+    mock.method(refreshTokenModel, 'markRotated', async () => false);
+
+    await assert.rejects(
+      authService.refreshSession('refresh-token-1', req),
+      { statusCode: 401 }
+    );
+
+    assert.deepEqual(refreshTokenModel.revokeFamily.mock.calls[0].arguments, ['family-1', 'reuse_detected']);
+  });
+
+  it('refuses a token ended at logout without treating it as reuse', async () => {
+    mock.method(refreshTokenModel, 'findRefreshToken', async () => storedToken({
+      revoked_at: new Date(),
+      revoked_reason: 'logout'
+    }));
+
+    await assert.rejects(
+      authService.refreshSession('refresh-token-1', req),
+      { statusCode: 401 }
+    );
+
+    assert.equal(refreshTokenModel.revokeFamily.mock.callCount(), 0);
+    assert.equal(auditService.logAudit.mock.callCount(), 0);
+  });
+
+  it('refuses an unknown token', async () => {
+    mock.method(refreshTokenModel, 'findRefreshToken', async () => null);
+
+    await assert.rejects(
+      authService.refreshSession('unknown', req),
+      { statusCode: 401, message: 'Invalid refresh token' }
+    );
+  });
+});
@@ -0,0 +1,274 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const insuranceClaimModel = require('../../src/models/insuranceClaim.model');
+const claimLineItemModel = require('../../src/models/claimLineItem.model');
+const claimEvidenceModel = require('../../src/models/claimEvidence.model');
+const approvedRecordModel = require('../../src/models/approvedRecord.model');
+const auditService = require('../../src/services/audit.service');
+const emailService = require('../../src/services/email.service');
+const claimService = require('../../src/services/claim.service');
+
+const insurer = { id: 'IN000001', role: 'insurance' };
+const admin = { id: 'ST000001', role: 'admin' };
+
+describe('claim.service transitions', () => {
+  // insurance_claims row
+  let claim;
+
+  beforeEach(() => {
+    claim = { claim_id: 'CL000001', company_id: insurer.id, status: 'pending', claim_amount: '1500.00' };
+
+    mock.method(insuranceClaimModel, 'getClaimById', async () => ({ ...claim }));
+    mock.method(insuranceClaimModel, 'updateClaimStatus', async (claimId, fromStatus, toStatus, fields) => {
+      claim = { ...claim, ...fields, status: toStatus };
+      return { ...claim };
+    });
+    mock.method(claimLineItemModel, 'getLineTotals', async () => ({
+      line_count: 0, pending_count: 0, claimed_total: 0, approved_total: 0
+    }));
+    mock.method(pool, 'query', async () => [[]]);
+    mock.method(emailService, 'sendClaimStatusEmail', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('walks a claim from pending to paid', async () => {
+    await claimService.transitionClaim('CL000001', 'under_review', {}, insurer);
+    await claimService.transitionClaim('CL000001', 'approved', { settlement_amount: '1200' }, insurer);
+    const { claim: paid, previousStatus } = await claimService.transitionClaim(
+      'CL000001', 'paid', { payment_reference: 'PAY-001' }, admin
+    );
+
+    assert.equal(previousStatus, 'approved');
+    assert.equal(paid.status, 'paid');
+    assert.equal(paid.payment_reference, 'PAY-001');
+  });
+
+  it('refuses a transition the state machine does not allow', async () => {
+    await assert.rejects(
+      claimService.transitionClaim('CL000001', 'paid', { payment_reference: 'PAY-001' }, insurer),
+      { statusCode: 409, message: 'A claim cannot move from pending to paid' }
+    );
+    assert.equal(insuranceClaimModel.updateClaimStatus.mock.callCount(), 0);
+  });
+
+  it('refuses a transition by a role that may not make it', async () => {
+    await assert.rejects(claimService.transitionClaim('CL000001', 'under_review', {}, admin), { statusCode: 403 });
+  });
+
+  it('requires review notes to reject and to appeal', async () => {
+    claim.status = 'under_review';
+    await assert.rejects(
+      claimService.transitionClaim('CL000001', 'rejected', {}, insurer),
+      { statusCode: 400, message: 'review_notes required to move a claim to rejected' }
+    );
+
+    claim.status = 'rejected';
+    await assert.rejects(claimService.transitionClaim('CL000001', 'under_review', {}, admin), { statusCode: 400 });
+
+    const { claim: appealed } = await claimService.transitionClaim(
+      'CL000001', 'under_review', { review_notes: 'Discharge summary attached' }, admin
+    );
+    assert.equal(appealed.status, 'under_review');
+  });
+
+  it('refuses a settlement above the claimed amount', async () => {
+    claim.status = 'under_review';
+
+    await assert.rejects(
+      claimService.transitionClaim('CL000001', 'approved', { settlement_amount: '1600' }, insurer),
+      { statusCode: 400, message: 'Settlement amount cannot exceed the claimed amount' }
+    );
+  });
+
+  it('keeps other insurers away from the claim', async () => {
+    await assert.rejects(
+      claimService.transitionClaim('CL000001', 'under_review', {}, { id: 'IN000002', role: 'insurance' }),
+      { statusCode: 403 }
+    );
+  });
+
+  it('lists only the transitions open to a role', () => {
+    assert.deepEqual(claimService.getAllowedTransitions('under_review', 'insurance').map(next => next.status), [
+      'approved',
+      'rejected'
+    ]);
+    assert.deepEqual(claimService.getAllowedTransitions('under_review', 'admin'), []);
+    assert.deepEqual(claimService.getAllowedTransitions('paid', 'insurance'), []);
+  });
+});
+
+describe('claim.service evidence', () => {
+  // approved_records row behind the evidence, with a single permitted read
+  let grant;
+
+  beforeEach(() => {
+    grant = { access_count: 0, max_access_count: 1, access_status: 'active' };
+
+    mock.method(claimLineItemModel, 'getLineItemsByClaim', async () => [
+      { id: 1, line_number: 1, description: 'Appendectomy' }
+    ]);
+    mock.method(claimEvidenceModel, 'getEvidenceByClaim', async () => [
+      { id: 1, claim_id: 'CL000001', line_item_id: 1, grant_id: 42, request_id: 'DR000001', record_id: 'REC000001' },
+      { id: 2, claim_id: 'CL000001', line_item_id: null, grant_id: 42, request_id: 'DR000001', record_id: 'REC000001' }
+    ]);
+    mock.method(approvedRecordModel, 'getGrant', async () => ({ ...grant }));
+    mock.method(approvedRecordModel, 'consumeAccess', async () => {
+      grant.access_count++;
+      if (grant.access_count >= grant.max_access_count) grant.access_status = 'exhausted';
+      return { granted: true, grant: { ...grant } };
+    });
+    mock.method(approvedRecordModel, 'getReleasedRecord', async () => ({
+      record_id: 'REC000001',
+      diagnosis: 'Acute appendicitis'
+    }));
+    mock.method(auditService, 'logAudit', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stays readable across repeated adjudication views', async () => {
+    for (let view = 0; view < 3; view++) {
+      const { lineItems, evidence } = await claimService.getLineItemsWithEvidence('CL000001', insurer);
+
+      assert.equal(lineItems[0].evidence[0].record.diagnosis, 'Acute appendicitis');
+      assert.equal(evidence[0].record.diagnosis, 'Acute appendicitis');
+    }
+
+    assert.equal(approvedRecordModel.consumeAccess.mock.callCount(), 0);
+    assert.equal(grant.access_count, 0);
+  });
+
+  it('stays readable when the insurer used up the grant before filing', async () => {
+    grant = { access_count: 1, max_access_count: 1, access_status: 'exhausted' };
+
+    const { lineItems } = await claimService.getLineItemsWithEvidence('CL000001', insurer);
+
+    assert.equal(lineItems[0].evidence[0].record.record_id, 'REC000001');
+    assert.equal(lineItems[0].evidence[0].access_status, 'exhausted');
+  });
+
+  it('withholds the record once the release is revoked', async () => {
+    grant = { access_count: 0, max_access_count: 1, access_status: 'revoked' };
+
+    const { lineItems } = await claimService.getLineItemsWithEvidence('CL000001', insurer);
+
+    assert.equal(lineItems[0].evidence[0].record, null);
+    assert.equal(lineItems[0].evidence[0].access_status, 'revoked');
+    assert.equal(approvedRecordModel.getReleasedRecord.mock.callCount(), 0);
+    assert.equal(auditService.logAudit.mock.calls[0].arguments[1], 'access_denied');
+  });
+
+  it('returns only metadata to other roles', async () => {
+    const { lineItems } = await claimService.getLineItemsWithEvidence('CL000001', { id: 'ST000001', role: 'admin' });
+
+    assert.equal(lineItems[0].evidence[0].record, undefined);
+    assert.equal(approvedRecordModel.getGrant.mock.callCount(), 0);
+  });
+});
+
+describe('claim.service itemised settlement', () => {
+  // insurance_claims row and its line items
+  let claim;
+  let lines;
+
+  const lineTotals = () => ({
+    line_count: lines.length,
+    pending_count: lines.filter(line => line.line_status === 'pending').length,
+    claimed_total: claimLineItemModel.roundAmount(lines.reduce((sum, line) => sum + parseFloat(line.claimed_amount), 0)),
+    approved_total: claimLineItemModel.roundAmount(lines.reduce((sum, line) => sum + (line.approved_amount || 0), 0))
+  });
+
+  beforeEach(() => {
+    claim = {
+      claim_id: 'CL000001',
+      company_id: insurer.id,
+      status: 'under_review',
+      claim_amount: '1300.00',
+      settlement_amount: null
+    };
+    lines = [
+      { id: 1, line_number: 1, claimed_amount: '1250.00', approved_amount: 1000, line_status: 'partially_approved' },
+      { id: 2, line_number: 2, claimed_amount: '50.00', approved_amount: null, line_status: 'pending' }
+    ];
+
+    mock.method(insuranceClaimModel, 'getClaimById', async () => ({ ...claim }));
+    mock.method(insuranceClaimModel, 'updateClaimStatus', async (claimId, fromStatus, toStatus, fields) => {
+      claim = { ...claim, ...fields, status: toStatus };
+      return { ...claim };
+    });
+    mock.method(claimLineItemModel, 'getLineTotals', async () => lineTotals());
+    mock.method(claimLineItemModel, 'getLineItemsByClaim', async () => lines.map(line => ({ ...line })));
+    mock.method(pool, 'query', async () => [[]]);
+    mock.method(emailService, 'sendClaimStatusEmail', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('will not approve while a line still needs a decision', async () => {
+    await assert.rejects(
+      claimService.transitionClaim('CL000001', 'approved', {}, insurer),
+      { statusCode: 409, message: '1 line item(s) still need a decision before the claim can be approved' }
+    );
+  });
+
+  it('settles at the approved line total', async () => {
+    lines[1] = { ...lines[1], approved_amount: 50, line_status: 'approved' };
+
+    const { claim: approved } = await claimService.transitionClaim('CL000001', 'approved', {}, insurer);
+
+    assert.equal(approved.settlement_amount, 1050);
+  });
+
+  it('refuses a settlement that differs from the approved line total', async () => {
+    lines[1] = { ...lines[1], approved_amount: 50, line_status: 'approved' };
+
+    await assert.rejects(
+      claimService.transitionClaim('CL000001', 'approved', { settlement_amount: '1300' }, insurer),
+      { statusCode: 400, message: 'Settlement amount must equal the approved line total of 1050' }
+    );
+  });
+
+  it('sends a claim with every line denied to rejection', async () => {
+    lines = lines.map(line => ({ ...line, approved_amount: 0, line_status: 'denied' }));
+
+    await assert.rejects(claimService.transitionClaim('CL000001', 'approved', {}, insurer), { statusCode: 400 });
+  });
+
+  it('reconciles what was claimed with what was settled and paid', async () => {
+    lines[1] = { ...lines[1], approved_amount: 50, line_status: 'approved' };
+    claim = { ...claim, status: 'paid', settlement_amount: '1050.00', payment_reference: 'PAY-001' };
+
+    const { lines: breakdown, totals } = await claimService.getClaimReconciliation('CL000001', insurer);
+
+    assert.deepEqual(breakdown.map(line => line.difference), [250, 0]);
+    assert.deepEqual(totals, {
+      claimed_amount: 1300,
+      line_claimed_total: 1300,
+      line_approved_total: 1050,
+      pending_lines: 0,
+      settlement_amount: 1050,
+      paid_amount: 1050,
+      outstanding_amount: 0,
+      variance: 250,
+      settlement_matches_lines: true
+    });
+  });
+
+  it('leaves settlement figures empty until the claim is approved', async () => {
+    const { totals } = await claimService.getClaimReconciliation('CL000001', insurer);
+
+    assert.equal(totals.settlement_amount, null);
+    assert.equal(totals.variance, null);
+    assert.equal(totals.settlement_matches_lines, null);
+    assert.equal(totals.pending_lines, 1);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const consentModel = require('../../src/models/consent.model');
+const approvedRecordModel = require('../../src/models/approvedRecord.model');
+const emailService = require('../../src/services/email.service');
+const consentService = require('../../src/services/consent.service');
+
+const staff = { id: 'ST000001', role: 'admin' };
+
+const consent = (overrides) => ({
+  id: 1,
+  patient_id: 'PT000001',
+  patient_name: 'Nimal Silva',
+  company_id: 'IN000001',
+  purpose: 'claim_verification',
+  record_types: [],
+  date_range_start: null,
+  date_range_end: null,
+  ...overrides
+});
+
+describe('consent.service', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('recordConsent', () => {
+    beforeEach(() => {
+      mock.method(pool, 'query', async () => [[{ id: 'found' }]]);
+      mock.method(consentModel, 'createConsent', async (data) => ({ id: 1, ...data }));
+    });
+
+    it('records the consent against the patient and the staff member', async () => {
+      const created = await consentService.recordConsent(
+        'PT000001', { company_id: 'IN000001', purpose: 'claim_verification' }, staff
+      );
+
+      assert.equal(created.patient_id, 'PT000001');
+      assert.equal(created.recorded_by, staff.id);
+    });
+
+    it('refuses a date range that starts after it ends', async () => {
+      await assert.rejects(
+        consentService.recordConsent('PT000001', {
+          company_id: 'IN000001',
+          date_range_start: '2026-05-01',
+          date_range_end: '2026-04-01'
+        }, staff),
+        { statusCode: 400, message: 'Consent date range starts after it ends' }
+      );
+    });
+
+    it('refuses a consent that expires before it takes effect', async () => {
+      await assert.rejects(
+        consentService.recordConsent('PT000001', {
+          company_id: 'IN000001',
+          valid_from: '2026-05-01',
+          expires_at: '2026-05-01'
+        }, staff),
+        { statusCode: 400 }
+      );
+      assert.equal(consentModel.createConsent.mock.callCount(), 0);
+    });
+
+    it('reports an unknown patient', async () => {
+      mock.method(pool, 'query', async () => [[]]);
+
+      await assert.rejects(
+        consentService.recordConsent('PT999999', { company_id: 'IN000001' }, staff),
+        { statusCode: 404, message: 'Patient not found' }
+      );
+    });
+  });
+
+  describe('withdrawConsent', () => {
+    // Other consents still in force for the same company, patient and purpose
+    let remaining;
+
+    beforeEach(() => {
+      remaining = [];
+
+      mock.method(consentModel, 'revokeConsent', async () => consent({ status: 'revoked' }));
+      mock.method(consentModel, 'getActiveConsents', async () => remaining);
+      mock.method(approvedRecordModel, 'getReleasedGrants', async () => [
+        { grant_id: 1, record_type: 'lab_test', record_date: '2026-03-15', access_status: 'active' },
+        { grant_id: 2, record_type: 'prescription', record_date: '2026-03-15', access_status: 'active' },
+        { grant_id: 3, record_type: 'lab_test', record_date: '2026-03-01', access_status: 'exhausted' }
+      ]);
+      mock.method(approvedRecordModel, 'revokeGrants', async (grantIds) => grantIds.map(grantId => ({ grant_id: grantId })));
+      mock.method(pool, 'query', async () => [[{ email: 'claims@insurer.example', company_name: 'Ceylon Insurance' }]]);
+      mock.method(emailService, 'sendConsentRevokedEmail', async () => {});
+    });
+
+    it('revokes the active grants the consent was covering and tells the insurer', async () => {
+      const { revokedGrantIds } = await consentService.withdrawConsent(1, 'Patient request', staff);
+
+      assert.deepEqual(revokedGrantIds, [1, 2]);
+      assert.equal(emailService.sendConsentRevokedEmail.mock.callCount(), 1);
+    });
+
+    it('keeps grants that another consent in force still covers', async () => {
+      remaining = [consent({ id: 2, record_types: ['lab_test'] })];
+
+      const { revokedGrantIds } = await consentService.withdrawConsent(1, 'Patient request', staff);
+
+      assert.deepEqual(revokedGrantIds, [2]);
+    });
+
+    it('still withdraws the consent when the email cannot be sent', async () => {
+      mock.method(emailService, 'sendConsentRevokedEmail', async () => {
+        throw new Error('connect ECONNREFUSED');
+      });
+      mock.method(console, 'error', () => {});
+
+      const { consent: withdrawn } = await consentService.withdrawConsent(1, 'Patient request', staff);
+
+      assert.equal(withdrawn.status, 'revoked');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MIDDLEWARE_PATH = require.resolve('../../src/middleware/encryption.middleware');
+
+// Values written before the rotation, under what is now a retired key
+process.env.ENCRYPTION_KEY = 'old-encryption-key';
+const oldKey = require(MIDDLEWARE_PATH);
+const oldAllergy = oldKey.encrypt('Penicillin');
+const oldAddress = oldKey.encrypt('12 Galle Road, Colombo');
+delete require.cache[MIDDLEWARE_PATH];
+
+// The keyring is read from the environment on first use
+process.env.ENCRYPTION_KEY = 'new-encryption-key';
+process.env.ENCRYPTION_RETIRED_KEYS = 'old-encryption-key';
+
+const keyRotationModel = require('../../src/models/keyRotation.model');
+const keyRotationService = require('../../src/services/keyRotation.service');
+const { encrypt, decrypt, getActiveKeyId } = require('../../src/middleware/encryption.middleware');
+
+describe('keyRotation.service', () => {
+  // Rows of the patients table; every other table is empty
+  let patients;
+  // Saved progress by table
+  let progress;
+
+  beforeEach(() => {
+    patients = [
+      { patient_id: 'PT000001', nic: null, address: oldAddress, allergies: oldAllergy },
+      { patient_id: 'PT000002', nic: null, address: encrypt('5 Kandy Road, Kandy'), allergies: 'Latex' },
+      { patient_id: 'PT000003', nic: null, address: null, allergies: oldKey.encrypt('Aspirin') }
+    ];
+    progress = {};
+
+    mock.method(keyRotationModel, 'getBatch', async (target, afterId, limit) => {
+      if (target.table !== 'patients') return [];
+      return patients
+        .filter(row => afterId === null || row.patient_id > afterId)
+        .slice(0, limit)
+        .map(row => ({ ...row }));
+    });
+    mock.method(keyRotationModel, 'replaceValues', async (target, id, oldValues, newValues) => {
+      const row = patients.find(entry => entry.patient_id === id);
+      if (Object.entries(oldValues).some(([column, value]) => row[column] !== value)) return false;
+      Object.assign(row, newValues);
+      return true;
+    });
+    mock.method(keyRotationModel, 'getProgress', async (keyId, table) => progress[table] || null);
+    mock.method(keyRotationModel, 'saveProgress', async (keyId, table, saved) => {
+      progress[table] = { ...saved, completed_at: saved.completed ? new Date() : null };
+    });
+    mock.method(keyRotationModel, 'resetProgress', async (keyId, table = null) => {
+      if (table) delete progress[table];
+      else progress = {};
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rewrites values under retired keys, and unencrypted ones, under the active key', async () => {
+    const { keyId, tables } = await keyRotationService.reencryptAll({ batchSize: 2 });
+
+    assert.equal(keyId, getActiveKeyId());
+    assert.equal(tables.patients.rewritten, 3);
+    assert.equal(tables.patients.scanned, 3);
+
+    for (const row of patients) {
+      for (const column of ['address', 'allergies']) {
+        if (row[column] !== null) assert.ok(row[column].startsWith(`enc:v2:${keyId}:`));
+      }
+    }
+    assert.equal(decrypt(patients[0].allergies), 'Penicillin');
+    assert.equal(decrypt(patients[1].allergies), 'Latex');
+  });
+
+  it('leaves values already under the active key as they are', async () => {
+    const current = patients[1].address;
+
+    await keyRotationService.reencryptAll();
+
+    assert.equal(patients[1].address, current);
+  });
+
+  it('counts a row changed while being rewritten as a conflict and keeps the change', async () => {
+    // Read as it was, then updated by the application before being rewritten
+    const stale = { ...patients[0] };
+    mock.method(keyRotationModel, 'getBatch', async (target) => (
+      target.table === 'patients' && !progress.patients ? [stale] : []
+    ));
+    patients[0].allergies = encrypt('Sulfa drugs');
+
+    const { tables } = await keyRotationService.reencryptAll();
+
+    assert.equal(tables.patients.conflicts, 1);
+    assert.equal(decrypt(patients[0].allergies), 'Sulfa drugs');
+  });
+
+  it('resumes after the last saved batch', async () => {
+    progress.patients = { last_id: 'PT000002', scanned: 2, rewritten: 2, conflicts: 0, failed: 0, completed_at: null };
+
+    const { tables } = await keyRotationService.reencryptAll();
+
+    assert.equal(tables.patients.scanned, 3);
+    assert.equal(patients[0].allergies, oldAllergy);
+    assert.equal(decrypt(patients[2].allergies), 'Aspirin');
+  });
+
+  it('verifies only once every value is under the active key', async () => {
+    const before = await keyRotationService.verifyEncryption();
+
+    assert.equal(before.valid, false);
+    assert.equal(before.tables.patients.outdated, 3);
+    assert.equal(before.tables.patients.unencrypted, 1);
+
+    await keyRotationService.reencryptAll();
+    const after = await keyRotationService.verifyEncryption();
+
+    assert.equal(after.valid, true);
+    assert.deepEqual(after.tables.patients, { checked: 5, outdated: 0, undecryptable: 0, unencrypted: 0 });
+  });
+
+  it('reports values under a key it no longer has as undecryptable', async () => {
+    patients[1].address = patients[1].address.replace(`enc:v2:${getActiveKeyId()}:`, 'enc:v2:00000000:');
+
+    const { valid, tables } = await keyRotationService.verifyEncryption();
+
+    assert.equal(valid, false);
+    assert.equal(tables.patients.undecryptable, 1);
+  });
+});
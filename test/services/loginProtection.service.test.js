@@ -0,0 +1,133 @@
+// Read when the service is loaded; keeps the progressive delay short
+process.env.LOGIN_DELAY_BASE_MS = '1';
+process.env.LOGIN_MAX_FAILURES = '5';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const loginAttemptModel = require('../../src/models/loginAttempt.model');
+const auditService = require('../../src/services/audit.service');
+const emailService = require('../../src/services/email.service');
+const loginProtection = require('../../src/services/loginProtection.service');
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+const attempt = {
+  email: 'ann@example.com',
+  user_id: 'ST000001',
+  role: 'doctor',
+  name: 'Ann Perera',
+  reason: 'invalid_password'
+};
+
+describe('loginProtection.service', () => {
+  // Failed-login columns of the users row
+  let account;
+
+  beforeEach(() => {
+    account = { failed_login_count: 0, locked_until: null };
+
+    mock.method(loginAttemptModel, 'recordAttempt', async () => {});
+    // Same guard as the UPDATE in claimAttempt
+    mock.method(loginAttemptModel, 'claimAttempt', async (userId, maxFailures) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (account.failed_login_count >= maxFailures) return null;
+      if (account.locked_until && account.locked_until > new Date()) return null;
+      return ++account.failed_login_count;
+    });
+    mock.method(loginAttemptModel, 'releaseAttempt', async () => {
+      account.failed_login_count = Math.max(account.failed_login_count - 1, 0);
+    });
+    mock.method(loginAttemptModel, 'lockAccount', async (userId, lockedUntil) => {
+      if (account.locked_until && account.locked_until > new Date()) return false;
+      account.locked_until = lockedUntil;
+      return true;
+    });
+    mock.method(loginAttemptModel, 'clearExpiredLock', async () => {
+      if (!account.locked_until || account.locked_until > new Date()) return false;
+      account = { failed_login_count: 0, locked_until: null };
+      return true;
+    });
+    mock.method(loginAttemptModel, 'resetFailedLogins', async () => {
+      account = { failed_login_count: 0, locked_until: null };
+      return true;
+    });
+    mock.method(auditService, 'logAudit', async () => {});
+    mock.method(emailService, 'sendAccountLockedEmail', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Make a login attempt with a wrong password, as the login controller does
+   * @returns {Promise<number>} - Attempts counted by guardAccount
+   */
+  const failLogin = async () => {
+    const attempts = await loginProtection.guardAccount(attempt.user_id);
+    await loginProtection.recordFailure({ ...attempt, attempts }, req);
+    return attempts;
+  };
+
+  it('locks the account after the maximum number of failures and emails the owner once', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failLogin();
+    }
+
+    assert.equal(loginAttemptModel.lockAccount.mock.callCount(), 1);
+    assert.equal(emailService.sendAccountLockedEmail.mock.callCount(), 1);
+    assert.ok(auditService.logAudit.mock.calls.some(call => call.arguments[1] === 'account_locked'));
+
+    await assert.rejects(loginProtection.guardAccount(attempt.user_id), { statusCode: 401 });
+  });
+
+  it('refuses a locked account with the same answer as an unknown email', async () => {
+    account = { failed_login_count: 5, locked_until: new Date(Date.now() + 60 * 1000) };
+
+    await assert.rejects(
+      loginProtection.guardAccount(attempt.user_id),
+      { statusCode: 401, message: 'Invalid email or password' }
+    );
+  });
+
+  it('lets no more than the maximum number of parallel attempts check a password', async () => {
+    const results = await Promise.allSettled(Array.from({ length: 12 }, failLogin));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 5);
+    assert.equal(account.failed_login_count, 5);
+    assert.ok(account.locked_until > new Date());
+    assert.equal(emailService.sendAccountLockedEmail.mock.callCount(), 1);
+  });
+
+  it('does not lock before the maximum number of failures', async () => {
+    for (let i = 0; i < 4; i++) {
+      await failLogin();
+    }
+
+    assert.equal(loginAttemptModel.lockAccount.mock.callCount(), 0);
+    assert.equal(await loginProtection.guardAccount(attempt.user_id), 5);
+  });
+
+  it('does not count an attempt whose password was right', async () => {
+    await failLogin();
+    await loginProtection.guardAccount(attempt.user_id);
+    await loginProtection.releaseAttempt(attempt.user_id);
+
+    assert.equal(account.failed_login_count, 1);
+  });
+
+  it('starts counting again once a lock has run out', async () => {
+    account = { failed_login_count: 5, locked_until: new Date(Date.now() - 1000) };
+
+    assert.equal(await failLogin(), 1);
+    assert.equal(loginAttemptModel.lockAccount.mock.callCount(), 0);
+  });
+
+  it('clears the failures after a successful login', async () => {
+    await failLogin();
+    await loginProtection.recordSuccess({ id: attempt.user_id, email: attempt.email, role: attempt.role }, req);
+
+    assert.equal(account.failed_login_count, 0);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const staffModel = require('../../src/models/staff.model');
+const passwordResetModel = require('../../src/models/passwordReset.model');
+const loginAttemptModel = require('../../src/models/loginAttempt.model');
+const authService = require('../../src/services/auth.service');
+const auditService = require('../../src/services/audit.service');
+const emailService = require('../../src/services/email.service');
+const passwordPolicy = require('../../src/services/passwordPolicy.service');
+const passwordResetService = require('../../src/services/passwordReset.service');
+const { AppError } = require('../../src/utils/error.utils');
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+// Lets the email sent after a forgot-password answer go out
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('passwordReset.service', () => {
+  // password_reset_tokens row for the link, used or not
+  let token;
+
+  beforeEach(() => {
+    token = { id: 1, user_id: 'ST000001', role: 'doctor', purpose: 'reset', used: false };
+
+    mock.method(passwordResetModel, 'findResetToken', async () => (token.used ? null : { ...token }));
+    mock.method(passwordResetModel, 'consumeResetToken', async () => {
+      if (token.used) return null;
+      token.used = true;
+      return { ...token };
+    });
+    mock.method(passwordResetModel, 'createResetToken', async () => ({ token: 'new-token' }));
+    mock.method(passwordResetModel, 'recordResetRequest', async () => {});
+    mock.method(passwordResetModel, 'countRecentResetRequests', async () => ({ byEmail: 0, byIp: 0 }));
+    mock.method(authService, 'getIdentity', async () => ({ name: 'Ann Perera', email: 'ann@example.com' }));
+    mock.method(passwordPolicy, 'assertPasswordAllowed', async () => {});
+    mock.method(staffModel, 'updateStaff', async () => {});
+    mock.method(loginAttemptModel, 'resetFailedLogins', async () => true);
+    mock.method(auditService, 'logAudit', async () => {});
+    mock.method(emailService, 'sendPasswordResetEmail', async () => {});
+    mock.method(pool, 'query', async (sql) => {
+      if (sql.startsWith('SELECT id, role, is_active FROM users')) {
+        return [[{ id: 'ST000001', role: 'doctor', is_active: 1 }]];
+      }
+      return [{ affectedRows: 1 }];
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('resetPassword', () => {
+    it('sets the password, uses up the link and clears failed logins', async () => {
+      const result = await passwordResetService.resetPassword('link-token', 'N3w-Passw0rd!x', req);
+
+      assert.deepEqual(result, { user_id: 'ST000001', role: 'doctor' });
+      assert.deepEqual(staffModel.updateStaff.mock.calls[0].arguments, ['ST000001', { password: 'N3w-Passw0rd!x' }]);
+      assert.equal(token.used, true);
+      assert.equal(loginAttemptModel.resetFailedLogins.mock.callCount(), 1);
+      assert.equal(auditService.logAudit.mock.calls[0].arguments[1], 'password_reset');
+    });
+
+    it('leaves the link working when the password cannot be saved', async () => {
+      mock.method(staffModel, 'updateStaff', async () => {
+        throw Object.assign(new Error('Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' });
+      });
+
+      await assert.rejects(passwordResetService.resetPassword('link-token', 'N3w-Passw0rd!x', req));
+
+      assert.equal(passwordResetModel.consumeResetToken.mock.callCount(), 0);
+      assert.equal(token.used, false);
+    });
+
+    it('leaves the link working when the password is rejected by the policy', async () => {
+      mock.method(passwordPolicy, 'assertPasswordAllowed', async () => {
+        throw new AppError('Password must be at least 12 characters long', 400);
+      });
+
+      await assert.rejects(passwordResetService.resetPassword('link-token', 'short', req), { statusCode: 400 });
+
+      assert.equal(staffModel.updateStaff.mock.callCount(), 0);
+      assert.equal(token.used, false);
+    });
+
+    it('refuses a link that was already used', async () => {
+      await passwordResetService.resetPassword('link-token', 'N3w-Passw0rd!x', req);
+
+      await assert.rejects(
+        passwordResetService.resetPassword('link-token', 'An0ther-Passw0rd!', req),
+        { statusCode: 400, message: 'This password reset link is invalid or has expired' }
+      );
+      assert.equal(staffModel.updateStaff.mock.callCount(), 1);
+    });
+  });
+
+  describe('requestPasswordReset', () => {
+    it('emails a link after answering', async () => {
+      await passwordResetService.requestPasswordReset('ann@example.com', req);
+      await flush();
+
+      assert.equal(emailService.sendPasswordResetEmail.mock.callCount(), 1);
+      assert.match(emailService.sendPasswordResetEmail.mock.calls[0].arguments[2], /reset-password\?token=new-token$/);
+    });
+
+    it('answers the same but sends nothing once the email has had its links', async () => {
+      mock.method(passwordResetModel, 'countRecentResetRequests', async () => ({ byEmail: 3, byIp: 3 }));
+
+      await passwordResetService.requestPasswordReset('ann@example.com', req);
+      await flush();
+
+      assert.equal(passwordResetModel.createResetToken.mock.callCount(), 0);
+      assert.equal(emailService.sendPasswordResetEmail.mock.callCount(), 0);
+    });
+
+    it('turns away an IP address that made too many requests', async () => {
+      mock.method(passwordResetModel, 'countRecentResetRequests', async () => ({ byEmail: 0, byIp: 10 }));
+
+      await assert.rejects(passwordResetService.requestPasswordReset('ann@example.com', req), { statusCode: 429 });
+      assert.equal(passwordResetModel.recordResetRequest.mock.callCount(), 0);
+    });
+
+    it('gives an unknown email the same answer without sending anything', async () => {
+      mock.method(pool, 'query', async () => [[]]);
+
+      await passwordResetService.requestPasswordReset('nobody@example.com', req);
+      await flush();
+
+      assert.equal(emailService.sendPasswordResetEmail.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const recordAccessModel = require('../../src/models/recordAccess.model');
+const auditService = require('../../src/services/audit.service');
+const recordAccessService = require('../../src/services/recordAccess.service');
+
+const doctor = { id: 'ST000001' };
+
+const record = (recordId, docId, confidentialityLevel) => ({
+  record_id: recordId,
+  patient_id: 'PT000001',
+  doc_id: docId,
+  record_type: 'consultation',
+  diagnosis: 'Hypertension',
+  notes: 'Follow up in two weeks',
+  confidentiality_level: confidentialityLevel
+});
+
+describe('recordAccess.service', () => {
+  // record_id values the doctor holds active grants for
+  let granted;
+
+  beforeEach(() => {
+    granted = new Set();
+
+    mock.method(recordAccessModel, 'getGrantedRecordIds', async (staffId, recordIds) => (
+      new Set(recordIds.filter(recordId => granted.has(recordId)))
+    ));
+    mock.method(auditService, 'logAudit', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('redactUnreadableRecords', () => {
+    it('redacts restricted records written by others unless access was granted', async () => {
+      granted.add('RC000003');
+
+      const records = await recordAccessService.redactUnreadableRecords(doctor, [
+        record('RC000001', 'ST000002', 'normal'),
+        record('RC000002', 'ST000002', 'restricted'),
+        record('RC000003', 'ST000002', 'restricted')
+      ]);
+
+      assert.equal(records[0].diagnosis, 'Hypertension');
+      assert.equal(records[1].redacted, true);
+      assert.equal(records[1].diagnosis, undefined);
+      assert.equal(records[1].notes, undefined);
+      assert.equal(records[1].record_id, 'RC000002');
+      assert.equal(records[2].diagnosis, 'Hypertension');
+    });
+
+    it('shows the author their own restricted records without checking grants', async () => {
+      const [own] = await recordAccessService.redactUnreadableRecords(doctor, [
+        record('RC000001', doctor.id, 'restricted')
+      ]);
+
+      assert.equal(own.diagnosis, 'Hypertension');
+      assert.deepEqual(recordAccessModel.getGrantedRecordIds.mock.calls[0].arguments[1], []);
+      assert.equal(auditService.logAudit.mock.callCount(), 0);
+    });
+
+    it('audits each restricted record read through a grant', async () => {
+      granted.add('RC000002');
+
+      await recordAccessService.redactUnreadableRecords(doctor, [
+        record('RC000001', 'ST000002', 'normal'),
+        record('RC000002', 'ST000002', 'restricted')
+      ]);
+
+      assert.equal(auditService.logAudit.mock.callCount(), 1);
+      const [userId, action, , resourceId] = auditService.logAudit.mock.calls[0].arguments;
+      assert.deepEqual([userId, action, resourceId], [doctor.id, 'view_restricted', 'RC000002']);
+    });
+  });
+
+  describe('assertCanReadRecord', () => {
+    it('refuses a restricted record without a grant and audits the refusal', async () => {
+      await assert.rejects(
+        recordAccessService.assertCanReadRecord(doctor, record('RC000002', 'ST000002', 'restricted')),
+        { statusCode: 403 }
+      );
+
+      assert.equal(auditService.logAudit.mock.calls[0].arguments[1], 'access_denied');
+    });
+
+    it('lets the author and granted staff read a restricted record', async () => {
+      await recordAccessService.assertCanReadRecord(doctor, record('RC000001', doctor.id, 'restricted'));
+
+      granted.add('RC000002');
+      await recordAccessService.assertCanReadRecord(doctor, record('RC000002', 'ST000002', 'restricted'));
+
+      assert.equal(auditService.logAudit.mock.callCount(), 1);
+      assert.equal(auditService.logAudit.mock.calls[0].arguments[1], 'view_restricted');
+    });
+
+    it('does not check grants for records that are not restricted', async () => {
+      await recordAccessService.assertCanReadRecord(doctor, record('RC000001', 'ST000002', 'normal'));
+
+      assert.equal(recordAccessModel.getGrantedRecordIds.mock.callCount(), 0);
+    });
+  });
+
+  describe('grantAccess', () => {
+    it('only grants access to restricted records', async () => {
+      mock.method(pool, 'query', async () => [[record('RC000001', 'ST000002', 'normal')]]);
+      mock.method(recordAccessModel, 'grantAccess', async () => true);
+
+      await assert.rejects(
+        recordAccessService.grantAccess('RC000001', doctor.id, 'Second opinion', 'AD000001'),
+        { statusCode: 400 }
+      );
+      assert.equal(recordAccessModel.grantAccess.mock.callCount(), 0);
+    });
+  });
+});
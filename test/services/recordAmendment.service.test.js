@@ -0,0 +1,178 @@
+// The keyring is read from the environment on first use
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../../src/config/database');
+const recordModel = require('../../src/models/record.model');
+const recordVersionModel = require('../../src/models/recordVersion.model');
+const recordAccessService = require('../../src/services/recordAccess.service');
+const recordAmendmentService = require('../../src/services/recordAmendment.service');
+const { decrypt } = require('../../src/middleware/encryption.middleware');
+const { AppError } = require('../../src/utils/error.utils');
+
+const doctor = { id: 'ST000001' };
+
+describe('recordAmendment.service', () => {
+  // Current state of the record and its archived versions
+  let record;
+  let versions;
+  let connection;
+
+  beforeEach(() => {
+    record = {
+      record_id: 'RC000001',
+      patient_id: 'PT000001',
+      doc_id: doctor.id,
+      status: 'active',
+      version: 1,
+      description: 'Chest pain on exertion',
+      diagnosis: 'Angina',
+      symptoms: 'Chest pain',
+      amended_by: null,
+      amended_at: null,
+      amendment_reason: null
+    };
+    versions = [];
+    connection = {
+      beginTransaction: mock.fn(async () => {}),
+      commit: mock.fn(async () => {}),
+      rollback: mock.fn(async () => {}),
+      release: mock.fn()
+    };
+
+    mock.method(pool, 'getConnection', async () => connection);
+    mock.method(recordVersionModel, 'lockRecord', async () => ({ ...record }));
+    mock.method(recordVersionModel, 'archiveCurrentVersion', async () => {
+      versions.push({ ...record });
+    });
+    mock.method(recordVersionModel, 'applyAmendment', async (conn, recordId, changes, amendedBy, reason) => {
+      const plain = Object.fromEntries(Object.entries(changes).map(([field, value]) => [field, decrypt(value)]));
+      record = { ...record, ...plain, version: record.version + 1, amended_by: amendedBy, amendment_reason: reason };
+    });
+    mock.method(recordVersionModel, 'getVersion', async (recordId, version) => (
+      versions.find(entry => entry.version === version) || null
+    ));
+    mock.method(recordVersionModel, 'getVersionHistory', async () => versions);
+    mock.method(recordVersionModel, 'markEnteredInError', async () => {
+      if (record.status === 'entered_in_error') return false;
+      record.status = 'entered_in_error';
+      return true;
+    });
+    mock.method(recordModel, 'getRecordById', async () => ({ ...record }));
+    mock.method(recordAccessService, 'assertCanReadRecord', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('amendRecord', () => {
+    it('archives the current version and writes only the fields that change, encrypted', async () => {
+      const result = await recordAmendmentService.amendRecord(doctor, 'RC000001', {
+        diagnosis: 'Unstable angina',
+        symptoms: 'Chest pain',
+        reason: 'Troponin result',
+        expectedVersion: 1
+      });
+
+      assert.deepEqual(result.changedFields, ['diagnosis']);
+      assert.equal(result.previousVersion, 1);
+      assert.equal(result.record.version, 2);
+      assert.equal(versions[0].diagnosis, 'Angina');
+
+      const [, , changes] = recordVersionModel.applyAmendment.mock.calls[0].arguments;
+      assert.deepEqual(Object.keys(changes), ['diagnosis']);
+      assert.ok(changes.diagnosis.startsWith('enc:v2:'));
+      assert.equal(connection.commit.mock.callCount(), 1);
+      assert.equal(connection.release.mock.callCount(), 1);
+    });
+
+    it('refuses an amendment made against an older version', async () => {
+      record.version = 3;
+
+      await assert.rejects(
+        recordAmendmentService.amendRecord(doctor, 'RC000001', { diagnosis: 'Unstable angina', reason: 'x', expectedVersion: 2 }),
+        { statusCode: 409 }
+      );
+      assert.equal(recordVersionModel.archiveCurrentVersion.mock.callCount(), 0);
+      assert.equal(connection.rollback.mock.callCount(), 1);
+      assert.equal(connection.release.mock.callCount(), 1);
+    });
+
+    it('refuses an amendment that changes nothing', async () => {
+      await assert.rejects(
+        recordAmendmentService.amendRecord(doctor, 'RC000001', { diagnosis: 'Angina', reason: 'x' }),
+        { statusCode: 400, message: 'The amendment does not change the record' }
+      );
+    });
+
+    it('refuses to amend a record entered in error', async () => {
+      record.status = 'entered_in_error';
+
+      await assert.rejects(
+        recordAmendmentService.amendRecord(doctor, 'RC000001', { diagnosis: 'Unstable angina', reason: 'x' }),
+        { statusCode: 409, message: 'Records entered in error cannot be amended' }
+      );
+    });
+
+    it('refuses a user who may not read the record', async () => {
+      mock.method(recordAccessService, 'assertCanReadRecord', async () => {
+        throw new AppError('This record is restricted to its author and staff granted access', 403);
+      });
+
+      await assert.rejects(
+        recordAmendmentService.amendRecord(doctor, 'RC000001', { diagnosis: 'Unstable angina', reason: 'x' }),
+        { statusCode: 403 }
+      );
+      assert.equal(recordVersionModel.applyAmendment.mock.callCount(), 0);
+    });
+  });
+
+  describe('version history', () => {
+    beforeEach(async () => {
+      await recordAmendmentService.amendRecord(doctor, 'RC000001', { diagnosis: 'Unstable angina', reason: 'Troponin result' });
+      await recordAmendmentService.amendRecord(doctor, 'RC000001', { symptoms: 'Chest pain, sweating', reason: 'Nursing notes' });
+    });
+
+    it('compares the current version with the one before by default', async () => {
+      const diff = await recordAmendmentService.diffVersions(doctor, 'RC000001');
+
+      assert.equal(diff.from.version, 2);
+      assert.equal(diff.to.version, 3);
+      assert.equal(diff.to.amendment_reason, 'Nursing notes');
+      assert.deepEqual(diff.changes, [{ field: 'symptoms', from: 'Chest pain', to: 'Chest pain, sweating' }]);
+    });
+
+    it('compares any two versions', async () => {
+      const diff = await recordAmendmentService.diffVersions(doctor, 'RC000001', 1, 3);
+
+      assert.deepEqual(diff.changes.map(change => change.field), ['diagnosis', 'symptoms']);
+    });
+
+    it('reports a version the record never had', async () => {
+      await assert.rejects(recordAmendmentService.diffVersions(doctor, 'RC000001', 1, 7), { statusCode: 404 });
+      await assert.rejects(recordAmendmentService.diffVersions(doctor, 'RC000001', 0, 1), { statusCode: 400 });
+    });
+
+    it('lists the archived versions with the current record', async () => {
+      const { record: current, versions: history } = await recordAmendmentService.getVersionHistory(doctor, 'RC000001');
+
+      assert.equal(current.version, 3);
+      assert.deepEqual(history.map(entry => entry.version), [1, 2]);
+    });
+  });
+
+  describe('markEnteredInError', () => {
+    it('keeps the record, marked, and refuses to mark it twice', async () => {
+      const marked = await recordAmendmentService.markEnteredInError(doctor, 'RC000001', 'Wrong patient');
+
+      assert.equal(marked.status, 'entered_in_error');
+      await assert.rejects(
+        recordAmendmentService.markEnteredInError(doctor, 'RC000001', 'Wrong patient'),
+        { statusCode: 409 }
+      );
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const twoFactorModel = require('../../src/models/twoFactor.model');
+const twoFactorService = require('../../src/services/twoFactor.service');
+const { generateSecret, hotp, stepAt } = require('../../src/utils/totp.utils');
+
+describe('twoFactor.service verifySecondFactor', () => {
+  let secret;
+  let lastUsedStep;
+
+  beforeEach(() => {
+    secret = generateSecret();
+    lastUsedStep = null;
+
+    mock.method(twoFactorModel, 'getTwoFactor', async () => ({
+      user_id: 'ST000001',
+      secret,
+      enabled: true
+    }));
+
+    // Same guard as the UPDATE in markStepUsed: only a later step is accepted
+    mock.method(twoFactorModel, 'markStepUsed', async (userId, step) => {
+      if (lastUsedStep !== null && lastUsedStep >= step) return false;
+      lastUsedStep = step;
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts a current code', async () => {
+    const method = await twoFactorService.verifySecondFactor('ST000001', { code: hotp(secret, stepAt()) });
+
+    assert.equal(method, 'totp');
+    assert.equal(lastUsedStep, stepAt());
+  });
+
+  it('rejects a code replayed within its time window', async () => {
+    const code = hotp(secret, stepAt());
+
+    await twoFactorService.verifySecondFactor('ST000001', { code });
+
+    await assert.rejects(
+      twoFactorService.verifySecondFactor('ST000001', { code }),
+      { statusCode: 401, message: 'Invalid authentication code' }
+    );
+  });
+
+  it('rejects an earlier code once a later one was used', async () => {
+    await twoFactorService.verifySecondFactor('ST000001', { code: hotp(secret, stepAt()) });
+
+    await assert.rejects(
+      twoFactorService.verifySecondFactor('ST000001', { code: hotp(secret, stepAt() - 1) }),
+      { statusCode: 401 }
+    );
+  });
+
+  it('rejects a code from another secret without spending the step', async () => {
+    await assert.rejects(
+      twoFactorService.verifySecondFactor('ST000001', { code: hotp(generateSecret(), stepAt()) }),
+      { statusCode: 401 }
+    );
+
+    assert.equal(twoFactorModel.markStepUsed.mock.callCount(), 0);
+  });
+});